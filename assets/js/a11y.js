@@ -153,6 +153,115 @@ export function trapFocusOpen(container) {
   };
 }
 
+// ============================================================================
+// Table Navigation (for data tables)
+// ============================================================================
+
+/**
+ * Make a data table keyboard navigable with screen reader table semantics
+ * - Header cells get scope (thead → col, tbody → row)
+ * - One cell is in the Tab order at a time (roving tabindex)
+ * - Arrow keys move between cells; Home/End jump within the row,
+ *   Ctrl+Home/Ctrl+End to the first/last cell
+ * 
+ * @param {HTMLTableElement} table - Native <table> element
+ * @returns {Function} Cleanup function to remove the keyboard handler
+ * 
+ * @example
+ * const releaseNav = enableTableNavigation(tableElement);
+ * // Later...
+ * releaseNav();
+ */
+export function enableTableNavigation(table) {
+  if (!table || !table.rows) {
+    console.warn('[A11y] Table navigation: No table provided');
+    return () => {};
+  }
+  
+  table.querySelectorAll('thead th').forEach(th => th.setAttribute('scope', 'col'));
+  table.querySelectorAll('tbody th').forEach(th => th.setAttribute('scope', 'row'));
+  
+  const cells = Array.from(table.querySelectorAll('th, td'));
+  if (cells.length === 0) {
+    console.warn('[A11y] Table navigation: No cells found');
+    return () => {};
+  }
+  
+  // Start on the first column header (or the first cell)
+  const startCell = table.querySelector('th[scope="col"]') || cells[0];
+  cells.forEach(cell => cell.setAttribute('tabindex', cell === startCell ? '0' : '-1'));
+  
+  /**
+   * Move the roving tabindex to a cell and focus it
+   * @param {HTMLElement} cell - Target cell
+   */
+  function moveTo(cell) {
+    cells.forEach(other => other.setAttribute('tabindex', '-1'));
+    cell.setAttribute('tabindex', '0');
+    cell.focus();
+  }
+  
+  /**
+   * Handle arrow/Home/End keys on a focused cell
+   * @param {KeyboardEvent} e - Keyboard event
+   */
+  function onKeyDown(e) {
+    const cell = e.target;
+    if (!cells.includes(cell)) return; // Keys inside cell content (links) are theirs
+    
+    const rows = table.rows;
+    let rowIndex = cell.parentElement.rowIndex;
+    let colIndex = cell.cellIndex;
+    
+    switch (e.key) {
+      case 'ArrowRight': colIndex++; break;
+      case 'ArrowLeft': colIndex--; break;
+      case 'ArrowDown': rowIndex++; break;
+      case 'ArrowUp': rowIndex--; break;
+      case 'Home':
+        colIndex = 0;
+        if (e.ctrlKey) rowIndex = 0;
+        break;
+      case 'End':
+        colIndex = rows[rowIndex].cells.length - 1;
+        if (e.ctrlKey) {
+          rowIndex = rows.length - 1;
+          colIndex = rows[rowIndex].cells.length - 1;
+        }
+        break;
+      default:
+        return;
+    }
+    
+    const target = rows[rowIndex]?.cells[colIndex];
+    
+    // Edges stop (no wrapping) but the key is still consumed
+    e.preventDefault();
+    if (target && cells.includes(target)) {
+      moveTo(target);
+    }
+  }
+  
+  /**
+   * Keep the roving tabindex on the cell last clicked/focused
+   * @param {FocusEvent} e - Focus event
+   */
+  function onFocusIn(e) {
+    const cell = e.target.closest('th, td');
+    if (cell && cells.includes(cell) && cell.getAttribute('tabindex') !== '0') {
+      cells.forEach(other => other.setAttribute('tabindex', other === cell ? '0' : '-1'));
+    }
+  }
+  
+  table.addEventListener('keydown', onKeyDown);
+  table.addEventListener('focusin', onFocusIn);
+  
+  return () => {
+    table.removeEventListener('keydown', onKeyDown);
+    table.removeEventListener('focusin', onFocusIn);
+  };
+}
+
 // ============================================================================
 // Keyboard Shortcuts
 // ============================================================================
@@ -391,6 +500,7 @@ export function initAccessibility() {
  * 
  * Focus Management:
  * - trapFocusOpen(container) - Trap focus in container, returns cleanup fn
+ * - enableTableNavigation(table) - Arrow-key table cells, returns cleanup fn
  * 
  * Motion:
  * - respectReducedMotion() - Apply reduced motion preference
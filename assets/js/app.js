@@ -14,25 +14,122 @@
 
 import { detectLanguageFromText, detectLanguage, setLanguage } from './i18n/lang_detect.js';
 import { t, preloadStringbanks } from './i18n/strings.js';
+import { applyStaticText } from './i18n/static_text.js';
+import { detectBudgetMention } from './validators.js';
 import { initAccessibility, announce } from './a11y.js';
 import ConsentBanner from './components/consent_banner.js';
 import IntentAssist from './intent_assist.js';
 import ResultCard from './components/result_card.js';
 import HintForm from './components/hint_form.js';
 import RefineBar from './components/refine_bar.js';
+import HistoryTimeline from './components/history_timeline.js';
+import ShareAction from './components/share_action.js';
+import CompareView from './components/compare_view.js';
+import RationalePanel from './components/rationale_panel.js';
+import DetailDrawer, { readDetailHash } from './components/detail_drawer.js';
 import LanguageSwitch from './components/language_switch.js';
 import PolicyFooter from './components/policy_footer.js';
+import VoiceInput from './components/voice_input.js';
+import PincodeCheck from './components/pincode_check.js';
+import CurateClient, {
+  getPersonaMessage,
+  isCurateAborted,
+  checkPinnedSlots,
+  validateTriad,
+  TRIAD_POLICIES
+} from './curate_client.js';
+import CurationHistory from './curation_history.js';
+import CurateCache from './curate_cache.js';
+import { readSelectionFromUrl, hasSelectionParam, clearSelectionFromUrl } from './share_link.js';
+import { deliveryNotice } from './delivery_calendar.js';
+import { orderTriad, readOrderSeed } from './card_order.js';
+import {
+  readCachedServiceability,
+  cacheServiceability,
+  readSessionPincode,
+  rememberPincode,
+  deliveryFit
+} from './pincode.js';
 
 // ============================================================================
 // Configuration
 // ============================================================================
 
+/**
+ * Offline mock backend (development/tests only) - see assets/js/dev/mock_curate.js
+ * Enable with ?mock=1, ?mock=<scenario> (e.g. ?mock=slow) or
+ * <script>window.ARVYAM_API_BASE = 'mock';</script>
+ */
+const MOCK_SCENARIO = (() => {
+  const param = new URLSearchParams(window.location.search).get('mock');
+  if (param) return (param === '1' || param === 'true') ? 'default' : param;
+  return window.ARVYAM_API_BASE === 'mock' ? 'default' : null;
+})();
+
 /**
  * API Base URL - Can be overridden via window.ARVYAM_API_BASE
  * Set in index.html before loading app.js:
  * <script>window.ARVYAM_API_BASE = 'https://staging-api.arvyam.com';</script>
  */
-const API_BASE = window.ARVYAM_API_BASE || 'https://arvyam-api.onrender.com';
+const API_BASE = MOCK_SCENARIO
+  ? ''
+  : (window.ARVYAM_API_BASE || 'https://arvyam-api.onrender.com');
+
+/**
+ * /api/curate request policy - Can be overridden via window.ARVYAM_CURATE_OPTIONS
+ * e.g. <script>window.ARVYAM_CURATE_OPTIONS = { timeoutMs: 45000 };</script>
+ */
+const CURATE_OPTIONS = {
+  timeoutMs: 30000,     // Per attempt (cold starts on Render can be slow)
+  maxRetries: 2,        // 502/503/504 and network drops only
+  warmupAfterMs: 4000,  // Show "waking ARVY up" after this long
+  ...(window.ARVYAM_CURATE_OPTIONS || {})
+};
+
+/**
+ * Triad composition policy - Can be overridden via window.ARVYAM_TRIAD_POLICY
+ * 'strict' refuses a triad that is not 2 MIX + 1 MONO; 'warn' shows it and
+ * only logs/tracks the violation
+ * Every arrangement must carry `composition: 'MIX' | 'MONO'` (legacy: `type`).
+ * Until the backend contract confirms that field, the default is 'warn' - a
+ * backend that does not send it yet would otherwise fail every triad
+ * e.g. <script>window.ARVYAM_TRIAD_POLICY = 'strict';</script>
+ */
+const TRIAD_POLICY = TRIAD_POLICIES.includes(window.ARVYAM_TRIAD_POLICY)
+  ? window.ARVYAM_TRIAD_POLICY
+  : 'warn';
+
+/**
+ * Shared /api/curate client - every search path (search, hints, refine) goes
+ * through it so normalization and guest-facing error copy stay identical
+ * A new submission cancels the call in flight, so stale triads never render
+ */
+const curateClient = new CurateClient({
+  baseUrl: API_BASE,
+  ...CURATE_OPTIONS,
+  fetchImpl: MOCK_SCENARIO ? createLazyMockFetch(MOCK_SCENARIO) : undefined,
+  // Same prompt, hints, language and refinements again → no cold-start wait
+  cache: new CurateCache(),
+  onWarmup: () => showWarmupState()
+});
+
+/**
+ * Load the mock backend only when requested (never part of the production path)
+ * @param {string} scenario - Mock scenario name
+ * @returns {Function} fetch-compatible function
+ */
+function createLazyMockFetch(scenario) {
+  console.warn(`[ARVYAM] Using offline mock curate backend (scenario: ${scenario})`);
+  
+  let mockFetchPromise = null;
+  
+  return async (...args) => {
+    mockFetchPromise = mockFetchPromise || import('./dev/mock_curate.js')
+      .then(mod => mod.createMockFetch({ scenario }));
+    const mockFetch = await mockFetchPromise;
+    return mockFetch(...args);
+  };
+}
 
 /**
  * PHASE 13B.5: Feature Flags for Instant Rollback
@@ -55,8 +152,16 @@ let consentBanner = null;
 let intentAssist = null;
 let hintForm = null;
 let refineBar = null;
+let curationHistory = null;
+let historyTimeline = null;
+let shareAction = null;
+let compareView = null;
+let rationalePanel = null;
+let detailDrawer = null;
 let languageSwitch = null;
 let policyFooter = null;
+let voiceInput = null;
+let pincodeCheck = null;
 
 // Step 12: Analytics state (consent-gated dynamic loading)
 let analytics = null;
@@ -64,13 +169,59 @@ let analyticsEnabled = false;
 
 let uxTurns = 0; // Track user interaction depth
 
+// Longest prompt accepted (the textarea's maxlength) - script-written text
+// such as voice transcripts bypasses maxlength, so input handling clips to it
+const MAX_PROMPT_LENGTH = 240;
+
 // State for refinement (needed to re-search with adjustments)
 let lastPrompt = '';
 let lastHints = null;
 
+// IntentAssist answers behind the triad on screen (enum values only) - the
+// "Why these three" panel falls back to them when the backend explains nothing
+let lastIntentAnswers = null;
+
+// Refinement deltas applied to lastPrompt so far - they stack across turns
+// and reset whenever a new prompt starts a fresh curation
+let refinementDeltas = [];
+
+// "Keep this one" pins on the triad on screen (SKU ids) - sent as keep_sku_ids
+// At least one card must be free to change, so at most two can be pinned
+const MAX_PINNED_CARDS = 2;
+let pinnedSkuIds = new Set();
+
 // PHASE 13A.4: Card data persistence (prevents data loss on language switch)
 let currentCardData = null;
 
+// Display order of the triad on screen ({ variant, layout }) - see card_order.js
+let currentCardOrder = null;
+
+// Serviceability answer for the guest's pincode (session-only) - a serviceable
+// pincode travels as hints.pincode so the backend curates deliverable arrangements
+let deliveryServiceability = null;
+
+// Re-renders the delivery line when it next changes (cut-off, midnight IST)
+let deliveryNoticeTimer = null;
+
+// Compare mode (table instead of cards) sticks for the session's later triads
+let compareMode = false;
+
+// Backend rationale for the triad on screen, and whether its panel is open
+let currentRationale = null;
+let rationaleExpanded = false;
+
+// Shared link (?c=) - read once at boot, SKU ids + language + enum hints only
+const sharedSelection = readSelectionFromUrl();
+
+// Bumped by every loading/results render - an older displayResults() that is
+// still waiting must not paint over a newer search
+let resultsRenderToken = 0;
+
+// The skeleton grid stays up at least this long (PHASE 13B.3), counted from
+// showLoadingState() - a fast answer waits out the rest, a slow one not at all
+const MIN_SKELETON_MS = 800;
+let loadingStartedAt = 0;
+
 // DOM element references
 let searchForm = null;
 let searchInput = null;
@@ -128,6 +279,37 @@ document.addEventListener('DOMContentLoaded', async () => {
     // Step 9: Cache DOM elements
     cacheDOMElements();
     
+    // Step 9a: Localize the page copy - skipped when the page was pre-rendered
+    // in this language (/hi/, /ta/, ... from scripts/prerender_locales.mjs)
+    if (document.documentElement.dataset.staticLang !== currentLanguage) {
+      await updateStaticUIText(currentLanguage);
+    }
+    
+    // Step 9b: Session curation history (restores earlier triads without a request)
+    initializeCurationHistory();
+    
+    // Step 9c: "Share this selection" action under results
+    shareAction = new ShareAction({ lang: currentLanguage });
+    
+    // Step 9d: Side-by-side compare view (toggled from the card grid)
+    compareView = new CompareView({
+      lang: currentLanguage,
+      onToggle: (active) => {
+        compareMode = active;
+      }
+    });
+    
+    // Step 9d2: "Why these three" explanation above the card grid
+    rationalePanel = new RationalePanel({
+      lang: currentLanguage,
+      onToggle: (expanded) => {
+        rationaleExpanded = expanded;
+      }
+    });
+    
+    // Step 9e: Arrangement detail drawer (opened from a card, #arrangement=<sku>)
+    detailDrawer = new DetailDrawer({ lang: currentLanguage });
+    
     // Step 10: Set up global event listeners
     setupGlobalListeners();
     
@@ -139,12 +321,28 @@ document.addEventListener('DOMContentLoaded', async () => {
     // PHASE 13B.6: Initialize meaning input (textarea auto-resize)
     initializeMeaningInput();
     
-    // PHASE 13B.2: Initialize Hindi auto-detection
-    initializeHindiAutoDetect();
+    // PHASE 13B.2: Initialize language auto-detection
+    initializeLanguageAutoDetect();
+    
+    // Microphone beside the textarea (browsers with speech recognition only)
+    await initializeVoiceInput();
+    
+    // Optional delivery pincode under the curate form
+    await initializePincodeCheck();
     
     // PHASE 13B.HF: Initialize system feedback (ARVY's guidance)
     updateSystemFeedback();
     
+    // Shared link: rehydrate the triad it carries (no prompt involved)
+    if (sharedSelection) {
+      loadSharedSelection(sharedSelection);
+    } else if (hasSelectionParam()) {
+      console.warn('[ARVYAM] Ignoring malformed shared link');
+      clearSelectionFromUrl();
+      showError(getPersonaMessage(null, 'shared'));
+      trackEvent('shared_link_invalid');
+    }
+    
     console.log('[ARVYAM] Phase 2 frontend initialized successfully');
   } catch (error) {
     console.error('[ARVYAM] Initialization error:', error);
@@ -158,10 +356,16 @@ document.addEventListener('DOMContentLoaded', async () => {
 
 /**
  * Initialize language detection and set HTML lang attribute
+ * Nothing is saved here - only a language the guest picks (switch or nudge)
+ * outlives this page view
  */
 async function initializeLanguage() {
-  currentLanguage = detectLanguage();
-  setLanguage(currentLanguage);
+  // A shared link opens in the sender's language unless ?lang= says otherwise
+  const hasUrlLanguage = new URLSearchParams(window.location.search).has('lang');
+  currentLanguage = (sharedSelection && !hasUrlLanguage)
+    ? sharedSelection.language
+    : detectLanguage();
+  setLanguage(currentLanguage, { persist: false });
   console.log('[ARVYAM] Language set to:', currentLanguage);
 }
 
@@ -257,9 +461,22 @@ function initializeRefineBar() {
   }
 }
 
+/**
+ * Initialize session curation history and its timeline
+ * Entries live in sessionStorage only - prompts are kept as hashes
+ */
+function initializeCurationHistory() {
+  curationHistory = new CurationHistory();
+  historyTimeline = new HistoryTimeline({
+    lang: currentLanguage,
+    onRestore: restoreCuration
+  });
+  console.log(`[ARVYAM] Curation history ready (${curationHistory.getEntries().length} entries this session)`);
+}
+
 /**
  * Initialize LanguageSwitch component (A3: Footer-right pill)
- * Mounts a simple English | हिंदी toggle in the footer
+ * Mounts the language menu (every supported language) in the footer
  * Updates all components simultaneously via arvy:language event
  */
 function initializeLanguageSwitch() {
@@ -348,46 +565,170 @@ function initializeMeaningInput() {
 }
 
 /**
- * PHASE 13B.2: Initialize Hindi auto-detection
+ * Initialize voice input for the feelings textarea
+ * Renders nothing without the Web Speech API; transcripts go into the
+ * textarea (and its input event) only
+ */
+async function initializeVoiceInput() {
+  const textarea = document.getElementById('feelings-input');
+  
+  if (!textarea || !VoiceInput.isSupported()) {
+    console.log('[ARVYAM] Voice input unavailable in this browser');
+    return;
+  }
+  
+  voiceInput = new VoiceInput({ lang: currentLanguage, maxLength: MAX_PROMPT_LENGTH });
+  await voiceInput.attach(textarea);
+  console.log('[ARVYAM] Voice input ready');
+}
+
+/**
+ * Initialize the optional delivery pincode check under the curate form
+ * The session's pincode comes back from the cache without a request
  */
+async function initializePincodeCheck() {
+  if (!searchForm) return;
+  
+  const pincode = readSessionPincode();
+  deliveryServiceability = pincode ? readCachedServiceability(pincode) : null;
+  
+  pincodeCheck = new PincodeCheck({
+    lang: currentLanguage,
+    check: checkPincode,
+    onChange: (result) => {
+      deliveryServiceability = result;
+      rememberPincode(result?.pincode || null);
+    }
+  });
+  await pincodeCheck.attach(searchForm, deliveryServiceability);
+}
+
 /**
- * PHASE 13B.2: Initialize Hindi auto-detection
+ * Serviceability of a pincode, asked once per session
+ * @param {string} pincode - Valid pincode
+ * @returns {Promise<Object>} { pincode, serviceable, delivery_windows }
+ */
+async function checkPincode(pincode) {
+  const cached = readCachedServiceability(pincode);
+  if (cached) return cached;
+  
+  const result = await curateClient.checkServiceability(pincode);
+  cacheServiceability(result);
+  return result;
+}
+
+/**
+ * Hints with the guest's pincode when we deliver there
+ * @param {Object|null} hints - Structured hints
+ * @returns {Object|null} Hints for the curate/refine request
+ */
+function withDeliveryPincode(hints) {
+  if (!deliveryServiceability?.serviceable) return hints;
+  return { ...(hints || {}), pincode: deliveryServiceability.pincode };
+}
+
+/**
+ * Card notice when an arrangement cannot reach the guest's pincode in time
+ * @param {Object} arrangement - Normalized arrangement
+ * @returns {Promise<string|null>} Localized notice, or null when it fits (or nothing to compare)
+ */
+async function getDeliveryNote(arrangement) {
+  const { fit, earliest } = deliveryFit(
+    arrangement.delivery_windows,
+    deliveryServiceability,
+    lastHints?.delivery_window
+  );
+  const pincode = deliveryServiceability?.pincode;
+  
+  if (fit === 'unavailable') {
+    return t('pincode.card_unavailable', currentLanguage, { pincode });
+  }
+  if (fit === 'later') {
+    const windowLabel = await t(`compare.window.${earliest}`, currentLanguage);
+    return t('pincode.card_later', currentLanguage, { pincode, window: windowLabel });
+  }
+  return null;
+}
+
+/**
+ * PHASE 13B.2: Initialize language auto-detection
  * PHASE 13B.HF: Updated to use hidden attribute for system-feedback integration
+ * Offers whichever supported language the prompt is written in (script or
+ * romanised Hindi), worded from that language's own stringbank
  */
-function initializeHindiAutoDetect() {
+function initializeLanguageAutoDetect() {
   const textarea = document.getElementById('feelings-input');
   const nudgeEl = document.getElementById('lang-nudge');
+  const textEl = document.getElementById('lang-nudge-text');
   const switchBtn = document.getElementById('lang-nudge-switch');
   const closeBtn = document.getElementById('lang-nudge-close');
   
-  if (!textarea || !nudgeEl || !switchBtn || !closeBtn) {
-    console.warn('[ARVYAM] Hindi auto-detect elements not found');
+  if (!textarea || !nudgeEl || !textEl || !switchBtn || !closeBtn) {
+    console.warn('[ARVYAM] Language auto-detect elements not found');
     return;
   }
   
-  let nudgeDismissed = false;
-  const hasManualChoice = localStorage.getItem('manual_lang') === 'true';
+  // Dismissing one language's nudge does not silence the others
+  const dismissedLanguages = new Set();
+  let nudgeLang = null;
   
-  if (hasManualChoice) {
+  function hasManualChoice() {
+    return localStorage.getItem('manual_lang') === 'true';
+  }
+  
+  if (hasManualChoice()) {
     console.log('[ARVYAM] Manual language choice detected - auto-detect disabled');
     return;
   }
   
+  function hideNudge() {
+    nudgeLang = null;
+    nudgeEl.hidden = true;
+  }
+  
+  async function showNudge(lang, confidence) {
+    if (nudgeLang === lang) return;
+    nudgeLang = lang;
+    
+    const [prompt, switchLabel, dismissLabel] = await Promise.all([
+      t('lang_nudge.prompt', lang),
+      t('lang_nudge.switch', lang),
+      t('lang_nudge.dismiss', lang)
+    ]);
+    
+    // Text changed while the strings loaded
+    if (nudgeLang !== lang) return;
+    
+    nudgeEl.lang = lang;
+    textEl.textContent = prompt;
+    switchBtn.textContent = switchLabel;
+    closeBtn.textContent = dismissLabel;
+    nudgeEl.hidden = false;
+    
+    trackEvent('language_nudge_shown', {
+      suggested_lang: lang,
+      current_lang: currentLanguage,
+      confidence: Math.round(confidence * 100) / 100
+    });
+    console.log(`[ARVYAM] ${lang} detected, showing language nudge`);
+  }
+  
   function analyzeText() {
     const text = textarea.value || '';
     
-    if (nudgeDismissed || text.length < 3) {
-      nudgeEl.hidden = true;
+    if (hasManualChoice() || text.length < 3) {
+      hideNudge();
       return;
     }
     
     const detection = detectLanguageFromText(text);
+    const lang = detection.suggestedLang;
     
-    if (detection.suggestedLang === 'hi' && currentLanguage === 'en' && !detection.isAmbiguous) {
-      nudgeEl.hidden = false;
-      console.log('[ARVYAM] Hindi detected, showing language nudge');
+    // Typing English is normal in every language - only offer Indic languages
+    if (!detection.isAmbiguous && lang && lang !== 'en' && lang !== currentLanguage && !dismissedLanguages.has(lang)) {
+      showNudge(lang, detection.confidence[lang]);
     } else {
-      nudgeEl.hidden = true;
+      hideNudge();
     }
   }
   
@@ -398,27 +739,33 @@ function initializeHindiAutoDetect() {
   });
   
   switchBtn.addEventListener('click', () => {
+    const lang = nudgeLang;
+    if (!lang) return;
+    
     localStorage.setItem('manual_lang', 'true');
-    localStorage.setItem('arvyam_lang', 'hi');
-    document.documentElement.lang = 'hi';
+    localStorage.setItem('arvyam_lang', lang);
+    document.documentElement.lang = lang;
     
     const event = new CustomEvent('arvy:language', {
-      detail: { lang: 'hi', from: 'en', trigger: 'auto_detect_nudge' },
+      detail: { lang, from: currentLanguage, trigger: 'auto_detect_nudge' },
       bubbles: true
     });
     document.dispatchEvent(event);
     
-    nudgeEl.hidden = true;
-    console.log('[ARVYAM] Language switched to Hindi via auto-detect nudge');
+    hideNudge();
+    console.log(`[ARVYAM] Language switched to ${lang} via auto-detect nudge`);
   });
   
   closeBtn.addEventListener('click', () => {
-    nudgeDismissed = true;
-    nudgeEl.hidden = true;
-    console.log('[ARVYAM] Hindi nudge dismissed');
+    if (nudgeLang) {
+      dismissedLanguages.add(nudgeLang);
+      trackEvent('language_nudge_dismissed', { suggested_lang: nudgeLang });
+    }
+    hideNudge();
+    console.log('[ARVYAM] Language nudge dismissed');
   });
   
-  console.log('[ARVYAM] Hindi auto-detect initialized');
+  console.log('[ARVYAM] Language auto-detect initialized');
 }
 
 /**
@@ -507,31 +854,33 @@ async function updateSystemFeedback() {
   }
   baseEl.textContent = helperText;
   
+  await updateDeliveryNotice(baseEl);
+  
   console.log(`[ARVYAM] System feedback updated: ${currentMode} mode`);
 }
 
 /**
- * PHASE 13B.7: Detect budget mentions
+ * Delivery timing line under ARVY's guidance ("Order by 4 pm for same-day
+ * delivery", or a festival coming up); re-renders itself when it goes stale
+ * @param {HTMLElement} baseEl - ARVY's guidance line (the delivery line follows it)
  */
-function detectBudgetMention(prompt) {
-  const budgetPatterns = [
-    /\b(\d{1,2}[,.]?\d{0,3})\s*(rupees?|rs\.?|₹|inr)\b/i,
-    /\bbudget\s+of\s+(\d+)/i,
-    /\bunder\s+(\d+)/i,
-    /\baround\s+(\d+)/i,
-    /\babout\s+(\d+)/i
-  ];
+async function updateDeliveryNotice(baseEl) {
+  const notice = deliveryNotice();
+  const vars = { ...notice.vars };
+  if (notice.occasionId) {
+    vars.occasion = await t(`delivery.occasions.${notice.occasionId}`, currentLanguage);
+  }
   
-  for (const pattern of budgetPatterns) {
-    const match = prompt.match(pattern);
-    if (match) {
-      const amount = parseInt(match[1].replace(/,/g, ''));
-      if (amount > 0) {
-        return { mentioned: true, amount };
-      }
-    }
+  let deliveryEl = systemFeedbackEl.querySelector('.system-feedback__delivery');
+  if (!deliveryEl) {
+    deliveryEl = document.createElement('div');
+    deliveryEl.className = 'system-feedback__delivery';
+    baseEl.after(deliveryEl);
   }
-  return { mentioned: false };
+  deliveryEl.textContent = await t(notice.key, currentLanguage, vars);
+  
+  clearTimeout(deliveryNoticeTimer);
+  deliveryNoticeTimer = setTimeout(() => updateDeliveryNotice(baseEl), Math.max(notice.refreshAt - Date.now(), 1000));
 }
 
 /**
@@ -620,12 +969,30 @@ function setupGlobalListeners() {
       await policyFooter.updateLanguage(lang);
     }
     
+    // The auto-detect nudge switches language without the menu - keep the pill in step
+    if (languageSwitch) {
+      languageSwitch.updateLanguage(lang);
+    }
+    
     if (consentBanner && typeof consentBanner.updateLanguage === 'function') {
       await consentBanner.updateLanguage(lang);
     }
     
+    // Listens in the new language from the next tap
+    if (voiceInput) {
+      await voiceInput.updateLanguage(lang);
+    }
+    
+    if (pincodeCheck) {
+      await pincodeCheck.updateLanguage(lang);
+    }
+    
+    // ARVY's guidance and the delivery line
+    await updateSystemFeedback();
+    
     // PHASE 13A.4: Re-render result cards with persisted data (prevents card loss)
-    // Only update UI LABELS, not product content (product names/descriptions stay in catalog language)
+    // No new curate call - product names/descriptions switch through the
+    // name_i18n/description_i18n maps already in currentCardData (catalog text otherwise)
     if (currentCardData && currentCardData.length > 0) {
       console.log(`[ARVYAM] Re-rendering ${currentCardData.length} result cards with language: ${lang}`);
       
@@ -639,7 +1006,7 @@ function setupGlobalListeners() {
         if (arrangements.length < 3) {
           console.error('[ARVYAM] Triad violation during language switch: insufficient card data');
           currentCardData = null;
-          showError('We could not complete your curation just now. Please try again.');
+          showError(getPersonaMessage(null, 'curation'));
           trackEvent('triad_violation_language_switch', {
             card_count: arrangements.length,
             from_lang: previousLang,
@@ -676,7 +1043,7 @@ function setupGlobalListeners() {
             `[ARVYAM] Constitutional triad violation during language re-render: expected 3 cards, got ${validCards.length}`
           );
           currentCardData = null;
-          showError('We could not complete your curation just now. Please try again.');
+          showError(getPersonaMessage(null, 'curation'));
           trackEvent('triad_violation_language_switch', {
             rendered: validCards.length,
             requested: arrangements.length,
@@ -696,6 +1063,26 @@ function setupGlobalListeners() {
         
         resultsContainer.appendChild(grid);
         
+        if (compareView) {
+          compareView.updateLanguage(lang);
+        }
+        if (rationalePanel) {
+          rationalePanel.updateLanguage(lang);
+        }
+        if (detailDrawer) {
+          await detailDrawer.updateLanguage(lang);
+        }
+        if (shareAction) {
+          shareAction.updateLanguage(lang);
+        }
+        if (historyTimeline) {
+          historyTimeline.updateLanguage(lang);
+        }
+        await renderRationalePanel(grid);
+        await renderCompareView(grid);
+        await renderShareAction();
+        await renderHistoryTimeline();
+        
         // Re-attach RefineBar if it was showing
         if (refineBar && lastPrompt) {
           refineBar.attach(resultsContainer, {
@@ -723,6 +1110,9 @@ function setupGlobalListeners() {
   // Intent clarified listener
   window.addEventListener('intent-clarified', handleIntentClarified);
   
+  // Detail drawer deep link: Back closes it, Forward reopens it
+  window.addEventListener('hashchange', handleDetailHashChange);
+  
   // Result card selection listener (bubbled from cards)
   document.addEventListener('card-selected', handleCardSelected);
 }
@@ -792,43 +1182,9 @@ async function handleLanguageChange(event) {
  */
 async function updateStaticUIText(lang) {
   try {
-    // Hero heading & subtitle (AUDITOR PATCH C)
-    const heroTitleEl = document.getElementById('hero-title');
-    const heroSubtitleEl = document.getElementById('hero-subtitle');
-    if (heroTitleEl) heroTitleEl.textContent = await t('hero.title', lang);
-    if (heroSubtitleEl) heroSubtitleEl.textContent = await t('hero.subtitle', lang);
-    
-    // Phase 13C: Hero tagline
-    const heroTaglineEl = document.getElementById('hero-tagline');
-    if (heroTaglineEl) heroTaglineEl.textContent = await t('hero.tagline', lang);
-    
-    // Phase 13C: How It Works section
-    const howShareTitle = document.getElementById('how-share-title');
-    const howShareBody = document.getElementById('how-share-body');
-    const howInterpretTitle = document.getElementById('how-interpret-title');
-    const howInterpretBody = document.getElementById('how-interpret-body');
-    const howReceiveTitle = document.getElementById('how-receive-title');
-    const howReceiveBody = document.getElementById('how-receive-body');
-    
-    if (howShareTitle) howShareTitle.textContent = await t('howitworks.share.title', lang);
-    if (howShareBody) howShareBody.textContent = await t('howitworks.share.body', lang);
-    if (howInterpretTitle) howInterpretTitle.textContent = await t('howitworks.interpret.title', lang);
-    if (howInterpretBody) howInterpretBody.textContent = await t('howitworks.interpret.body', lang);
-    if (howReceiveTitle) howReceiveTitle.textContent = await t('howitworks.receive.title', lang);
-    if (howReceiveBody) howReceiveBody.textContent = await t('howitworks.receive.body', lang);
-    
-    // Update search input placeholder (Phase 13C: Will be empty string)
-    if (searchInput) {
-      const placeholder = await t('search.placeholder', lang);
-      searchInput.placeholder = placeholder;
-    }
-    
-    // Update search button text (if it exists and has text)
-    const searchButton = searchForm?.querySelector('button[type="submit"]');
-    if (searchButton) {
-      const ctaText = await t('search.cta', lang);
-      if (ctaText) searchButton.textContent = ctaText;
-    }
+    // Page copy with stringbank keys (hero, How It Works, search field, <title>)
+    // Same list scripts/prerender_locales.mjs writes into /hi/, /ta/, ...
+    await applyStaticText(document, key => t(key, lang));
     
     // PRE-STEP-10 FIX: Hero buttons are static HTML and should NOT be updated by i18n
     // They maintain their original English text as per design intent
@@ -861,6 +1217,7 @@ async function updateStaticUIText(lang) {
       }
     }
     
+    document.documentElement.dataset.staticLang = lang;
     console.log(`[ARVYAM] Static UI text updated for language: ${lang}`);
     
   } catch (error) {
@@ -911,10 +1268,19 @@ async function handleIntentClarified(event) {
     
     try {
       const results = await searchArrangements(intentData.enrichedPrompt);
-      displayResults(results);
+      refinementDeltas = [];
+      lastIntentAnswers = {
+        relationship: intentData.relationship || null,
+        occasion: intentData.occasion || null,
+        tone: intentData.tone || null
+      };
+      displayResults(results, { history: { kind: 'intent' } });
     } catch (error) {
+      // Superseded by a newer submission - the newer call owns the UI
+      if (isCurateAborted(error)) return;
+      
       console.error('[ARVYAM] Search with intent error:', error);
-      showError('We could not complete your search. Please try again.');
+      showError(getPersonaMessage(error, 'search'));
     }
   }
 }
@@ -923,7 +1289,7 @@ async function handleIntentClarified(event) {
  * Handle card selection event
  */
 function handleCardSelected(event) {
-  const { bouquet, cardId } = event.detail;
+  const { bouquet, cardId, source } = event.detail;
   console.log('[ARVYAM] Card selected:', bouquet.id);
   
   // Track card click
@@ -932,9 +1298,41 @@ function handleCardSelected(event) {
     sku_name: bouquet.name
   });
   
-  // Navigate to product detail (placeholder for now)
-  console.log('[ARVYAM] Would navigate to product:', bouquet.id);
-  // window.location.href = `/product/${bouquet.id}`;
+  // The Buy link navigates to checkout on its own - only the card opens details
+  if (source === 'cta') return;
+  
+  openDetailDrawer(bouquet.id);
+}
+
+/**
+ * Open the detail drawer on an arrangement of the triad on screen
+ * 
+ * @param {string} skuId - SKU id of the arrangement
+ * @param {Object} [options={}] - See DetailDrawer.open()
+ * @returns {Promise<boolean>} True if the SKU is on screen and the drawer opened
+ */
+async function openDetailDrawer(skuId, options = {}) {
+  if (!detailDrawer || !currentCardData) return false;
+  
+  const index = currentCardData.findIndex(arrangement => arrangement.id === skuId);
+  if (index === -1) return false;
+  
+  return !!(await detailDrawer.open(currentCardData, index, options));
+}
+
+/**
+ * Keep the drawer in step with #arrangement=<sku> (Back / Forward)
+ */
+function handleDetailHashChange() {
+  if (!detailDrawer) return;
+  
+  const skuId = readDetailHash();
+  
+  if (!skuId) {
+    detailDrawer.close({ fromHistory: true });
+  } else if (detailDrawer.getCurrentSku() !== skuId) {
+    openDetailDrawer(skuId, { pushHash: false });
+  }
 }
 
 // ============================================================================
@@ -955,7 +1353,13 @@ function initializeSearch() {
  * Handle search input changes (validation)
  */
 function handleSearchInput(event) {
-  const value = event.target.value;
+  let value = event.target.value;
+  
+  // maxlength only stops typing - clip text written by script (voice input)
+  if (value.length > MAX_PROMPT_LENGTH) {
+    value = value.slice(0, MAX_PROMPT_LENGTH);
+    event.target.value = value;
+  }
   
   // Clear any previous errors when user starts typing
   if (value.length > 0) {
@@ -963,8 +1367,8 @@ function handleSearchInput(event) {
   }
   
   // Show warning if approaching character limit
-  if (value.length > 220) {
-    const remaining = 240 - value.length;
+  if (value.length > MAX_PROMPT_LENGTH - 20) {
+    const remaining = MAX_PROMPT_LENGTH - value.length;
     showFieldWarning(`${remaining} characters remaining`);
   } else {
     hideFieldWarning();
@@ -989,40 +1393,28 @@ async function handleUnifiedRefine(adjustmentText) {
   uxTurns++;
   
   try {
-    const combinedPrompt = `${lastPrompt} (adjust: ${adjustmentText})`;
-    
-    const response = await fetch(`${API_BASE}/api/curate`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        prompt: combinedPrompt,
-        language: currentLanguage,
-        hints: lastHints || undefined
-      })
-    });
-    
-    if (!response.ok) {
-      throw new Error('We could not adjust the selection. Please try again.');
-    }
+    const normalized = await requestRefinement(adjustmentText);
     
-    const rawData = await response.json();
-    const normalized = normalizeCurateResponse(rawData);
-    
-    if (!normalized) {
-      throw new Error('We could not adjust the selection. Please try again.');
-    }
-    
-    displayResults(normalized);
+    displayResults(normalized, {
+      history: { kind: 'refine', refinement: adjustmentText },
+      pins: getPinnedSlots()
+    });
     
     trackEvent('refine_submitted_unified', {
       adjustment_length_chars: adjustmentText.length,
       turn_number: uxTurns,
+      refine_turn: refinementDeltas.length,
+      refine_mode: curateClient.refineSupported === false ? 'legacy' : 'structured',
+      pinned_count: pinnedSkuIds.size,
       had_hints: !!lastHints
     });
     
   } catch (error) {
+    // Superseded by a newer submission - the newer call owns the UI
+    if (isCurateAborted(error)) return;
+    
     console.error('[ARVYAM] Unified refinement error:', error);
-    showError('We could not adjust the selection right now. Please try again.');
+    showError(getPersonaMessage(error, 'refine'));
     trackEvent('refine_error_unified', { ux_turns: uxTurns });
   }
 }
@@ -1030,6 +1422,11 @@ async function handleUnifiedRefine(adjustmentText) {
 async function handleSearchSubmit(event) {
   event.preventDefault();
   
+  // The spoken prompt is complete once it is submitted
+  if (voiceInput) {
+    voiceInput.stop('submit');
+  }
+  
   const query = searchInput.value.trim();
   
   // Validation
@@ -1039,7 +1436,7 @@ async function handleSearchSubmit(event) {
     return;
   }
   
-  if (query.length > 240) {
+  if (query.length > MAX_PROMPT_LENGTH) {
     showFieldError('Please keep it under 240 characters.');
     searchInput.focus();
     return;
@@ -1073,6 +1470,8 @@ async function handleSearchSubmit(event) {
   // Store for potential refinement later
   lastPrompt = query;
   lastHints = null; // Clear hints for basic search
+  lastIntentAnswers = null;
+  refinementDeltas = [];
   
   // Reset RefineBar for new search
   if (refineBar) {
@@ -1088,7 +1487,7 @@ async function handleSearchSubmit(event) {
     const results = await searchArrangements(query);
     
     // Display results
-    displayResults(results);
+    displayResults(results, { history: { kind: 'search' } });
     
     // Check if we should show Intent Assist
     // Show if uncertainty_score > 0.5 (uncertain prompt)
@@ -1102,134 +1501,119 @@ async function handleSearchSubmit(event) {
     }
     
   } catch (error) {
+    // Superseded by a newer submission - the newer call owns the UI
+    if (isCurateAborted(error)) return;
+    
     console.error('[ARVYAM] Search error:', error);
     
     // CONSTITUTIONAL: Frontend is final guard on persona
     // Never surface raw error.message (could be browser technical text like "Failed to fetch")
-    showError('We could not complete your search. Please try again.');
+    showError(getPersonaMessage(error, 'search'));
   }
 }
 
 /**
- * Normalize curate response to handle multiple API formats
- * Backend may return: raw array, {arrangements: []}, or {results: []}
- * Always returns {arrangements: [], uncertainty_score: number} or null
- * 
- * Constitutional: Enforces 2 MIX + 1 MONO triad invariance
+ * Call backend API to search arrangements
+ * Simple search with just a prompt (no hints beyond the delivery pincode)
  * 
- * @param {*} data - Response from /api/curate
- * @returns {Object|null} Normalized {arrangements: [], uncertainty_score: number} or null
- */
-function normalizeCurateResponse(data) {
-  let arrangements = null;
-  let uncertaintyScore = 0.0; // Default to 0 if missing (A0 compatibility shim)
-
-  if (Array.isArray(data)) {
-    // API returns a raw triad array
-    arrangements = data;
-  } else if (data && Array.isArray(data.arrangements)) {
-    // API already wrapped in {arrangements: [...]}
-    arrangements = data.arrangements;
-    
-    // Extract uncertainty_score if present
-    if (typeof data.uncertainty_score === 'number') {
-      uncertaintyScore = data.uncertainty_score;
-    }
-  } else if (data && Array.isArray(data.results)) {
-    // Tolerate {results: [...]} for backwards compatibility
-    arrangements = data.results;
-    
-    // Extract uncertainty_score if present
-    if (typeof data.uncertainty_score === 'number') {
-      uncertaintyScore = data.uncertainty_score;
-    }
-  }
+ * @param {string} query - User's search query
+ * @returns {Promise<Object>} Normalized response with arrangements array
+ * @throws {CurateError} Typed error - map to guest copy with getPersonaMessage()
+ */
+async function searchArrangements(query) {
+  return curateClient.curate({
+    prompt: query,
+    language: currentLanguage,
+    hints: withDeliveryPincode(null)
+  }, { onArrangement: revealStreamedCard });
+}
 
-  // Constitutional: Enforce exactly 3 arrangements (2 MIX + 1 MONO)
-  if (!arrangements || arrangements.length !== 3) {
-    console.error('[ARVYAM] Invalid curate response shape:', data);
-    console.error('[ARVYAM] Expected: Array of 3 items, got:', arrangements?.length || 'invalid');
-    return null;
+/**
+ * Refine the triad on screen
+ * Turn N sends every earlier delta plus this one, with the SKUs being refined;
+ * the deltas are committed only once the backend answers
+ * 
+ * @param {string} text - Refinement delta (validated, sanitized)
+ * @returns {Promise<Object>} Normalized response with arrangements array
+ * @throws {CurateError} Typed error - map to guest copy with getPersonaMessage()
+ */
+async function requestRefinement(text) {
+  const refinements = [...refinementDeltas, text];
+  const keepSkuIds = getPinnedSlots().map(pin => pin.id);
+  
+  const data = await curateClient.refine({
+    prompt: lastPrompt,
+    language: currentLanguage,
+    hints: withDeliveryPincode(lastHints),
+    previousSkuIds: (currentCardData || []).map(arrangement => arrangement.id),
+    refinements,
+    keepSkuIds
+  }, { onArrangement: revealStreamedCard });
+  
+  refinementDeltas = refinements;
+  
+  // The /api/curate fallback cannot hold cards in place - drop the pins
+  // rather than report a violation the backend never agreed to
+  if (curateClient.refineSupported === false && keepSkuIds.length > 0) {
+    console.info('[ARVYAM] Pins not supported by this backend - cleared');
+    trackEvent('card_pins_unsupported', { pinned_count: keepSkuIds.length });
+    pinnedSkuIds.clear();
   }
+  
+  return data;
+}
 
-  // BLOCKER FIX: Normalize price field (backend sends 'price', frontend expects 'price_inr')
-  // Apply fallback shim to ensure cards can render prices
-  const normalizedArrangements = arrangements.map(item => ({
-    ...item,
-    price_inr: Number((item.price_inr ?? item.price) || 0)
-  }));
+/**
+ * Pinned cards of the triad on screen, with their slots
+ * @returns {{id: string, slot: number}[]} Pins in slot order
+ */
+function getPinnedSlots() {
+  return (currentCardData || [])
+    .map((arrangement, slot) => ({ id: arrangement.id, slot }))
+    .filter(pin => pinnedSkuIds.has(pin.id));
+}
 
-  return { 
-    arrangements: normalizedArrangements, 
-    uncertainty_score: uncertaintyScore 
-  };
+/**
+ * Pins only make sense while the triad can be refined
+ * @returns {boolean} True when cards should show "Keep this one"
+ */
+function canPinCards() {
+  return !!lastPrompt && curateClient.refineSupported !== false;
 }
 
 /**
- * Call backend API to search arrangements
- * Simple search with just a prompt (no hints)
+ * ResultCard pin toggle callback
  * 
- * @param {string} query - User's search query
- * @returns {Promise<Object>} Normalized response with arrangements array
- * @throws {Error} User-friendly error message
+ * @param {Object} arrangement - Arrangement data
+ * @param {number} index - Card position (0-2)
+ * @param {boolean} pinned - Requested state
+ * @returns {boolean} False to refuse the toggle (limit reached)
  */
-async function searchArrangements(query) {
-  try {
-    const response = await fetch(`${API_BASE}/api/curate`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({ 
-        prompt: query,
-        language: currentLanguage 
-      })
+function handlePinToggle(arrangement, index, pinned) {
+  if (pinned && pinnedSkuIds.size >= MAX_PINNED_CARDS) {
+    t('result.pin_limit', currentLanguage).then(message => announce(message));
+    trackEvent('card_pin_refused', {
+      card_position: index + 1,
+      pinned_count: pinnedSkuIds.size
     });
-    
-    if (!response.ok) {
-      // Try to extract backend error message for developer logs only
-      let devMessage = null;
-      
-      try {
-        const data = await response.json();
-        if (data?.error?.message) {
-          devMessage = data.error.message;
-        }
-      } catch (parseError) {
-        // Ignore JSON parse errors
-      }
-      
-      // Log backend error details for developers
-      if (devMessage) {
-        console.warn('[ARVYAM] API error:', devMessage);
-      }
-      
-      // CONSTITUTIONAL: Always surface canonical ARVY persona copy to guests
-      // Never show technical/backend messages directly to users
-      throw new Error('We could not complete your search. Please try again.');
-    }
-    
-    const rawData = await response.json();
-    
-    // Normalize response shape (handles raw array or wrapped object)
-    const normalized = normalizeCurateResponse(rawData);
-    
-    if (!normalized) {
-      // Guest-facing ARVY persona message (constitutional requirement)
-      throw new Error('We could not complete your search. Please try again.');
-    }
-    
-    return normalized;
-  } catch (error) {
-    // If it's already our formatted error, rethrow
-    if (error.message.includes('could not complete')) {
-      throw error;
-    }
-    
-    // Otherwise wrap in user-friendly message
-    console.error('[ARVYAM] Search error:', error);
-    throw new Error('We could not complete your search. Please try again.');
+    return false;
+  }
+  
+  if (pinned) {
+    pinnedSkuIds.add(arrangement.id);
+  } else {
+    pinnedSkuIds.delete(arrangement.id);
   }
+  
+  // Positions and counts only - no SKU text, no prompt
+  trackEvent('card_pin_toggled', {
+    card_position: index + 1,
+    pinned,
+    pinned_count: pinnedSkuIds.size,
+    ux_turns: uxTurns
+  });
+  
+  return true;
 }
 
 /**
@@ -1259,6 +1643,8 @@ async function searchWithHints(prompt, hints) {
   // Store for potential refinement later
   lastPrompt = prompt;
   lastHints = hints;
+  lastIntentAnswers = null;
+  refinementDeltas = [];
   
   // Reset RefineBar for new search
   if (refineBar) {
@@ -1277,52 +1663,15 @@ async function searchWithHints(prompt, hints) {
   uxTurns++;
   
   try {
-    // Call backend with prompt + hints
-    const response = await fetch(`${API_BASE}/api/curate`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        prompt: prompt,
-        language: currentLanguage,
-        hints: hints // Backend may ignore for now - graceful degradation
-      })
-    });
-    
-    if (!response.ok) {
-      // Try to extract backend error for developers
-      let devMessage = null;
-      
-      try {
-        const data = await response.json();
-        if (data?.error?.message) {
-          devMessage = data.error.message;
-        }
-      } catch (parseError) {
-        // Ignore
-      }
-      
-      if (devMessage) {
-        console.warn('[ARVYAM] API error:', devMessage);
-      }
-      
-      // Guest-facing ARVY persona message (constitutional requirement)
-      throw new Error('We could not complete your search. Please try again.');
-    }
-    
-    const data = await response.json();
-    
-    // Normalize response shape (handles raw array or wrapped object)
-    const normalized = normalizeCurateResponse(data);
-    
-    if (!normalized) {
-      // Guest-facing ARVY persona message (constitutional requirement)
-      throw new Error('We could not complete your search. Please try again.');
-    }
+    // Call backend with prompt + hints (backend may ignore hints - graceful degradation)
+    const normalized = await curateClient.curate({
+      prompt,
+      language: currentLanguage,
+      hints: withDeliveryPincode(hints)
+    }, { onArrangement: revealStreamedCard });
     
     // Display results
-    displayResults(normalized);
+    displayResults(normalized, { history: { kind: 'hints' } });
     
     // Track successful search with hints (safe fields only - NO raw text)
     trackEvent('search_with_hints_completed', {
@@ -1336,10 +1685,13 @@ async function searchWithHints(prompt, hints) {
     });
     
   } catch (error) {
+    // Superseded by a newer submission - the newer call owns the UI
+    if (isCurateAborted(error)) return;
+    
     console.error('[ARVYAM] Search with hints error:', error);
     
     // ARVY persona error message
-    showError('We could not complete your search. Please try again.');
+    showError(getPersonaMessage(error, 'search'));
     
     trackEvent('search_error', {
       error_type: 'with_hints',
@@ -1381,67 +1733,34 @@ async function handleRefineSubmit(refinementText) {
   uxTurns++;
   
   try {
-    // Option A (future): Call dedicated refine endpoint
-    // const results = await refineArrangements(lastPrompt, refinementText, lastHints);
-    
-    // Option B (current): Combine prompt + refinement for /api/curate
-    // This is safe because refinement is already PII-validated and sanitized
-    const combinedPrompt = `${lastPrompt} (adjust: ${refinementText})`;
-    
-    const response = await fetch(`${API_BASE}/api/curate`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        prompt: combinedPrompt,
-        language: currentLanguage,
-        hints: lastHints || undefined // Include original hints if they exist
-      })
+    // Structured /api/refine (falls back to a combined /api/curate prompt)
+    // Safe because refinement is already PII-validated and sanitized
+    const data = await requestRefinement(refinementText);
+    
+    // Display results (includes triad + pin guards and RefineBar re-attachment)
+    displayResults(data, {
+      history: { kind: 'refine', refinement: refinementText },
+      pins: getPinnedSlots()
     });
     
-    if (!response.ok) {
-      let devMessage = null;
-      
-      try {
-        const data = await response.json();
-        if (data?.error?.message) {
-          devMessage = data.error.message;
-        }
-      } catch (parseError) {
-        // Ignore
-      }
-      
-      if (devMessage) {
-        console.warn('[ARVYAM] API error:', devMessage);
-      }
-      
-      throw new Error('We could not adjust the selection. Please try again.');
-    }
-    
-    const data = await response.json();
-    
-    // Validate response
-    if (!data.arrangements || !Array.isArray(data.arrangements)) {
-      console.error('[ARVYAM] Invalid curate response shape:', data);
-      throw new Error('We could not adjust the selection. Please try again.');
-    }
-    
-    // Display results (includes triad guard + RefineBar re-attachment)
-    displayResults(data);
-    
     // Track successful refinement (NO raw text, only metadata)
     trackEvent('refine_submitted', {
       refinement_length_chars: refinementText.length,
       turn_number: uxTurns,
+      refine_turn: refinementDeltas.length,
+      refine_mode: curateClient.refineSupported === false ? 'legacy' : 'structured',
+      pinned_count: pinnedSkuIds.size,
       had_hints: !!lastHints
     });
     
   } catch (error) {
+    // Superseded by a newer submission - the newer call owns the UI
+    if (isCurateAborted(error)) return;
+    
     console.error('[ARVYAM] Refinement error:', error);
     
     // ARVY persona error message
-    showError('We could not adjust the selection right now. Please try again.');
+    showError(getPersonaMessage(error, 'refine'));
     
     trackEvent('refine_error', {
       ux_turns: uxTurns
@@ -1456,52 +1775,37 @@ async function handleRefineSubmit(refinementText) {
 /**
  * Display search results as cards
  * CONSTITUTIONAL: Always show exactly 3 cards with equal emphasis
- * @param {Object} data - API response data
+ * @param {Object} data - API response data (cached: true when CurateClient answered from its cache)
+ * @param {Object} [options={}] - Render options
+ * @param {Object} [options.history] - How this triad was produced ({ kind, refinement }) for session history
+ * @param {string} [options.restoredFrom] - History entry id being restored (no skeleton, not re-recorded)
+ * @param {Object[]} [options.pins] - Pinned cards ({ id, slot }) that must come back in place (refine only)
  */
-async function displayResults(data) {
+async function displayResults(data, options = {}) {
   if (!resultsContainer) return;
   
-  // Clear container
-  resultsContainer.innerHTML = '';
-  
-  // PHASE 13B.3: Show skeleton loaders immediately
-  const skeletonGrid = document.createElement('div');
-  skeletonGrid.className = 'results-grid skeleton-grid';
-  skeletonGrid.setAttribute('aria-busy', 'true');
-  skeletonGrid.style.cssText = `
-    display: grid;
-    grid-template-columns: repeat(auto-fit, minmax(280px, 1fr));
-    gap: 1.5rem;
-    margin-top: 2rem;
-  `;
+  const renderToken = ++resultsRenderToken;
   
-  for (let i = 0; i < 3; i++) {
-    const skeleton = document.createElement('div');
-    skeleton.className = 'skeleton-card';
-    skeleton.innerHTML = `
-      <div class="skeleton__image"></div>
-      <div class="skeleton__content">
-        <div class="skeleton__text skeleton__text--title"></div>
-        <div class="skeleton__text skeleton__text--subtitle"></div>
-        <div class="skeleton__text skeleton__text--line"></div>
-        <div class="skeleton__text skeleton__text--line"></div>
-        <div class="skeleton__text skeleton__text--button"></div>
-      </div>
-    `;
-    skeletonGrid.appendChild(skeleton);
+  // Restored and cached triads are already in memory - no skeleton pause.
+  // Otherwise the skeleton grid from showLoadingState() is still up: keep it
+  // for the rest of MIN_SKELETON_MS, unless streamed cards already show in it
+  if (!options.restoredFrom && !data.cached) {
+    const showingPreviews = !!resultsContainer.querySelector('.result-card--preview');
+    const remainingMs = MIN_SKELETON_MS - (Date.now() - loadingStartedAt);
+    
+    if (!showingPreviews && remainingMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, remainingMs));
+    }
+    
+    // A newer search started while we waited - it owns the container now
+    if (renderToken !== resultsRenderToken) return;
   }
   
-  resultsContainer.appendChild(skeletonGrid);
-  announce('Loading arrangements...');
-  
-  // PHASE 13B.3: Wait 800ms minimum (industry standard timing)
-  await new Promise(resolve => setTimeout(resolve, 800));
-  
   // Clear skeleton and rebuild with real content
   resultsContainer.innerHTML = '';
   
   // CONSTITUTIONAL: Get exactly 3 arrangements (2 MIX + 1 MONO triad)
-  const arrangements = data.arrangements.slice(0, 3);
+  let arrangements = data.arrangements.slice(0, 3);
   
   // Store original prompt if available
   lastPrompt = data.original_prompt || lastPrompt;
@@ -1514,8 +1818,9 @@ async function displayResults(data) {
     
     // PHASE 13A.4: Reset card data on validation failure
     currentCardData = null;
+    curateClient.forgetCached(data);
     
-    showError('We could not complete your curation just now. Please try again.');
+    showError(getPersonaMessage(null, 'curation'));
     
     trackEvent('backend_triad_violation', {
       arrangements_returned: arrangements.length,
@@ -1525,6 +1830,80 @@ async function displayResults(data) {
     return;
   }
   
+  // "Keep this one": pinned cards must come back in the slots they had
+  // (the triad guards below still apply to whatever the backend sent)
+  if (options.pins?.length > 0) {
+    const pinCheck = checkPinnedSlots(arrangements, options.pins);
+    
+    if (pinCheck.missing.length > 0) {
+      console.error(
+        `[ARVYAM] Pin violation: ${pinCheck.missing.length} pinned arrangement(s) missing from refined triad`
+      );
+      
+      currentCardData = null;
+      pinnedSkuIds.clear();
+      curateClient.forgetCached(data);
+      
+      showError(getPersonaMessage(null, 'curation'));
+      
+      trackEvent('pin_violation', {
+        pinned_count: options.pins.length,
+        missing_count: pinCheck.missing.length,
+        ux_turns: uxTurns
+      });
+      
+      return;
+    }
+    
+    if (pinCheck.moved > 0) {
+      console.warn(`[ARVYAM] Backend moved ${pinCheck.moved} pinned arrangement(s) - restored to their slots`);
+    }
+    
+    arrangements = pinCheck.arrangements;
+  } else if (options.history?.kind !== 'refine') {
+    // Pins belong to the triad they were made on
+    pinnedSkuIds.clear();
+  }
+  
+  // CONSTITUTIONAL: 2 MIX + 1 MONO, three different SKUs - not just three items
+  const triadCheck = validateTriad(arrangements, TRIAD_POLICY);
+  
+  if (triadCheck.violations.length > 0) {
+    const report = triadCheck.valid ? console.warn : console.error;
+    report(
+      `[ARVYAM] Triad violation (${triadCheck.violations.join(', ')}) - policy: ${TRIAD_POLICY}`,
+      triadCheck.counts
+    );
+    
+    trackEvent('triad_violation', {
+      rule: triadCheck.violations[0],
+      rules: triadCheck.violations.join(','),
+      policy: TRIAD_POLICY,
+      blocked: !triadCheck.valid,
+      mix_count: triadCheck.counts.MIX,
+      mono_count: triadCheck.counts.MONO,
+      ux_turns: uxTurns
+    });
+    
+    if (!triadCheck.valid) {
+      currentCardData = null;
+      pinnedSkuIds.clear();
+      curateClient.forgetCached(data);
+      
+      showError(getPersonaMessage(null, 'curation'));
+      
+      return;
+    }
+  }
+  
+  // Equal emphasis: slots come from the session seed, not the backend's order
+  // Pinned cards keep their slots; a shared triad keeps the sender's order
+  const keptSlots = options.history?.kind === 'shared'
+    ? arrangements.map((arrangement, slot) => ({ id: arrangement.id, slot }))
+    : (options.pins || []);
+  const ordering = orderTriad(arrangements, { pins: keptSlots });
+  arrangements = ordering.arrangements;
+  
   // Create grid container
   const grid = document.createElement('div');
   grid.className = 'results-grid';
@@ -1543,6 +1922,8 @@ async function displayResults(data) {
   
   const cards = await Promise.all(cardPromises);
   
+  if (renderToken !== resultsRenderToken) return;
+  
   // Filter out failed cards (null values)
   const validCards = cards.filter(card => card !== null);
   
@@ -1556,10 +1937,12 @@ async function displayResults(data) {
     
     // PHASE 13A.4: Reset card data on validation failure
     currentCardData = null;
+    curateClient.forgetCached(data);
     
-    showError('We could not complete your curation just now. Please try again.');
+    showError(getPersonaMessage(null, 'curation'));
     
     trackEvent('triad_violation', {
+      rule: 'card_render',
       result_count: validCards.length,
       requested_count: arrangements.length,
       ux_turns: uxTurns
@@ -1571,6 +1954,37 @@ async function displayResults(data) {
   // PHASE 13A.4: Persist card data AFTER triad validation passes (constitutional compliance)
   // Only store data when we have confirmed exactly 3 valid cards
   currentCardData = arrangements;
+  currentCardOrder = { variant: ordering.variant, layout: ordering.layout };
+  currentRationale = data.rationale || null;
+  
+  // Details of the previous triad no longer apply
+  if (detailDrawer && detailDrawer.isOpen()) {
+    detailDrawer.close();
+  }
+  
+  // Session history: record new triads, mark restored ones as current
+  if (curationHistory) {
+    if (options.restoredFrom) {
+      curationHistory.select(options.restoredFrom);
+    } else {
+      curationHistory.record({
+        kind: options.history?.kind || 'search',
+        refinement: options.history?.refinement || null,
+        refinements: refinementDeltas,
+        prompt: lastPrompt,
+        hints: lastHints,
+        arrangements,
+        rationale: currentRationale,
+        uncertaintyScore: data.uncertainty_score ?? 0,
+        language: currentLanguage
+      });
+    }
+  }
+  
+  // The address bar keeps ?c= only while the shared triad itself is on screen
+  if (options.history?.kind !== 'shared') {
+    clearSelectionFromUrl();
+  }
   
   // If we reach here, we ALWAYS have exactly 3 cards (constitutional guarantee)
   validCards.forEach(card => {
@@ -1582,21 +1996,38 @@ async function displayResults(data) {
   
   resultsContainer.appendChild(grid);
   
+  await renderRationalePanel(grid);
+  await renderCompareView(grid);
+  await renderShareAction();
+  await renderHistoryTimeline();
+  
+  if (renderToken !== resultsRenderToken) return;
+  
   // Announce results to screen readers (WCAG 2.1 AA)
-  const resultsAnnouncement = await t('a11y.results_announce', currentLanguage) || 'Showing 3 arrangements.';
+  const resultsAnnouncement = options.restoredFrom
+    ? await t('history.restored', currentLanguage, { n: getHistoryPosition(options.restoredFrom) })
+    : await t('a11y.results_announce', currentLanguage, { count: arrangements.length }) || 'Showing 3 arrangements.';
   announce(resultsAnnouncement);
   
   // Track results displayed (always 3 at this point)
   trackEvent('results_displayed', {
     result_count: 3, // Constitutional guarantee
-    triad: '2_mix_1_mono', // Constitutional structure
+    triad: triadCheck.violations.length === 0 ? '2_mix_1_mono' : 'unverified', // 'warn' policy lets a wrong mix through
+    ...getCardOrderProperties(),
+    restored: !!options.restoredFrom,
+    from_cache: !!data.cached,
     ux_turns: uxTurns
   });
   
   // PHASE 13B.1: Switch to adjust mode or attach RefineBar based on feature flag
+  // Refinement needs the prompt behind the triad - shared triads have none
   if (FEATURE_FLAGS.unifiedRefine) {
-    switchToAdjustMode();
-  } else {
+    if (lastPrompt) {
+      switchToAdjustMode();
+    } else {
+      switchToSearchMode();
+    }
+  } else if (lastPrompt) {
     // Legacy mode: Attach RefineBar after successful triad display
     if (refineBar) {
       refineBar.attach(resultsContainer, {
@@ -1611,6 +2042,162 @@ async function displayResults(data) {
     behavior: 'smooth', 
     block: 'start' 
   });
+  
+  // Deep link (#arrangement=<sku>) into a shared triad opened with details open.
+  // Only then: after any other render the hash may still be the drawer we just
+  // closed (close() pops it later through history.back())
+  const linkedSku = options.history?.kind === 'shared' ? readDetailHash() : null;
+  if (linkedSku && !detailDrawer?.isOpen()) {
+    await openDetailDrawer(linkedSku, { pushHash: false });
+  }
+}
+
+/**
+ * Render "Why these three" above the compare toggle and card grid
+ * Backend rationale when the response had one, else what the guest sent
+ * 
+ * @param {HTMLElement} grid - Card grid the panel sits above
+ */
+async function renderRationalePanel(grid) {
+  if (!rationalePanel || !resultsContainer || !currentCardData) return;
+  
+  await rationalePanel.attach(resultsContainer, currentCardData, {
+    rationale: currentRationale,
+    hints: lastHints,
+    intent: lastIntentAnswers,
+    before: grid,
+    expanded: rationaleExpanded
+  });
+}
+
+/**
+ * Render the compare toggle (and table) above the card grid
+ * Keeps the guest's compare/cards choice from the previous triad
+ * 
+ * @param {HTMLElement} grid - Card grid the table swaps with
+ */
+async function renderCompareView(grid) {
+  if (!compareView || !resultsContainer || !currentCardData) return;
+  
+  await compareView.attach(resultsContainer, currentCardData, {
+    cardsElement: grid,
+    active: compareMode,
+    deliveryWindow: lastHints?.delivery_window || null
+  });
+}
+
+/**
+ * Render "Share this selection" under the current triad
+ * Nothing renders when the triad has no shareable SKU ids
+ */
+async function renderShareAction() {
+  if (!shareAction || !resultsContainer || !currentCardData) return;
+  
+  await shareAction.attach(resultsContainer, {
+    skuIds: currentCardData.map(arrangement => arrangement.id),
+    language: currentLanguage,
+    hints: lastHints
+  });
+}
+
+/**
+ * Rehydrate a triad from a shared link
+ * Re-fetched by SKU and rendered through the normal triad guard
+ * 
+ * @param {Object} selection - Decoded selection ({ skuIds, language, hints })
+ */
+async function loadSharedSelection(selection) {
+  console.log('[ARVYAM] Opening shared selection');
+  
+  // No prompt travels with a link - refinement starts from a new search
+  lastPrompt = '';
+  lastHints = selection.hints;
+  lastIntentAnswers = null;
+  refinementDeltas = [];
+  
+  await showLoadingState();
+  
+  try {
+    const data = await curateClient.lookup({
+      skuIds: selection.skuIds,
+      language: currentLanguage
+    });
+    
+    displayResults(data, { history: { kind: 'shared' } });
+    
+    trackEvent('shared_link_opened', {
+      has_hints: !!selection.hints,
+      lang: selection.language
+    });
+  } catch (error) {
+    // Superseded by a search the guest started meanwhile
+    if (isCurateAborted(error)) return;
+    
+    console.error('[ARVYAM] Shared selection error:', error);
+    clearSelectionFromUrl();
+    showError(getPersonaMessage(error, 'shared'));
+    trackEvent('shared_link_error', { error_kind: error.kind || 'unknown' });
+  }
+}
+
+/**
+ * Render the session timeline under the current triad
+ * Hidden until the guest has seen two or more curations
+ */
+async function renderHistoryTimeline() {
+  if (!historyTimeline || !curationHistory || !resultsContainer) return;
+  
+  await historyTimeline.attach(
+    resultsContainer,
+    curationHistory.getEntries(),
+    curationHistory.currentId
+  );
+}
+
+/**
+ * 1-based position of a history entry in the timeline
+ * @param {string} entryId - History entry id
+ * @returns {number} Position (0 if unknown)
+ */
+function getHistoryPosition(entryId) {
+  if (!curationHistory) return 0;
+  return curationHistory.getEntries().findIndex(entry => entry.id === entryId) + 1;
+}
+
+/**
+ * Restore an earlier triad from session history
+ * No API call - the triad, hints and (when known) prompt come from memory
+ * 
+ * @param {string} entryId - History entry id
+ */
+async function restoreCuration(entryId) {
+  const entry = curationHistory?.get(entryId);
+  if (!entry) return;
+  
+  // A curation still in flight would paint over the restored triad
+  curateClient.cancel();
+  
+  // Keep refinement anchored to the restored triad's prompt. After a reload
+  // only its hash survives - like a shared triad, refinement then starts from
+  // a new search (never the current prompt paired with this triad's deltas)
+  const prompt = curationHistory.getPrompt(entry);
+  lastPrompt = prompt || '';
+  lastHints = entry.hints;
+  lastIntentAnswers = null;
+  refinementDeltas = prompt ? [...(entry.refinements || [])] : [];
+  
+  trackEvent('history_restored', {
+    position: getHistoryPosition(entryId),
+    total: curationHistory.getEntries().length,
+    kind: entry.kind,
+    ux_turns: uxTurns
+  });
+  
+  await displayResults({
+    arrangements: entry.arrangements,
+    uncertainty_score: entry.uncertaintyScore,
+    rationale: entry.rationale || null
+  }, { restoredFrom: entry.id });
 }
 
 /**
@@ -1621,28 +2208,36 @@ async function displayResults(data) {
  */
 async function createResultCard(arrangement, index) {
   try {
+    // Canonical fields only - normalizeCurateResponse maps legacy names (curate_schema.js)
     const card = new ResultCard({
-      id: arrangement.id || `arr-${index}`,
-      name: arrangement.title || arrangement.name || 'Arrangement',
+      id: arrangement.id,
+      name: arrangement.name || 'Arrangement',
       occasion: arrangement.occasion || arrangement.tier || '',
-      description: arrangement.desc || arrangement.description || '',
-      image: arrangement.image || arrangement.image_url || '/assets/placeholder.jpg',
+      description: arrangement.description || '',
+      name_i18n: arrangement.name_i18n || null,
+      description_i18n: arrangement.description_i18n || null,
+      image: arrangement.image || null,
       imageAlt: arrangement.alt_text || null,
-      price_inr: arrangement.price_inr,  // From normalization
-      price: arrangement.price            // Fallback from API
+      price: arrangement.price_inr
     }, {
       lang: currentLanguage,
       lazyLoad: index > 0, // Only lazy load cards after first one
       fetchPriority: index < 3 ? 'high' : 'low', // Step 11: Prioritize first 3 cards
+      pinnable: canPinCards(),
+      pinned: pinnedSkuIds.has(arrangement.id),
+      deliveryNote: await getDeliveryNote(arrangement),
+      onPinToggle: (data, pinned) => handlePinToggle(arrangement, index, pinned),
       onSelect: (data) => {
         console.log('[ARVYAM] Card selected via callback:', data);
         
         // Track product click (Step 12: Analytics)
         trackEvent('product_clicked', {
-          sku_id: data.id || arrangement.id || `arr-${index}`,
+          sku_id: arrangement.id,
           card_position: index + 1, // 1-indexed position
+          composition: arrangement.composition || 'unknown',
+          ...getCardOrderProperties(),
           tier: arrangement.tier || 'unknown',
-          price_inr: arrangement.price_inr || arrangement.price || 0
+          price_inr: arrangement.price_inr || 0
         });
         
         // Event is also emitted by the card itself for other listeners
@@ -1656,12 +2251,53 @@ async function createResultCard(arrangement, index) {
   }
 }
 
+/**
+ * Fill the next skeleton slot with a card streamed in ahead of its triad
+ * The card is a preview: inert (no select, pin or detail) and replaced when
+ * displayResults() commits the validated triad, which may order it differently
+ *
+ * @param {Object} streamed - From CurateClient's onArrangement
+ * @param {Object} streamed.arrangement - Arrangement coerced to the schema
+ * @param {number} streamed.index - Slot the backend sent it for (0-2)
+ */
+async function revealStreamedCard({ arrangement, index }) {
+  const grid = resultsContainer?.querySelector('.skeleton-grid');
+  if (!grid) return;
+  
+  const card = await createResultCard(arrangement, index);
+  
+  // The grid was replaced (newer search) or the triad already committed
+  const skeleton = grid.isConnected ? grid.querySelector('.skeleton-card') : null;
+  if (!card || !skeleton) return;
+  
+  card.classList.add('result-card--preview');
+  card.setAttribute('inert', '');
+  skeleton.replaceWith(card);
+}
+
+/**
+ * Ordering fields for analytics, so position bias can be measured
+ * (seed and permutation - no SKU ids, no prompt)
+ * @returns {{order_seed: string, order_variant: number|null, card_layout: string|null}}
+ */
+function getCardOrderProperties() {
+  return {
+    order_seed: readOrderSeed(),
+    order_variant: currentCardOrder?.variant ?? null,
+    card_layout: currentCardOrder?.layout ?? null
+  };
+}
+
 /**
  * Show loading skeleton state
  */
 async function showLoadingState() {
   if (!resultsContainer) return;
   
+  // Invalidate any displayResults() still waiting on its skeleton delay
+  resultsRenderToken++;
+  loadingStartedAt = Date.now();
+  
   resultsContainer.innerHTML = '';
   
   const grid = document.createElement('div');
@@ -1704,6 +2340,33 @@ async function showLoadingState() {
   announce(loadingAnnouncement);
 }
 
+/**
+ * Show "waking ARVY up" line above the skeleton grid
+ * Called by the curate client when a request is still pending after
+ * CURATE_OPTIONS.warmupAfterMs (typically a cold start on the API host)
+ */
+async function showWarmupState() {
+  if (!resultsContainer) return;
+  
+  const grid = resultsContainer.querySelector('.skeleton-grid');
+  if (!grid || resultsContainer.querySelector('.results-warmup')) return;
+  
+  const warmupText = await t('loading.warmup', currentLanguage);
+  
+  // Results may have arrived while the stringbank resolved
+  if (!grid.isConnected) return;
+  
+  const warmupEl = document.createElement('p');
+  warmupEl.className = 'results-warmup';
+  warmupEl.setAttribute('role', 'status');
+  warmupEl.textContent = warmupText;
+  grid.before(warmupEl);
+  
+  announce(warmupText);
+  
+  trackEvent('curate_warmup_shown', { ux_turns: uxTurns });
+}
+
 // ============================================================================
 // Error & Message Display
 // ============================================================================
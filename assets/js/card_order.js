@@ -0,0 +1,175 @@
+/**
+ * ARVYAM Card Ordering
+ * Which slot each card of a triad takes, so no card wins by position
+ *
+ * The backend's order is not shown as-is: the triad is put in a canonical
+ * order (MIX before MONO, then by SKU id) and one of the permutations is
+ * picked from a per-session seed and the SKU ids. The same triad therefore
+ * always lands the same way within a session (re-renders, language switches,
+ * history restores), while across triads and sessions the MONO card and each
+ * MIX card take every slot about equally often.
+ *
+ * Constitutional Compliance:
+ * - Selection Invariance: Equal emphasis includes equal chance of the first slot
+ * - Guest-First: A pinned ("Keep this one") card never moves
+ * - Privacy: The seed is random, session-only and says nothing about the guest
+ *
+ * @module card_order
+ * @version 1.0.0
+ */
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+/**
+ * sessionStorage key for the ordering seed (a new seed per browser session)
+ */
+const SEED_KEY = 'arvyam_order_seed';
+
+/**
+ * 8 hex characters (32 bits)
+ */
+const SEED_PATTERN = /^[0-9a-f]{8}$/;
+
+// Seed for this page when sessionStorage is unavailable
+let pageSeed = null;
+
+// ============================================================================
+// Seed
+// ============================================================================
+
+/**
+ * Fresh random seed
+ * @returns {string} 8 hex characters
+ */
+function createSeed() {
+  const values = new Uint32Array(1);
+
+  if (window.crypto && window.crypto.getRandomValues) {
+    window.crypto.getRandomValues(values);
+  } else {
+    values[0] = Math.floor(Math.random() * 0x100000000);
+  }
+
+  return values[0].toString(16).padStart(8, '0');
+}
+
+/**
+ * This session's ordering seed, created on first use
+ * Without storage (private mode) the seed lives as long as the page
+ *
+ * @returns {string} 8 hex characters
+ */
+export function readOrderSeed() {
+  try {
+    const stored = sessionStorage.getItem(SEED_KEY);
+    if (SEED_PATTERN.test(stored || '')) return stored;
+
+    const seed = createSeed();
+    sessionStorage.setItem(SEED_KEY, seed);
+    return seed;
+  } catch (error) {
+    pageSeed = pageSeed || createSeed();
+    return pageSeed;
+  }
+}
+
+// ============================================================================
+// Ordering
+// ============================================================================
+
+/**
+ * FNV-1a 32-bit over the seed and the triad's SKU ids
+ * @param {string} text - Input
+ * @returns {number} Unsigned 32-bit hash
+ */
+function hashText(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash;
+}
+
+/**
+ * Every ordering of 0..n-1, in lexicographic order
+ * @param {number} n - Item count
+ * @returns {number[][]} Permutations
+ */
+function permutations(n) {
+  if (n <= 1) return [Array.from({ length: n }, (_, index) => index)];
+
+  return permutations(n - 1).flatMap(rest => (
+    Array.from({ length: n }, (_, position) => [...rest.slice(0, position), n - 1, ...rest.slice(position)])
+  )).sort((a, b) => a.join().localeCompare(b.join()));
+}
+
+/**
+ * Canonical order: MIX before MONO, then by SKU id
+ * @param {Object} a - Arrangement
+ * @param {Object} b - Arrangement
+ * @returns {number}
+ */
+function canonicalOrder(a, b) {
+  const rank = (item) => (item.composition === 'MONO' ? 1 : 0);
+  return rank(a) - rank(b) || String(a.id).localeCompare(String(b.id));
+}
+
+/**
+ * Order a triad for display
+ * Pinned cards stay in their slots; the other cards fill the free slots in
+ * the permutation the seed picks. The result depends only on the seed, the
+ * SKU ids and the pins - never on the order the backend used.
+ *
+ * @param {Object[]} arrangements - Validated triad
+ * @param {Object} [options={}] - Ordering options
+ * @param {string} [options.seed] - Session seed (readOrderSeed())
+ * @param {{id: string, slot: number}[]} [options.pins=[]] - Cards that keep their slot
+ * @returns {{arrangements: Object[], variant: number, layout: string}}
+ *   Ordered triad, the permutation used (0 = canonical order) and the
+ *   composition per slot ('MIX-MONO-MIX')
+ */
+export function orderTriad(arrangements, { seed = readOrderSeed(), pins = [] } = {}) {
+  const result = new Array(arrangements.length).fill(null);
+
+  for (const { id, slot } of pins) {
+    const pinned = arrangements.find(item => item.id === id);
+    if (pinned && slot >= 0 && slot < result.length && !result[slot]) {
+      result[slot] = pinned;
+    }
+  }
+
+  const free = arrangements.filter(item => !result.includes(item)).sort(canonicalOrder);
+  const freeSlots = result.map((item, slot) => (item ? null : slot)).filter(slot => slot !== null);
+
+  const orders = permutations(free.length);
+  const key = [seed, ...arrangements.map(item => item.id).sort()].join('|');
+  const variant = hashText(key) % orders.length;
+
+  orders[variant].forEach((freeIndex, position) => {
+    result[freeSlots[position]] = free[freeIndex];
+  });
+
+  return {
+    arrangements: result,
+    variant,
+    layout: result.map(item => item.composition || 'UNKNOWN').join('-')
+  };
+}
+
+// ============================================================================
+// Module Exports
+// ============================================================================
+
+/**
+ * Export summary:
+ * - orderTriad(arrangements, { seed, pins }) → { arrangements, variant, layout }
+ * - readOrderSeed() → string
+ *
+ * Usage:
+ * import { orderTriad } from './card_order.js';
+ *
+ * const { arrangements, variant } = orderTriad(triad, { pins: getPinnedSlots() });
+ */
@@ -0,0 +1,504 @@
+/**
+ * ARVYAM CompareView Component
+ * Side-by-side table of the three arrangements, toggled from the card grid
+ *
+ * Features:
+ * - One column per arrangement, in card order
+ * - Rows for flowers/stems, palette, size, tier, price, delivery and care notes;
+ *   optional rows appear only when the API sends that field for some arrangement
+ * - Native table semantics (caption, column/row headers) with arrow-key
+ *   navigation between cells (a11y.js)
+ * - Toggle is a pressed/unpressed button; cards and table swap in place
+ *
+ * Optional API fields read per arrangement:
+ * - flowers (string[] | string), stem_count (number)
+ * - palette (string[] | string), size (string), care_notes (string)
+ * - delivery_windows (string[] of VALID_DELIVERY_WINDOWS, earliest first)
+ *
+ * Constitutional Compliance:
+ * - Equal Emphasis: Every column is rendered identically - no "best",
+ *   "recommended" or highlighted column, no sorting, no per-row winners
+ * - Selection Invariance: Always the whole triad, never fewer columns
+ * - Privacy: Analytics get the toggle state only
+ *
+ * @module CompareView
+ * @version 1.0.0
+ */
+
+import { t } from '../i18n/strings.js';
+import { formatCurrency } from '../i18n/format.js';
+import { arrangementName } from '../i18n/content.js';
+import { enableTableNavigation } from '../a11y.js';
+import { VALID_DELIVERY_WINDOWS } from '../validators.js';
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/**
+ * Join a list field (array or plain string) for display
+ * @param {*} value - Field value
+ * @returns {string} Display text ('' when absent)
+ */
+function listText(value) {
+  if (Array.isArray(value)) {
+    return value.filter(item => typeof item === 'string' && item.trim()).join(', ');
+  }
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+/**
+ * Numeric INR price, accepting normalized price_inr or raw price
+ * @param {Object} arrangement - Arrangement data
+ * @returns {number|null} Price or null when missing/invalid
+ */
+function priceOf(arrangement) {
+  const price = Number(arrangement.price_inr || arrangement.price);
+  return Number.isFinite(price) && price > 0 ? price : null;
+}
+
+/**
+ * Delivery windows the API lists for an arrangement (known values only)
+ * @param {Object} arrangement - Arrangement data
+ * @returns {string[]} Windows, earliest first
+ */
+function deliveryWindowsOf(arrangement) {
+  if (!Array.isArray(arrangement.delivery_windows)) return [];
+  return VALID_DELIVERY_WINDOWS.filter(value => arrangement.delivery_windows.includes(value));
+}
+
+// ============================================================================
+// CompareView Class
+// ============================================================================
+
+export default class CompareView {
+  /**
+   * Create a CompareView instance
+   *
+   * @param {Object} [options={}] - Configuration options
+   * @param {string} [options.lang='en'] - Language code for localization
+   * @param {Function} [options.onToggle] - Called with the new active state
+   */
+  constructor(options = {}) {
+    this.lang = options.lang || 'en';
+    this.onToggle = options.onToggle || null;
+
+    this.element = null;
+    this.toggleButton = null;
+    this.region = null;
+    this.cardsElement = null;
+    this.arrangements = [];
+    this.deliveryWindow = null;
+    this.active = false;
+
+    this.releaseTableNav = null;
+    this.boundHandlers = {
+      toggle: null
+    };
+  }
+
+  // ==========================================================================
+  // Lifecycle Methods
+  // ==========================================================================
+
+  /**
+   * Render the toggle and table for a triad
+   * Replaces any earlier render; renders nothing unless there are exactly 3 arrangements
+   *
+   * @param {HTMLElement} parentContainer - Container (e.g., #curated-results)
+   * @param {Object[]} arrangements - The triad, in card order
+   * @param {Object} [options={}] - Render options
+   * @param {HTMLElement} [options.cardsElement] - Card grid to swap with (view is inserted before it)
+   * @param {boolean} [options.active=false] - Start in compare mode
+   * @param {string|null} [options.deliveryWindow] - Guest's delivery hint, if any
+   * @returns {Promise<HTMLElement|null>} View element or null
+   */
+  async attach(parentContainer, arrangements, options = {}) {
+    this.detach();
+
+    if (!parentContainer || !Array.isArray(arrangements) || arrangements.length !== 3) {
+      return null;
+    }
+
+    this.arrangements = arrangements;
+    this.cardsElement = options.cardsElement || null;
+    this.deliveryWindow = options.deliveryWindow || null;
+
+    this.element = await this.createDOM();
+
+    if (this.cardsElement && this.cardsElement.parentNode === parentContainer) {
+      parentContainer.insertBefore(this.element, this.cardsElement);
+    } else {
+      parentContainer.appendChild(this.element);
+    }
+
+    this.releaseTableNav = enableTableNavigation(this.element.querySelector('table'));
+    this.bindEvents();
+    await this.setActive(!!options.active);
+
+    return this.element;
+  }
+
+  /**
+   * Remove from the DOM (the card grid is shown again)
+   */
+  detach() {
+    if (this.releaseTableNav) {
+      this.releaseTableNav();
+      this.releaseTableNav = null;
+    }
+
+    if (this.toggleButton && this.boundHandlers.toggle) {
+      this.toggleButton.removeEventListener('click', this.boundHandlers.toggle);
+      this.boundHandlers.toggle = null;
+    }
+
+    if (this.cardsElement) {
+      this.cardsElement.hidden = false;
+    }
+
+    if (this.element && this.element.parentNode) {
+      this.element.parentNode.removeChild(this.element);
+    }
+
+    this.element = null;
+    this.toggleButton = null;
+    this.region = null;
+    this.cardsElement = null;
+  }
+
+  /**
+   * Destroy the component
+   */
+  destroy() {
+    this.detach();
+    this.arrangements = [];
+    this.onToggle = null;
+  }
+
+  // ==========================================================================
+  // DOM Creation
+  // ==========================================================================
+
+  /**
+   * Build the toggle button and the (hidden) table region
+   * @returns {Promise<HTMLElement>} Wrapper element
+   * @private
+   */
+  async createDOM() {
+    const wrap = document.createElement('div');
+    wrap.className = 'compare-view';
+
+    this.toggleButton = document.createElement('button');
+    this.toggleButton.type = 'button';
+    this.toggleButton.className = 'btn btn--secondary compare-view__toggle tap-target';
+    this.toggleButton.setAttribute('aria-controls', 'compare-view-region');
+    this.toggleButton.setAttribute('aria-pressed', 'false');
+
+    this.region = document.createElement('div');
+    this.region.className = 'compare-view__region';
+    this.region.id = 'compare-view-region';
+    this.region.setAttribute('role', 'region');
+    this.region.setAttribute('aria-labelledby', 'compare-view-caption');
+    this.region.hidden = true;
+
+    const help = document.createElement('p');
+    help.className = 'sr-only';
+    help.id = 'compare-view-help';
+    help.textContent = await t('compare.help', this.lang);
+
+    this.region.appendChild(help);
+    this.region.appendChild(await this.createTable());
+
+    wrap.appendChild(this.toggleButton);
+    wrap.appendChild(this.region);
+
+    return wrap;
+  }
+
+  /**
+   * Build the comparison table
+   * @returns {Promise<HTMLTableElement>} Table element
+   * @private
+   */
+  async createTable() {
+    const table = document.createElement('table');
+    table.className = 'compare-table';
+    table.setAttribute('aria-describedby', 'compare-view-help');
+
+    const caption = document.createElement('caption');
+    caption.id = 'compare-view-caption';
+    caption.textContent = await t('compare.caption', this.lang);
+    table.appendChild(caption);
+
+    // Header row: one column per arrangement, same markup for all three
+    const thead = document.createElement('thead');
+    const headRow = document.createElement('tr');
+
+    const corner = document.createElement('th');
+    corner.className = 'compare-table__corner';
+    corner.textContent = await t('compare.arrangement', this.lang);
+    headRow.appendChild(corner);
+
+    this.arrangements.forEach(arrangement => {
+      const th = document.createElement('th');
+      th.className = 'compare-table__name';
+      th.textContent = arrangementName(arrangement, this.lang);
+      headRow.appendChild(th);
+    });
+
+    thead.appendChild(headRow);
+    table.appendChild(thead);
+
+    const tbody = document.createElement('tbody');
+    const rows = await this.getRows();
+
+    for (const row of rows) {
+      const tr = document.createElement('tr');
+
+      const th = document.createElement('th');
+      th.textContent = await t(`compare.row.${row.key}`, this.lang);
+      tr.appendChild(th);
+
+      for (const cell of row.cells) {
+        tr.appendChild(await this.createCell(cell));
+      }
+
+      tbody.appendChild(tr);
+    }
+
+    table.appendChild(tbody);
+    return table;
+  }
+
+  /**
+   * Row definitions with display values
+   * Optional rows are dropped when no arrangement has the field
+   *
+   * @returns {Promise<Array<{key: string, cells: Array}>>} Rows in display order
+   * @private
+   */
+  async getRows() {
+    const rows = [];
+
+    const flowers = await Promise.all(this.arrangements.map(async arrangement => {
+      const names = listText(arrangement.flowers);
+      const count = Number(arrangement.stem_count);
+      const stems = Number.isInteger(count) && count > 0
+        ? await t('compare.stems', this.lang, { count })
+        : '';
+      return [stems, names].filter(Boolean).join(' · ') || null;
+    }));
+    rows.push({ key: 'flowers', cells: flowers, optional: true });
+
+    rows.push({
+      key: 'palette',
+      cells: this.arrangements.map(arrangement => listText(arrangement.palette) || null),
+      optional: true
+    });
+
+    rows.push({
+      key: 'size',
+      cells: this.arrangements.map(arrangement => listText(arrangement.size) || null),
+      optional: true
+    });
+
+    rows.push({
+      key: 'tier',
+      cells: this.arrangements.map(arrangement => listText(arrangement.tier) || null)
+    });
+
+    rows.push({
+      key: 'price',
+      cells: this.arrangements.map(arrangement => {
+        const price = priceOf(arrangement);
+        return price === null ? null : formatCurrency(price, this.lang);
+      })
+    });
+
+    const delivery = await Promise.all(this.arrangements.map(arrangement => this.deliveryText(arrangement)));
+    rows.push({ key: 'delivery', cells: delivery, optional: true });
+
+    rows.push({
+      key: 'care',
+      cells: this.arrangements.map(arrangement => listText(arrangement.care_notes) || null),
+      optional: true
+    });
+
+    const ctaText = await t('result.cta', this.lang);
+    rows.push({
+      key: 'buy',
+      cells: this.arrangements.map(arrangement => ({
+        href: `/checkout?sku=${encodeURIComponent(arrangement.id)}`,
+        text: ctaText,
+        label: `${ctaText} - ${arrangementName(arrangement, this.lang)}`
+      }))
+    });
+
+    return rows.filter(row => !row.optional || row.cells.some(cell => cell !== null));
+  }
+
+  /**
+   * Delivery cell text: whether it fits the guest's window, else the earliest window
+   * @param {Object} arrangement - Arrangement data
+   * @returns {Promise<string|null>} Text, or null when the API lists no windows
+   * @private
+   */
+  async deliveryText(arrangement) {
+    const windows = deliveryWindowsOf(arrangement);
+    if (windows.length === 0) return null;
+
+    if (this.deliveryWindow && windows.includes(this.deliveryWindow)) {
+      const label = await t(`compare.window.${this.deliveryWindow}`, this.lang);
+      return t('compare.delivery_fits', this.lang, { window: label });
+    }
+
+    const label = await t(`compare.window.${windows[0]}`, this.lang);
+    return t('compare.delivery_earliest', this.lang, { window: label });
+  }
+
+  /**
+   * Build one data cell
+   * @param {string|Object|null} cell - Text, link descriptor, or null (not listed)
+   * @returns {Promise<HTMLTableCellElement>} Cell element
+   * @private
+   */
+  async createCell(cell) {
+    const td = document.createElement('td');
+
+    if (cell === null) {
+      const dash = document.createElement('span');
+      dash.setAttribute('aria-hidden', 'true');
+      dash.textContent = '—';
+
+      const label = document.createElement('span');
+      label.className = 'sr-only';
+      label.textContent = await t('compare.not_listed', this.lang);
+
+      td.appendChild(dash);
+      td.appendChild(label);
+    } else if (typeof cell === 'object') {
+      const link = document.createElement('a');
+      link.className = 'btn btn--primary compare-table__cta';
+      link.href = cell.href;
+      link.textContent = cell.text;
+      link.setAttribute('aria-label', cell.label);
+      td.appendChild(link);
+    } else {
+      td.textContent = cell;
+    }
+
+    return td;
+  }
+
+  // ==========================================================================
+  // Event Handling
+  // ==========================================================================
+
+  /**
+   * Bind the toggle button
+   * @private
+   */
+  bindEvents() {
+    if (!this.toggleButton) return;
+
+    this.boundHandlers.toggle = async () => {
+      await this.setActive(!this.active);
+
+      this.trackEvent('compare_toggled', { active: this.active });
+
+      if (typeof this.onToggle === 'function') {
+        this.onToggle(this.active);
+      }
+    };
+    this.toggleButton.addEventListener('click', this.boundHandlers.toggle);
+  }
+
+  /**
+   * Switch between table and cards
+   * @param {boolean} active - Show the table
+   * @returns {Promise<void>}
+   */
+  async setActive(active) {
+    this.active = active;
+    if (!this.element) return;
+
+    this.region.hidden = !active;
+    if (this.cardsElement) {
+      this.cardsElement.hidden = active;
+    }
+
+    this.toggleButton.setAttribute('aria-pressed', String(active));
+    this.toggleButton.textContent = await t(active ? 'compare.hide' : 'compare.show', this.lang);
+  }
+
+  /**
+   * Update language for the next render
+   * @param {string} lang - New language code
+   */
+  updateLanguage(lang) {
+    this.lang = lang;
+  }
+
+  // ==========================================================================
+  // Analytics Helper
+  // ==========================================================================
+
+  /**
+   * Track analytics event (privacy-safe)
+   * Uses global trackEvent if available (from app.js)
+   *
+   * @param {string} eventName - Event name
+   * @param {Object} [properties={}] - Event properties (NO PII)
+   * @private
+   */
+  trackEvent(eventName, properties = {}) {
+    if (typeof window.trackEvent === 'function') {
+      window.trackEvent(eventName, properties);
+    } else {
+      console.log('[CompareView] Analytics event:', eventName, properties);
+    }
+  }
+
+  // ==========================================================================
+  // Getters (for testing/debugging)
+  // ==========================================================================
+
+  /**
+   * @returns {HTMLElement|null} Rendered view
+   */
+  getElement() {
+    return this.element;
+  }
+
+  /**
+   * @returns {boolean} Whether the table is showing
+   */
+  isActive() {
+    return this.active;
+  }
+}
+
+// ============================================================================
+// Module Exports
+// ============================================================================
+
+/**
+ * Export summary:
+ *
+ * Default export: CompareView class
+ *
+ * Public methods:
+ * - constructor(options)
+ * - attach(parentContainer, arrangements, { cardsElement, active, deliveryWindow }) → Promise<HTMLElement|null>
+ * - setActive(active) → Promise<void>
+ * - detach()
+ * - destroy()
+ * - updateLanguage(lang)
+ *
+ * Usage:
+ * import CompareView from './components/compare_view.js';
+ *
+ * const compareView = new CompareView({ lang: 'en', onToggle: (active) => { compareMode = active; } });
+ * await compareView.attach(resultsContainer, arrangements, { cardsElement: grid });
+ */
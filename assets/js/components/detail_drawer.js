@@ -0,0 +1,642 @@
+/**
+ * ARVYAM DetailDrawer Component
+ * Accessible dialog with the full details of one arrangement in the triad
+ *
+ * Features:
+ * - Image gallery (API `images`, else the card image) with labelled thumbnails
+ * - Full description, flower list, size guidance and "why ARVY chose this"
+ *   when the API provides them
+ * - Previous/next between the three arrangements, Buy CTA inside
+ * - Focus trapped while open (a11y.js trapFocusOpen), Escape closes,
+ *   focus returns to the card that opened it
+ * - Deep-linkable via #arrangement=<sku>; the back button closes it
+ *
+ * Optional API fields read per arrangement:
+ * - images (string[] | {src, alt}[]), long_description, flowers, stem_count,
+ *   size_guidance / size, rationale (string)
+ *
+ * Constitutional Compliance:
+ * - Selection Invariance: Pages through all three, in card order, same layout for each
+ * - Guest-First: Closes with Escape, the close button, the overlay or Back
+ * - Privacy: Analytics get positions and SKU ids only
+ *
+ * @module DetailDrawer
+ * @version 1.0.0
+ */
+
+import { t } from '../i18n/strings.js';
+import { formatCurrency } from '../i18n/format.js';
+import { arrangementName, pickLocalized } from '../i18n/content.js';
+import { trapFocusOpen } from '../a11y.js';
+
+// ============================================================================
+// Deep Link Helpers
+// ============================================================================
+
+/**
+ * Hash prefix for an open drawer (#arrangement=<sku>)
+ */
+export const DETAIL_HASH_PREFIX = '#arrangement=';
+
+/**
+ * SKU id in a location hash, if it points at a drawer
+ * @param {string} [hash=window.location.hash] - Location hash
+ * @returns {string|null} SKU id or null
+ */
+export function readDetailHash(hash = window.location.hash) {
+  if (!hash || !hash.startsWith(DETAIL_HASH_PREFIX)) return null;
+
+  try {
+    return decodeURIComponent(hash.slice(DETAIL_HASH_PREFIX.length)) || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Location hash for an arrangement
+ * @param {string} skuId - SKU id
+ * @returns {string} Hash including '#'
+ */
+function detailHash(skuId) {
+  return `${DETAIL_HASH_PREFIX}${encodeURIComponent(skuId)}`;
+}
+
+/**
+ * URL of the current page with a different hash (query string kept)
+ * @param {string} hash - New hash ('' to drop it)
+ * @returns {string} Relative URL
+ */
+function urlWithHash(hash) {
+  return `${window.location.pathname}${window.location.search}${hash}`;
+}
+
+// ============================================================================
+// DetailDrawer Class
+// ============================================================================
+
+export default class DetailDrawer {
+  /**
+   * Create a DetailDrawer instance
+   *
+   * @param {Object} [options={}] - Configuration options
+   * @param {string} [options.lang='en'] - Language code for localization
+   */
+  constructor(options = {}) {
+    this.lang = options.lang || 'en';
+
+    this.overlay = null;
+    this.dialog = null;
+    this.content = null;
+    this.ctaLink = null;
+
+    this.arrangements = [];
+    this.index = 0;
+    this.imageIndex = 0;
+
+    // Whether open() pushed a history entry that close() should pop
+    this.pushedHash = false;
+    this.releaseFocusTrap = null;
+
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+    this.handleClick = this.handleClick.bind(this);
+  }
+
+  // ==========================================================================
+  // Lifecycle Methods
+  // ==========================================================================
+
+  /**
+   * Open the drawer on one arrangement of the triad
+   *
+   * @param {Object[]} arrangements - The triad, in card order
+   * @param {number} index - Arrangement to show (0-2)
+   * @param {Object} [options={}] - Open options
+   * @param {boolean} [options.pushHash=true] - Add a history entry (false when opened from the URL)
+   * @returns {Promise<HTMLElement|null>} Dialog element, or null for an invalid triad/index
+   */
+  async open(arrangements, index, options = {}) {
+    if (!Array.isArray(arrangements) || arrangements.length !== 3 || !arrangements[index]) {
+      return null;
+    }
+
+    if (this.isOpen()) {
+      this.close({ fromHistory: true });
+    }
+
+    this.arrangements = arrangements;
+    this.index = index;
+    this.imageIndex = 0;
+
+    await this.createDOM();
+    await this.renderContent();
+
+    document.body.appendChild(this.overlay);
+    document.body.style.overflow = 'hidden';
+
+    this.overlay.addEventListener('click', this.handleClick);
+    this.dialog.addEventListener('keydown', this.handleKeyDown);
+    this.releaseFocusTrap = trapFocusOpen(this.dialog);
+
+    const hash = detailHash(this.current().id);
+    if (options.pushHash !== false) {
+      window.history.pushState(window.history.state, '', urlWithHash(hash));
+      this.pushedHash = true;
+    } else {
+      this.pushedHash = false;
+    }
+
+    this.trackEvent('detail_opened', {
+      sku_id: this.current().id,
+      card_position: this.index + 1,
+      image_count: this.getImages(this.current()).length,
+      has_rationale: !!this.current().rationale
+    });
+
+    return this.dialog;
+  }
+
+  /**
+   * Close the drawer and return focus to where it was
+   *
+   * @param {Object} [options={}] - Close options
+   * @param {boolean} [options.fromHistory=false] - The URL already moved on (Back / hashchange)
+   */
+  close(options = {}) {
+    if (!this.isOpen()) return;
+
+    this.overlay.removeEventListener('click', this.handleClick);
+    this.dialog.removeEventListener('keydown', this.handleKeyDown);
+
+    if (this.overlay.parentNode) {
+      this.overlay.parentNode.removeChild(this.overlay);
+    }
+    document.body.style.overflow = '';
+
+    // Restores focus to the card that opened the drawer
+    if (this.releaseFocusTrap) {
+      this.releaseFocusTrap();
+      this.releaseFocusTrap = null;
+    }
+
+    const closedSku = this.current()?.id;
+    this.overlay = null;
+    this.dialog = null;
+    this.content = null;
+    this.ctaLink = null;
+
+    if (!options.fromHistory && readDetailHash()) {
+      if (this.pushedHash) {
+        // Pop our own entry so Back does not reopen the drawer
+        window.history.back();
+      } else {
+        window.history.replaceState(window.history.state, '', urlWithHash(''));
+      }
+    }
+    this.pushedHash = false;
+
+    this.trackEvent('detail_closed', { sku_id: closedSku });
+  }
+
+  /**
+   * Destroy the component
+   */
+  destroy() {
+    this.close({ fromHistory: true });
+    this.arrangements = [];
+  }
+
+  // ==========================================================================
+  // DOM Creation
+  // ==========================================================================
+
+  /**
+   * Build the overlay and the persistent dialog frame
+   * Close (first) and Buy (last) stay in place while paging so the focus trap holds
+   * @private
+   */
+  async createDOM() {
+    const [closeText, buyText] = await Promise.all([
+      t('detail.close', this.lang),
+      t('result.cta', this.lang)
+    ]);
+
+    this.overlay = document.createElement('div');
+    this.overlay.className = 'detail-overlay';
+
+    this.dialog = document.createElement('div');
+    this.dialog.className = 'detail-drawer';
+    this.dialog.setAttribute('role', 'dialog');
+    this.dialog.setAttribute('aria-modal', 'true');
+    this.dialog.setAttribute('aria-labelledby', 'detail-drawer-title');
+
+    const closeButton = document.createElement('button');
+    closeButton.type = 'button';
+    closeButton.className = 'detail-drawer__close tap-target';
+    closeButton.dataset.act = 'close';
+    closeButton.setAttribute('aria-label', closeText);
+    closeButton.textContent = '✕';
+
+    this.content = document.createElement('div');
+    this.content.className = 'detail-drawer__content';
+
+    this.ctaLink = document.createElement('a');
+    this.ctaLink.className = 'btn btn--primary detail-drawer__cta';
+    this.ctaLink.textContent = buyText;
+
+    this.dialog.appendChild(closeButton);
+    this.dialog.appendChild(this.content);
+    this.dialog.appendChild(this.ctaLink);
+    this.overlay.appendChild(this.dialog);
+  }
+
+  /**
+   * Render the current arrangement into the dialog
+   * @private
+   */
+  async renderContent() {
+    const arrangement = this.current();
+    const name = arrangementName(arrangement, this.lang);
+    const images = this.getImages(arrangement);
+    this.imageIndex = Math.max(0, Math.min(this.imageIndex, images.length - 1));
+
+    const [
+      positionText, previousText, nextText, galleryLabel,
+      flowersHeading, sizeHeading, whyHeading, buyText
+    ] = await Promise.all([
+      t('detail.position', this.lang, { n: this.index + 1, total: this.arrangements.length }),
+      t('detail.previous', this.lang),
+      t('detail.next', this.lang),
+      t('detail.gallery_label', this.lang, { name }),
+      t('detail.flowers', this.lang),
+      t('detail.size', this.lang),
+      t('detail.why', this.lang),
+      t('result.cta', this.lang)
+    ]);
+
+    this.content.innerHTML = '';
+
+    // Gallery
+    const gallery = document.createElement('div');
+    gallery.className = 'detail-drawer__gallery';
+    gallery.setAttribute('role', 'group');
+    gallery.setAttribute('aria-label', galleryLabel);
+
+    if (images.length > 0) {
+      const mainImage = document.createElement('img');
+      mainImage.className = 'detail-drawer__image';
+      mainImage.decoding = 'async';
+      mainImage.width = 400;
+      mainImage.height = 500;
+      mainImage.src = images[this.imageIndex].src;
+      mainImage.alt = images[this.imageIndex].alt || await t('result.image_alt', this.lang, { name });
+      gallery.appendChild(mainImage);
+    }
+
+    if (images.length > 1) {
+      const thumbs = document.createElement('div');
+      thumbs.className = 'detail-drawer__thumbs';
+
+      for (let i = 0; i < images.length; i++) {
+        const thumb = document.createElement('button');
+        thumb.type = 'button';
+        thumb.className = 'detail-drawer__thumb';
+        thumb.dataset.image = String(i);
+        thumb.setAttribute('aria-pressed', String(i === this.imageIndex));
+        thumb.setAttribute('aria-label', await t('detail.image_label', this.lang, { n: i + 1, total: images.length }));
+
+        const thumbImage = document.createElement('img');
+        thumbImage.src = images[i].src;
+        thumbImage.alt = '';
+        thumbImage.loading = 'lazy';
+        thumb.appendChild(thumbImage);
+
+        thumbs.appendChild(thumb);
+      }
+
+      gallery.appendChild(thumbs);
+    }
+
+    // Text
+    const title = document.createElement('h2');
+    title.className = 'detail-drawer__title';
+    title.id = 'detail-drawer-title';
+    title.textContent = name;
+
+    const occasion = document.createElement('p');
+    occasion.className = 'detail-drawer__occasion';
+    occasion.textContent = arrangement.occasion || arrangement.tier || '';
+
+    const price = document.createElement('p');
+    price.className = 'detail-drawer__price';
+    price.textContent = this.formatPrice(arrangement);
+
+    const description = document.createElement('p');
+    description.className = 'detail-drawer__description';
+    // A translation for the guest's language beats the English long description
+    const translated = pickLocalized(arrangement.description_i18n, this.lang);
+    description.textContent = (translated.lang === this.lang && this.lang !== 'en')
+      ? translated.text
+      : arrangement.long_description || translated.text || arrangement.description || '';
+
+    if (images.length > 0) this.content.appendChild(gallery);
+    this.content.appendChild(title);
+    if (occasion.textContent) this.content.appendChild(occasion);
+    this.content.appendChild(price);
+    this.content.appendChild(description);
+
+    const flowers = await this.flowerText(arrangement);
+    if (flowers) {
+      this.content.appendChild(this.createSection(flowersHeading, flowers));
+    }
+
+    const size = arrangement.size_guidance || arrangement.size;
+    if (typeof size === 'string' && size.trim()) {
+      this.content.appendChild(this.createSection(sizeHeading, size.trim()));
+    }
+
+    if (typeof arrangement.rationale === 'string' && arrangement.rationale.trim()) {
+      this.content.appendChild(this.createSection(whyHeading, arrangement.rationale.trim()));
+    }
+
+    // Pager
+    const pager = document.createElement('div');
+    pager.className = 'detail-drawer__pager';
+
+    const previous = document.createElement('button');
+    previous.type = 'button';
+    previous.className = 'btn btn--secondary detail-drawer__nav tap-target';
+    previous.dataset.act = 'previous';
+    previous.textContent = previousText;
+
+    const position = document.createElement('p');
+    position.className = 'detail-drawer__position';
+    position.setAttribute('aria-live', 'polite');
+    position.textContent = positionText;
+
+    const next = document.createElement('button');
+    next.type = 'button';
+    next.className = 'btn btn--secondary detail-drawer__nav tap-target';
+    next.dataset.act = 'next';
+    next.textContent = nextText;
+
+    pager.appendChild(previous);
+    pager.appendChild(position);
+    pager.appendChild(next);
+    this.content.appendChild(pager);
+
+    this.ctaLink.href = `/checkout?sku=${encodeURIComponent(arrangement.id)}`;
+    this.ctaLink.textContent = buyText;
+    this.ctaLink.setAttribute('aria-label', `${buyText} - ${name}`);
+  }
+
+  /**
+   * Heading + paragraph block
+   * @param {string} heading - Localized heading
+   * @param {string} text - Body text
+   * @returns {HTMLElement} Section element
+   * @private
+   */
+  createSection(heading, text) {
+    const section = document.createElement('section');
+    section.className = 'detail-drawer__section';
+
+    const h3 = document.createElement('h3');
+    h3.textContent = heading;
+
+    const p = document.createElement('p');
+    p.textContent = text;
+
+    section.appendChild(h3);
+    section.appendChild(p);
+    return section;
+  }
+
+  // ==========================================================================
+  // Data Helpers
+  // ==========================================================================
+
+  /**
+   * @returns {Object|undefined} Arrangement on screen
+   * @private
+   */
+  current() {
+    return this.arrangements[this.index];
+  }
+
+  /**
+   * Gallery images for an arrangement (API images, else the card image)
+   * @param {Object} arrangement - Arrangement data
+   * @returns {{src: string, alt: string|null}[]} Images (empty when the API sent none)
+   */
+  getImages(arrangement) {
+    const images = Array.isArray(arrangement.images)
+      ? arrangement.images
+        .map(image => (typeof image === 'string' ? { src: image, alt: null } : image))
+        .filter(image => image && typeof image.src === 'string' && image.src)
+      : [];
+
+    if (images.length > 0 || !arrangement.image) return images;
+
+    return [{
+      src: arrangement.image,
+      alt: arrangement.alt_text || null
+    }];
+  }
+
+  /**
+   * Flower list line ("18 stems · Peach rose, Chamomile")
+   * @param {Object} arrangement - Arrangement data
+   * @returns {Promise<string>} Text ('' when the API sent neither field)
+   * @private
+   */
+  async flowerText(arrangement) {
+    const names = Array.isArray(arrangement.flowers)
+      ? arrangement.flowers.filter(item => typeof item === 'string' && item.trim()).join(', ')
+      : (typeof arrangement.flowers === 'string' ? arrangement.flowers.trim() : '');
+
+    const count = Number(arrangement.stem_count);
+    const stems = Number.isInteger(count) && count > 0
+      ? await t('compare.stems', this.lang, { count })
+      : '';
+
+    return [stems, names].filter(Boolean).join(' · ');
+  }
+
+  /**
+   * INR price, or "—" when missing (same rule as ResultCard)
+   * @param {Object} arrangement - Arrangement data
+   * @returns {string} Formatted price
+   * @private
+   */
+  formatPrice(arrangement) {
+    const price = Number(arrangement.price_inr || arrangement.price);
+    if (!Number.isFinite(price) || price <= 0) return '—';
+
+    return formatCurrency(price, this.lang);
+  }
+
+  // ==========================================================================
+  // Navigation
+  // ==========================================================================
+
+  /**
+   * Show another arrangement of the triad (wraps around)
+   * @param {number} step - +1 next, -1 previous
+   * @returns {Promise<void>}
+   */
+  async go(step) {
+    if (!this.isOpen()) return;
+
+    const total = this.arrangements.length;
+    this.index = (this.index + step + total) % total;
+    this.imageIndex = 0;
+
+    await this.renderContent();
+
+    // Same history entry, new SKU - Back still closes the drawer
+    window.history.replaceState(window.history.state, '', urlWithHash(detailHash(this.current().id)));
+
+    const nav = this.dialog.querySelector(`[data-act="${step > 0 ? 'next' : 'previous'}"]`);
+    if (nav) nav.focus();
+
+    this.trackEvent('detail_navigated', {
+      sku_id: this.current().id,
+      card_position: this.index + 1,
+      direction: step > 0 ? 'next' : 'previous'
+    });
+  }
+
+  /**
+   * Show another gallery image
+   * @param {number} imageIndex - Image to show
+   * @returns {Promise<void>}
+   * @private
+   */
+  async showImage(imageIndex) {
+    this.imageIndex = imageIndex;
+    await this.renderContent();
+
+    const thumb = this.dialog.querySelector(`[data-image="${imageIndex}"]`);
+    if (thumb) thumb.focus();
+  }
+
+  // ==========================================================================
+  // Event Handling
+  // ==========================================================================
+
+  /**
+   * Clicks: close, pager, thumbnails, and the overlay backdrop
+   * @param {MouseEvent} e - Click event
+   * @private
+   */
+  handleClick(e) {
+    if (e.target === this.overlay) {
+      this.close();
+      return;
+    }
+
+    const control = e.target.closest('[data-act], [data-image]');
+    if (!control) return;
+
+    if (control.dataset.act === 'close') {
+      this.close();
+    } else if (control.dataset.act === 'next') {
+      this.go(1);
+    } else if (control.dataset.act === 'previous') {
+      this.go(-1);
+    } else if (control.dataset.image !== undefined) {
+      this.showImage(Number(control.dataset.image));
+    }
+  }
+
+  /**
+   * Escape closes (Tab is handled by the focus trap)
+   * @param {KeyboardEvent} e - Keyboard event
+   * @private
+   */
+  handleKeyDown(e) {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      this.close();
+    }
+  }
+
+  /**
+   * Update language (re-renders an open drawer)
+   * @param {string} lang - New language code
+   * @returns {Promise<void>}
+   */
+  async updateLanguage(lang) {
+    this.lang = lang;
+    if (this.isOpen()) {
+      await this.renderContent();
+    }
+  }
+
+  // ==========================================================================
+  // Analytics Helper
+  // ==========================================================================
+
+  /**
+   * Track analytics event (privacy-safe)
+   * Uses global trackEvent if available (from app.js)
+   *
+   * @param {string} eventName - Event name
+   * @param {Object} [properties={}] - Event properties (NO PII)
+   * @private
+   */
+  trackEvent(eventName, properties = {}) {
+    if (typeof window.trackEvent === 'function') {
+      window.trackEvent(eventName, properties);
+    } else {
+      console.log('[DetailDrawer] Analytics event:', eventName, properties);
+    }
+  }
+
+  // ==========================================================================
+  // Getters (for testing/debugging)
+  // ==========================================================================
+
+  /**
+   * @returns {boolean} Whether the drawer is showing
+   */
+  isOpen() {
+    return this.dialog !== null;
+  }
+
+  /**
+   * @returns {string|null} SKU id on screen, if open
+   */
+  getCurrentSku() {
+    return this.isOpen() ? this.current().id : null;
+  }
+}
+
+// ============================================================================
+// Module Exports
+// ============================================================================
+
+/**
+ * Export summary:
+ *
+ * Default export: DetailDrawer class
+ *
+ * Public methods:
+ * - constructor(options)
+ * - open(arrangements, index, { pushHash }) → Promise<HTMLElement|null>
+ * - close({ fromHistory })
+ * - go(step) → Promise<void>
+ * - isOpen() → boolean, getCurrentSku() → string|null
+ * - updateLanguage(lang), destroy()
+ *
+ * Named exports:
+ * - readDetailHash(hash) → string|null
+ * - DETAIL_HASH_PREFIX
+ *
+ * Usage:
+ * import DetailDrawer, { readDetailHash } from './components/detail_drawer.js';
+ *
+ * const drawer = new DetailDrawer({ lang: 'en' });
+ * await drawer.open(currentCardData, 1);
+ */
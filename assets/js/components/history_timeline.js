@@ -0,0 +1,317 @@
+/**
+ * ARVYAM HistoryTimeline Component
+ * Compact timeline of this session's curations, rendered under the triad
+ *
+ * Features:
+ * - One step per triad shown (search, hints, refine, intent assist, shared link)
+ * - Selecting a step restores that triad without a new request
+ * - Shown only once there are two or more curations
+ * - Keyboard and screen reader friendly (ordered list of buttons, aria-current)
+ *
+ * Constitutional Compliance:
+ * - Selection Invariance: Restores whole triads only, never single cards
+ * - Guest-First: Optional, one tap back to a selection they liked
+ * - Privacy: Shows refinement text back to the guest only; analytics get positions
+ *
+ * @module HistoryTimeline
+ * @version 1.0.0
+ */
+
+import { t } from '../i18n/strings.js';
+
+// ============================================================================
+// HistoryTimeline Class
+// ============================================================================
+
+export default class HistoryTimeline {
+  /**
+   * Create a HistoryTimeline instance
+   *
+   * @param {Object} options - Configuration options
+   * @param {string} [options.lang='en'] - Language code for localization
+   * @param {Function} [options.onRestore] - Callback with the selected entry id
+   */
+  constructor(options = {}) {
+    this.lang = options.lang || 'en';
+    this.onRestore = options.onRestore || null;
+
+    this.element = null;
+    this.boundHandlers = {
+      click: null
+    };
+  }
+
+  // ==========================================================================
+  // Lifecycle Methods
+  // ==========================================================================
+
+  /**
+   * Render the timeline into a parent container
+   * Replaces any timeline rendered earlier
+   *
+   * @param {HTMLElement} parentContainer - Container (e.g., #curated-results)
+   * @param {Object[]} entries - History entries, oldest first
+   * @param {string|null} currentId - Entry on screen
+   * @returns {Promise<HTMLElement|null>} Timeline element, or null when hidden
+   */
+  async attach(parentContainer, entries, currentId) {
+    this.detach();
+
+    if (!parentContainer || !Array.isArray(entries) || entries.length < 2) {
+      return null;
+    }
+
+    this.element = await this.createDOM(entries, currentId);
+    parentContainer.appendChild(this.element);
+    this.bindEvents();
+
+    return this.element;
+  }
+
+  /**
+   * Remove the timeline from the DOM
+   */
+  detach() {
+    if (!this.element) return;
+
+    if (this.boundHandlers.click) {
+      this.element.removeEventListener('click', this.boundHandlers.click);
+      this.boundHandlers.click = null;
+    }
+
+    if (this.element.parentNode) {
+      this.element.parentNode.removeChild(this.element);
+    }
+
+    this.element = null;
+  }
+
+  /**
+   * Destroy the component
+   */
+  destroy() {
+    this.detach();
+    this.onRestore = null;
+  }
+
+  // ==========================================================================
+  // DOM Creation
+  // ==========================================================================
+
+  /**
+   * Build the timeline markup
+   *
+   * @param {Object[]} entries - History entries
+   * @param {string|null} currentId - Entry on screen
+   * @returns {Promise<HTMLElement>} Nav element
+   * @private
+   */
+  async createDOM(entries, currentId) {
+    const [title, note, currentText] = await Promise.all([
+      t('history.title', this.lang),
+      t('history.session_note', this.lang),
+      t('history.current', this.lang)
+    ]);
+
+    const nav = document.createElement('nav');
+    nav.className = 'curation-timeline';
+    nav.setAttribute('aria-labelledby', 'curation-timeline-title');
+
+    const heading = document.createElement('h3');
+    heading.className = 'curation-timeline__title';
+    heading.id = 'curation-timeline-title';
+    heading.textContent = title;
+
+    const helper = document.createElement('p');
+    helper.className = 'curation-timeline__note';
+    helper.textContent = note;
+
+    const list = document.createElement('ol');
+    list.className = 'curation-timeline__list';
+
+    const items = await Promise.all(entries.map((entry, index) => {
+      return this.createItem(entry, index, entry.id === currentId, currentText);
+    }));
+    items.forEach(item => list.appendChild(item));
+
+    nav.appendChild(heading);
+    nav.appendChild(helper);
+    nav.appendChild(list);
+
+    return nav;
+  }
+
+  /**
+   * Build one timeline step
+   *
+   * @param {Object} entry - History entry
+   * @param {number} index - 0-based position
+   * @param {boolean} isCurrent - Whether this triad is on screen
+   * @param {string} currentText - Localized "showing now" label
+   * @returns {Promise<HTMLElement>} List item
+   * @private
+   */
+  async createItem(entry, index, isCurrent, currentText) {
+    const step = index + 1;
+    const time = this.formatTime(entry.timestamp);
+    const kindText = await t(`history.kind.${entry.kind}`, this.lang);
+    const label = await t('history.item_label', this.lang, { n: step, kind: kindText, time });
+
+    const item = document.createElement('li');
+    item.className = 'curation-timeline__step';
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'curation-timeline__item tap-target';
+    button.dataset.entryId = entry.id;
+    button.setAttribute('aria-label', label);
+
+    if (isCurrent) {
+      button.setAttribute('aria-current', 'step');
+      button.classList.add('is-current');
+    }
+
+    const number = document.createElement('span');
+    number.className = 'curation-timeline__number';
+    number.setAttribute('aria-hidden', 'true');
+    number.textContent = String(step);
+
+    const text = document.createElement('span');
+    text.className = 'curation-timeline__text';
+    text.setAttribute('aria-hidden', 'true');
+    text.textContent = `${kindText} · ${time}`;
+
+    button.appendChild(number);
+    button.appendChild(text);
+
+    // Echo the guest's own adjustment back to them (never to analytics)
+    if (entry.refinement) {
+      const detail = document.createElement('span');
+      detail.className = 'curation-timeline__detail';
+      detail.textContent = entry.refinement;
+      button.appendChild(detail);
+    }
+
+    if (isCurrent) {
+      const badge = document.createElement('span');
+      badge.className = 'curation-timeline__current';
+      badge.textContent = currentText;
+      button.appendChild(badge);
+    }
+
+    item.appendChild(button);
+    return item;
+  }
+
+  /**
+   * Local HH:MM for a timestamp
+   * @param {number} timestamp - Epoch ms
+   * @returns {string} Formatted time
+   * @private
+   */
+  formatTime(timestamp) {
+    try {
+      return new Intl.DateTimeFormat(this.lang === 'en' ? 'en-IN' : `${this.lang}-IN`, {
+        hour: 'numeric',
+        minute: '2-digit'
+      }).format(new Date(timestamp));
+    } catch (error) {
+      return '';
+    }
+  }
+
+  // ==========================================================================
+  // Event Handling
+  // ==========================================================================
+
+  /**
+   * Bind a delegated click handler for the step buttons
+   * @private
+   */
+  bindEvents() {
+    if (!this.element) return;
+
+    this.boundHandlers.click = (e) => {
+      const button = e.target.closest('.curation-timeline__item');
+      if (!button || button.getAttribute('aria-current') === 'step') return;
+
+      const buttons = Array.from(this.element.querySelectorAll('.curation-timeline__item'));
+
+      // Positions only - no prompt or refinement text
+      this.trackEvent('history_step_selected', {
+        position: buttons.indexOf(button) + 1,
+        total: buttons.length
+      });
+
+      if (typeof this.onRestore === 'function') {
+        this.onRestore(button.dataset.entryId);
+      }
+    };
+    this.element.addEventListener('click', this.boundHandlers.click);
+  }
+
+  /**
+   * Update language for the next render
+   * @param {string} lang - New language code
+   */
+  updateLanguage(lang) {
+    this.lang = lang;
+  }
+
+  // ==========================================================================
+  // Analytics Helper
+  // ==========================================================================
+
+  /**
+   * Track analytics event (privacy-safe)
+   * Uses global trackEvent if available (from app.js)
+   *
+   * @param {string} eventName - Event name
+   * @param {Object} [properties={}] - Event properties (NO PII)
+   * @private
+   */
+  trackEvent(eventName, properties = {}) {
+    if (typeof window.trackEvent === 'function') {
+      window.trackEvent(eventName, properties);
+    } else {
+      console.log('[HistoryTimeline] Analytics event:', eventName, properties);
+    }
+  }
+
+  // ==========================================================================
+  // Getters (for testing/debugging)
+  // ==========================================================================
+
+  /**
+   * @returns {HTMLElement|null} Rendered timeline
+   */
+  getElement() {
+    return this.element;
+  }
+}
+
+// ============================================================================
+// Module Exports
+// ============================================================================
+
+/**
+ * Export summary:
+ *
+ * Default export: HistoryTimeline class
+ *
+ * Public methods:
+ * - constructor(options)
+ * - attach(parentContainer, entries, currentId) → Promise<HTMLElement|null>
+ * - detach()
+ * - destroy()
+ * - updateLanguage(lang)
+ *
+ * Usage:
+ * import HistoryTimeline from './components/history_timeline.js';
+ *
+ * const timeline = new HistoryTimeline({
+ *   lang: 'en',
+ *   onRestore: (entryId) => restoreCuration(entryId)
+ * });
+ * await timeline.attach(resultsContainer, history.getEntries(), history.currentId);
+ */
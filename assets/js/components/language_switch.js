@@ -1,28 +1,47 @@
 /**
- * ARVYAM LanguageSwitch Component (A3: Footer-Right Pill)
- * Simplified language toggle for footer placement
- * 
+ * ARVYAM LanguageSwitch Component (A3: Footer-Right Menu)
+ * Language menu button for footer placement
+ *
  * Features:
  * - Mounts into #policy-footer as a right-aligned pill
- * - English | हिंदी toggle button
- * - Instant language switching with CustomEvent broadcast
+ * - Pill shows the current language; opens a menu of every supported
+ *   language (getSupportedLanguages()) by its native name
+ * - Partially translated languages are marked (checked on first open)
+ * - ARIA menu button: arrow keys, Home/End, type-ahead (native or English
+ *   name), Escape/Tab to close
+ * - Instant language switching with CustomEvent broadcast (arvy:language)
  * - Persists choice with manual_lang flag
  * - Full WCAG 2.1 AA compliance
- * 
+ *
  * Constitutional Compliance:
- * - Guest-First: Simple, clear language selection
+ * - Guest-First: Every language in its own script, current one checked
  * - Privacy: No analytics on language preference (functional only)
  * - ARVY Persona: Minimal UI, no jargon
- * 
+ *
  * @module LanguageSwitch
- * @version 2.0.0 (A3: Footer-right pill)
+ * @version 3.0.0 (A3: Footer-right menu)
  */
 
-import { detectLanguage, setLanguage } from '../i18n/lang_detect.js';
+import { detectLanguage, getSupportedLanguages, LANGUAGE_NAMES } from '../i18n/lang_detect.js';
+import { t, getStringbankCoverage } from '../i18n/strings.js';
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+/**
+ * Type-ahead keystrokes closer together than this extend the search string
+ */
+const TYPEAHEAD_RESET_MS = 500;
+
+/**
+ * Menu id (button aria-controls)
+ */
+const MENU_ID = 'lang-menu';
 
 /**
  * LanguageSwitch Class
- * Footer-mounted language toggle
+ * Footer-mounted language menu
  */
 export default class LanguageSwitch {
   /**
@@ -37,11 +56,22 @@ export default class LanguageSwitch {
     this.onChange = opts.onChange || (() => {});
     this.anchorSelector = opts.anchorSelector || '#policy-footer';
     this.el = null;
+    this.button = null;
+    this.menu = null;
+    this.items = [];
+
+    this.coverageChecked = false;
+    this.typeahead = '';
+    this.typeaheadTimer = null;
+
+    this.boundHandlers = {
+      documentClick: (event) => this.handleDocumentClick(event)
+    };
   }
 
   /**
-   * Mount the language switch into the footer
-   * Creates a pill button with English | हिंदी toggle
+   * Mount the language menu into the footer
+   * Creates the pill button and its (closed) menu
    */
   mount() {
     const host = document.querySelector(this.anchorSelector);
@@ -50,104 +80,401 @@ export default class LanguageSwitch {
       return;
     }
 
-    // Create pill container
+    // Get current language from localStorage (manual choice or detection)
+    this.lang = localStorage.getItem('arvyam_lang') || this.lang || 'en';
+
     this.el = document.createElement('div');
     this.el.className = 'lang-pill';
-    this.el.setAttribute('role', 'group');
-    this.el.setAttribute('aria-label', 'Language selection');
-
-    // Get current language from localStorage (with manual flag check)
-    const storedLang = localStorage.getItem('arvyam_lang') || 'en';
-    const isManual = localStorage.getItem('manual_lang') === 'true';
-    this.lang = storedLang;
-
-    // Create toggle button with both languages visible
-    const button = document.createElement('button');
-    button.type = 'button';
-    button.className = 'lang-pill__btn';
-    button.setAttribute('aria-label', 'Change language');
-
-    // Build button content: English | हिंदी (with current language emphasized)
-    const enSpan = document.createElement('span');
-    enSpan.dataset.lang = 'en';
-    enSpan.textContent = 'English';
-    enSpan.className = this.lang === 'en' ? 'lang-pill__active' : '';
-
-    const separator = document.createElement('span');
-    separator.className = 'lang-pill__sep';
-    separator.textContent = ' | ';
-    separator.setAttribute('aria-hidden', 'true');
-
-    const hiSpan = document.createElement('span');
-    hiSpan.dataset.lang = 'hi';
-    hiSpan.textContent = 'हिंदी';
-    hiSpan.className = this.lang === 'hi' ? 'lang-pill__active' : '';
-
-    button.appendChild(enSpan);
-    button.appendChild(separator);
-    button.appendChild(hiSpan);
-
-    // Click handler: toggle between EN and HI
-    button.addEventListener('click', () => {
-      const current = localStorage.getItem('arvyam_lang') || 'en';
-      const next = current === 'en' ? 'hi' : 'en';
-
-      // Update localStorage with manual flag
-      localStorage.setItem('arvyam_lang', next);
-      localStorage.setItem('manual_lang', 'true'); // Manual choice wins over auto-detect
-
-      // Update visual state
-      enSpan.className = next === 'en' ? 'lang-pill__active' : '';
-      hiSpan.className = next === 'hi' ? 'lang-pill__active' : '';
-
-      // Update document lang
-      document.documentElement.lang = next;
-
-      // Dispatch custom event for components to listen
-      const event = new CustomEvent('arvy:language', {
-        detail: { lang: next, from: current, trigger: 'manual_footer_pill' },
-        bubbles: true,
-        cancelable: false
-      });
-      document.dispatchEvent(event);
-
-      // Call onChange callback
-      this.onChange(next);
-
-      console.log(`[LanguageSwitch] Language changed: ${current} → ${next}`);
+
+    this.button = document.createElement('button');
+    this.button.type = 'button';
+    this.button.className = 'lang-pill__btn';
+    this.button.id = 'lang-menu-button';
+    this.button.setAttribute('aria-haspopup', 'menu');
+    this.button.setAttribute('aria-expanded', 'false');
+    this.button.setAttribute('aria-controls', MENU_ID);
+
+    const current = document.createElement('span');
+    current.className = 'lang-pill__current';
+
+    const caret = document.createElement('span');
+    caret.className = 'lang-pill__caret';
+    caret.setAttribute('aria-hidden', 'true');
+    caret.textContent = '▾';
+
+    this.button.appendChild(current);
+    this.button.appendChild(caret);
+
+    this.menu = document.createElement('ul');
+    this.menu.className = 'lang-menu';
+    this.menu.id = MENU_ID;
+    this.menu.setAttribute('role', 'menu');
+    this.menu.setAttribute('aria-labelledby', 'lang-menu-button');
+    this.menu.hidden = true;
+
+    this.items = getSupportedLanguages().map(code => this.createItem(code));
+    this.items.forEach(item => {
+      const li = document.createElement('li');
+      li.setAttribute('role', 'none');
+      li.appendChild(item);
+      this.menu.appendChild(li);
+    });
+
+    this.button.addEventListener('click', () => {
+      if (this.isOpen()) {
+        this.close();
+      } else {
+        this.open();
+      }
     });
+    this.button.addEventListener('keydown', (event) => this.handleButtonKeydown(event));
+    this.menu.addEventListener('keydown', (event) => this.handleMenuKeydown(event));
 
-    this.el.appendChild(button);
+    this.el.appendChild(this.button);
+    this.el.appendChild(this.menu);
     host.appendChild(this.el);
 
+    this.render();
+
     console.log('[LanguageSwitch] Mounted to', this.anchorSelector);
   }
 
+  // ==========================================================================
+  // DOM Creation
+  // ==========================================================================
+
+  /**
+   * One menu item (native name, marked with the language's own lang attribute)
+   * @param {string} code - Language code
+   * @returns {HTMLButtonElement} Item
+   * @private
+   */
+  createItem(code) {
+    const names = LANGUAGE_NAMES[code] || { native: code, english: code };
+
+    const item = document.createElement('button');
+    item.type = 'button';
+    item.className = 'lang-menu__item';
+    item.setAttribute('role', 'menuitemradio');
+    item.setAttribute('tabindex', '-1');
+    item.dataset.lang = code;
+    item.dataset.search = `${names.native} ${names.english}`.toLowerCase();
+
+    const name = document.createElement('span');
+    name.className = 'lang-menu__name';
+    name.lang = code;
+    name.textContent = names.native;
+    item.appendChild(name);
+
+    item.addEventListener('click', () => this.select(code));
+
+    return item;
+  }
+
+  /**
+   * Sync the pill label, checked item and translated labels with this.lang
+   * @returns {Promise<void>}
+   * @private
+   */
+  async render() {
+    if (!this.el) return;
+
+    const names = LANGUAGE_NAMES[this.lang] || { native: this.lang };
+    const current = this.button.querySelector('.lang-pill__current');
+    current.lang = this.lang;
+    current.textContent = names.native;
+
+    this.items.forEach(item => {
+      item.setAttribute('aria-checked', String(item.dataset.lang === this.lang));
+    });
+
+    const lang = this.lang;
+    const [buttonLabel, partialLabel] = await Promise.all([
+      t('language.button_label', lang, { language: names.native }),
+      t('language.partial', lang)
+    ]);
+    if (lang !== this.lang || !this.el) return;
+
+    this.button.setAttribute('aria-label', buttonLabel);
+    this.el.querySelectorAll('.lang-menu__partial').forEach(badge => {
+      badge.textContent = partialLabel;
+    });
+  }
+
+  /**
+   * Mark languages whose stringbank does not cover every English key
+   * Runs once, on first open (loads the other stringbanks lazily)
+   * @returns {Promise<void>}
+   * @private
+   */
+  async markPartialLanguages() {
+    if (this.coverageChecked) return;
+    this.coverageChecked = true;
+
+    const partialLabel = await t('language.partial', this.lang);
+
+    await Promise.all(this.items.map(async item => {
+      const coverage = await getStringbankCoverage(item.dataset.lang);
+      if (coverage >= 1 || item.querySelector('.lang-menu__partial')) return;
+
+      const badge = document.createElement('span');
+      badge.className = 'lang-menu__partial';
+      badge.textContent = partialLabel;
+      item.appendChild(badge);
+      item.classList.add('is-partial');
+    }));
+  }
+
+  // ==========================================================================
+  // Menu State
+  // ==========================================================================
+
+  /**
+   * Open the menu and focus an item
+   * @param {'current'|'first'|'last'} [focus='current'] - Item to focus
+   */
+  open(focus = 'current') {
+    if (!this.menu) return;
+
+    this.menu.hidden = false;
+    this.button.setAttribute('aria-expanded', 'true');
+    document.addEventListener('click', this.boundHandlers.documentClick, true);
+
+    const checked = this.items.findIndex(item => item.dataset.lang === this.lang);
+    const index = focus === 'first' ? 0
+      : focus === 'last' ? this.items.length - 1
+        : Math.max(checked, 0);
+    this.focusItem(index);
+
+    this.markPartialLanguages();
+  }
+
+  /**
+   * Close the menu
+   * @param {Object} [options={}] - Close options
+   * @param {boolean} [options.restoreFocus=true] - Return focus to the pill
+   */
+  close({ restoreFocus = true } = {}) {
+    if (!this.menu || this.menu.hidden) return;
+
+    this.menu.hidden = true;
+    this.button.setAttribute('aria-expanded', 'false');
+    document.removeEventListener('click', this.boundHandlers.documentClick, true);
+    this.typeahead = '';
+
+    if (restoreFocus) {
+      this.button.focus();
+    }
+  }
+
+  /**
+   * @returns {boolean} Whether the menu is showing
+   */
+  isOpen() {
+    return !!this.menu && !this.menu.hidden;
+  }
+
+  /**
+   * Focus a menu item by index (wraps around)
+   * @param {number} index - Item index
+   * @private
+   */
+  focusItem(index) {
+    const count = this.items.length;
+    if (count === 0) return;
+    this.items[((index % count) + count) % count].focus();
+  }
+
+  /**
+   * @returns {number} Index of the focused item (-1 if none)
+   * @private
+   */
+  focusedIndex() {
+    return this.items.indexOf(document.activeElement);
+  }
+
+  // ==========================================================================
+  // Event Handling
+  // ==========================================================================
+
+  /**
+   * Arrow keys on the pill open the menu (ARIA menu button pattern)
+   * @param {KeyboardEvent} event - Keydown event
+   * @private
+   */
+  handleButtonKeydown(event) {
+    if (event.key === 'ArrowDown') {
+      event.preventDefault();
+      this.open('current');
+    } else if (event.key === 'ArrowUp') {
+      event.preventDefault();
+      this.open('last');
+    }
+  }
+
+  /**
+   * Menu navigation, selection and type-ahead
+   * @param {KeyboardEvent} event - Keydown event
+   * @private
+   */
+  handleMenuKeydown(event) {
+    const index = this.focusedIndex();
+
+    switch (event.key) {
+      case 'ArrowDown':
+        event.preventDefault();
+        this.focusItem(index + 1);
+        break;
+      case 'ArrowUp':
+        event.preventDefault();
+        this.focusItem(index - 1);
+        break;
+      case 'Home':
+        event.preventDefault();
+        this.focusItem(0);
+        break;
+      case 'End':
+        event.preventDefault();
+        this.focusItem(this.items.length - 1);
+        break;
+      case 'Escape':
+        event.preventDefault();
+        this.close();
+        break;
+      case 'Tab':
+        this.close({ restoreFocus: false });
+        break;
+      case 'Enter':
+      case ' ':
+        event.preventDefault();
+        if (index >= 0) {
+          this.select(this.items[index].dataset.lang);
+        }
+        break;
+      default:
+        if (event.key.length === 1 && !event.ctrlKey && !event.metaKey && !event.altKey) {
+          this.handleTypeahead(event.key, index);
+        }
+    }
+  }
+
+  /**
+   * Move focus to the next item whose native or English name starts with the typed text
+   * @param {string} char - Typed character
+   * @param {number} index - Focused item index
+   * @private
+   */
+  handleTypeahead(char, index) {
+    clearTimeout(this.typeaheadTimer);
+    this.typeaheadTimer = setTimeout(() => { this.typeahead = ''; }, TYPEAHEAD_RESET_MS);
+
+    const key = char.toLowerCase();
+    const repeated = this.typeahead === key;
+
+    // A repeated single letter cycles through matches; a longer string refines the current one
+    if (!repeated && this.typeahead && this.findMatch(this.typeahead + key, index) >= 0) {
+      this.typeahead += key;
+    } else {
+      this.typeahead = key;
+    }
+
+    const start = this.typeahead.length === 1 ? index + 1 : index;
+    const match = this.findMatch(this.typeahead, start);
+    if (match >= 0) {
+      this.focusItem(match);
+    }
+  }
+
+  /**
+   * First item at or after `start` (wrapping) with a name starting with `text`
+   * @param {string} text - Lowercase search text
+   * @param {number} start - Index to search from
+   * @returns {number} Item index, or -1
+   * @private
+   */
+  findMatch(text, start) {
+    const count = this.items.length;
+
+    for (let offset = 0; offset < count; offset++) {
+      const candidate = (((start + offset) % count) + count) % count;
+      const words = this.items[candidate].dataset.search.split(' ');
+      if (words.some(word => word.startsWith(text))) {
+        return candidate;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Close when a click lands outside the pill
+   * @param {MouseEvent} event - Click event
+   * @private
+   */
+  handleDocumentClick(event) {
+    if (this.el && !this.el.contains(event.target)) {
+      this.close({ restoreFocus: false });
+    }
+  }
+
   /**
-   * Update language programmatically
-   * @param {string} lang - Language code ('en' or 'hi')
+   * Switch to a language and broadcast it
+   * @param {string} next - Language code
+   */
+  select(next) {
+    const current = localStorage.getItem('arvyam_lang') || this.lang || 'en';
+    this.close();
+
+    if (next === current) return;
+
+    // Update localStorage with manual flag
+    localStorage.setItem('arvyam_lang', next);
+    localStorage.setItem('manual_lang', 'true'); // Manual choice wins over auto-detect
+
+    this.lang = next;
+    this.render();
+
+    // Update document lang
+    document.documentElement.lang = next;
+
+    // Dispatch custom event for components to listen
+    const event = new CustomEvent('arvy:language', {
+      detail: { lang: next, from: current, trigger: 'manual_footer_pill' },
+      bubbles: true,
+      cancelable: false
+    });
+    document.dispatchEvent(event);
+
+    // Call onChange callback
+    this.onChange(next);
+
+    console.log(`[LanguageSwitch] Language changed: ${current} → ${next}`);
+  }
+
+  /**
+   * Update language programmatically (e.g. the Hindi nudge switched it)
+   * @param {string} lang - Language code
    */
   updateLanguage(lang) {
     if (!this.el) return;
 
     this.lang = lang;
     localStorage.setItem('arvyam_lang', lang);
-
-    // Update visual state
-    const enSpan = this.el.querySelector('[data-lang="en"]');
-    const hiSpan = this.el.querySelector('[data-lang="hi"]');
-
-    if (enSpan) enSpan.className = lang === 'en' ? 'lang-pill__active' : '';
-    if (hiSpan) hiSpan.className = lang === 'hi' ? 'lang-pill__active' : '';
+    this.render();
   }
 
   /**
    * Destroy the component
    */
   destroy() {
+    document.removeEventListener('click', this.boundHandlers.documentClick, true);
+    clearTimeout(this.typeaheadTimer);
+
     if (this.el && this.el.parentNode) {
       this.el.parentNode.removeChild(this.el);
     }
     this.el = null;
+    this.button = null;
+    this.menu = null;
+    this.items = [];
   }
 }
@@ -0,0 +1,352 @@
+/**
+ * ARVYAM PincodeCheck Component
+ * Optional "Deliver to" pincode field under the curate form
+ *
+ * Features:
+ * - Indian 6-digit format checked before any request ("560 001" is fine)
+ * - Serviceability answer through the app's check() (cached for the session)
+ * - Polite status line: delivers here / not yet / could not check
+ * - Enter checks the pincode instead of submitting anything
+ * - Refills the session's pincode on load, from the cache (no request)
+ *
+ * Constitutional Compliance:
+ * - Guest-First: Entirely optional; an unserviceable pincode never blocks curation
+ * - Privacy: The pincode is never logged or sent to analytics (outcome only)
+ *
+ * @module PincodeCheck
+ * @version 1.0.0
+ */
+
+import { t } from '../i18n/strings.js';
+import { normalizePincode } from '../pincode.js';
+
+// ============================================================================
+// PincodeCheck Class
+// ============================================================================
+
+export default class PincodeCheck {
+  /**
+   * Create a PincodeCheck instance
+   *
+   * @param {Object} [options={}] - Configuration options
+   * @param {string} [options.lang='en'] - Language code for localization
+   * @param {Function} options.check - (pincode) => Promise<{ pincode, serviceable, delivery_windows }>
+   * @param {Function} [options.onChange] - (result|null) => void when the checked pincode changes
+   */
+  constructor(options = {}) {
+    this.lang = options.lang || 'en';
+    this.check = options.check || null;
+    this.onChange = options.onChange || null;
+
+    this.element = null;
+    this.labelElement = null;
+    this.input = null;
+    this.button = null;
+    this.statusElement = null;
+
+    // Last outcome, re-rendered on language change
+    this.state = { status: null, result: null };
+    this.requestId = 0;
+
+    this.boundHandlers = {
+      click: null,
+      keydown: null,
+      input: null
+    };
+  }
+
+  // ==========================================================================
+  // Lifecycle Methods
+  // ==========================================================================
+
+  /**
+   * Render the field after an element (the curate form)
+   *
+   * @param {HTMLElement} anchor - Element to render after
+   * @param {Object|null} [initial=null] - Cached answer for the session's pincode
+   * @returns {Promise<HTMLElement|null>} Pincode element or null
+   */
+  async attach(anchor, initial = null) {
+    this.detach();
+
+    if (!anchor || typeof this.check !== 'function') {
+      return null;
+    }
+
+    this.element = await this.createDOM();
+    anchor.insertAdjacentElement('afterend', this.element);
+    this.bindEvents();
+
+    if (initial) {
+      this.input.value = initial.pincode;
+      this.state = { status: initial.serviceable ? 'serviceable' : 'unserviceable', result: initial };
+      await this.renderStatus();
+    }
+
+    return this.element;
+  }
+
+  /**
+   * Remove from the DOM
+   */
+  detach() {
+    if (this.button && this.boundHandlers.click) {
+      this.button.removeEventListener('click', this.boundHandlers.click);
+    }
+    if (this.input) {
+      this.input.removeEventListener('keydown', this.boundHandlers.keydown);
+      this.input.removeEventListener('input', this.boundHandlers.input);
+    }
+
+    if (this.element && this.element.parentNode) {
+      this.element.parentNode.removeChild(this.element);
+    }
+
+    this.element = null;
+    this.labelElement = null;
+    this.input = null;
+    this.button = null;
+    this.statusElement = null;
+  }
+
+  /**
+   * Destroy the component
+   */
+  destroy() {
+    this.detach();
+    this.state = { status: null, result: null };
+  }
+
+  // ==========================================================================
+  // DOM Creation
+  // ==========================================================================
+
+  /**
+   * Build the label, field, button and status line
+   * @returns {Promise<HTMLElement>} Pincode wrapper
+   * @private
+   */
+  async createDOM() {
+    const wrap = document.createElement('div');
+    wrap.className = 'pincode-check';
+
+    this.labelElement = document.createElement('label');
+    this.labelElement.className = 'pincode-check__label';
+    this.labelElement.htmlFor = 'pincode-input';
+
+    this.input = document.createElement('input');
+    this.input.type = 'text';
+    this.input.id = 'pincode-input';
+    this.input.className = 'pincode-check__input';
+    this.input.inputMode = 'numeric';
+    this.input.autocomplete = 'postal-code';
+    this.input.maxLength = 7;
+    this.input.setAttribute('aria-describedby', 'pincode-status');
+
+    this.button = document.createElement('button');
+    this.button.type = 'button';
+    this.button.className = 'btn btn--secondary pincode-check__button tap-target';
+
+    this.statusElement = document.createElement('p');
+    this.statusElement.id = 'pincode-status';
+    this.statusElement.className = 'pincode-check__status';
+    this.statusElement.setAttribute('role', 'status');
+    this.statusElement.setAttribute('aria-live', 'polite');
+
+    wrap.appendChild(this.labelElement);
+    wrap.appendChild(this.input);
+    wrap.appendChild(this.button);
+    wrap.appendChild(this.statusElement);
+
+    await this.renderLabels();
+
+    return wrap;
+  }
+
+  /**
+   * Localize the label and button
+   * @private
+   */
+  async renderLabels() {
+    if (!this.labelElement) return;
+
+    const [label, button] = await Promise.all([
+      t('pincode.label', this.lang),
+      t('pincode.check', this.lang)
+    ]);
+
+    if (!this.labelElement) return;
+    this.labelElement.textContent = label;
+    this.button.textContent = button;
+  }
+
+  /**
+   * Render the status line for the last outcome
+   * @private
+   */
+  async renderStatus() {
+    if (!this.statusElement) return;
+
+    const { status, result } = this.state;
+    let message = '';
+
+    if (status === 'serviceable') {
+      const earliest = result.delivery_windows[0];
+      message = earliest
+        ? await t('pincode.serviceable', this.lang, {
+          pincode: result.pincode,
+          window: await t(`compare.window.${earliest}`, this.lang)
+        })
+        : await t('pincode.serviceable_any', this.lang, { pincode: result.pincode });
+    } else if (status) {
+      message = await t(`pincode.${status}`, this.lang, { pincode: result?.pincode || '' });
+    }
+
+    if (!this.statusElement) return;
+    this.statusElement.textContent = message;
+    this.input.setAttribute('aria-invalid', String(status === 'invalid'));
+  }
+
+  // ==========================================================================
+  // Event Handling
+  // ==========================================================================
+
+  /**
+   * Bind button, Enter and clearing
+   * @private
+   */
+  bindEvents() {
+    this.boundHandlers.click = () => this.handleCheck();
+    this.boundHandlers.keydown = (event) => {
+      if (event.key === 'Enter') {
+        event.preventDefault();
+        this.handleCheck();
+      }
+    };
+    this.boundHandlers.input = () => {
+      // Emptying the field forgets the pincode
+      if (!this.input.value.trim() && this.state.status) {
+        this.handleCheck();
+      }
+    };
+
+    this.button.addEventListener('click', this.boundHandlers.click);
+    this.input.addEventListener('keydown', this.boundHandlers.keydown);
+    this.input.addEventListener('input', this.boundHandlers.input);
+  }
+
+  /**
+   * Validate and check the typed pincode
+   * An empty field clears the pincode; a newer check supersedes an older one
+   *
+   * @returns {Promise<string>} 'cleared' | 'invalid' | 'serviceable' | 'unserviceable' | 'error' | 'superseded'
+   */
+  async handleCheck() {
+    if (!this.input) return 'cleared';
+
+    const requestId = ++this.requestId;
+    const raw = this.input.value.trim();
+
+    if (!raw) {
+      return this.settle(null, null);
+    }
+
+    const pincode = normalizePincode(raw);
+    if (!pincode) {
+      this.trackEvent('pincode_invalid');
+      return this.settle('invalid', null);
+    }
+
+    this.input.value = pincode;
+    this.state = { status: 'checking', result: { pincode } };
+    await this.renderStatus();
+
+    let result = null;
+    let status = 'error';
+    try {
+      result = await this.check(pincode);
+      status = result.serviceable ? 'serviceable' : 'unserviceable';
+    } catch (error) {
+      // Transport or malformed answer - guests get the calm line only
+      console.warn('[PincodeCheck] Serviceability check failed:', error?.kind || error?.name);
+      result = { pincode };
+    }
+
+    if (requestId !== this.requestId) return 'superseded';
+
+    this.trackEvent('pincode_checked', { outcome: status });
+    return this.settle(status, result);
+  }
+
+  /**
+   * Store the outcome, render it and tell the app
+   * @param {string|null} status - Outcome (null clears)
+   * @param {Object|null} result - Serviceability answer (or { pincode } on error)
+   * @returns {Promise<string>} Outcome
+   * @private
+   */
+  async settle(status, result) {
+    this.state = { status, result };
+    await this.renderStatus();
+
+    if (typeof this.onChange === 'function') {
+      this.onChange(status === 'serviceable' || status === 'unserviceable' ? result : null);
+    }
+
+    return status || 'cleared';
+  }
+
+  /**
+   * Update language (labels and the status line)
+   * @param {string} lang - New language code
+   */
+  async updateLanguage(lang) {
+    this.lang = lang;
+    await this.renderLabels();
+    await this.renderStatus();
+  }
+
+  // ==========================================================================
+  // Analytics Helper
+  // ==========================================================================
+
+  /**
+   * Track analytics event (privacy-safe)
+   * Uses global trackEvent if available (from app.js)
+   *
+   * @param {string} eventName - Event name
+   * @param {Object} [properties={}] - Event properties (NO PII, never the pincode)
+   * @private
+   */
+  trackEvent(eventName, properties = {}) {
+    if (typeof window.trackEvent === 'function') {
+      window.trackEvent(eventName, properties);
+    } else {
+      console.log('[PincodeCheck] Analytics event:', eventName, properties);
+    }
+  }
+}
+
+// ============================================================================
+// Module Exports
+// ============================================================================
+
+/**
+ * Export summary:
+ *
+ * Default export: PincodeCheck class
+ *
+ * Public methods:
+ * - constructor(options)
+ * - attach(anchor, initial) → Promise<HTMLElement|null>
+ * - detach()
+ * - destroy()
+ * - handleCheck() → Promise<string>
+ * - updateLanguage(lang)
+ *
+ * Usage:
+ * import PincodeCheck from './components/pincode_check.js';
+ *
+ * const pincodeCheck = new PincodeCheck({ lang: 'en', check, onChange });
+ * await pincodeCheck.attach(document.getElementById('curate-form'));
+ */
@@ -0,0 +1,470 @@
+/**
+ * ARVYAM RationalePanel Component
+ * Collapsible "Why these three" explanation above the card grid
+ *
+ * Features:
+ * - Reads the optional rationale of a curate response: detected emotion
+ *   anchor, relationship, tone, plus a short reason per card
+ * - When the backend sends none, derives a modest explanation from the
+ *   hints or IntentAssist answers that were sent with the request
+ * - Always closes with the triad's structure (2 mixed + 1 single-flower)
+ * - Enum values are rendered through the stringbank in the current
+ *   language; unknown values are skipped, never shown raw
+ * - Disclosure button (aria-expanded) controlling a labelled region
+ *
+ * Constitutional Compliance:
+ * - Equal Emphasis: Per-card reasons are listed in card order, same markup,
+ *   no "best pick" wording
+ * - Privacy: Only enum values are echoed - never the guest's own words;
+ *   analytics get the toggle state and explanation source only
+ *
+ * @module RationalePanel
+ * @version 1.0.0
+ */
+
+import { t } from '../i18n/strings.js';
+import { arrangementName } from '../i18n/content.js';
+import {
+  VALID_RELATIONSHIPS,
+  VALID_OCCASIONS,
+  VALID_BUDGET_RANGES,
+  VALID_DELIVERY_WINDOWS
+} from '../validators.js';
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+/**
+ * Values with a stringbank label, per rationale field
+ * Relationship/occasion/tone cover both HintForm and IntentAssist vocabularies
+ */
+export const RATIONALE_VALUES = {
+  emotion_anchor: [
+    'love',
+    'gratitude',
+    'celebration',
+    'comfort',
+    'apology',
+    'encouragement',
+    'remembrance',
+    'new_beginning'
+  ],
+  relationship: [...VALID_RELATIONSHIPS, 'romantic', 'family', 'self'],
+  occasion: [...VALID_OCCASIONS, 'justbecause'],
+  tone: ['joyful', 'romantic', 'supportive', 'elegant', 'bright', 'calm']
+};
+
+/**
+ * IntentAssist spells some values differently from HintForm
+ */
+const VALUE_ALIASES = {
+  justbecause: 'just_because'
+};
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/**
+ * Stringbank key suffix for a known value, or null
+ * @param {string} field - Key of RATIONALE_VALUES
+ * @param {*} value - Candidate value
+ * @returns {string|null}
+ */
+function knownValue(field, value) {
+  if (!RATIONALE_VALUES[field].includes(value)) return null;
+  return VALUE_ALIASES[value] || value;
+}
+
+/**
+ * Explanation signals derived from what the guest sent
+ * Hints win over IntentAssist answers for the same field
+ *
+ * @param {Object} [sent={}] - What accompanied the request
+ * @param {Object|null} [sent.hints] - HintForm values
+ * @param {Object|null} [sent.intent] - IntentAssist answers ({ relationship, occasion, tone })
+ * @returns {Object|null} { relationship, occasion, tone, budget_inr, delivery_window } or null
+ */
+export function deriveRationale({ hints = null, intent = null } = {}) {
+  const signals = {
+    relationship: knownValue('relationship', hints?.relationship ?? intent?.relationship),
+    occasion: knownValue('occasion', hints?.occasion ?? intent?.occasion),
+    tone: knownValue('tone', intent?.tone),
+    budget_inr: VALID_BUDGET_RANGES.includes(hints?.budget_inr) ? hints.budget_inr : null,
+    delivery_window: VALID_DELIVERY_WINDOWS.includes(hints?.delivery_window) ? hints.delivery_window : null
+  };
+
+  return Object.values(signals).some(Boolean) ? signals : null;
+}
+
+// ============================================================================
+// RationalePanel Class
+// ============================================================================
+
+export default class RationalePanel {
+  /**
+   * Create a RationalePanel instance
+   *
+   * @param {Object} [options={}] - Configuration options
+   * @param {string} [options.lang='en'] - Language code for localization
+   * @param {Function} [options.onToggle] - Called with the new expanded state
+   */
+  constructor(options = {}) {
+    this.lang = options.lang || 'en';
+    this.onToggle = options.onToggle || null;
+
+    this.element = null;
+    this.toggleButton = null;
+    this.body = null;
+    this.expanded = false;
+    this.source = null;
+
+    this.boundHandlers = {
+      toggle: null
+    };
+  }
+
+  // ==========================================================================
+  // Lifecycle Methods
+  // ==========================================================================
+
+  /**
+   * Render the panel for a triad
+   * Replaces any earlier render; renders nothing unless there are exactly 3 arrangements
+   *
+   * @param {HTMLElement} parentContainer - Container (e.g., #curated-results)
+   * @param {Object[]} arrangements - The triad, in card order (per-card `rationale` text)
+   * @param {Object} [options={}] - Render options
+   * @param {Object|null} [options.rationale] - Normalized backend rationale
+   * @param {Object|null} [options.hints] - Hints sent with the request
+   * @param {Object|null} [options.intent] - IntentAssist answers sent with the request
+   * @param {HTMLElement} [options.before] - Element to insert the panel before (the card grid)
+   * @param {boolean} [options.expanded=false] - Start expanded
+   * @returns {Promise<HTMLElement|null>} Panel element or null
+   */
+  async attach(parentContainer, arrangements, options = {}) {
+    this.detach();
+
+    if (!parentContainer || !Array.isArray(arrangements) || arrangements.length !== 3) {
+      return null;
+    }
+
+    const lines = await this.getLines(options);
+    const reasons = arrangements
+      .filter(arrangement => typeof arrangement.rationale === 'string' && arrangement.rationale)
+      .map(arrangement => ({
+        name: arrangementName(arrangement, this.lang),
+        text: arrangement.rationale
+      }));
+
+    this.element = await this.createDOM(lines, reasons);
+
+    if (options.before && options.before.parentNode === parentContainer) {
+      parentContainer.insertBefore(this.element, options.before);
+    } else {
+      parentContainer.appendChild(this.element);
+    }
+
+    this.bindEvents();
+    await this.setExpanded(!!options.expanded);
+
+    return this.element;
+  }
+
+  /**
+   * Remove from the DOM
+   */
+  detach() {
+    if (this.toggleButton && this.boundHandlers.toggle) {
+      this.toggleButton.removeEventListener('click', this.boundHandlers.toggle);
+      this.boundHandlers.toggle = null;
+    }
+
+    if (this.element && this.element.parentNode) {
+      this.element.parentNode.removeChild(this.element);
+    }
+
+    this.element = null;
+    this.toggleButton = null;
+    this.body = null;
+  }
+
+  /**
+   * Destroy the component
+   */
+  destroy() {
+    this.detach();
+    this.onToggle = null;
+  }
+
+  // ==========================================================================
+  // Content
+  // ==========================================================================
+
+  /**
+   * Explanation lines, localized
+   * Backend rationale first; derived signals when it has nothing known
+   *
+   * @param {Object} options - See attach()
+   * @returns {Promise<string[]>} Lines (the triad line is always last)
+   * @private
+   */
+  async getLines({ rationale = null, hints = null, intent = null } = {}) {
+    const lines = [];
+
+    if (rationale) {
+      const anchor = knownValue('emotion_anchor', rationale.emotion_anchor);
+      const relationship = knownValue('relationship', rationale.relationship);
+      const tone = knownValue('tone', rationale.tone);
+
+      if (anchor) {
+        lines.push(await this.line('anchor', 'anchor', anchor));
+      }
+      if (relationship) {
+        lines.push(await this.line('relationship', 'relationship', relationship));
+      }
+      if (tone) {
+        lines.push(await this.line('tone', 'tone', tone));
+      }
+    }
+
+    if (lines.length > 0) {
+      this.source = 'backend';
+    } else {
+      const derived = deriveRationale({ hints, intent });
+
+      if (derived?.relationship) {
+        lines.push(await this.line('relationship', 'relationship', derived.relationship));
+      }
+      if (derived?.occasion) {
+        lines.push(await this.line('occasion', 'occasion', derived.occasion));
+      }
+      if (derived?.tone) {
+        lines.push(await this.line('tone', 'tone', derived.tone));
+      }
+      if (derived?.budget_inr) {
+        lines.push(await t('rationale.line.budget', this.lang, { range: derived.budget_inr }));
+      }
+      if (derived?.delivery_window) {
+        const label = await t(`compare.window.${derived.delivery_window}`, this.lang);
+        lines.push(await t('rationale.line.delivery', this.lang, { window: label }));
+      }
+
+      this.source = lines.length > 0 ? 'derived' : 'structure';
+    }
+
+    lines.push(await t('rationale.line.triad', this.lang));
+    return lines;
+  }
+
+  /**
+   * One enum-driven line, e.g. rationale.line.tone with rationale.tone.calm
+   * @param {string} line - Line key
+   * @param {string} field - Label group
+   * @param {string} value - Known value
+   * @returns {Promise<string>}
+   * @private
+   */
+  async line(line, field, value) {
+    const label = await t(`rationale.${field}.${value}`, this.lang);
+    return t(`rationale.line.${line}`, this.lang, { [field]: label });
+  }
+
+  // ==========================================================================
+  // DOM Creation
+  // ==========================================================================
+
+  /**
+   * Build the disclosure button and its (collapsed) body
+   * @param {string[]} lines - Explanation lines
+   * @param {Array<{name: string, text: string}>} reasons - Per-card reasons, card order
+   * @returns {Promise<HTMLElement>} Panel element
+   * @private
+   */
+  async createDOM(lines, reasons) {
+    const panel = document.createElement('section');
+    panel.className = 'rationale-panel';
+    panel.setAttribute('data-source', this.source);
+
+    this.toggleButton = document.createElement('button');
+    this.toggleButton.type = 'button';
+    this.toggleButton.className = 'rationale-panel__toggle tap-target';
+    this.toggleButton.id = 'rationale-panel-toggle';
+    this.toggleButton.setAttribute('aria-controls', 'rationale-panel-body');
+    this.toggleButton.setAttribute('aria-expanded', 'false');
+    this.toggleButton.textContent = await t('rationale.title', this.lang);
+
+    this.body = document.createElement('div');
+    this.body.className = 'rationale-panel__body';
+    this.body.id = 'rationale-panel-body';
+    this.body.setAttribute('role', 'region');
+    this.body.setAttribute('aria-labelledby', 'rationale-panel-toggle');
+    this.body.hidden = true;
+
+    if (this.source !== 'structure') {
+      const lead = document.createElement('p');
+      lead.className = 'rationale-panel__lead';
+      lead.textContent = await t(`rationale.lead_${this.source}`, this.lang);
+      this.body.appendChild(lead);
+    }
+
+    const list = document.createElement('ul');
+    list.className = 'rationale-panel__lines';
+    lines.forEach(text => {
+      const item = document.createElement('li');
+      item.textContent = text;
+      list.appendChild(item);
+    });
+    this.body.appendChild(list);
+
+    if (reasons.length > 0) {
+      const heading = document.createElement('p');
+      heading.className = 'rationale-panel__reasons-title';
+      heading.textContent = await t('rationale.cards', this.lang);
+
+      const reasonList = document.createElement('ul');
+      reasonList.className = 'rationale-panel__reasons';
+      reasons.forEach(reason => {
+        const item = document.createElement('li');
+
+        const name = document.createElement('span');
+        name.className = 'rationale-panel__card';
+        name.textContent = reason.name;
+
+        item.appendChild(name);
+        item.appendChild(document.createTextNode(` — ${reason.text}`));
+        reasonList.appendChild(item);
+      });
+
+      this.body.appendChild(heading);
+      this.body.appendChild(reasonList);
+    }
+
+    panel.appendChild(this.toggleButton);
+    panel.appendChild(this.body);
+
+    return panel;
+  }
+
+  // ==========================================================================
+  // Event Handling
+  // ==========================================================================
+
+  /**
+   * Bind the disclosure button
+   * @private
+   */
+  bindEvents() {
+    if (!this.toggleButton) return;
+
+    this.boundHandlers.toggle = async () => {
+      await this.setExpanded(!this.expanded);
+
+      this.trackEvent('rationale_toggled', {
+        expanded: this.expanded,
+        source: this.source
+      });
+
+      if (typeof this.onToggle === 'function') {
+        this.onToggle(this.expanded);
+      }
+    };
+    this.toggleButton.addEventListener('click', this.boundHandlers.toggle);
+  }
+
+  /**
+   * Expand or collapse the explanation
+   * @param {boolean} expanded - Show the body
+   * @returns {Promise<void>}
+   */
+  async setExpanded(expanded) {
+    this.expanded = expanded;
+    if (!this.element) return;
+
+    this.body.hidden = !expanded;
+    this.toggleButton.setAttribute('aria-expanded', String(expanded));
+    this.element.classList.toggle('is-expanded', expanded);
+  }
+
+  /**
+   * Update language for the next render
+   * @param {string} lang - New language code
+   */
+  updateLanguage(lang) {
+    this.lang = lang;
+  }
+
+  // ==========================================================================
+  // Analytics Helper
+  // ==========================================================================
+
+  /**
+   * Track analytics event (privacy-safe)
+   * Uses global trackEvent if available (from app.js)
+   *
+   * @param {string} eventName - Event name
+   * @param {Object} [properties={}] - Event properties (NO PII)
+   * @private
+   */
+  trackEvent(eventName, properties = {}) {
+    if (typeof window.trackEvent === 'function') {
+      window.trackEvent(eventName, properties);
+    } else {
+      console.log('[RationalePanel] Analytics event:', eventName, properties);
+    }
+  }
+
+  // ==========================================================================
+  // Getters (for testing/debugging)
+  // ==========================================================================
+
+  /**
+   * @returns {HTMLElement|null} Rendered panel
+   */
+  getElement() {
+    return this.element;
+  }
+
+  /**
+   * @returns {boolean} Whether the explanation is showing
+   */
+  isExpanded() {
+    return this.expanded;
+  }
+
+  /**
+   * @returns {string|null} 'backend', 'derived' or 'structure' (last render)
+   */
+  getSource() {
+    return this.source;
+  }
+}
+
+// ============================================================================
+// Module Exports
+// ============================================================================
+
+/**
+ * Export summary:
+ *
+ * Default export: RationalePanel class
+ *
+ * Public methods:
+ * - constructor(options)
+ * - attach(parentContainer, arrangements, { rationale, hints, intent, before, expanded }) → Promise<HTMLElement|null>
+ * - setExpanded(expanded) → Promise<void>
+ * - detach()
+ * - destroy()
+ * - updateLanguage(lang)
+ *
+ * Named exports:
+ * - deriveRationale({ hints, intent }) → Object|null
+ * - RATIONALE_VALUES
+ *
+ * Usage:
+ * import RationalePanel from './components/rationale_panel.js';
+ *
+ * const rationalePanel = new RationalePanel({ lang: 'en' });
+ * await rationalePanel.attach(resultsContainer, arrangements, { rationale: data.rationale, hints, before: grid });
+ */
@@ -6,9 +6,21 @@
  * PHASE 13A CHANGES:
  * - 13A.1: Buy button URLs (checkout navigation)
  * - 13A.2: Price display fix (data.price field, proper formatting)
+ * 
+ * "Keep this one" pin toggle (refine with keep_sku_ids) - the app decides
+ * whether a pin is allowed; the card only reflects the state
+ *
+ * Product name/description come from name_i18n/description_i18n in the card's
+ * language when the API sends them (English, then catalog text, otherwise);
+ * text in another language than the UI is marked with its own lang attribute
+ *
+ * A delivery note (already localized by the app) says when this arrangement
+ * cannot reach the guest's pincode in time - the card stays in the triad
  */
 
 import { t } from '../i18n/strings.js';
+import { formatCurrency } from '../i18n/format.js';
+import { pickLocalized } from '../i18n/content.js';
 
 /**
  * ResultCard class - Displays a single bouquet result
@@ -22,13 +34,19 @@ export default class ResultCard {
    * @param {string} data.name - Bouquet name (1-2 words)
    * @param {string} data.occasion - Occasion/relationship hint (3-5 words)
    * @param {string} data.description - Brief description (≤25 words)
-   * @param {string} data.image - Path to WebP image (no fallback needed)
-   * @param {number} [data.price] - Price in INR (integer)
+   * @param {Object<string, string>} [data.name_i18n] - Name per language tag
+   * @param {Object<string, string>} [data.description_i18n] - Description per language tag
+   * @param {string|null} data.image - Path to WebP image (null renders an empty frame)
+   * @param {number} [data.price] - Price in INR (integer; 0 or missing shows "—")
    * @param {string} [data.imageAlt] - Optional alt text override
    * @param {Object} [options={}] - Configuration options
    * @param {string} [options.lang='en'] - Language code
    * @param {boolean} [options.lazyLoad=true] - Enable lazy loading
    * @param {Function} [options.onSelect] - Callback when card is selected
+   * @param {boolean} [options.pinnable=false] - Show the "Keep this one" toggle
+   * @param {boolean} [options.pinned=false] - Initial pin state
+   * @param {Function} [options.onPinToggle] - (data, pinned) => boolean; return false to refuse
+   * @param {string|null} [options.deliveryNote] - Localized delivery notice for the guest's pincode
    */
   constructor(data, options = {}) {
     this.data = data;
@@ -36,11 +54,16 @@ export default class ResultCard {
       lang: 'en',
       lazyLoad: true,
       onSelect: null,
+      pinnable: false,
+      pinned: false,
+      onPinToggle: null,
+      deliveryNote: null,
       ...options
     };
 
     this.element = null;
     this.boundHandlers = new Map();
+    this.pinned = !!this.options.pinned;
     this.cardId = `result-card-${data.id}`;
     this.titleId = `${this.cardId}-title`;
     
@@ -85,14 +108,15 @@ export default class ResultCard {
     card.setAttribute('data-bouquet-id', this.data.id);
 
     // Get translated strings
+    const content = this.getContent(this.options.lang);
     const [title, subtitle, description, ctaText, altText] = await Promise.all([
-      t('result.title', this.options.lang, { name: this.data.name }),
+      t('result.title', this.options.lang, { name: content.name.text }),
       t('result.subtitle', this.options.lang, { occasion: this.data.occasion }),
-      t('result.description', this.options.lang, { description: this.data.description }),
+      t('result.description', this.options.lang, { description: content.description.text }),
       t('result.cta', this.options.lang),
       this.data.imageAlt
         ? Promise.resolve(this.data.imageAlt)
-        : t('result.image_alt', this.options.lang, { name: this.data.name })
+        : t('result.image_alt', this.options.lang, { name: content.name.text })
     ]);
     
     // PHASE 13A.2: Price display fix - use correct field from API
@@ -102,16 +126,16 @@ export default class ResultCard {
     const price = this.data.price; // Use correct field name
     
     if (typeof price === 'number' && price > 0) {
-      // Use Intl.NumberFormat for proper currency formatting
-      priceText = new Intl.NumberFormat('en-IN', {
-        style: 'currency',
-        currency: 'INR',
-        maximumFractionDigits: 0
-      }).format(price);
+      // Indian digit grouping in the card's language (₹1,25,000)
+      priceText = formatCurrency(price, this.options.lang);
     }
 
+    const pin = this.options.pinnable ? await this.getPinText(this.options.lang) : null;
+
     // SPEC COMPLIANT: Simple <img> with WebP only, width/height attributes
+    // No image from the API: a plain, decorative frame of the same size
     card.innerHTML = `
+      ${this.data.image ? `
       <div class="result-card__image-wrapper">
         <img
           src="${this.escapeHtml(this.data.image)}"
@@ -124,9 +148,12 @@ export default class ResultCard {
           class="result-card__image"
         >
       </div>
+      ` : `
+      <div class="result-card__image-wrapper result-card__image-wrapper--empty" aria-hidden="true"></div>
+      `}
 
       <div class="result-card__content">
-        <h3 class="result-card__title" id="${this.titleId}">
+        <h3 class="result-card__title" id="${this.titleId}"${this.langAttribute(content.name)}>
           ${this.escapeHtml(title)}
         </h3>
 
@@ -136,10 +163,23 @@ export default class ResultCard {
         
         <p class="result-card__price">${this.escapeHtml(priceText)}</p>
 
-        <p class="result-card__description">
+        ${this.options.deliveryNote ? `
+        <p class="result-card__delivery-note" role="note">${this.escapeHtml(this.options.deliveryNote)}</p>
+        ` : ''}
+
+        <p class="result-card__description"${this.langAttribute(content.description)}>
           ${this.escapeHtml(description)}
         </p>
 
+        ${pin ? `
+        <button
+          type="button"
+          class="result-card__pin tap-target"
+          aria-pressed="${this.pinned}"
+          aria-label="${this.escapeHtml(pin.label)}"
+        >${this.escapeHtml(pin.text)}</button>
+        ` : ''}
+
         <a
           href="${this.checkoutUrl}"
           class="btn btn--primary result-card__cta"
@@ -152,6 +192,7 @@ export default class ResultCard {
 
     // Set aria-labelledby to title
     card.setAttribute('aria-labelledby', this.titleId);
+    card.classList.toggle('is-pinned', this.pinned);
 
     this.element = card;
     this.bindEvents();
@@ -169,11 +210,14 @@ export default class ResultCard {
     const handleCardClick = (e) => {
       // Don't trigger if clicking directly on the button
       if (e.target.closest('.result-card__cta')) return;
+      if (e.target.closest('.result-card__pin')) return;
       this.handleSelect();
     };
 
     // Keyboard handler for card
     const handleCardKeydown = (e) => {
+      // The pin toggle is a native button - let it handle its own keys
+      if (e.target.closest('.result-card__pin')) return;
       if (e.key === 'Enter' || e.key === ' ') {
         e.preventDefault();
         this.handleSelect();
@@ -183,7 +227,7 @@ export default class ResultCard {
     // Button click handler
     const handleButtonClick = (e) => {
       e.stopPropagation();
-      this.handleSelect();
+      this.handleSelect('cta');
     };
 
     // Button keyboard handler
@@ -191,11 +235,18 @@ export default class ResultCard {
       if (e.key === 'Enter' || e.key === ' ') {
         e.preventDefault();
         e.stopPropagation();
-        this.handleSelect();
+        this.handleSelect('cta');
       }
     };
 
+    // Pin toggle click handler
+    const handlePinClick = (e) => {
+      e.stopPropagation();
+      this.togglePin();
+    };
+
     // Store bound handlers for cleanup
+    this.boundHandlers.set('pinClick', handlePinClick);
     this.boundHandlers.set('cardClick', handleCardClick);
     this.boundHandlers.set('cardKeydown', handleCardKeydown);
     this.boundHandlers.set('buttonClick', handleButtonClick);
@@ -210,19 +261,83 @@ export default class ResultCard {
       button.addEventListener('click', handleButtonClick);
       button.addEventListener('keydown', handleButtonKeydown);
     }
+
+    const pinButton = this.element.querySelector('.result-card__pin');
+    if (pinButton) {
+      pinButton.addEventListener('click', handlePinClick);
+    }
+  }
+
+  /**
+   * Toggle "Keep this one"
+   * The onPinToggle callback may refuse (e.g. a pin limit) by returning false
+   * @returns {Promise<boolean>} New pin state
+   */
+  async togglePin() {
+    const next = !this.pinned;
+
+    if (typeof this.options.onPinToggle === 'function' &&
+        this.options.onPinToggle(this.data, next) === false) {
+      return this.pinned;
+    }
+
+    await this.setPinned(next);
+    return this.pinned;
+  }
+
+  /**
+   * Set the pin state without notifying the app
+   * @param {boolean} pinned - Pin state
+   * @returns {Promise<void>}
+   */
+  async setPinned(pinned) {
+    this.pinned = !!pinned;
+    if (!this.element) return;
+
+    this.element.classList.toggle('is-pinned', this.pinned);
+
+    const pinButton = this.element.querySelector('.result-card__pin');
+    if (pinButton) {
+      const pin = await this.getPinText(this.options.lang);
+      pinButton.setAttribute('aria-pressed', String(this.pinned));
+      pinButton.textContent = pin.text;
+    }
+  }
+
+  /**
+   * @returns {boolean} Whether the guest asked to keep this card
+   */
+  isPinned() {
+    return this.pinned;
+  }
+
+  /**
+   * Localized pin toggle text and accessible name
+   * @param {string} lang - Language code
+   * @returns {Promise<{text: string, label: string}>}
+   * @private
+   */
+  async getPinText(lang) {
+    const [text, label] = await Promise.all([
+      t(this.pinned ? 'result.pinned' : 'result.pin', lang),
+      t('result.pin_label', lang, { name: this.getContent(lang).name.text })
+    ]);
+    return { text, label };
   }
 
   /**
    * Handles card selection
    * PHASE 13A.1: CTA is now semantic <a href> - navigation handled by browser
    * Emits custom event and calls callback for analytics/tracking
+   * @param {string} [source='card'] - 'card' (opens details) or 'cta' (checkout link)
    */
-  handleSelect() {
+  handleSelect(source = 'card') {
     // Emit custom event
     const event = new CustomEvent('card-selected', {
       detail: {
         bouquet: this.data,
-        cardId: this.cardId
+        cardId: this.cardId,
+        source
       },
       bubbles: true,
       cancelable: true
@@ -247,6 +362,11 @@ export default class ResultCard {
 
     // Remove event listeners
     const button = this.element.querySelector('.result-card__cta');
+    const pinButton = this.element.querySelector('.result-card__pin');
+
+    if (pinButton && this.boundHandlers.has('pinClick')) {
+      pinButton.removeEventListener('click', this.boundHandlers.get('pinClick'));
+    }
 
     if (this.boundHandlers.has('cardClick')) {
       this.element.removeEventListener('click', this.boundHandlers.get('cardClick'));
@@ -285,14 +405,15 @@ export default class ResultCard {
     this.options.lang = lang;
 
     // Get new translations
+    const content = this.getContent(lang);
     const [title, subtitle, description, ctaText, altText] = await Promise.all([
-      t('result.title', lang, { name: this.data.name }),
+      t('result.title', lang, { name: content.name.text }),
       t('result.subtitle', lang, { occasion: this.data.occasion }),
-      t('result.description', lang, { description: this.data.description }),
+      t('result.description', lang, { description: content.description.text }),
       t('result.cta', lang),
       this.data.imageAlt
         ? Promise.resolve(this.data.imageAlt)
-        : t('result.image_alt', lang, { name: this.data.name })
+        : t('result.image_alt', lang, { name: content.name.text })
     ]);
     
     // PHASE 13A.2: Price translation with correct field
@@ -301,11 +422,7 @@ export default class ResultCard {
     const price = this.data.price; // Use correct field name
     
     if (typeof price === 'number' && price > 0) {
-      priceText = new Intl.NumberFormat('en-IN', {
-        style: 'currency',
-        currency: 'INR',
-        maximumFractionDigits: 0
-      }).format(price);
+      priceText = formatCurrency(price, lang);
     }
 
     // Update text content
@@ -316,15 +433,65 @@ export default class ResultCard {
     const ctaEl = this.element.querySelector('.result-card__cta');
     const imgEl = this.element.querySelector('.result-card__image');
 
-    if (titleEl) titleEl.textContent = title;
+    if (titleEl) {
+      titleEl.textContent = title;
+      this.setContentLang(titleEl, content.name);
+    }
     if (subtitleEl) subtitleEl.textContent = subtitle;
     if (priceEl) priceEl.textContent = priceText;
-    if (descEl) descEl.textContent = description;
+    if (descEl) {
+      descEl.textContent = description;
+      this.setContentLang(descEl, content.description);
+    }
     if (ctaEl) {
       ctaEl.textContent = ctaText;
       ctaEl.setAttribute('aria-label', `${ctaText} - ${title}`);
     }
     if (imgEl) imgEl.setAttribute('alt', altText);
+
+    const pinButton = this.element.querySelector('.result-card__pin');
+    if (pinButton) {
+      const pin = await this.getPinText(lang);
+      pinButton.textContent = pin.text;
+      pinButton.setAttribute('aria-label', pin.label);
+    }
+  }
+
+  /**
+   * Product name and description for a language
+   * @param {string} lang - UI language
+   * @returns {{name: {text: string, lang: string|null}, description: {text: string, lang: string|null}}}
+   * @private
+   */
+  getContent(lang) {
+    return {
+      name: pickLocalized(this.data.name_i18n, lang, this.data.name),
+      description: pickLocalized(this.data.description_i18n, lang, this.data.description)
+    };
+  }
+
+  /**
+   * lang="…" markup for product text in another language than the UI
+   * @param {{lang: string|null}} picked - pickLocalized() result
+   * @returns {string} Attribute markup or ''
+   * @private
+   */
+  langAttribute(picked) {
+    return picked.lang && picked.lang !== this.options.lang ? ` lang="${picked.lang}"` : '';
+  }
+
+  /**
+   * Set or clear an element's lang attribute after a language switch
+   * @param {HTMLElement} element - Title or description element
+   * @param {{lang: string|null}} picked - pickLocalized() result
+   * @private
+   */
+  setContentLang(element, picked) {
+    if (picked.lang && picked.lang !== this.options.lang) {
+      element.setAttribute('lang', picked.lang);
+    } else {
+      element.removeAttribute('lang');
+    }
   }
 
   /**
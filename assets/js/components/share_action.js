@@ -0,0 +1,275 @@
+/**
+ * ARVYAM ShareAction Component
+ * "Share this selection" button shown under a curated triad
+ *
+ * Features:
+ * - Native share sheet where available (mobile), clipboard otherwise
+ * - Falls back to a selectable read-only link when neither is allowed
+ * - Polite status message for screen readers
+ *
+ * Constitutional Compliance:
+ * - Selection Invariance: Shares the whole triad, never a single card
+ * - Guest-First: One tap, no sign-in
+ * - Privacy: The link carries SKU ids, language and enum hints only (see share_link.js)
+ *
+ * @module ShareAction
+ * @version 1.0.0
+ */
+
+import { t } from '../i18n/strings.js';
+import { buildShareUrl } from '../share_link.js';
+
+// ============================================================================
+// ShareAction Class
+// ============================================================================
+
+export default class ShareAction {
+  /**
+   * Create a ShareAction instance
+   *
+   * @param {Object} [options={}] - Configuration options
+   * @param {string} [options.lang='en'] - Language code for localization
+   */
+  constructor(options = {}) {
+    this.lang = options.lang || 'en';
+
+    this.element = null;
+    this.button = null;
+    this.statusElement = null;
+    this.selection = null;
+
+    this.boundHandlers = {
+      click: null
+    };
+  }
+
+  // ==========================================================================
+  // Lifecycle Methods
+  // ==========================================================================
+
+  /**
+   * Render the share action for a selection
+   * Replaces any earlier render; renders nothing if the triad cannot be shared
+   *
+   * @param {HTMLElement} parentContainer - Container (e.g., #curated-results)
+   * @param {Object} selection - { skuIds, language, hints }
+   * @returns {Promise<HTMLElement|null>} Share element or null
+   */
+  async attach(parentContainer, selection) {
+    this.detach();
+
+    if (!parentContainer || !buildShareUrl(selection)) {
+      return null;
+    }
+
+    this.selection = selection;
+    this.element = await this.createDOM();
+    parentContainer.appendChild(this.element);
+    this.bindEvents();
+
+    return this.element;
+  }
+
+  /**
+   * Remove from the DOM
+   */
+  detach() {
+    if (this.button && this.boundHandlers.click) {
+      this.button.removeEventListener('click', this.boundHandlers.click);
+      this.boundHandlers.click = null;
+    }
+
+    if (this.element && this.element.parentNode) {
+      this.element.parentNode.removeChild(this.element);
+    }
+
+    this.element = null;
+    this.button = null;
+    this.statusElement = null;
+  }
+
+  /**
+   * Destroy the component
+   */
+  destroy() {
+    this.detach();
+    this.selection = null;
+  }
+
+  // ==========================================================================
+  // DOM Creation
+  // ==========================================================================
+
+  /**
+   * Build the button and its status line
+   * @returns {Promise<HTMLElement>} Share wrapper
+   * @private
+   */
+  async createDOM() {
+    const wrap = document.createElement('div');
+    wrap.className = 'share-action';
+
+    this.button = document.createElement('button');
+    this.button.type = 'button';
+    this.button.className = 'btn btn--secondary share-action__button tap-target';
+    this.button.textContent = await t('share.button', this.lang);
+
+    this.statusElement = document.createElement('p');
+    this.statusElement.className = 'share-action__status';
+    this.statusElement.setAttribute('role', 'status');
+    this.statusElement.setAttribute('aria-live', 'polite');
+
+    wrap.appendChild(this.button);
+    wrap.appendChild(this.statusElement);
+
+    return wrap;
+  }
+
+  // ==========================================================================
+  // Event Handling
+  // ==========================================================================
+
+  /**
+   * Bind the share button click handler
+   * @private
+   */
+  bindEvents() {
+    if (!this.button) return;
+
+    this.boundHandlers.click = () => this.handleShare();
+    this.button.addEventListener('click', this.boundHandlers.click);
+  }
+
+  /**
+   * Share via the native sheet, then clipboard, then a selectable link
+   * @returns {Promise<string>} 'shared' | 'copied' | 'manual' | 'cancelled'
+   */
+  async handleShare() {
+    const url = buildShareUrl(this.selection);
+    if (!url) return 'cancelled';
+
+    let method = 'manual';
+
+    if (typeof navigator.share === 'function') {
+      try {
+        await navigator.share({ title: await t('share.title', this.lang), url });
+        method = 'shared';
+      } catch (error) {
+        // Guest closed the share sheet - nothing to report
+        if (error?.name === 'AbortError') return 'cancelled';
+      }
+    }
+
+    if (method === 'manual' && navigator.clipboard?.writeText) {
+      try {
+        await navigator.clipboard.writeText(url);
+        method = 'copied';
+      } catch (error) {
+        // Clipboard blocked (permissions / insecure context) - show the link instead
+      }
+    }
+
+    if (method === 'copied') {
+      this.setStatus(await t('share.copied', this.lang));
+    } else if (method === 'manual') {
+      await this.showManualLink(url);
+    } else {
+      this.setStatus('');
+    }
+
+    this.trackEvent('selection_shared', {
+      method,
+      has_hints: !!this.selection?.hints && Object.keys(this.selection.hints).length > 0,
+      lang: this.selection?.language || this.lang
+    });
+
+    return method;
+  }
+
+  /**
+   * Update the status line
+   * @param {string} message - Localized message
+   * @private
+   */
+  setStatus(message) {
+    if (!this.statusElement) return;
+    this.statusElement.textContent = message;
+  }
+
+  /**
+   * Show the link in a read-only field, pre-selected for copying
+   * @param {string} url - Share URL
+   * @private
+   */
+  async showManualLink(url) {
+    if (!this.element) return;
+
+    this.setStatus(await t('share.manual', this.lang));
+
+    let field = this.element.querySelector('.share-action__link');
+    if (!field) {
+      field = document.createElement('input');
+      field.type = 'text';
+      field.readOnly = true;
+      field.className = 'share-action__link';
+      field.setAttribute('aria-label', await t('share.link_label', this.lang));
+      this.element.appendChild(field);
+    }
+
+    field.value = url;
+    field.focus();
+    field.select();
+  }
+
+  /**
+   * Update language for the next render
+   * @param {string} lang - New language code
+   */
+  updateLanguage(lang) {
+    this.lang = lang;
+  }
+
+  // ==========================================================================
+  // Analytics Helper
+  // ==========================================================================
+
+  /**
+   * Track analytics event (privacy-safe)
+   * Uses global trackEvent if available (from app.js)
+   *
+   * @param {string} eventName - Event name
+   * @param {Object} [properties={}] - Event properties (NO PII, no URL)
+   * @private
+   */
+  trackEvent(eventName, properties = {}) {
+    if (typeof window.trackEvent === 'function') {
+      window.trackEvent(eventName, properties);
+    } else {
+      console.log('[ShareAction] Analytics event:', eventName, properties);
+    }
+  }
+}
+
+// ============================================================================
+// Module Exports
+// ============================================================================
+
+/**
+ * Export summary:
+ *
+ * Default export: ShareAction class
+ *
+ * Public methods:
+ * - constructor(options)
+ * - attach(parentContainer, selection) → Promise<HTMLElement|null>
+ * - detach()
+ * - destroy()
+ * - handleShare() → Promise<string>
+ * - updateLanguage(lang)
+ *
+ * Usage:
+ * import ShareAction from './components/share_action.js';
+ *
+ * const shareAction = new ShareAction({ lang: 'en' });
+ * await shareAction.attach(resultsContainer, { skuIds, language, hints });
+ */
@@ -0,0 +1,485 @@
+/**
+ * ARVYAM VoiceInput Component
+ * Optional microphone button beside the feelings textarea
+ *
+ * Features:
+ * - Web Speech API (SpeechRecognition / webkitSpeechRecognition) only -
+ *   renders nothing in browsers without it
+ * - Listens in the UI language (hi → hi-IN, ta → ta-IN, ...)
+ * - Streams interim transcripts into the textarea as the guest speaks
+ * - Stops at the textarea's character limit (240) - nothing past it is written
+ * - Fires the textarea's input event, so validation, auto-resize and the
+ *   language nudge see spoken text exactly like typed text
+ * - Toggle button with aria-pressed and a polite status line
+ *
+ * Constitutional Compliance:
+ * - Guest-First: Typing always works; the microphone is an extra, never a gate
+ * - Privacy: Transcripts stay in the textarea - never logged, never sent to
+ *   analytics (events carry the language and an outcome code only)
+ *
+ * @module VoiceInput
+ * @version 1.0.0
+ */
+
+import { t } from '../i18n/strings.js';
+import { SUPPORTED_LANGUAGES } from '../i18n/lang_detect.js';
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+/**
+ * Used when the textarea has no maxlength
+ */
+const DEFAULT_MAX_LENGTH = 240;
+
+/**
+ * Recognition errors meaning the microphone is blocked (not worth retrying)
+ */
+const PERMISSION_ERRORS = new Set(['not-allowed', 'service-not-allowed']);
+
+/**
+ * Microphone glyph (decorative - the button carries an aria-label)
+ */
+const MIC_ICON = '<svg viewBox="0 0 24 24" width="20" height="20" aria-hidden="true" focusable="false">' +
+  '<path fill="currentColor" d="M12 14a3 3 0 0 0 3-3V5a3 3 0 0 0-6 0v6a3 3 0 0 0 3 3zm5-3a5 5 0 0 1-10 0H5a7 7 0 0 0 6 6.92V21h2v-3.08A7 7 0 0 0 19 11h-2z"/>' +
+  '</svg>';
+
+/**
+ * The browser's speech recognition constructor
+ * @returns {Function|null} SpeechRecognition, the webkit-prefixed one, or null
+ */
+function getRecognitionClass() {
+  if (typeof window === 'undefined') return null;
+  return window.SpeechRecognition || window.webkitSpeechRecognition || null;
+}
+
+/**
+ * Recognition locale for a UI language (Indian English/Hindi/... voices)
+ * @param {string} lang - UI language code
+ * @returns {string} BCP 47 tag, e.g. 'hi-IN'
+ */
+export function speechLocale(lang) {
+  return `${SUPPORTED_LANGUAGES.includes(lang) ? lang : 'en'}-IN`;
+}
+
+// ============================================================================
+// VoiceInput Class
+// ============================================================================
+
+export default class VoiceInput {
+  /**
+   * Create a VoiceInput instance
+   *
+   * @param {Object} [options={}] - Configuration options
+   * @param {string} [options.lang='en'] - Language code (UI and recognition)
+   * @param {number} [options.maxLength] - Character limit (defaults to the textarea's maxlength)
+   */
+  constructor(options = {}) {
+    this.lang = options.lang || 'en';
+    this.maxLength = options.maxLength || null;
+
+    this.textarea = null;
+    this.element = null;
+    this.button = null;
+    this.statusElement = null;
+
+    this.recognition = null;
+    this.listening = false;
+    this.baseText = '';
+    this.stopReason = null;
+
+    this.boundHandlers = {
+      click: null
+    };
+  }
+
+  /**
+   * Whether this browser can do speech recognition
+   * @returns {boolean}
+   */
+  static isSupported() {
+    return getRecognitionClass() !== null;
+  }
+
+  // ==========================================================================
+  // Lifecycle Methods
+  // ==========================================================================
+
+  /**
+   * Add the microphone button after a textarea
+   * Renders nothing when speech recognition is unavailable
+   *
+   * @param {HTMLTextAreaElement} textarea - Feelings textarea (#feelings-input)
+   * @returns {Promise<HTMLElement|null>} Voice input element or null
+   */
+  async attach(textarea) {
+    this.detach();
+
+    if (!textarea || !VoiceInput.isSupported()) {
+      return null;
+    }
+
+    this.textarea = textarea;
+    this.element = await this.createDOM();
+    textarea.insertAdjacentElement('afterend', this.element);
+    this.bindEvents();
+
+    return this.element;
+  }
+
+  /**
+   * Stop listening and remove from the DOM
+   */
+  detach() {
+    this.abortRecognition();
+
+    if (this.button && this.boundHandlers.click) {
+      this.button.removeEventListener('click', this.boundHandlers.click);
+      this.boundHandlers.click = null;
+    }
+
+    if (this.element && this.element.parentNode) {
+      this.element.parentNode.removeChild(this.element);
+    }
+
+    this.textarea = null;
+    this.element = null;
+    this.button = null;
+    this.statusElement = null;
+  }
+
+  /**
+   * Destroy the component
+   */
+  destroy() {
+    this.detach();
+  }
+
+  // ==========================================================================
+  // DOM Creation
+  // ==========================================================================
+
+  /**
+   * Build the toggle button and its status line
+   * @returns {Promise<HTMLElement>} Voice input wrapper
+   * @private
+   */
+  async createDOM() {
+    const wrap = document.createElement('div');
+    wrap.className = 'voice-input';
+
+    this.button = document.createElement('button');
+    this.button.type = 'button';
+    this.button.className = 'voice-input__button tap-target';
+    this.button.innerHTML = MIC_ICON;
+    this.button.setAttribute('aria-pressed', 'false');
+    if (this.textarea.id) {
+      this.button.setAttribute('aria-controls', this.textarea.id);
+    }
+
+    this.statusElement = document.createElement('p');
+    this.statusElement.className = 'voice-input__status sr-only';
+    this.statusElement.setAttribute('role', 'status');
+    this.statusElement.setAttribute('aria-live', 'polite');
+
+    wrap.appendChild(this.button);
+    wrap.appendChild(this.statusElement);
+
+    await this.renderLabel();
+
+    return wrap;
+  }
+
+  /**
+   * Label the button for its current state
+   * @private
+   */
+  async renderLabel() {
+    if (!this.button) return;
+
+    const listening = this.listening;
+    const label = await t(listening ? 'voice.stop' : 'voice.start', this.lang);
+
+    // Toggled or detached while the string loaded
+    if (!this.button || listening !== this.listening) return;
+
+    this.button.setAttribute('aria-label', label);
+    this.button.title = label;
+  }
+
+  /**
+   * Update the status line
+   * @param {string} message - Localized message ('' clears it)
+   * @private
+   */
+  setStatus(message) {
+    if (!this.statusElement) return;
+    this.statusElement.textContent = message;
+  }
+
+  // ==========================================================================
+  // Event Handling
+  // ==========================================================================
+
+  /**
+   * Bind the toggle click handler
+   * @private
+   */
+  bindEvents() {
+    if (!this.button) return;
+
+    this.boundHandlers.click = () => {
+      if (this.listening) {
+        this.stop();
+      } else {
+        this.start();
+      }
+    };
+    this.button.addEventListener('click', this.boundHandlers.click);
+  }
+
+  // ==========================================================================
+  // Recognition
+  // ==========================================================================
+
+  /**
+   * Whether the microphone is on
+   * @returns {boolean}
+   */
+  isListening() {
+    return this.listening;
+  }
+
+  /**
+   * Start listening; speech is appended after what is already typed
+   * @returns {Promise<boolean>} True if recognition started
+   */
+  async start() {
+    const Recognition = getRecognitionClass();
+    if (!this.textarea || !Recognition || this.listening) return false;
+
+    const existing = this.textarea.value.trimEnd();
+    if (existing.length >= this.getMaxLength()) {
+      this.setStatus(await t('voice.limit', this.lang, { max: this.getMaxLength() }));
+      return false;
+    }
+
+    this.baseText = existing ? `${existing} ` : '';
+    this.stopReason = null;
+
+    const recognition = new Recognition();
+    recognition.lang = speechLocale(this.lang);
+    recognition.interimResults = true;
+    recognition.continuous = true;
+    recognition.maxAlternatives = 1;
+
+    recognition.onresult = (event) => this.handleResult(event);
+    recognition.onerror = (event) => this.handleError(event);
+    recognition.onend = () => this.handleEnd(recognition);
+
+    try {
+      recognition.start();
+    } catch (error) {
+      // InvalidStateError and friends - the browser refused to start
+      this.setStatus(await t('voice.error', this.lang));
+      this.trackEvent('voice_input_error', { lang: this.lang, error: 'start-failed' });
+      return false;
+    }
+
+    this.recognition = recognition;
+    this.setListening(true);
+    this.setStatus(await t('voice.listening', this.lang));
+    this.trackEvent('voice_input_started', { lang: this.lang });
+
+    return true;
+  }
+
+  /**
+   * Stop listening; the browser delivers the last final result before 'end'
+   * @param {string} [reason='user'] - Why listening stopped (analytics)
+   */
+  stop(reason = 'user') {
+    if (!this.recognition) return;
+
+    this.stopReason = this.stopReason || reason;
+    this.recognition.stop();
+  }
+
+  /**
+   * Write everything heard so far (final + interim) into the textarea
+   * @param {SpeechRecognitionEvent} event - Result event
+   * @private
+   */
+  handleResult(event) {
+    if (!this.textarea) return;
+
+    let transcript = '';
+    for (let i = 0; i < event.results.length; i++) {
+      transcript += event.results[i][0]?.transcript || '';
+    }
+    transcript = transcript.replace(/\s+/g, ' ').trimStart();
+
+    const maxLength = this.getMaxLength();
+    const text = this.baseText + transcript;
+
+    this.textarea.value = text.slice(0, maxLength);
+    this.textarea.dispatchEvent(new Event('input', { bubbles: true }));
+
+    if (text.length >= maxLength) {
+      this.stop('limit');
+    }
+  }
+
+  /**
+   * Explain a recognition error (the error code is all that is tracked)
+   * @param {SpeechRecognitionErrorEvent} event - Error event
+   * @private
+   */
+  async handleError(event) {
+    const code = event?.error || 'unknown';
+
+    // Our own stop()/abort() - not a failure
+    if (code === 'aborted') return;
+
+    this.stopReason = 'error';
+
+    let key = 'voice.error';
+    if (PERMISSION_ERRORS.has(code)) {
+      key = 'voice.denied';
+    } else if (code === 'no-speech') {
+      key = 'voice.no_speech';
+    }
+
+    this.trackEvent('voice_input_error', { lang: this.lang, error: code });
+    this.setStatus(await t(key, this.lang));
+  }
+
+  /**
+   * Recognition session over - reset the button
+   * @param {Object} recognition - The session that ended
+   * @private
+   */
+  async handleEnd(recognition) {
+    if (recognition !== this.recognition) return;
+
+    const reason = this.stopReason || 'silence';
+    this.recognition = null;
+    this.setListening(false);
+
+    this.trackEvent('voice_input_stopped', { lang: this.lang, reason });
+
+    if (reason === 'limit') {
+      this.setStatus(await t('voice.limit', this.lang, { max: this.getMaxLength() }));
+    } else if (reason !== 'error') {
+      this.setStatus(await t('voice.stopped', this.lang));
+    }
+  }
+
+  /**
+   * Drop the session without waiting for a final result
+   * @private
+   */
+  abortRecognition() {
+    if (!this.recognition) return;
+
+    const recognition = this.recognition;
+    this.recognition = null;
+    recognition.onresult = null;
+    recognition.onerror = null;
+    recognition.onend = null;
+    recognition.abort();
+    this.setListening(false);
+  }
+
+  /**
+   * Reflect the listening state on the button
+   * @param {boolean} listening - Microphone on
+   * @private
+   */
+  setListening(listening) {
+    this.listening = listening;
+
+    if (this.button) {
+      this.button.setAttribute('aria-pressed', String(listening));
+      this.button.classList.toggle('is-listening', listening);
+      this.renderLabel();
+    }
+  }
+
+  /**
+   * Character limit for the textarea
+   * @returns {number}
+   * @private
+   */
+  getMaxLength() {
+    if (this.maxLength) return this.maxLength;
+    return this.textarea?.maxLength > 0 ? this.textarea.maxLength : DEFAULT_MAX_LENGTH;
+  }
+
+  /**
+   * Update language (labels now, recognition from the next start)
+   * A session already running keeps its locale, so it is stopped
+   *
+   * @param {string} lang - New language code
+   */
+  async updateLanguage(lang) {
+    if (this.lang === lang) return;
+
+    this.lang = lang;
+    if (this.listening) {
+      this.stop('language');
+    }
+    await this.renderLabel();
+  }
+
+  // ==========================================================================
+  // Analytics Helper
+  // ==========================================================================
+
+  /**
+   * Track analytics event (privacy-safe)
+   * Uses global trackEvent if available (from app.js)
+   *
+   * @param {string} eventName - Event name
+   * @param {Object} [properties={}] - Event properties (NO PII, never the transcript)
+   * @private
+   */
+  trackEvent(eventName, properties = {}) {
+    if (typeof window.trackEvent === 'function') {
+      window.trackEvent(eventName, properties);
+    } else {
+      console.log('[VoiceInput] Analytics event:', eventName, properties);
+    }
+  }
+}
+
+// ============================================================================
+// Module Exports
+// ============================================================================
+
+/**
+ * Export summary:
+ *
+ * Default export: VoiceInput class
+ *
+ * Named exports:
+ * - speechLocale(lang) → string
+ *
+ * Public methods:
+ * - constructor(options)
+ * - VoiceInput.isSupported() → boolean
+ * - attach(textarea) → Promise<HTMLElement|null>
+ * - detach()
+ * - destroy()
+ * - start() → Promise<boolean>
+ * - stop(reason)
+ * - isListening() → boolean
+ * - updateLanguage(lang)
+ *
+ * Usage:
+ * import VoiceInput from './components/voice_input.js';
+ *
+ * const voiceInput = new VoiceInput({ lang: 'hi' });
+ * await voiceInput.attach(document.getElementById('feelings-input'));
+ */
@@ -0,0 +1,286 @@
+/**
+ * ARVYAM Curate Cache
+ * Short-lived cache of curated triads, so re-submitting the same prompt and
+ * hints (often after a language toggle) does not wake the API host again
+ *
+ * Features:
+ * - Keyed by a hash of the normalized request: endpoint, prompt, hints,
+ *   language, refinement chain and pinned SKUs ("Roses " and "roses" match)
+ * - Delivery dates are part of the key, so "today" asked before the same-day
+ *   cut-off never answers "today" asked after it (the dates have moved on)
+ * - Entries expire after ttlMs; the least recently used go beyond maxEntries
+ * - Memory first, mirrored to sessionStorage so a reload can still hit
+ *
+ * Constitutional Compliance:
+ * - Curation Structure: Only triads that passed normalizeCurateResponse are stored
+ * - Privacy: Keys are hashes - prompt, hint and refinement text (and the
+ *   delivery pincode) never reach storage in clear, and nothing outlives the tab
+ *
+ * @module curate_cache
+ * @version 1.0.0
+ */
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+/**
+ * sessionStorage key (session-only by design - never localStorage)
+ */
+const STORAGE_KEY = 'arvyam_curate_cache';
+
+/**
+ * Default bounds: a triad is reused for 10 minutes, 20 triads at most
+ */
+const DEFAULTS = {
+  ttlMs: 10 * 60 * 1000,
+  maxEntries: 20
+};
+
+/**
+ * Request fields that hold guest text (compared case- and spacing-insensitively)
+ */
+const TEXT_FIELDS = ['prompt', 'refinements', 'tone_hint'];
+
+// ============================================================================
+// Keys
+// ============================================================================
+
+/**
+ * Collapse case and spacing so trivially different text shares a key
+ * @param {string} text - Guest text
+ * @returns {string} Normalized text
+ */
+function normalizeText(text) {
+  return text.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Serialize a request body with sorted keys and normalized text
+ * @param {*} value - Body (or part of it)
+ * @param {string} [field] - Field the value belongs to
+ * @returns {string} Stable serialization
+ */
+function stableSerialize(value, field) {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => stableSerialize(item, field)).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    const fields = Object.keys(value).filter(key => value[key] !== undefined).sort();
+    return `{${fields.map(key => `${JSON.stringify(key)}:${stableSerialize(value[key], key)}`).join(',')}}`;
+  }
+
+  if (typeof value === 'string' && TEXT_FIELDS.includes(field)) {
+    return JSON.stringify(normalizeText(value));
+  }
+
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * FNV-1a 32-bit from a given offset basis
+ * @param {string} text - Input
+ * @param {number} basis - Offset basis
+ * @returns {string} 8 hex characters
+ */
+function fnv1a(text, basis) {
+  let hash = basis;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash.toString(16).padStart(8, '0');
+}
+
+/**
+ * Cache key for a triad request
+ * Two FNV-1a passes (64 bits) - not cryptographic, but collisions between a
+ * session's handful of requests are not a practical concern
+ *
+ * @param {string} path - API path ('/api/curate', '/api/refine')
+ * @param {Object} body - JSON request body
+ * @returns {string} 16 hex characters
+ */
+export function cacheKey(path, body) {
+  const serialized = `${path}|${stableSerialize(body)}`;
+  return fnv1a(serialized, 0x811c9dc5) + fnv1a(serialized, 0x050c5d1f);
+}
+
+// ============================================================================
+// CurateCache Class
+// ============================================================================
+
+export default class CurateCache {
+  /**
+   * Create a CurateCache and load this session's unexpired entries
+   *
+   * @param {Object} [options={}] - Configuration options
+   * @param {number} [options.ttlMs=600000] - How long a triad is reused
+   * @param {number} [options.maxEntries=20] - Triads kept before the least recently used is dropped
+   * @param {string} [options.storageKey] - Override sessionStorage key (tests)
+   * @param {Function} [options.now] - () => epoch ms (tests)
+   */
+  constructor(options = {}) {
+    this.ttlMs = options.ttlMs ?? DEFAULTS.ttlMs;
+    this.maxEntries = options.maxEntries ?? DEFAULTS.maxEntries;
+    this.storageKey = options.storageKey || STORAGE_KEY;
+    this.now = options.now || (() => Date.now());
+
+    // key -> { storedAt, triad }, least recently used first
+    this.entries = new Map();
+
+    this._load();
+  }
+
+  // ==========================================================================
+  // Public API
+  // ==========================================================================
+
+  /**
+   * Triad cached for a key, if still fresh
+   * @param {string} key - From cacheKey()
+   * @returns {Object|null} Copy of the normalized triad, or null
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (this.now() - entry.storedAt >= this.ttlMs) {
+      this.entries.delete(key);
+      this._save();
+      return null;
+    }
+
+    // Most recently used moves to the end
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    return JSON.parse(JSON.stringify(entry.triad));
+  }
+
+  /**
+   * Cache a normalized triad
+   * @param {string} key - From cacheKey()
+   * @param {Object} triad - Normalized {arrangements, uncertainty_score, rationale}
+   */
+  set(key, triad) {
+    if (!triad || !Array.isArray(triad.arrangements) || triad.arrangements.length !== 3) return;
+
+    this.entries.delete(key);
+    this.entries.set(key, { storedAt: this.now(), triad: JSON.parse(JSON.stringify(triad)) });
+
+    this._prune();
+    this._save();
+  }
+
+  /**
+   * Forget one triad (e.g. one the page refused to show)
+   * @param {string} key - From cacheKey()
+   */
+  delete(key) {
+    if (this.entries.delete(key)) {
+      this._save();
+    }
+  }
+
+  /**
+   * Drop every entry (memory and sessionStorage)
+   */
+  clear() {
+    this.entries.clear();
+
+    try {
+      sessionStorage.removeItem(this.storageKey);
+    } catch (error) {
+      // Storage blocked - memory is already clear
+    }
+  }
+
+  /**
+   * @returns {number} Entries held (expired ones included until touched)
+   */
+  get size() {
+    return this.entries.size;
+  }
+
+  // ==========================================================================
+  // Persistence
+  // ==========================================================================
+
+  /**
+   * Drop expired entries, then the least recently used beyond maxEntries
+   * @private
+   */
+  _prune() {
+    const now = this.now();
+    for (const [key, entry] of this.entries) {
+      if (now - entry.storedAt >= this.ttlMs) {
+        this.entries.delete(key);
+      }
+    }
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Load unexpired entries saved earlier in this browser session
+   * @private
+   */
+  _load() {
+    try {
+      const stored = JSON.parse(sessionStorage.getItem(this.storageKey) || 'null');
+      if (!Array.isArray(stored)) return;
+
+      stored
+        .filter(item => Array.isArray(item) && typeof item[0] === 'string' &&
+          typeof item[1]?.storedAt === 'number' && item[1].triad?.arrangements?.length === 3)
+        .forEach(([key, entry]) => this.entries.set(key, entry));
+
+      this._prune();
+    } catch (error) {
+      console.warn('[CurateCache] Ignoring unreadable session cache');
+      this.entries.clear();
+    }
+  }
+
+  /**
+   * Persist entries, least recently used first
+   * @private
+   */
+  _save() {
+    try {
+      if (this.entries.size === 0) {
+        sessionStorage.removeItem(this.storageKey);
+      } else {
+        sessionStorage.setItem(this.storageKey, JSON.stringify([...this.entries]));
+      }
+    } catch (error) {
+      // Quota exceeded or storage blocked - keep working from memory
+      console.warn('[CurateCache] Failed to persist session cache');
+    }
+  }
+}
+
+// ============================================================================
+// Module Exports
+// ============================================================================
+
+/**
+ * Export summary:
+ *
+ * Default export: CurateCache class
+ * - get(key), set(key, triad), delete(key), clear(), size
+ *
+ * Named exports:
+ * - cacheKey(path, body) → string
+ *
+ * Usage (CurateClient does this for curate() and refine() when given a cache):
+ * import CurateCache, { cacheKey } from './curate_cache.js';
+ *
+ * const cache = new CurateCache({ ttlMs: 5 * 60 * 1000 });
+ * const key = cacheKey('/api/curate', body);
+ * const triad = cache.get(key) || await fetchTriad(body);
+ */
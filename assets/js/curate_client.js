@@ -0,0 +1,1077 @@
+/**
+ * ARVYAM Curate API Client
+ * Single request path for /api/curate (search, hints), /api/refine (structured
+ * multi-turn refinement), /api/arrangements (re-fetch a shared triad by SKU)
+ * and /api/serviceability (does a pincode get deliveries)
+ *
+ * Features:
+ * - Per-attempt timeout via AbortController
+ * - Bounded exponential backoff for idempotent failures (502/503/504, network drops)
+ * - A new curate call cancels the one still in flight (stale triads never win)
+ * - Warm-up hook after N seconds so cold starts on the API host feel intentional
+ * - Refine adapter: falls back to a concatenated /api/curate prompt when the
+ *   backend has no /api/refine yet (remembered for the rest of the session)
+ * - Delivery windows travel with their IST dates (hints.delivery_dates)
+ * - Responses are coerced to the declared schema for the contract they declare
+ *   (X-Arvyam-Contract); minContract refuses older shapes on purpose
+ * - Streamed triads (NDJSON/SSE, see curate_stream.js): each arrangement is
+ *   previewed through onArrangement as it arrives; JSON backends work unchanged
+ * - Optional response cache (curate_cache.js): a repeated curate/refine request
+ *   is answered without the network and marked cached: true; a triad the page
+ *   refuses is dropped again with forgetCached()
+ *
+ * Constitutional Compliance:
+ * - Curation Structure: Every response passes normalizeCurateResponse (exactly 3 arrangements)
+ *   and validateTriad (2 MIX + 1 MONO, no repeated SKU) before it is shown; streamed
+ *   cards stay previews until the whole triad has arrived
+ * - ARVY Persona: Errors map to calm guest copy in ONE place (getPersonaMessage)
+ * - Privacy: Prompt text is never logged; backend error messages are developer-only
+ *
+ * @module curate_client
+ * @version 1.6.0
+ */
+
+import {
+  readEnvelope,
+  coerceArrangement,
+  readContractVersion,
+  reportSchemaIssues,
+  CONTRACT_HEADER,
+  LEGACY_CONTRACT_VERSION
+} from './curate_schema.js';
+import { readCurateStream, streamFormat, STREAM_ACCEPT } from './curate_stream.js';
+import { cacheKey } from './curate_cache.js';
+import { withDeliveryDates } from './delivery_calendar.js';
+import { normalizeServiceability } from './pincode.js';
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+/**
+ * Default request policy
+ * Render free-tier hosts can take 30s+ to wake, so the timeout is generous
+ */
+const DEFAULTS = {
+  timeoutMs: 30000,        // Per attempt, headers + body
+  maxRetries: 2,           // Retries AFTER the first attempt
+  retryBaseDelayMs: 800,   // 800ms, 1600ms, ... (+ jitter)
+  retryMaxDelayMs: 5000,
+  warmupAfterMs: 4000      // 0 disables the warm-up hook
+};
+
+/**
+ * HTTP statuses that are safe to retry (gateway/proxy while the host wakes)
+ */
+const RETRYABLE_STATUSES = [502, 503, 504];
+
+/**
+ * HTTP statuses meaning "this backend has no /api/refine" - use the legacy path
+ * (only when the API itself did not answer - see _isRefineUnsupported())
+ */
+const REFINE_UNSUPPORTED_STATUSES = [404, 405, 501];
+
+// ============================================================================
+// Error Classes
+// ============================================================================
+
+/**
+ * Base error for all curate failures
+ * `message` is developer-facing only - never render it to guests
+ */
+export class CurateError extends Error {
+  /**
+   * @param {string} message - Developer-facing message
+   * @param {Object} [details={}] - Extra context
+   * @param {number} [details.status] - HTTP status (if a response arrived)
+   * @param {string} [details.devMessage] - Backend error message (logs only)
+   * @param {boolean} [details.fromApi] - The ARVYAM API answered (contract header or
+   *   {error} body), not a host or proxy that lacks the route
+   * @param {Error} [details.cause] - Underlying error
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'CurateError';
+    this.kind = 'unknown';
+    this.status = details.status ?? null;
+    this.devMessage = details.devMessage ?? null;
+    this.fromApi = details.fromApi ?? false;
+    this.cause = details.cause;
+  }
+}
+
+/**
+ * Request never reached the backend (offline, DNS, CORS, connection reset)
+ */
+export class CurateNetworkError extends CurateError {
+  constructor(message = 'Network request failed', details = {}) {
+    super(message, details);
+    this.name = 'CurateNetworkError';
+    this.kind = 'network';
+  }
+}
+
+/**
+ * Backend did not answer in time
+ */
+export class CurateTimeoutError extends CurateError {
+  constructor(message = 'Request timed out', details = {}) {
+    super(message, details);
+    this.name = 'CurateTimeoutError';
+    this.kind = 'timeout';
+  }
+}
+
+/**
+ * Backend rejected the request (HTTP 4xx)
+ */
+export class CurateClientError extends CurateError {
+  constructor(message = 'Request rejected', details = {}) {
+    super(message, details);
+    this.name = 'CurateClientError';
+    this.kind = 'client';
+  }
+}
+
+/**
+ * Backend failed while curating (HTTP 5xx)
+ */
+export class CurateServerError extends CurateError {
+  constructor(message = 'Server error', details = {}) {
+    super(message, details);
+    this.name = 'CurateServerError';
+    this.kind = 'server';
+  }
+}
+
+/**
+ * Request was cancelled (superseded by a newer curate call, or cancel())
+ * Not a failure - callers should drop it silently
+ */
+export class CurateAbortedError extends CurateError {
+  constructor(message = 'Request cancelled', details = {}) {
+    super(message, details);
+    this.name = 'CurateAbortedError';
+    this.kind = 'aborted';
+  }
+}
+
+/**
+ * Response arrived but does not hold a valid triad
+ */
+export class CurateTriadError extends CurateError {
+  constructor(message = 'Invalid triad in curate response', details = {}) {
+    super(message, details);
+    this.name = 'CurateTriadError';
+    this.kind = 'triad';
+  }
+}
+
+// ============================================================================
+// ARVY Persona Copy
+// ============================================================================
+
+/**
+ * Guest-facing copy per calling context
+ * CONSTITUTIONAL: Frontend is final guard on persona - these are the ONLY
+ * strings a curate failure may surface to guests
+ */
+const PERSONA_MESSAGES = {
+  search: 'We could not complete your search. Please try again.',
+  refine: 'We could not adjust the selection right now. Please try again.',
+  curation: 'We could not complete your curation just now. Please try again.',
+  shared: 'We could not open this shared selection. Share your moment and we will curate afresh.',
+  timeout: 'ARVY is taking longer than usual. Please try again in a moment.'
+};
+
+/**
+ * Map any error from a curate call to ARVY persona copy
+ * Never surfaces raw error.message (could be "Failed to fetch" or backend text)
+ *
+ * @param {Error} error - Error thrown by CurateClient (or anything else)
+ * @param {string} [context='search'] - 'search' | 'refine' | 'curation' | 'shared'
+ * @returns {string} Calm, guest-facing message
+ *
+ * @example
+ * showError(getPersonaMessage(error, 'refine'));
+ */
+export function getPersonaMessage(error, context = 'search') {
+  if (error?.kind === 'timeout') {
+    return PERSONA_MESSAGES.timeout;
+  }
+
+  return PERSONA_MESSAGES[context] || PERSONA_MESSAGES.search;
+}
+
+/**
+ * Check whether an error only means "a newer request replaced this one"
+ * @param {Error} error - Error thrown by CurateClient
+ * @returns {boolean} True if the caller should ignore it
+ */
+export function isCurateAborted(error) {
+  return error?.kind === 'aborted';
+}
+
+// ============================================================================
+// Legacy Refine Prompt
+// ============================================================================
+
+/**
+ * Fold stacked refinements into one /api/curate prompt (pre-/api/refine backends)
+ * Every delta is kept, in order, so turn 3 still honours turns 1 and 2
+ *
+ * @param {string} prompt - Original prompt
+ * @param {string[]} refinements - Refinement deltas, oldest first
+ * @returns {string} Combined prompt
+ *
+ * @example
+ * buildLegacyRefinePrompt('anniversary', ['warmer', 'no lilies'])
+ * // → 'anniversary (adjust: warmer; no lilies)'
+ */
+export function buildLegacyRefinePrompt(prompt, refinements = []) {
+  const deltas = refinements.filter(Boolean);
+  return deltas.length > 0 ? `${prompt} (adjust: ${deltas.join('; ')})` : prompt;
+}
+
+// ============================================================================
+// Response Normalization
+// ============================================================================
+
+/**
+ * Rationale values are enum keys rendered through the stringbank
+ */
+const RATIONALE_KEY_PATTERN = /^[a-z][a-z_]{0,31}$/;
+
+/**
+ * Per-card reasons are backend copy shown as-is - keep them short
+ */
+const MAX_REASON_LENGTH = 280;
+
+/**
+ * Pick a rationale enum key, or null
+ * @param {*} value - Candidate value
+ * @returns {string|null}
+ */
+function rationaleKey(value) {
+  if (typeof value !== 'string') return null;
+  const key = value.trim().toLowerCase();
+  return RATIONALE_KEY_PATTERN.test(key) ? key : null;
+}
+
+/**
+ * Trim a per-card reason, or null
+ * @param {*} value - Candidate text
+ * @returns {string|null}
+ */
+function reasonText(value) {
+  if (typeof value !== 'string' || !value.trim()) return null;
+  return value.trim().slice(0, MAX_REASON_LENGTH);
+}
+
+/**
+ * Read the optional "why these three" fields of a curate response
+ * Accepts {rationale: {...}} or the same fields at the top level:
+ * - emotion_anchor (or anchor), relationship, tone: enum keys
+ * - reasons: {skuId: text} or [text, text, text] in card order
+ *
+ * @param {Object} data - Wrapped response object
+ * @param {Object[]} arrangements - Triad (per-card reasons are matched by id or position)
+ * @returns {{rationale: Object|null, reasons: Array<string|null>}}
+ */
+function normalizeRationale(data, arrangements) {
+  const source = data && typeof data.rationale === 'object' && data.rationale !== null
+    ? data.rationale
+    : (data || {});
+
+  const rationale = {
+    emotion_anchor: rationaleKey(source.emotion_anchor ?? source.anchor),
+    relationship: rationaleKey(source.relationship),
+    tone: rationaleKey(source.tone)
+  };
+
+  const reasons = arrangements.map((item, index) => {
+    if (Array.isArray(source.reasons)) return reasonText(source.reasons[index]);
+    if (source.reasons && typeof source.reasons === 'object') return reasonText(source.reasons[item.id]);
+    return reasonText(item.reason ?? item.rationale);
+  });
+
+  const hasFields = Object.values(rationale).some(Boolean);
+
+  return {
+    rationale: hasFields ? rationale : null,
+    reasons
+  };
+}
+
+/**
+ * Normalize a curate response against the declared schema (curate_schema.js)
+ * Contract 1 backends may return a raw array, {arrangements: []} or
+ * {results: []}; contract 2+ must use {arrangements: []}
+ * Always returns {arrangements: [], uncertainty_score: number, rationale: Object|null} or null
+ * Each arrangement carries canonical fields only (name, description, image,
+ * price_inr - 0 when missing or implausible, ...) plus any unknown fields
+ * Per-card reasons land on each arrangement as `rationale` (string)
+ *
+ * Constitutional: Enforces exactly 3 arrangements, each with a usable SKU id
+ * (validateTriad checks the 2 MIX + 1 MONO split)
+ *
+ * @param {*} data - Response from /api/curate
+ * @param {number} [contract=1] - Contract the response declared (X-Arvyam-Contract)
+ * @returns {Object|null} Normalized {arrangements: [], uncertainty_score: number, rationale} or null
+ */
+export function normalizeCurateResponse(data, contract = LEGACY_CONTRACT_VERSION) {
+  const { list, wrapper, issues } = readEnvelope(data, contract);
+
+  // Constitutional: Enforce exactly 3 arrangements (2 MIX + 1 MONO)
+  if (!list || list.length !== 3) {
+    reportSchemaIssues(issues, contract);
+    console.error('[CurateClient] Invalid curate response shape');
+    console.error('[CurateClient] Expected: Array of 3 items, got:', list?.length || 'invalid');
+    return null;
+  }
+
+  const coerced = list.map((item, index) => {
+    const result = coerceArrangement(item, contract);
+    issues.push(...result.issues.map(issue => ({ ...issue, index })));
+    return result.arrangement;
+  });
+
+  reportSchemaIssues(issues, contract);
+
+  if (coerced.includes(null)) {
+    console.error('[CurateClient] Curate response has an arrangement without a usable SKU id');
+    return null;
+  }
+
+  // Default to 0 if missing (A0 compatibility shim)
+  const uncertaintyScore = typeof wrapper?.uncertainty_score === 'number' ? wrapper.uncertainty_score : 0.0;
+
+  // Optional "why these three" fields (raw arrays can still carry per-card reasons)
+  const { rationale, reasons } = normalizeRationale(wrapper, list);
+
+  const arrangements = coerced.map((arrangement, index) => ({
+    ...arrangement,
+    // ResultCard and CompareView show "—" for 0
+    price_inr: arrangement.price_inr ?? 0,
+    ...(reasons[index] ? { rationale: reasons[index] } : {})
+  }));
+
+  return {
+    arrangements,
+    uncertainty_score: uncertaintyScore,
+    rationale
+  };
+}
+
+/**
+ * Check that pinned ("Keep this one") cards came back in their slots
+ * A pinned card the backend moved is put back in its slot (swap - the triad
+ * itself is unchanged); a pinned card the backend dropped cannot be repaired
+ *
+ * @param {Object[]} arrangements - Returned triad
+ * @param {{id: string, slot: number}[]} pins - Pinned SKU ids and their 0-based slots
+ * @returns {{arrangements: Object[], missing: string[], moved: number}}
+ */
+export function checkPinnedSlots(arrangements, pins = []) {
+  const result = [...arrangements];
+  const missing = [];
+  let moved = 0;
+
+  for (const { id, slot } of pins) {
+    const index = result.findIndex(item => item.id === id);
+
+    if (index === -1) {
+      missing.push(id);
+    } else if (index !== slot && slot >= 0 && slot < result.length) {
+      [result[slot], result[index]] = [result[index], result[slot]];
+      moved++;
+    }
+  }
+
+  return { arrangements: result, missing, moved };
+}
+
+// ============================================================================
+// Triad Validation
+// ============================================================================
+
+/**
+ * The one triad shape ARVYAM shows: two mixed arrangements, one single-flower
+ */
+export const TRIAD_COMPOSITION = { MIX: 2, MONO: 1 };
+
+/**
+ * How a triad with the wrong mix is treated:
+ * - strict: shown as the calm curation error, like any other broken triad
+ * - warn: logged and tracked, but displayed (backend migrations)
+ * A wrong count or a repeated SKU always fails, whatever the policy
+ */
+export const TRIAD_POLICIES = ['strict', 'warn'];
+
+/**
+ * Rules the policy may relax
+ */
+const COMPOSITION_RULES = ['composition_missing', 'composition_split'];
+
+/**
+ * Read an arrangement's composition ('composition', or 'type' on older backends)
+ * @param {Object} arrangement - Arrangement
+ * @returns {'MIX'|'MONO'|null}
+ */
+export function arrangementComposition(arrangement) {
+  const value = arrangement?.composition ?? arrangement?.type;
+  if (typeof value !== 'string') return null;
+
+  const composition = value.trim().toUpperCase();
+  return Object.keys(TRIAD_COMPOSITION).includes(composition) ? composition : null;
+}
+
+/**
+ * Check a triad against the 2 MIX + 1 MONO structure
+ * Rules, in the order they are reported:
+ * - count: not exactly 3 arrangements
+ * - duplicate_sku: the same SKU id twice (or an arrangement without one)
+ * - composition_missing: an arrangement with no readable composition/type
+ * - composition_split: compositions known, but not 2 MIX + 1 MONO
+ *
+ * @param {Object[]} arrangements - Normalized triad
+ * @param {string} [policy='strict'] - One of TRIAD_POLICIES
+ * @returns {{valid: boolean, violations: string[], counts: {MIX: number, MONO: number}}}
+ *   valid is false when a violation the policy does not relax was found
+ */
+export function validateTriad(arrangements, policy = 'strict') {
+  const items = Array.isArray(arrangements) ? arrangements : [];
+  const violations = [];
+
+  if (items.length !== 3) {
+    violations.push('count');
+  }
+
+  const ids = items.map(item => item?.id);
+  if (ids.some(id => !id) || new Set(ids).size !== ids.length) {
+    violations.push('duplicate_sku');
+  }
+
+  const counts = { MIX: 0, MONO: 0 };
+  const compositions = items.map(arrangementComposition);
+  compositions.filter(Boolean).forEach(composition => counts[composition]++);
+
+  if (compositions.includes(null)) {
+    violations.push('composition_missing');
+  } else if (Object.entries(TRIAD_COMPOSITION).some(([composition, needed]) => counts[composition] !== needed)) {
+    violations.push('composition_split');
+  }
+
+  const relaxed = policy === 'warn' ? COMPOSITION_RULES : [];
+
+  return {
+    valid: violations.every(rule => relaxed.includes(rule)),
+    violations,
+    counts
+  };
+}
+
+// ============================================================================
+// CurateClient Class
+// ============================================================================
+
+export default class CurateClient {
+  /**
+   * Create a CurateClient
+   *
+   * @param {Object} [options={}] - Configuration options
+   * @param {string} [options.baseUrl=''] - API origin (e.g. https://arvyam-api.onrender.com)
+   * @param {Function} [options.fetchImpl] - fetch implementation (defaults to window.fetch)
+   * @param {number} [options.timeoutMs=30000] - Per-attempt timeout
+   * @param {number} [options.maxRetries=2] - Retries for 502/503/504 and network drops
+   * @param {number} [options.retryBaseDelayMs=800] - First backoff delay (doubles each retry)
+   * @param {number} [options.retryMaxDelayMs=5000] - Backoff ceiling
+   * @param {number} [options.warmupAfterMs=4000] - Delay before onWarmup fires (0 = never)
+   * @param {Function} [options.onWarmup] - Called once per request that is still pending
+   * @param {Function} [options.now] - Clock for delivery dates (defaults to () => new Date())
+   * @param {number} [options.minContract=1] - Oldest response contract accepted; 2 retires
+   *   raw arrays, {results: []} and legacy field names (see curate_schema.js)
+   * @param {CurateCache} [options.cache] - Cache for curate() and refine() triads (none by default)
+   *
+   * @example
+   * const client = new CurateClient({
+   *   baseUrl: API_BASE,
+   *   onWarmup: () => showWarmupState()
+   * });
+   * const result = await client.curate({ prompt, language: 'en', hints });
+   */
+  constructor(options = {}) {
+    this.baseUrl = options.baseUrl || '';
+    this.fetchImpl = options.fetchImpl || ((...args) => window.fetch(...args));
+    this.timeoutMs = options.timeoutMs ?? DEFAULTS.timeoutMs;
+    this.maxRetries = options.maxRetries ?? DEFAULTS.maxRetries;
+    this.retryBaseDelayMs = options.retryBaseDelayMs ?? DEFAULTS.retryBaseDelayMs;
+    this.retryMaxDelayMs = options.retryMaxDelayMs ?? DEFAULTS.retryMaxDelayMs;
+    this.warmupAfterMs = options.warmupAfterMs ?? DEFAULTS.warmupAfterMs;
+    this.onWarmup = options.onWarmup || null;
+    this.now = options.now || (() => new Date());
+    this.minContract = options.minContract ?? LEGACY_CONTRACT_VERSION;
+    this.cache = options.cache || null;
+
+    // Controller of the curate call currently in flight (one at a time)
+    this.activeController = null;
+
+    // /api/refine availability: null = unknown, then true/false for the session
+    this.refineSupported = options.refineSupported ?? null;
+  }
+
+  /**
+   * Build the /api/curate request body
+   * Omits empty hints so the backend sees the same shape for every path, and
+   * pins a delivery window to dates as of now (delivery_dates: { from, to })
+   *
+   * @param {Object} params - Request parameters
+   * @param {string} params.prompt - Guest prompt (already validated)
+   * @param {string} params.language - Current language code
+   * @param {Object} [params.hints] - Structured hints (HintForm / IntentAssist)
+   * @returns {Object} JSON-serialisable request body
+   */
+  buildRequest({ prompt, language, hints }) {
+    const body = {
+      prompt,
+      language
+    };
+
+    if (hints && Object.keys(hints).length > 0) {
+      body.hints = withDeliveryDates(hints, this.now());
+    }
+
+    return body;
+  }
+
+  /**
+   * Request a curated triad
+   * Cancels any curate call still in flight - only the newest one resolves.
+   * A streaming backend's arrangements are previewed as they arrive; the
+   * promise still resolves only with the whole, normalized triad.
+   *
+   * @param {Object} params - See buildRequest()
+   * @param {Object} [options={}] - Call options
+   * @param {Function} [options.onArrangement] - ({ index, arrangement }) => void per streamed card (preview only)
+   * @returns {Promise<Object>} Normalized {arrangements: [], uncertainty_score: number},
+   *   with its cacheKey, and cached: true when it came from the cache
+   * @throws {CurateError} Typed error - map to guest copy with getPersonaMessage()
+   */
+  async curate(params, { onArrangement } = {}) {
+    const body = this.buildRequest(params);
+
+    return this._cached('/api/curate', body, async () => {
+      const response = await this._run((signal) => this._request('/api/curate', body, signal, { stream: true, onArrangement }));
+
+      // Normalize response shape against the schema for its contract
+      return this._normalizeTriad(response);
+    });
+  }
+
+  /**
+   * Build the /api/refine request body
+   *
+   * @param {Object} params - Refine parameters
+   * @param {string} params.prompt - Original prompt (not the concatenated one)
+   * @param {string} params.language - Current language code
+   * @param {Object} [params.hints] - Original hints
+   * @param {string[]} params.previousSkuIds - SKU ids of the triad being refined
+   * @param {string[]} params.refinements - All refinement deltas so far, oldest first
+   * @param {string[]} [params.keepSkuIds] - Pinned SKUs that must stay in their slots
+   * @returns {Object} JSON-serialisable request body
+   */
+  buildRefineRequest({ prompt, language, hints, previousSkuIds = [], refinements = [], keepSkuIds = [] }) {
+    const body = {
+      ...this.buildRequest({ prompt, language, hints }),
+      previous_sku_ids: previousSkuIds,
+      turn: refinements.length,
+      refinements
+    };
+
+    if (keepSkuIds.length > 0) {
+      body.keep_sku_ids = keepSkuIds;
+    }
+
+    return body;
+  }
+
+  /**
+   * Refine the triad on screen
+   * Sends the structured payload to /api/refine; if the backend does not know
+   * that route, retries once via /api/curate with buildLegacyRefinePrompt()
+   *
+   * @param {Object} params - See buildRefineRequest()
+   * @param {Object} [options={}] - Call options (see curate())
+   * @returns {Promise<Object>} Normalized {arrangements: [], uncertainty_score: number},
+   *   with its cacheKey, and cached: true when it came from the cache
+   * @throws {CurateError} Typed error - map to guest copy with getPersonaMessage()
+   */
+  async refine(params, options = {}) {
+    if (this.refineSupported !== false) {
+      try {
+        const body = this.buildRefineRequest(params);
+
+        return await this._cached('/api/refine', body, async () => {
+          const response = await this._run((signal) => this._request('/api/refine', body, signal, { stream: true, ...options }));
+          this.refineSupported = true;
+
+          return this._normalizeTriad(response);
+        });
+      } catch (error) {
+        if (!this._isRefineUnsupported(error)) {
+          throw error;
+        }
+
+        this.refineSupported = false;
+        console.info('[CurateClient] /api/refine not available, using /api/curate for refinements');
+      }
+    }
+
+    return this.curate({
+      prompt: buildLegacyRefinePrompt(params.prompt, params.refinements),
+      language: params.language,
+      hints: params.hints
+    }, options);
+  }
+
+  /**
+   * Re-fetch a known triad by SKU id (shared links)
+   * Shares the request lifecycle with curate() - a newer call cancels this one
+   *
+   * @param {Object} params - Lookup parameters
+   * @param {string[]} params.skuIds - Exactly 3 SKU ids, in display order
+   * @param {string} params.language - Current language code
+   * @returns {Promise<Object>} Normalized {arrangements: [], uncertainty_score: 0}, in skuIds order
+   * @throws {CurateError} CurateTriadError if any SKU is missing from the response
+   */
+  async lookup({ skuIds, language }) {
+    const body = { sku_ids: skuIds, language };
+    const response = await this._run((signal) => this._request('/api/arrangements', body, signal));
+
+    const normalized = this._normalizeTriad(response);
+
+    // Keep the order the sender saw
+    const byId = new Map(normalized.arrangements.map(item => [item.id, item]));
+    const ordered = skuIds.map(id => byId.get(id)).filter(Boolean);
+
+    if (ordered.length !== 3) {
+      throw new CurateTriadError('Lookup response did not match the requested SKUs');
+    }
+
+    return { ...normalized, arrangements: ordered };
+  }
+
+  /**
+   * Ask whether a pincode gets deliveries, and in which windows
+   * Runs beside curate calls (never cancels or is cancelled by them), one
+   * attempt under the usual timeout
+   *
+   * @param {string} pincode - Valid six-digit pincode (see normalizePincode)
+   * @returns {Promise<Object>} { pincode, serviceable, delivery_windows }
+   * @throws {CurateError} Transport/HTTP errors, or CurateError for a malformed answer
+   */
+  async checkServiceability(pincode) {
+    const controller = new AbortController();
+    const { data } = await this._request('/api/serviceability', { pincode }, controller.signal);
+
+    const result = normalizeServiceability(data, pincode);
+    if (!result) {
+      throw new CurateError('Invalid serviceability response');
+    }
+
+    return result;
+  }
+
+  /**
+   * Drop a triad from the cache so the same request goes to the backend again
+   * Call it whenever the page refuses a triad (triad, pin or render checks)
+   *
+   * @param {Object} triad - Result of curate() or refine()
+   */
+  forgetCached(triad) {
+    if (this.cache && triad?.cacheKey) {
+      this.cache.delete(triad.cacheKey);
+    }
+  }
+
+  /**
+   * Cancel the curate call in flight (if any)
+   * Its promise rejects with CurateAbortedError
+   */
+  cancel() {
+    if (this.activeController) {
+      this.activeController.abort();
+      this.activeController = null;
+    }
+  }
+
+  /**
+   * Check whether a curate call is in flight
+   * @returns {boolean} True while a request is pending
+   */
+  isPending() {
+    return this.activeController !== null;
+  }
+
+  // ==========================================================================
+  // Request Lifecycle
+  // ==========================================================================
+
+  /**
+   * Run one logical request: supersede the previous one, retry with backoff,
+   * fire the warm-up hook if it is slow
+   *
+   * @param {Function} attemptFn - (signal) => Promise<*>, one network attempt
+   * @returns {Promise<*>} Result of the first successful attempt
+   * @throws {CurateError}
+   * @private
+   */
+  async _run(attemptFn) {
+    // A new request always wins over the one in flight
+    this.cancel();
+
+    const controller = new AbortController();
+    this.activeController = controller;
+
+    let warmupTimer = null;
+    if (this.warmupAfterMs > 0 && typeof this.onWarmup === 'function') {
+      warmupTimer = setTimeout(() => {
+        if (!controller.signal.aborted) {
+          this.onWarmup();
+        }
+      }, this.warmupAfterMs);
+    }
+
+    try {
+      for (let attempt = 0; ; attempt++) {
+        try {
+          const result = await attemptFn(controller.signal);
+
+          // Late arrival after cancel() - never hand back a stale result
+          if (controller.signal.aborted) {
+            throw new CurateAbortedError();
+          }
+
+          return result;
+        } catch (error) {
+          if (!this._isRetryable(error) || attempt >= this.maxRetries) {
+            throw error;
+          }
+
+          const delay = this._backoffDelay(attempt);
+          console.warn(`[CurateClient] Attempt ${attempt + 1} failed (${error.kind}), retrying in ${delay}ms`);
+          await this._sleep(delay, controller.signal);
+        }
+      }
+    } finally {
+      clearTimeout(warmupTimer);
+      if (this.activeController === controller) {
+        this.activeController = null;
+      }
+    }
+  }
+
+  /**
+   * Answer a triad request from the cache, or fetch and cache it
+   * A hit still supersedes the call in flight - the newest request always wins
+   *
+   * @param {string} path - API path (part of the key)
+   * @param {Object} body - Request body (hashed into the key)
+   * @param {Function} fetchTriad - () => Promise<normalized triad> on a miss
+   * @returns {Promise<Object>} Normalized triad with its cacheKey (and cached: true on a hit)
+   * @private
+   */
+  async _cached(path, body, fetchTriad) {
+    if (!this.cache) {
+      return fetchTriad();
+    }
+
+    const key = cacheKey(path, body);
+    const hit = this.cache.get(key);
+
+    if (hit) {
+      this.cancel();
+      return { ...hit, cacheKey: key, cached: true };
+    }
+
+    const triad = await fetchTriad();
+    this.cache.set(key, triad);
+    return { ...triad, cacheKey: key };
+  }
+
+  /**
+   * Normalize a triad response, honouring its declared contract
+   * @param {{data: *, headers: Headers}} response - Result of _request()
+   * @returns {Object} Normalized {arrangements, uncertainty_score, rationale}
+   * @throws {CurateTriadError} Retired contract, or no valid triad
+   * @private
+   */
+  _normalizeTriad({ data, headers }) {
+    const contract = readContractVersion(headers?.get(CONTRACT_HEADER));
+
+    if (contract < this.minContract) {
+      throw new CurateTriadError(`Contract ${contract} response refused (minimum ${this.minContract})`);
+    }
+
+    const normalized = normalizeCurateResponse(data, contract);
+
+    if (!normalized) {
+      throw new CurateTriadError();
+    }
+
+    return normalized;
+  }
+
+  /**
+   * POST JSON and read the JSON body under a per-attempt timeout
+   * Classifies transport, timeout, cancellation and HTTP failures. With
+   * stream, a streamed body (NDJSON/SSE) is read into the same envelope a
+   * JSON body carries; the timeout covers the whole stream.
+   *
+   * @param {string} path - API path
+   * @param {Object} body - Request body
+   * @param {AbortSignal} signal - Cancellation signal for the whole request
+   * @param {Object} [options={}] - Request options
+   * @param {boolean} [options.stream=false] - Ask for a streamed triad (Accept header)
+   * @param {Function} [options.onArrangement] - Preview callback for streamed cards
+   * @returns {Promise<{data: *, headers: Headers}>} Parsed body and headers of a 2xx response
+   * @throws {CurateError}
+   * @private
+   */
+  async _request(path, body, signal, { stream = false, onArrangement } = {}) {
+    if (signal.aborted) {
+      throw new CurateAbortedError();
+    }
+
+    // Per-attempt controller: aborted by our timeout OR by the caller's signal
+    const attemptController = new AbortController();
+    const onAbort = () => attemptController.abort();
+    signal.addEventListener('abort', onAbort, { once: true });
+
+    let timedOut = false;
+    const timeoutTimer = setTimeout(() => {
+      timedOut = true;
+      attemptController.abort();
+    }, this.timeoutMs);
+
+    const classifyAbort = (error) => {
+      if (signal.aborted) return new CurateAbortedError(undefined, { cause: error });
+      if (timedOut) return new CurateTimeoutError(`No response after ${this.timeoutMs}ms`, { cause: error });
+      return null;
+    };
+
+    try {
+      let response;
+
+      try {
+        response = await this.fetchImpl(`${this.baseUrl}${path}`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            ...(stream ? { Accept: STREAM_ACCEPT } : {})
+          },
+          body: JSON.stringify(body),
+          signal: attemptController.signal
+        });
+      } catch (error) {
+        throw classifyAbort(error) || new CurateNetworkError(undefined, { cause: error });
+      }
+
+      if (!response.ok) {
+        // Try to extract backend error message for developer logs only
+        const apiError = await this._readApiError(response);
+        const devMessage = apiError?.message || null;
+
+        if (devMessage) {
+          console.warn('[CurateClient] API error:', devMessage);
+        }
+
+        const details = {
+          status: response.status,
+          devMessage,
+          fromApi: !!apiError || response.headers.has(CONTRACT_HEADER)
+        };
+
+        if (response.status >= 500) {
+          throw new CurateServerError(`HTTP ${response.status}`, details);
+        }
+
+        throw new CurateClientError(`HTTP ${response.status}`, details);
+      }
+
+      const format = stream ? streamFormat(response.headers.get('Content-Type')) : null;
+      if (format) {
+        return { data: await this._readStream(response, format, signal, onArrangement, classifyAbort), headers: response.headers };
+      }
+
+      try {
+        return { data: await response.json(), headers: response.headers };
+      } catch (error) {
+        throw classifyAbort(error) ||
+          new CurateTriadError('Curate response was not valid JSON', { cause: error });
+      }
+    } finally {
+      clearTimeout(timeoutTimer);
+      signal.removeEventListener('abort', onAbort);
+    }
+  }
+
+  /**
+   * Read a streamed triad, previewing each card as it arrives
+   * Previews stop once the request is cancelled, and never come from a
+   * contract below minContract (_normalizeTriad refuses those anyway).
+   * A stream that breaks off is not retried - cards may already be showing.
+   *
+   * @param {Response} response - 2xx streamed response
+   * @param {'ndjson'|'sse'} format - Stream format
+   * @param {AbortSignal} signal - Cancellation signal for the whole request
+   * @param {Function} [onArrangement] - Preview callback
+   * @param {Function} classifyAbort - (error) => CurateError|null from _request()
+   * @returns {Promise<Object>} Response envelope
+   * @throws {CurateError}
+   * @private
+   */
+  async _readStream(response, format, signal, onArrangement, classifyAbort) {
+    const contract = readContractVersion(response.headers.get(CONTRACT_HEADER));
+    const preview = typeof onArrangement === 'function' && contract >= this.minContract
+      ? (card) => {
+        if (!signal.aborted) onArrangement(card);
+      }
+      : null;
+
+    try {
+      return await readCurateStream(response.body, format, { contract, onArrangement: preview });
+    } catch (error) {
+      const aborted = classifyAbort(error);
+      if (aborted) throw aborted;
+
+      if (error?.reason === 'server') {
+        console.warn('[CurateClient] API error:', error.message);
+        throw new CurateServerError('Stream error', { devMessage: error.message, cause: error });
+      }
+
+      throw new CurateTriadError(error?.reason ? error.message : 'Curate stream broke off', { cause: error });
+    }
+  }
+
+  /**
+   * Backend has no /api/refine route (only before it was seen working)
+   * A 404 the API sends itself (contract header or {error} body) is about the
+   * request - e.g. an unknown SKU - not a missing route, and is surfaced as is.
+   * The decision lasts for this client (the page session) - never persisted
+   *
+   * @param {Error} error - Error from /api/refine
+   * @returns {boolean} True if the legacy curate path should be used
+   * @private
+   */
+  _isRefineUnsupported(error) {
+    return this.refineSupported === null &&
+      (error?.kind === 'client' || error?.kind === 'server') &&
+      REFINE_UNSUPPORTED_STATUSES.includes(error.status) &&
+      !error.fromApi;
+  }
+
+  /**
+   * Idempotent failures only: network drops and gateway errors while the host wakes
+   * @param {Error} error - Error from an attempt
+   * @returns {boolean} True if another attempt is allowed
+   * @private
+   */
+  _isRetryable(error) {
+    if (error?.kind === 'network') return true;
+    if (error?.kind === 'server') return RETRYABLE_STATUSES.includes(error.status);
+    return false;
+  }
+
+  /**
+   * Exponential backoff with jitter
+   * @param {number} attempt - Zero-based attempt that just failed
+   * @returns {number} Delay in ms
+   * @private
+   */
+  _backoffDelay(attempt) {
+    const exponential = this.retryBaseDelayMs * (2 ** attempt);
+    const jitter = Math.random() * this.retryBaseDelayMs * 0.25;
+    return Math.round(Math.min(exponential + jitter, this.retryMaxDelayMs));
+  }
+
+  /**
+   * Cancellable delay between retries
+   * @param {number} ms - Delay in ms
+   * @param {AbortSignal} signal - Rejects early with CurateAbortedError when aborted
+   * @returns {Promise<void>}
+   * @private
+   */
+  _sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal.aborted) {
+        reject(new CurateAbortedError());
+        return;
+      }
+
+      const timer = setTimeout(() => {
+        signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(new CurateAbortedError());
+      };
+
+      signal.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  /**
+   * Extract the {error: {...}} envelope from a failed response
+   * @param {Response} response - fetch Response
+   * @returns {Promise<Object|null>} Error object (its message is for developer logs only) or null
+   * @private
+   */
+  async _readApiError(response) {
+    try {
+      const data = await response.json();
+      return data?.error && typeof data.error === 'object' ? data.error : null;
+    } catch (parseError) {
+      // Ignore JSON parse errors
+      return null;
+    }
+  }
+}
+
+// ============================================================================
+// Module Exports
+// ============================================================================
+
+/**
+ * Export summary:
+ *
+ * Default export: CurateClient class
+ * - curate({ prompt, language, hints }) → Promise<{ arrangements, uncertainty_score }>
+ * - refine({ prompt, language, hints, previousSkuIds, refinements, keepSkuIds }) → same shape
+ *   (falls back to /api/curate when /api/refine is unsupported)
+ * - lookup({ skuIds, language }) → Promise<{ arrangements, uncertainty_score }>
+ * - checkServiceability(pincode) → Promise<{ pincode, serviceable, delivery_windows }>
+ * - buildRequest({ prompt, language, hints }) → Object
+ * - cancel() - abort the call in flight
+ * - isPending() → boolean
+ *
+ * Errors (all extend CurateError, `kind` in parentheses):
+ * - CurateNetworkError (network)
+ * - CurateTimeoutError (timeout)
+ * - CurateClientError (client) - HTTP 4xx
+ * - CurateServerError (server) - HTTP 5xx
+ * - CurateAbortedError (aborted) - superseded or cancelled, not a failure
+ * - CurateTriadError (triad) - response without a valid triad
+ *
+ * Helpers:
+ * - normalizeCurateResponse(data, contract) → { arrangements, uncertainty_score, rationale }|null
+ * - validateTriad(arrangements, policy) → { valid, violations, counts }
+ * - arrangementComposition(arrangement) → 'MIX'|'MONO'|null
+ * - checkPinnedSlots(arrangements, pins) → { arrangements, missing, moved }
+ * - TRIAD_COMPOSITION, TRIAD_POLICIES
+ * - buildLegacyRefinePrompt(prompt, refinements) → string
+ * - getPersonaMessage(error, context) → string
+ * - isCurateAborted(error) → boolean
+ */
@@ -0,0 +1,464 @@
+/**
+ * ARVYAM Curate Response Schema
+ * The declared shape of an arrangement in /api/curate, /api/refine and
+ * /api/arrangements responses, with the coercion rules that turn what a
+ * backend actually sends into it
+ *
+ * Features:
+ * - One canonical name per field (name, description, image, price_inr, ...)
+ * - Coercion: numeric strings and "₹1,899" prices, trimmed/clipped text,
+ *   known delivery windows only, galleries as { src, alt }
+ * - Sanity checks: https or same-site image URLs only, prices within range
+ * - Unknown fields pass through untouched (newer backends may add some)
+ * - Per-field diagnostics for developers (never guest-facing)
+ *
+ * Contract versions (response header X-Arvyam-Contract):
+ * - 1 (or no header): legacy shapes accepted - raw arrays, {results: []},
+ *   and the old field names (title, desc, image_url, price, type, ...)
+ * - 2: {arrangements: []} with canonical field names only; legacy names are
+ *   ignored and reported, so a backend opts out of them on purpose
+ *
+ * Constitutional Compliance:
+ * - Curation Structure: An arrangement without a usable SKU id is unusable
+ * - Privacy: Diagnostics name fields and problems, never values
+ *
+ * @module curate_schema
+ * @version 1.0.0
+ */
+
+import { sanitizeLocalizedMap } from './i18n/content.js';
+import { VALID_DELIVERY_WINDOWS } from './validators.js';
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+/**
+ * Contract this frontend is written against, and the one assumed when a
+ * response does not declare any
+ */
+export const CURATE_CONTRACT_VERSION = 2;
+export const LEGACY_CONTRACT_VERSION = 1;
+
+/**
+ * Response header declaring the contract (cross-origin backends must list it
+ * in Access-Control-Expose-Headers, otherwise it reads as legacy)
+ */
+export const CONTRACT_HEADER = 'X-Arvyam-Contract';
+
+/**
+ * Plausible arrangement prices in INR - anything else is a unit or data error
+ */
+const PRICE_RANGE = { min: 100, max: 500000 };
+
+/**
+ * SKU ids appear in checkout links and share links - the one definition both
+ * the schema and share_link.js check against, so every rendered triad can be shared
+ */
+export const SKU_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/;
+
+/**
+ * Arrangement fields
+ * type: how the value is coerced (see COERCERS)
+ * legacy: older names read under contract 1 only
+ * required: the arrangement is unusable without it
+ * maxLength: text is clipped to this many characters
+ */
+export const ARRANGEMENT_SCHEMA = {
+  id: { type: 'sku', required: true },
+  name: { type: 'text', maxLength: 80, legacy: ['title'] },
+  description: { type: 'text', maxLength: 400, legacy: ['desc'] },
+  long_description: { type: 'text', maxLength: 1200 },
+  occasion: { type: 'text', maxLength: 80 },
+  tier: { type: 'text', maxLength: 40 },
+  composition: { type: 'composition', legacy: ['type'] },
+  price_inr: { type: 'price', legacy: ['price'] },
+  image: { type: 'url', legacy: ['image_url'] },
+  alt_text: { type: 'text', maxLength: 200 },
+  images: { type: 'gallery' },
+  flowers: { type: 'list', maxLength: 200 },
+  stem_count: { type: 'count' },
+  palette: { type: 'list', maxLength: 120 },
+  size: { type: 'text', maxLength: 80 },
+  size_guidance: { type: 'text', maxLength: 200 },
+  delivery_windows: { type: 'windows' },
+  care_notes: { type: 'list', maxLength: 300 },
+  name_i18n: { type: 'localized', legacy: ['title_i18n'] },
+  description_i18n: { type: 'localized', legacy: ['desc_i18n'] }
+};
+
+/**
+ * Fields read elsewhere (per-card reasons, see normalizeRationale) - not
+ * reported as unknown
+ */
+const HANDLED_ELSEWHERE = ['reason', 'rationale'];
+
+// ============================================================================
+// Coercion
+// ============================================================================
+
+/**
+ * Outcome of coercing one value
+ * @typedef {Object} Coerced
+ * @property {*} value - Canonical value (undefined drops the field)
+ * @property {'coerced'|'invalid'|null} issue - What had to happen to it
+ */
+
+/**
+ * @param {*} value - Canonical value
+ * @param {boolean} [changed=false] - Whether the raw value was reshaped
+ * @returns {Coerced}
+ */
+function ok(value, changed = false) {
+  return { value, issue: changed ? 'coerced' : null };
+}
+
+/**
+ * @returns {Coerced}
+ */
+function invalid() {
+  return { value: undefined, issue: 'invalid' };
+}
+
+/**
+ * Trimmed, clipped text
+ * @param {*} raw - Raw value
+ * @param {number} [maxLength=400] - Character limit
+ * @returns {Coerced}
+ */
+function coerceText(raw, maxLength = 400) {
+  if (typeof raw === 'number' && Number.isFinite(raw)) return ok(String(raw), true);
+  if (typeof raw !== 'string') return invalid();
+
+  const text = raw.trim();
+  if (!text) return ok(undefined);
+
+  const clipped = text.slice(0, maxLength);
+  return ok(clipped, clipped !== raw);
+}
+
+/**
+ * Image URL: same-site paths and https only (no http, data: or javascript:)
+ * @param {*} raw - Raw value
+ * @returns {Coerced}
+ */
+function coerceUrl(raw) {
+  if (typeof raw !== 'string' || !raw.trim()) return invalid();
+
+  const value = raw.trim();
+  let url;
+  try {
+    url = new URL(value, 'https://arvyam.invalid/');
+  } catch (error) {
+    return invalid();
+  }
+
+  if (url.protocol !== 'https:') return invalid();
+  return ok(value, value !== raw);
+}
+
+/**
+ * INR price from a number or a display string ("₹1,899", "Rs. 2499", "1899.00")
+ * @param {*} raw - Raw value
+ * @returns {Coerced}
+ */
+function coercePrice(raw) {
+  let price = raw;
+
+  if (typeof raw === 'string') {
+    const digits = raw.replace(/₹|rs\.?|inr|[\s,]/gi, '');
+    price = /^\d+(\.\d+)?$/.test(digits) ? Number(digits) : NaN;
+  }
+
+  if (typeof price !== 'number' || !Number.isFinite(price)) return invalid();
+  if (price < PRICE_RANGE.min || price > PRICE_RANGE.max) return invalid();
+
+  const rounded = Math.round(price);
+  return ok(rounded, rounded !== raw);
+}
+
+/**
+ * Positive whole number ("18" → 18)
+ * @param {*} raw - Raw value
+ * @returns {Coerced}
+ */
+function coerceCount(raw) {
+  const count = typeof raw === 'string' && /^\d+$/.test(raw.trim()) ? Number(raw.trim()) : raw;
+  if (!Number.isInteger(count) || count <= 0) return invalid();
+
+  return ok(count, count !== raw);
+}
+
+/**
+ * 'MIX' or 'MONO', any case
+ * @param {*} raw - Raw value
+ * @returns {Coerced}
+ */
+function coerceComposition(raw) {
+  if (typeof raw !== 'string') return invalid();
+
+  const composition = raw.trim().toUpperCase();
+  if (composition !== 'MIX' && composition !== 'MONO') return invalid();
+
+  return ok(composition, composition !== raw);
+}
+
+/**
+ * A list shown as text: one string, or an array of non-empty strings
+ * @param {*} raw - Raw value
+ * @param {number} maxLength - Limit per entry
+ * @returns {Coerced}
+ */
+function coerceList(raw, maxLength) {
+  if (!Array.isArray(raw)) return coerceText(raw, maxLength);
+
+  const items = raw
+    .filter(item => typeof item === 'string' && item.trim())
+    .map(item => item.trim().slice(0, maxLength));
+
+  if (items.length === 0) return invalid();
+  return ok(items, items.length !== raw.length || items.some((item, index) => item !== raw[index]));
+}
+
+/**
+ * Known delivery windows, earliest first
+ * @param {*} raw - Raw value
+ * @returns {Coerced}
+ */
+function coerceWindows(raw) {
+  if (!Array.isArray(raw)) return invalid();
+
+  const windows = VALID_DELIVERY_WINDOWS.filter(value => raw.includes(value));
+  return ok(windows, windows.length !== raw.length || windows.some((value, index) => value !== raw[index]));
+}
+
+/**
+ * Gallery as [{ src, alt }] (strings are accepted as bare sources)
+ * @param {*} raw - Raw value
+ * @returns {Coerced}
+ */
+function coerceGallery(raw) {
+  if (!Array.isArray(raw)) return invalid();
+
+  const images = [];
+  for (const entry of raw) {
+    const src = coerceUrl(typeof entry === 'string' ? entry : entry?.src).value;
+    if (!src) continue;
+
+    const alt = typeof entry?.alt === 'string' ? coerceText(entry.alt, 200).value : undefined;
+    images.push({ src, alt: alt || null });
+  }
+
+  if (images.length === 0) return invalid();
+  return ok(images, images.length !== raw.length || raw.some(entry => typeof entry === 'string'));
+}
+
+/**
+ * Per-locale text map (see sanitizeLocalizedMap)
+ * @param {*} raw - Raw value
+ * @returns {Coerced}
+ */
+function coerceLocalized(raw) {
+  const map = sanitizeLocalizedMap(raw);
+  if (!map) return invalid();
+
+  const changed = Object.keys(map).length !== Object.keys(raw).length ||
+    Object.entries(map).some(([tag, text]) => raw[tag] !== text);
+  return ok(map, changed);
+}
+
+/**
+ * Coercion per schema type
+ */
+const COERCERS = {
+  sku: (raw) => {
+    const id = typeof raw === 'number' && Number.isInteger(raw) ? String(raw) : raw;
+    return typeof id === 'string' && SKU_PATTERN.test(id) ? ok(id, id !== raw) : invalid();
+  },
+  text: (raw, spec) => coerceText(raw, spec.maxLength),
+  url: coerceUrl,
+  price: coercePrice,
+  count: coerceCount,
+  composition: coerceComposition,
+  list: (raw, spec) => coerceList(raw, spec.maxLength),
+  windows: coerceWindows,
+  gallery: coerceGallery,
+  localized: coerceLocalized
+};
+
+// ============================================================================
+// Contract
+// ============================================================================
+
+/**
+ * Contract version a response declares
+ * @param {string|null} headerValue - X-Arvyam-Contract value
+ * @returns {number} Version (LEGACY_CONTRACT_VERSION when absent or malformed)
+ */
+export function readContractVersion(headerValue) {
+  const version = Number(String(headerValue ?? '').trim());
+  return Number.isInteger(version) && version >= LEGACY_CONTRACT_VERSION ? version : LEGACY_CONTRACT_VERSION;
+}
+
+/**
+ * Find the arrangement list in a response body
+ * Contract 1 tolerates a bare array and {results: []}; later contracts
+ * accept {arrangements: []} only
+ *
+ * @param {*} data - Parsed response body
+ * @param {number} [contract=1] - Declared contract
+ * @returns {{list: Array|null, wrapper: Object|null, issues: Object[]}}
+ *   The raw list, the object around it (for uncertainty_score and rationale)
+ */
+export function readEnvelope(data, contract = LEGACY_CONTRACT_VERSION) {
+  const legacy = contract <= LEGACY_CONTRACT_VERSION;
+
+  if (data && !Array.isArray(data) && Array.isArray(data.arrangements)) {
+    return { list: data.arrangements, wrapper: data, issues: [] };
+  }
+
+  const shape = Array.isArray(data) ? 'array' : (Array.isArray(data?.results) ? 'results' : null);
+  if (!shape) {
+    return { list: null, wrapper: null, issues: [{ field: 'arrangements', issue: 'missing' }] };
+  }
+
+  const issue = { field: shape === 'array' ? '(body)' : 'results', issue: legacy ? 'legacy' : 'retired' };
+  if (!legacy) {
+    return { list: null, wrapper: null, issues: [issue] };
+  }
+
+  return shape === 'array'
+    ? { list: data, wrapper: null, issues: [issue] }
+    : { list: data.results, wrapper: data, issues: [issue] };
+}
+
+// ============================================================================
+// Arrangements
+// ============================================================================
+
+/**
+ * Coerce one arrangement to the schema
+ * Issues per field:
+ * - legacy: read from an old field name (contract 1)
+ * - retired: an old field name ignored (contract 2+)
+ * - coerced: the value was reshaped to fit
+ * - invalid: the value was unusable and dropped
+ * - missing: a required field is absent
+ * - unknown: not in the schema (kept as-is)
+ *
+ * @param {*} raw - Arrangement from the response
+ * @param {number} [contract=1] - Declared contract
+ * @returns {{arrangement: Object|null, issues: Array<{field: string, issue: string}>}}
+ *   arrangement is null when a required field is missing or invalid
+ */
+export function coerceArrangement(raw, contract = LEGACY_CONTRACT_VERSION) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { arrangement: null, issues: [{ field: '(item)', issue: 'invalid' }] };
+  }
+
+  const legacy = contract <= LEGACY_CONTRACT_VERSION;
+  const arrangement = {};
+  const issues = [];
+  const known = new Set(HANDLED_ELSEWHERE);
+  let usable = true;
+
+  for (const [field, spec] of Object.entries(ARRANGEMENT_SCHEMA)) {
+    const names = [field, ...(spec.legacy || [])];
+    names.forEach(name => known.add(name));
+
+    let source = raw[field] !== undefined && raw[field] !== null ? field : null;
+    for (const name of spec.legacy || []) {
+      if (raw[name] === undefined || raw[name] === null) continue;
+      if (!legacy) {
+        issues.push({ field: name, issue: 'retired' });
+      } else if (!source) {
+        source = name;
+      }
+    }
+
+    if (!source) {
+      if (spec.required) {
+        issues.push({ field, issue: 'missing' });
+        usable = false;
+      }
+      continue;
+    }
+
+    if (source !== field) {
+      issues.push({ field: source, issue: 'legacy' });
+    }
+
+    const { value, issue } = COERCERS[spec.type](raw[source], spec);
+    if (issue) {
+      issues.push({ field, issue });
+    }
+    if (value !== undefined) {
+      arrangement[field] = value;
+    } else if (spec.required) {
+      usable = false;
+    }
+  }
+
+  // Unknown fields are tolerated and passed through
+  for (const [field, value] of Object.entries(raw)) {
+    if (known.has(field)) continue;
+    arrangement[field] = value;
+    issues.push({ field, issue: 'unknown' });
+  }
+
+  return { arrangement: usable ? arrangement : null, issues };
+}
+
+// ============================================================================
+// Diagnostics
+// ============================================================================
+
+/**
+ * Developer-readable diagnostics, one line per field and problem
+ * @param {Array<{field: string, issue: string, index?: number}>} issues - Collected issues
+ * @returns {string[]} e.g. 'arrangements[1].price: legacy'
+ */
+export function formatSchemaIssues(issues) {
+  return issues.map(({ field, issue, index }) => (
+    index === undefined ? `${field}: ${issue}` : `arrangements[${index}].${field}: ${issue}`
+  ));
+}
+
+/**
+ * Log diagnostics for a response (field names and problems only)
+ * invalid/missing/retired are warnings; legacy/coerced/unknown are info
+ *
+ * @param {Array<{field: string, issue: string, index?: number}>} issues - Collected issues
+ * @param {number} contract - Declared contract
+ */
+export function reportSchemaIssues(issues, contract) {
+  const warnings = issues.filter(({ issue }) => ['invalid', 'missing', 'retired'].includes(issue));
+  const notes = issues.filter(item => !warnings.includes(item));
+
+  if (warnings.length > 0) {
+    console.warn(`[CurateSchema] Contract ${contract} response problems:`, formatSchemaIssues(warnings));
+  }
+  if (notes.length > 0) {
+    console.info(`[CurateSchema] Contract ${contract} response adjusted:`, formatSchemaIssues(notes));
+  }
+}
+
+// ============================================================================
+// Module Exports
+// ============================================================================
+
+/**
+ * Export summary:
+ * - coerceArrangement(raw, contract) → { arrangement|null, issues }
+ * - readEnvelope(data, contract) → { list, wrapper, issues }
+ * - readContractVersion(headerValue) → number
+ * - formatSchemaIssues(issues) → string[]
+ * - reportSchemaIssues(issues, contract)
+ * - ARRANGEMENT_SCHEMA, SKU_PATTERN, CURATE_CONTRACT_VERSION, LEGACY_CONTRACT_VERSION, CONTRACT_HEADER
+ *
+ * Usage (normalizeCurateResponse in curate_client.js does this):
+ * import { readEnvelope, coerceArrangement } from './curate_schema.js';
+ *
+ * const { list } = readEnvelope(data, contract);
+ * const arrangements = list.map(item => coerceArrangement(item, contract).arrangement);
+ */
@@ -0,0 +1,272 @@
+/**
+ * ARVYAM Curate Stream Reader
+ * Reads a streamed /api/curate (or /api/refine) response, where the triad
+ * arrives one message at a time instead of as one JSON body
+ *
+ * Streaming contract - asked for with the Accept header (STREAM_ACCEPT); a
+ * backend that does not stream simply answers with JSON as before:
+ * - application/x-ndjson: one JSON message per line
+ * - text/event-stream: SSE events; `event:` names the type, `data:` holds the JSON
+ *
+ * Messages (in any order, `done` last):
+ * - { type: 'meta', uncertainty_score: 0.2 }
+ * - { type: 'arrangement', index: 0, arrangement: {...} }   (index 0-2)
+ * - { type: 'rationale', rationale: {...} }                  (same fields as the JSON response)
+ * - { type: 'error', message: '...' }                        (developer-facing, ends the stream)
+ * - { type: 'done' }
+ * Unknown message types are ignored (newer backends may add some)
+ *
+ * The result is the same envelope a JSON response would carry, so it goes
+ * through normalizeCurateResponse and validateTriad like any other triad -
+ * streamed cards are previews until all three have arrived and passed.
+ *
+ * Constitutional Compliance:
+ * - Curation Structure: Nothing is committed from a partial or unfinished stream
+ * - Privacy: Stream content is never logged
+ *
+ * @module curate_stream
+ * @version 1.0.0
+ */
+
+import { coerceArrangement, LEGACY_CONTRACT_VERSION } from './curate_schema.js';
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+/**
+ * Accept header for triad requests: a stream if the backend can, JSON otherwise
+ */
+export const STREAM_ACCEPT = 'application/x-ndjson, text/event-stream;q=0.9, application/json;q=0.8';
+
+/**
+ * Streamed formats by media type
+ */
+const STREAM_FORMATS = {
+  'application/x-ndjson': 'ndjson',
+  'text/event-stream': 'sse'
+};
+
+/**
+ * A triad has exactly three slots
+ */
+const TRIAD_SIZE = 3;
+
+// ============================================================================
+// Errors
+// ============================================================================
+
+/**
+ * Stream that cannot become a triad
+ * reason: 'malformed' (unparseable or out-of-range message), 'incomplete'
+ * (ended without `done`) or 'server' (the backend sent an error message)
+ *
+ * @param {string} reason - Failure reason
+ * @param {string} message - Developer-facing message
+ * @returns {Error}
+ */
+function streamError(reason, message) {
+  const error = new Error(message);
+  error.name = 'CurateStreamError';
+  error.reason = reason;
+  return error;
+}
+
+// ============================================================================
+// Parsing
+// ============================================================================
+
+/**
+ * Stream format of a response
+ * @param {string|null} contentType - Content-Type header
+ * @returns {'ndjson'|'sse'|null} Format, or null for a plain JSON body
+ */
+export function streamFormat(contentType) {
+  const mediaType = String(contentType || '').split(';')[0].trim().toLowerCase();
+  return STREAM_FORMATS[mediaType] || null;
+}
+
+/**
+ * Decoded text chunks of a response body
+ * A reader that stops early (done received, or a message refused) cancels
+ * the body, so a backend still sending is not read into the void
+ *
+ * @param {ReadableStream} body - Response body
+ * @yields {string}
+ */
+async function* readText(body) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let ended = false;
+
+  try {
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      yield decoder.decode(value, { stream: true });
+    }
+    ended = true;
+    yield decoder.decode();
+  } finally {
+    if (!ended) {
+      // Rejects on a body that already errored (e.g. aborted) - nothing left to cancel
+      reader.cancel().catch(() => {});
+    }
+    reader.releaseLock();
+  }
+}
+
+/**
+ * Parse one message's JSON
+ * @param {string} text - JSON text
+ * @param {string} [type] - SSE event name (used when the JSON has no type)
+ * @returns {Object} Message
+ */
+function parseMessage(text, type) {
+  let message;
+  try {
+    message = JSON.parse(text);
+  } catch (error) {
+    throw streamError('malformed', 'Curate stream message was not valid JSON');
+  }
+
+  if (!message || typeof message !== 'object' || Array.isArray(message)) {
+    throw streamError('malformed', 'Curate stream message was not an object');
+  }
+
+  return type && !message.type ? { ...message, type } : message;
+}
+
+/**
+ * One SSE event block → message (comments and data-less events → null)
+ * @param {string} block - Lines of one event
+ * @returns {Object|null}
+ */
+function parseEvent(block) {
+  let type = null;
+  const data = [];
+
+  for (const line of block.split(/\r?\n/)) {
+    if (!line || line.startsWith(':')) continue;
+
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.slice(0, colon);
+    const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+
+    if (field === 'event') type = value;
+    if (field === 'data') data.push(value);
+  }
+
+  return data.length > 0 ? parseMessage(data.join('\n'), type) : null;
+}
+
+/**
+ * Messages of a streamed body, as they arrive
+ * @param {ReadableStream} body - Response body
+ * @param {'ndjson'|'sse'} format - Stream format
+ * @yields {Object} Message
+ */
+export async function* readMessages(body, format) {
+  const separator = format === 'sse' ? /\r?\n\r?\n/ : /\r?\n/;
+  let buffer = '';
+
+  const parse = (chunk) => (format === 'sse' ? parseEvent(chunk) : (chunk.trim() ? parseMessage(chunk) : null));
+
+  for await (const text of readText(body)) {
+    buffer += text;
+    const parts = buffer.split(separator);
+    buffer = parts.pop();
+
+    for (const part of parts) {
+      const message = parse(part);
+      if (message) yield message;
+    }
+  }
+
+  const message = parse(buffer);
+  if (message) yield message;
+}
+
+// ============================================================================
+// Triad Assembly
+// ============================================================================
+
+/**
+ * Read a streamed triad into the envelope a JSON response would carry
+ * Each arrangement is handed to onArrangement as soon as it arrives (coerced
+ * to the schema; unusable ones are not previewed) - callers must treat those
+ * as previews until the returned envelope passes normalization
+ *
+ * @param {ReadableStream} body - Response body
+ * @param {'ndjson'|'sse'} format - Stream format
+ * @param {Object} [options={}] - Read options
+ * @param {number} [options.contract=1] - Contract the response declared
+ * @param {Function} [options.onArrangement] - ({ index, arrangement }) => void
+ * @returns {Promise<{arrangements: Array, uncertainty_score?: number, rationale?: Object}>}
+ * @throws {Error} CurateStreamError (reason: malformed | incomplete | server), or
+ *   the reader's error when the request is aborted
+ */
+export async function readCurateStream(body, format, { contract = LEGACY_CONTRACT_VERSION, onArrangement } = {}) {
+  const envelope = { arrangements: new Array(TRIAD_SIZE).fill(null) };
+  let received = 0;
+
+  for await (const message of readMessages(body, format)) {
+    switch (message.type) {
+      case 'meta':
+        if (typeof message.uncertainty_score === 'number') {
+          envelope.uncertainty_score = message.uncertainty_score;
+        }
+        break;
+
+      case 'arrangement': {
+        const index = Number.isInteger(message.index) ? message.index : received;
+        if (index < 0 || index >= TRIAD_SIZE || envelope.arrangements[index]) {
+          throw streamError('malformed', `Curate stream sent arrangement ${index} out of place`);
+        }
+
+        envelope.arrangements[index] = message.arrangement;
+        received++;
+
+        const { arrangement } = coerceArrangement(message.arrangement, contract);
+        if (arrangement && typeof onArrangement === 'function') {
+          onArrangement({ index, arrangement });
+        }
+        break;
+      }
+
+      case 'rationale':
+        envelope.rationale = message.rationale;
+        break;
+
+      case 'error':
+        throw streamError('server', typeof message.message === 'string' ? message.message : 'Curate stream error');
+
+      case 'done':
+        return envelope;
+
+      default:
+        // Newer message types are not ours to act on
+        break;
+    }
+  }
+
+  throw streamError('incomplete', `Curate stream ended after ${received} of ${TRIAD_SIZE} arrangements`);
+}
+
+// ============================================================================
+// Module Exports
+// ============================================================================
+
+/**
+ * Export summary:
+ * - readCurateStream(body, format, { contract, onArrangement }) → Promise<envelope>
+ * - readMessages(body, format) → AsyncGenerator<message>
+ * - streamFormat(contentType) → 'ndjson'|'sse'|null
+ * - STREAM_ACCEPT
+ *
+ * Usage (CurateClient does this when a response streams):
+ * import { readCurateStream, streamFormat } from './curate_stream.js';
+ *
+ * const format = streamFormat(response.headers.get('Content-Type'));
+ * const envelope = format ? await readCurateStream(response.body, format, { onArrangement }) : await response.json();
+ */
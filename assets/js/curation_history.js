@@ -0,0 +1,284 @@
+/**
+ * ARVYAM Curation History
+ * Per-session record of every triad shown (search, hints, refine, intent assist, shared link)
+ *
+ * Features:
+ * - Entries hold the triad, hints, refinement deltas, rationale and a timestamp
+ * - Prompts are stored as a hash only; the text stays in memory for refine continuity
+ * - sessionStorage persistence survives reloads, never the browser session
+ * - Restoring an entry needs no API call (the triad is already here)
+ *
+ * Constitutional Compliance:
+ * - Curation Structure: Only validated 3-arrangement triads are recorded
+ * - Privacy: "We do not store your exact words" - prompt text never reaches storage,
+ *   nothing outlives the tab, and nothing is sent to analytics
+ *
+ * @module curation_history
+ * @version 1.0.0
+ */
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+/**
+ * sessionStorage key (session-only by design - never localStorage)
+ */
+const STORAGE_KEY = 'arvyam_curation_history';
+
+/**
+ * Oldest entries are dropped beyond this count
+ */
+const MAX_ENTRIES = 12;
+
+/**
+ * How an entry was produced
+ */
+export const HISTORY_KINDS = ['search', 'hints', 'refine', 'intent', 'shared'];
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/**
+ * Hash prompt text so entries can be grouped without storing the words
+ * FNV-1a 32-bit - not cryptographic, only a stable session-local key
+ *
+ * @param {string} text - Prompt text
+ * @returns {string} 8-char hex hash ('' for empty input)
+ */
+export function hashPrompt(text) {
+  const normalized = String(text || '').trim().toLowerCase();
+  if (!normalized) return '';
+
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < normalized.length; i++) {
+    hash ^= normalized.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash.toString(16).padStart(8, '0');
+}
+
+/**
+ * Safe sessionStorage accessor (private mode / disabled storage)
+ * @returns {Storage|null}
+ */
+function getStorage() {
+  try {
+    return window.sessionStorage || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// ============================================================================
+// CurationHistory Class
+// ============================================================================
+
+export default class CurationHistory {
+  /**
+   * Create a CurationHistory instance and load this session's entries
+   *
+   * @param {Object} [options={}] - Configuration options
+   * @param {number} [options.maxEntries=12] - Entries kept before the oldest is dropped
+   * @param {string} [options.storageKey] - Override sessionStorage key (tests)
+   */
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || MAX_ENTRIES;
+    this.storageKey = options.storageKey || STORAGE_KEY;
+
+    this.entries = [];
+    this.currentId = null;
+
+    // promptHash -> prompt text; memory only, never persisted
+    this.prompts = new Map();
+
+    this._load();
+  }
+
+  // ==========================================================================
+  // Public API
+  // ==========================================================================
+
+  /**
+   * Record a displayed triad
+   *
+   * @param {Object} record - What was shown
+   * @param {string} record.kind - One of HISTORY_KINDS
+   * @param {string} record.prompt - Prompt that produced it (hashed before storing)
+   * @param {Object[]} record.arrangements - Validated triad (exactly 3)
+   * @param {Object|null} [record.hints] - Structured hints used
+   * @param {string|null} [record.refinement] - Latest refinement delta (refine only)
+   * @param {string[]} [record.refinements=[]] - Every delta stacked on the prompt so far
+   * @param {Object|null} [record.rationale=null] - Backend "why these three" fields
+   * @param {number} [record.uncertaintyScore=0] - Backend uncertainty score
+   * @param {string} [record.language='en'] - Language of the request
+   * @returns {Object|null} The stored entry, or null if the triad is invalid
+   */
+  record({ kind, prompt, arrangements, hints = null, refinement = null, refinements = [], rationale = null, uncertaintyScore = 0, language = 'en' }) {
+    if (!Array.isArray(arrangements) || arrangements.length !== 3) {
+      console.warn('[CurationHistory] Not recording - expected exactly 3 arrangements');
+      return null;
+    }
+
+    const promptHash = hashPrompt(prompt);
+    if (promptHash) {
+      this.prompts.set(promptHash, prompt);
+    }
+
+    const entry = {
+      id: `h${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+      kind: HISTORY_KINDS.includes(kind) ? kind : 'search',
+      promptHash,
+      hints: hints && Object.keys(hints).length > 0 ? { ...hints } : null,
+      refinement: kind === 'refine' && refinement ? refinement : null,
+      refinements: Array.isArray(refinements) ? [...refinements] : [],
+      arrangements: arrangements.slice(0, 3),
+      rationale: rationale ? { ...rationale } : null,
+      uncertaintyScore,
+      language,
+      timestamp: Date.now()
+    };
+
+    this.entries.push(entry);
+    if (this.entries.length > this.maxEntries) {
+      this.entries.splice(0, this.entries.length - this.maxEntries);
+    }
+
+    this.currentId = entry.id;
+    this._save();
+
+    return entry;
+  }
+
+  /**
+   * Mark an existing entry as the one on screen
+   * @param {string} id - Entry id
+   * @returns {Object|null} The entry, or null if unknown
+   */
+  select(id) {
+    const entry = this.get(id);
+    if (!entry) return null;
+
+    this.currentId = entry.id;
+    this._save();
+    return entry;
+  }
+
+  /**
+   * @param {string} id - Entry id
+   * @returns {Object|null} Entry with that id
+   */
+  get(id) {
+    return this.entries.find(entry => entry.id === id) || null;
+  }
+
+  /**
+   * @returns {Object[]} Entries, oldest first (copy)
+   */
+  getEntries() {
+    return [...this.entries];
+  }
+
+  /**
+   * @returns {Object|null} Entry currently on screen
+   */
+  getCurrent() {
+    return this.get(this.currentId);
+  }
+
+  /**
+   * Prompt text for an entry, if this page load saw it
+   * After a reload only the hash exists - callers keep their current prompt
+   *
+   * @param {Object} entry - History entry
+   * @returns {string|null} Prompt text or null
+   */
+  getPrompt(entry) {
+    return (entry && this.prompts.get(entry.promptHash)) || null;
+  }
+
+  /**
+   * Drop every entry (memory and sessionStorage)
+   */
+  clear() {
+    this.entries = [];
+    this.currentId = null;
+    this.prompts.clear();
+
+    const storage = getStorage();
+    try {
+      storage?.removeItem(this.storageKey);
+    } catch (error) {
+      console.warn('[CurationHistory] Failed to clear storage');
+    }
+  }
+
+  // ==========================================================================
+  // Persistence
+  // ==========================================================================
+
+  /**
+   * Load entries saved earlier in this browser session
+   * @private
+   */
+  _load() {
+    const storage = getStorage();
+    if (!storage) return;
+
+    try {
+      const stored = JSON.parse(storage.getItem(this.storageKey) || 'null');
+      if (!stored || !Array.isArray(stored.entries)) return;
+
+      this.entries = stored.entries
+        .filter(entry => entry && entry.id && Array.isArray(entry.arrangements) && entry.arrangements.length === 3)
+        .slice(-this.maxEntries);
+      this.currentId = this.get(stored.currentId) ? stored.currentId : null;
+    } catch (error) {
+      console.warn('[CurationHistory] Ignoring unreadable session history');
+      this.entries = [];
+      this.currentId = null;
+    }
+  }
+
+  /**
+   * Persist entries (prompt text is never part of an entry)
+   * @private
+   */
+  _save() {
+    const storage = getStorage();
+    if (!storage) return;
+
+    try {
+      storage.setItem(this.storageKey, JSON.stringify({
+        entries: this.entries,
+        currentId: this.currentId
+      }));
+    } catch (error) {
+      // Quota exceeded - keep working from memory
+      console.warn('[CurationHistory] Failed to persist session history');
+    }
+  }
+}
+
+// ============================================================================
+// Module Exports
+// ============================================================================
+
+/**
+ * Export summary:
+ *
+ * Default export: CurationHistory class
+ * - record({ kind, prompt, arrangements, hints, refinement, refinements, rationale, uncertaintyScore, language })
+ * - select(id), get(id), getEntries(), getCurrent(), getPrompt(entry), clear()
+ *
+ * Named exports:
+ * - hashPrompt(text) → string
+ * - HISTORY_KINDS
+ *
+ * Usage:
+ * import CurationHistory from './curation_history.js';
+ *
+ * const history = new CurationHistory();
+ * history.record({ kind: 'search', prompt, arrangements: data.arrangements });
+ */
@@ -0,0 +1,315 @@
+/**
+ * ARVYAM Delivery Calendar
+ * Real dates behind the delivery windows, today's same-day cut-off and the
+ * gifting dates coming up (Diwali, Raksha Bandhan, Valentine's, Mother's Day)
+ *
+ * Everything is reckoned on the India (IST) calendar - that is where the
+ * flowers are delivered, wherever the guest is ordering from. Dates are
+ * 'YYYY-MM-DD' strings; calendarDate() turns one into a Date for display.
+ *
+ * Constitutional Compliance:
+ * - Guest-First: A calm heads-up on timing, never a countdown or a blocker
+ * - Privacy: Works from the clock alone - no location, no account
+ *
+ * @module delivery_calendar
+ * @version 1.0.0
+ */
+
+import { VALID_DELIVERY_WINDOWS } from './validators.js';
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+/**
+ * India Standard Time is UTC+5:30 all year (no daylight saving)
+ */
+const IST_OFFSET_MINUTES = 330;
+
+/**
+ * Same-day delivery closes at this IST time
+ */
+export const SAME_DAY_CUTOFF = { hour: 16, minute: 0 };
+
+/**
+ * Gifting dates are mentioned this many days ahead
+ */
+const OCCASION_LEAD_DAYS = 14;
+
+/**
+ * Festival orders are best placed the day before
+ */
+const ORDER_AHEAD_DAYS = 1;
+
+/**
+ * Gifting dates: fixed days, nth weekday of a month, or a table for the
+ * lunar festivals (extend the tables every year)
+ */
+export const GIFTING_OCCASIONS = [
+  { id: 'valentines_day', month: 2, day: 14 },
+  { id: 'mothers_day', month: 5, weekday: 0, week: 2 }, // second Sunday of May
+  { id: 'raksha_bandhan', dates: ['2025-08-09', '2026-08-28', '2027-08-17'] },
+  { id: 'diwali', dates: ['2025-10-20', '2026-11-08', '2027-10-29'] }
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ============================================================================
+// Date Helpers
+// ============================================================================
+
+/**
+ * 'YYYY-MM-DD' of a Date's UTC fields
+ * @param {Date} date - Date
+ * @returns {string}
+ */
+function toIsoDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * UTC midnight of a 'YYYY-MM-DD' date
+ * @param {string} isoDate - Date
+ * @returns {Date}
+ */
+function fromIsoDate(isoDate) {
+  return new Date(`${isoDate}T00:00:00Z`);
+}
+
+/**
+ * Move a date by whole days
+ * @param {string} isoDate - Date
+ * @param {number} days - Days (negative goes back)
+ * @returns {string}
+ */
+function addDays(isoDate, days) {
+  return toIsoDate(new Date(fromIsoDate(isoDate).getTime() + days * DAY_MS));
+}
+
+/**
+ * Whole days from one date to another
+ * @param {string} from - Date
+ * @param {string} to - Date
+ * @returns {number}
+ */
+function daysBetween(from, to) {
+  return Math.round((fromIsoDate(to) - fromIsoDate(from)) / DAY_MS);
+}
+
+/**
+ * Today's date in India
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {string} 'YYYY-MM-DD'
+ */
+export function indiaDate(now = new Date()) {
+  return toIsoDate(new Date(now.getTime() + IST_OFFSET_MINUTES * 60 * 1000));
+}
+
+/**
+ * An India calendar date as a local Date (midnight), for formatDate()
+ * and {when, date} / {when, relative} messages
+ * @param {string} isoDate - 'YYYY-MM-DD'
+ * @returns {Date}
+ */
+export function calendarDate(isoDate) {
+  const [year, month, day] = isoDate.split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
+
+/**
+ * The moment an IST wall-clock time happens on a date
+ * @param {string} isoDate - Date
+ * @param {number} hour - Hour (IST)
+ * @param {number} minute - Minute (IST)
+ * @returns {Date}
+ */
+function indiaTime(isoDate, hour, minute) {
+  return new Date(fromIsoDate(isoDate).getTime() + ((hour * 60 + minute) - IST_OFFSET_MINUTES) * 60 * 1000);
+}
+
+// ============================================================================
+// Delivery
+// ============================================================================
+
+/**
+ * Today's same-day cut-off
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Date}
+ */
+export function sameDayCutoff(now = new Date()) {
+  return indiaTime(indiaDate(now), SAME_DAY_CUTOFF.hour, SAME_DAY_CUTOFF.minute);
+}
+
+/**
+ * Whether an order placed now can still arrive today
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {boolean}
+ */
+export function isSameDayOpen(now = new Date()) {
+  return now < sameDayCutoff(now);
+}
+
+/**
+ * First date an order placed now can arrive
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {string} 'YYYY-MM-DD' (today before the cut-off, tomorrow after)
+ */
+export function earliestDeliveryDate(now = new Date()) {
+  const today = indiaDate(now);
+  return isSameDayOpen(now) ? today : addDays(today, 1);
+}
+
+/**
+ * Concrete dates for a delivery window
+ * Ranges never start before the earliest possible delivery, so "today"
+ * after the cut-off means tomorrow. Weeks run Monday to Sunday.
+ *
+ * @param {string} window - One of VALID_DELIVERY_WINDOWS
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {{from: string, to: string}|null} Inclusive range, or null (flexible / unknown)
+ */
+export function deliveryDateRange(window, now = new Date()) {
+  if (!VALID_DELIVERY_WINDOWS.includes(window)) return null;
+
+  const today = indiaDate(now);
+  const earliest = earliestDeliveryDate(now);
+  const sunday = addDays(today, (7 - fromIsoDate(today).getUTCDay()) % 7);
+
+  switch (window) {
+    case 'today':
+      return { from: earliest, to: earliest };
+    case 'tomorrow': {
+      const tomorrow = addDays(today, 1);
+      return { from: tomorrow, to: tomorrow };
+    }
+    case 'this_week':
+      return { from: earliest, to: sunday < earliest ? earliest : sunday };
+    case 'next_week':
+      return { from: addDays(sunday, 1), to: addDays(sunday, 7) };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Hints with the delivery window pinned to dates (delivery_dates)
+ * @param {Object|null} hints - Structured hints
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Object|null} Copy with delivery_dates, or the hints unchanged
+ */
+export function withDeliveryDates(hints, now = new Date()) {
+  const range = deliveryDateRange(hints?.delivery_window, now);
+  return range ? { ...hints, delivery_dates: range } : hints;
+}
+
+// ============================================================================
+// Gifting Occasions
+// ============================================================================
+
+/**
+ * An occasion's date in a year
+ * @param {Object} occasion - GIFTING_OCCASIONS entry
+ * @param {number} year - Year
+ * @returns {string|null} 'YYYY-MM-DD', or null when the table has no entry
+ */
+function occasionDate(occasion, year) {
+  if (occasion.dates) {
+    return occasion.dates.find(date => date.startsWith(`${year}-`)) || null;
+  }
+
+  const month = String(occasion.month).padStart(2, '0');
+  if (occasion.day) {
+    return `${year}-${month}-${String(occasion.day).padStart(2, '0')}`;
+  }
+
+  const first = `${year}-${month}-01`;
+  const offset = (occasion.weekday - fromIsoDate(first).getUTCDay() + 7) % 7;
+  return addDays(first, offset + (occasion.week - 1) * 7);
+}
+
+/**
+ * Gifting dates still reachable by delivery in the next few days
+ * @param {Date} [now=new Date()] - Current time
+ * @param {number} [withinDays=14] - How far ahead to look
+ * @returns {Array<{id: string, date: string, orderBy: string}>} Soonest first
+ */
+export function upcomingOccasions(now = new Date(), withinDays = OCCASION_LEAD_DAYS) {
+  const today = indiaDate(now);
+  const earliest = earliestDeliveryDate(now);
+  const year = Number(today.slice(0, 4));
+
+  const upcoming = [];
+  for (const occasion of GIFTING_OCCASIONS) {
+    for (const date of [occasionDate(occasion, year), occasionDate(occasion, year + 1)]) {
+      if (!date || date < earliest || daysBetween(today, date) > withinDays) continue;
+
+      const orderBy = addDays(date, -ORDER_AHEAD_DAYS);
+      upcoming.push({ id: occasion.id, date, orderBy: orderBy < today ? today : orderBy });
+    }
+  }
+
+  return upcoming.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// ============================================================================
+// System Feedback
+// ============================================================================
+
+/**
+ * The delivery line for the system-feedback region
+ * A gifting date coming up wins; otherwise today's cut-off
+ *
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {{key: string, vars: Object, occasionId: string|null, refreshAt: Date}}
+ *   Stringbank key and its variables (vars.occasion is filled in from
+ *   delivery.occasions.<occasionId>), plus when the line next changes
+ */
+export function deliveryNotice(now = new Date()) {
+  const today = indiaDate(now);
+  const cutoff = sameDayCutoff(now);
+  const refreshAt = now < cutoff ? cutoff : indiaTime(addDays(today, 1), 0, 0);
+
+  const [occasion] = upcomingOccasions(now);
+  if (occasion) {
+    return {
+      key: 'delivery.occasion',
+      vars: { date: calendarDate(occasion.date), orderBy: calendarDate(occasion.orderBy) },
+      occasionId: occasion.id,
+      refreshAt
+    };
+  }
+
+  if (now < cutoff) {
+    return { key: 'delivery.same_day', vars: { cutoff }, occasionId: null, refreshAt };
+  }
+
+  return {
+    key: 'delivery.next_day',
+    vars: { date: calendarDate(earliestDeliveryDate(now)) },
+    occasionId: null,
+    refreshAt
+  };
+}
+
+// ============================================================================
+// Module Exports
+// ============================================================================
+
+/**
+ * Export summary:
+ * - deliveryDateRange(window, now) → { from, to }|null
+ * - withDeliveryDates(hints, now) → hints
+ * - deliveryNotice(now) → { key, vars, occasionId, refreshAt }
+ * - upcomingOccasions(now, withinDays) → Array<{ id, date, orderBy }>
+ * - earliestDeliveryDate(now) → string
+ * - sameDayCutoff(now) → Date
+ * - isSameDayOpen(now) → boolean
+ * - indiaDate(now) → string
+ * - calendarDate(isoDate) → Date
+ * - SAME_DAY_CUTOFF, GIFTING_OCCASIONS
+ *
+ * Usage:
+ * import { withDeliveryDates, deliveryNotice } from './delivery_calendar.js';
+ *
+ * const body = { prompt, hints: withDeliveryDates(hints) };
+ */
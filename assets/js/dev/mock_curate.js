@@ -0,0 +1,668 @@
+/**
+ * ARVYAM Mock Curate Backend (development & tests only)
+ * Fetch-level stand-in for /api/curate, /api/refine, /api/arrangements and
+ * /api/serviceability - no network, no live Render API
+ *
+ * Enable in the browser:
+ * - ?mock=1                      → default scenario
+ * - ?mock=<scenario>             → any scenario below (e.g. ?mock=slow)
+ * - window.ARVYAM_API_BASE = 'mock' (set before app.js loads)
+ *
+ * Scenarios:
+ * - default           Deterministic 2 MIX + 1 MONO triad (picked from prompt hash)
+ * - uncertain         Same triad, uncertainty_score 0.9 (triggers IntentAssist)
+ * - slow              Responds after 6s (shows the warm-up state)
+ * - cold_start        First 2 requests return 503, then succeeds (exercises retries)
+ * - timeout           Never responds until aborted
+ * - network           Rejects like an offline fetch ("Failed to fetch")
+ * - error_400         HTTP 400 with {error: {message}}
+ * - error_500         HTTP 500 with {error: {message}}
+ * - invalid_json      HTTP 200 with a non-JSON body
+ * - triad_short       Only 2 arrangements (triad guard must refuse)
+ * - triad_composition 3 MIX, no MONO (composition violation - logged, refused only under 'strict')
+ * - triad_duplicate   Same SKU twice
+ * - legacy_results    Legacy {results: []} wrapper
+ * - raw_array         Bare array, no wrapper
+ * - legacy_refine     /api/refine answers a plain 404 (backend without the route - client falls back)
+ * - rationale         Default triad plus "why these three" fields (anchor, relationship, tone, per-card reasons)
+ * - contract_v2       Declares X-Arvyam-Contract: 2 and sends canonical field names only (price_inr, not price)
+ * - stream            Streams the triad as NDJSON, one card every 600ms, then the rationale
+ * - stream_sse        Same, as server-sent events
+ * - stream_broken     Streams two cards and stops without `done` (must not be committed)
+ *
+ * /api/refine answers with a triad seeded by prompt + every refinement delta, so
+ * stacked turns stay deterministic; keep_sku_ids stay in their previous slots. /api/arrangements ({sku_ids}) answers from the
+ * same catalog (404 for unknown SKUs). /api/serviceability ({pincode}) delivers
+ * same-day to metro pincodes (11, 40, 50, 56, 60, 70...), from tomorrow
+ * elsewhere, and not at all to 8xxxxx/9xxxxx. Transport scenarios (slow, cold_start,
+ * timeout, network, error_*, invalid_json) apply to every endpoint. Stream scenarios
+ * stream /api/curate and /api/refine only when the request's Accept header asks
+ * for that format, and answer with plain JSON otherwise
+ *
+ * Privacy: Prompt text is hashed for determinism, never logged or stored
+ *
+ * @module mock_curate
+ * @version 1.0.0
+ */
+
+// ============================================================================
+// Mock Catalog
+// ============================================================================
+
+/**
+ * Fixed catalog - 6 MIX + 3 MONO arrangements
+ * Price fields deliberately vary (price / price_inr / "1,899" / missing) to exercise
+ * normalizeCurateResponse and the "—" price fallback in ResultCard; the optional
+ * compare/detail fields (flowers, palette, size, delivery_windows, care_notes,
+ * images, size_guidance, long_description) are likewise only on some items, as
+ * are the per-locale name_i18n/description_i18n maps (complete, partial, absent)
+ */
+const MOCK_CATALOG = {
+  MIX: [
+    {
+      id: 'MOCK-MIX-001',
+      name: 'Morning Hush',
+      occasion: 'A quiet thank you',
+      description: 'Soft peach roses with chamomile and eucalyptus, gathered loosely.',
+      name_i18n: {
+        en: 'Morning Hush',
+        hi: 'सुबह की शांति',
+        ta: 'காலை அமைதி',
+        te: 'ఉదయపు నిశ్శబ్దం',
+        bn: 'ভোরের নীরবতা'
+      },
+      description_i18n: {
+        en: 'Soft peach roses with chamomile and eucalyptus, gathered loosely.',
+        hi: 'कैमोमाइल और यूकेलिप्टस के साथ हल्के आड़ू रंग के गुलाब, ढीले से सजाए गए।',
+        ta: 'கெமோமில் மற்றும் யூகலிப்டஸுடன் மென்மையான பீச் ரோஜாக்கள், தளர்வாகச் சேர்க்கப்பட்டவை.',
+        te: 'చామంతి, యూకలిప్టస్‌తో మృదువైన పీచ్ గులాబీలు, వదులుగా అమర్చినవి.',
+        bn: 'ক্যামোমাইল ও ইউক্যালিপটাসের সঙ্গে নরম পীচ গোলাপ, আলগা করে সাজানো।'
+      },
+      tier: 'Classic',
+      price: 1599,
+      image: 'assets/card-1.jpg',
+      flowers: ['Peach rose', 'Chamomile', 'Eucalyptus'],
+      stem_count: 18,
+      palette: ['Peach', 'Cream', 'Sage'],
+      size: 'Medium',
+      delivery_windows: ['today', 'tomorrow', 'this_week'],
+      care_notes: 'Trim stems every two days; keep away from fruit.',
+      images: ['assets/card-1.jpg', 'assets/card-2.jpg', 'assets/card-3.jpg'],
+      size_guidance: 'About 40 cm tall - sits comfortably on a dining table.',
+      composition: 'MIX'
+    },
+    {
+      id: 'MOCK-MIX-002',
+      name: 'Golden Hour',
+      occasion: 'Celebrating together',
+      description: 'Sunflowers, amber spray roses and wheat for a warm, open feeling.',
+      name_i18n: { en: 'Golden Hour', 'hi-IN': 'सुनहरा पल' },
+      tier: 'Signature',
+      price_inr: 2499,
+      image: 'assets/card-2.jpg',
+      flowers: ['Sunflower', 'Spray rose', 'Wheat'],
+      palette: ['Gold', 'Amber'],
+      size: 'Large',
+      delivery_windows: ['tomorrow', 'this_week'],
+      composition: 'MIX'
+    },
+    {
+      id: 'MOCK-MIX-003',
+      name: 'Gentle Company',
+      occasion: 'For a tough week',
+      description: 'Lavender stock, white lisianthus and soft ruscus in calm tones.',
+      tier: 'Classic',
+      price: '1,899',
+      image: 'assets/card-3.jpg',
+      composition: 'MIX'
+    },
+    {
+      id: 'MOCK-MIX-004',
+      name: 'Festival Light',
+      occasion: 'A joyful occasion',
+      description: 'Marigold, orange gerbera and magenta carnations, bright and generous.',
+      tier: 'Signature',
+      price: 2799,
+      image: 'assets/card-1.jpg',
+      composition: 'MIX'
+    },
+    {
+      id: 'MOCK-MIX-005',
+      name: 'Quiet Garden',
+      occasion: 'Thinking of you',
+      description: 'Garden roses, sweet pea and dusty miller in muted blush.',
+      tier: 'Luxury',
+      price_inr: 4599,
+      image: 'assets/card-2.jpg',
+      flowers: ['Garden rose', 'Sweet pea', 'Dusty miller'],
+      stem_count: 24,
+      palette: ['Blush', 'Silver'],
+      delivery_windows: ['this_week', 'next_week'],
+      care_notes: 'Cool room, fresh water daily.',
+      composition: 'MIX'
+    },
+    {
+      id: 'MOCK-MIX-006',
+      name: 'First Bloom',
+      occasion: 'A new beginning',
+      description: 'Tulips, ranunculus and fresh greens for a light, hopeful start.',
+      tier: 'Signature',
+      image: 'assets/card-3.jpg',
+      composition: 'MIX'
+    }
+  ],
+  MONO: [
+    {
+      id: 'MOCK-MONO-001',
+      name: 'Pure White',
+      occasion: 'Simple and sincere',
+      description: 'Two dozen white roses, hand-tied with a linen ribbon.',
+      name_i18n: { en: 'Pure White', hi: 'शुद्ध सफ़ेद', bn: 'শুভ্র সাদা' },
+      description_i18n: { hi: 'दो दर्जन सफ़ेद गुलाब, लिनन रिबन से हाथ से बंधे।' },
+      tier: 'Signature',
+      price: 2999,
+      image: 'assets/card-1.jpg',
+      flowers: ['White rose'],
+      stem_count: 24,
+      palette: ['White'],
+      size: 'Medium',
+      delivery_windows: ['today', 'tomorrow'],
+      composition: 'MONO'
+    },
+    {
+      id: 'MOCK-MONO-002',
+      name: 'Deep Red',
+      occasion: 'Said with love',
+      description: 'Long-stem red roses, classic and unhurried.',
+      tier: 'Luxury',
+      price_inr: 4999,
+      image: 'assets/card-2.jpg',
+      images: [
+        { src: 'assets/card-2.jpg', alt: 'Long-stem red roses, hand-tied' },
+        { src: 'assets/card-1.jpg', alt: 'Close view of the rose heads' }
+      ],
+      long_description: 'Long-stem red roses, classic and unhurried. Hand-tied with a satin ribbon and wrapped in plain kraft.',
+      composition: 'MONO'
+    },
+    {
+      id: 'MOCK-MONO-003',
+      name: 'Soft Orchid',
+      occasion: 'Lasting gratitude',
+      description: 'A single stem of white phalaenopsis in a ceramic pot.',
+      tier: 'Classic',
+      price: 1799,
+      image: 'assets/card-3.jpg',
+      flowers: 'Phalaenopsis orchid',
+      stem_count: 1,
+      size: 'Small',
+      delivery_windows: ['tomorrow', 'this_week'],
+      care_notes: 'Water weekly; bright, indirect light.',
+      composition: 'MONO'
+    }
+  ]
+};
+
+/**
+ * Scenario presets
+ * latencyMs: delay before responding; failFirst: number of 503s before success
+ */
+const SCENARIOS = {
+  default: { latencyMs: 400 },
+  uncertain: { latencyMs: 400, uncertainty: 0.9 },
+  slow: { latencyMs: 6000 },
+  cold_start: { latencyMs: 400, failFirst: 2 },
+  timeout: { hang: true },
+  network: { networkError: true },
+  error_400: { latencyMs: 200, status: 400 },
+  error_500: { latencyMs: 200, status: 500 },
+  invalid_json: { latencyMs: 200, invalidJson: true },
+  triad_short: { latencyMs: 400, shape: 'short' },
+  triad_composition: { latencyMs: 400, shape: 'all_mix' },
+  triad_duplicate: { latencyMs: 400, shape: 'duplicate' },
+  legacy_results: { latencyMs: 400, wrapper: 'results' },
+  raw_array: { latencyMs: 400, wrapper: 'none' },
+  legacy_refine: { latencyMs: 400, noRefine: true },
+  rationale: { latencyMs: 400, rationale: true },
+  contract_v2: { latencyMs: 400, contract: 2 },
+  stream: { latencyMs: 200, rationale: true, stream: 'ndjson', cardDelayMs: 600 },
+  stream_sse: { latencyMs: 200, rationale: true, stream: 'sse', cardDelayMs: 600 },
+  stream_broken: { latencyMs: 200, stream: 'ndjson', cardDelayMs: 600, streamCards: 2 }
+};
+
+/**
+ * Media type per stream format
+ */
+const STREAM_MEDIA_TYPES = {
+  ndjson: 'application/x-ndjson',
+  sse: 'text/event-stream'
+};
+
+/**
+ * Rationale values the rationale scenario picks from (seeded by prompt hash)
+ */
+const MOCK_ANCHORS = ['love', 'gratitude', 'celebration', 'comfort', 'encouragement', 'new_beginning'];
+const MOCK_TONES = ['joyful', 'romantic', 'supportive', 'elegant', 'bright', 'calm'];
+
+/**
+ * Pincode prefixes with same-day delivery (Delhi, Mumbai, Hyderabad,
+ * Bengaluru, Chennai, Kolkata)
+ */
+const MOCK_METRO_PREFIXES = ['11', '40', '50', '56', '60', '70'];
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/**
+ * Small deterministic string hash (FNV-1a)
+ * Used only to pick a triad - the prompt itself is never kept
+ * @param {string} text - Input text
+ * @returns {number} Unsigned 32-bit hash
+ */
+function hashText(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Pick a deterministic 2 MIX + 1 MONO triad for a prompt
+ * @param {number} seed - Prompt hash
+ * @returns {Object[]} Three arrangements (copies)
+ */
+function pickTriad(seed) {
+  const mix = MOCK_CATALOG.MIX;
+  const mono = MOCK_CATALOG.MONO;
+
+  const first = seed % mix.length;
+  const second = (first + 1 + (seed >>> 8) % (mix.length - 1)) % mix.length;
+  const monoIndex = (seed >>> 16) % mono.length;
+
+  return [mix[first], mix[second], mono[monoIndex]].map(item => ({ ...item }));
+}
+
+/**
+ * Hold pinned SKUs in the slots they had (refine keep_sku_ids)
+ * Free slots are filled from the seeded triad, then the catalog, keeping 2 MIX + 1 MONO
+ *
+ * @param {Object[]} arrangements - Seeded triad
+ * @param {Object} request - Parsed request body ({previous_sku_ids, keep_sku_ids})
+ * @returns {Object[]} Triad with pinned cards in place
+ */
+function keepPinnedSkus(arrangements, request) {
+  const keep = Array.isArray(request?.keep_sku_ids) ? request.keep_sku_ids : [];
+  const previous = Array.isArray(request?.previous_sku_ids) ? request.previous_sku_ids : [];
+  const catalog = [...MOCK_CATALOG.MIX, ...MOCK_CATALOG.MONO];
+
+  const slots = [null, null, null];
+  keep.forEach(id => {
+    const slot = previous.indexOf(id);
+    const item = catalog.find(entry => entry.id === id);
+    if (slot >= 0 && slot < 3 && item) {
+      slots[slot] = { ...item };
+    }
+  });
+
+  if (!slots.some(Boolean)) return arrangements;
+
+  const needed = { MIX: 2, MONO: 1 };
+  slots.filter(Boolean).forEach(item => needed[item.composition]--);
+
+  const usedIds = new Set(slots.filter(Boolean).map(item => item.id));
+  const pool = [...arrangements, ...catalog.map(item => ({ ...item }))];
+
+  return slots.map(item => {
+    if (item) return item;
+
+    const next = pool.find(candidate => !usedIds.has(candidate.id) && needed[candidate.composition] > 0);
+    usedIds.add(next.id);
+    needed[next.composition]--;
+    return next;
+  });
+}
+
+/**
+ * Estimate uncertainty the way the backend roughly does (short = uncertain)
+ * @param {string} prompt - Prompt text
+ * @returns {number} Score between 0 and 1
+ */
+function estimateUncertainty(prompt) {
+  const words = String(prompt || '').trim().split(/\s+/).filter(Boolean);
+  return words.length < 3 ? 0.8 : 0.2;
+}
+
+/**
+ * Wait for ms, rejecting with AbortError if the request is aborted
+ * @param {number} ms - Delay
+ * @param {AbortSignal} [signal] - Request signal
+ * @returns {Promise<void>}
+ */
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const abortError = () => new DOMException('The operation was aborted.', 'AbortError');
+
+    if (signal?.aborted) {
+      reject(abortError());
+      return;
+    }
+
+    const timer = ms === Infinity ? null : setTimeout(resolve, ms);
+
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(abortError());
+    }, { once: true });
+  });
+}
+
+/**
+ * Build a JSON Response
+ * @param {*} body - JSON body
+ * @param {number} [status=200] - HTTP status
+ * @param {Object} [headers={}] - Extra headers
+ * @returns {Response}
+ */
+function jsonResponse(body, status = 200, headers = {}) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json', ...headers }
+  });
+}
+
+/**
+ * Catalog item with canonical field names only (contract 2 backends)
+ * @param {Object} item - Catalog item
+ * @returns {Object} Item with price_inr instead of price
+ */
+function toContractV2(item) {
+  const { price, ...rest } = item;
+  return price === undefined || rest.price_inr !== undefined ? rest : { ...rest, price_inr: price };
+}
+
+/**
+ * Whether the request's Accept header asks for a stream format
+ * @param {Object} init - fetch init
+ * @param {string} format - 'ndjson' | 'sse'
+ * @returns {boolean}
+ */
+function acceptsStream(init, format) {
+  const headers = new Headers(init.headers || {});
+  return (headers.get('Accept') || '').includes(STREAM_MEDIA_TYPES[format]);
+}
+
+/**
+ * Build a streamed curate Response: meta, one message per card, rationale, done
+ * Errors the body with AbortError if the request is aborted mid-stream
+ *
+ * @param {Object} payload - Curate payload ({arrangements, uncertainty_score, rationale})
+ * @param {Object} preset - Scenario preset (stream, cardDelayMs, streamCards)
+ * @param {AbortSignal} [signal] - Request signal
+ * @returns {Response}
+ */
+function streamResponse(payload, preset, signal) {
+  const encoder = new TextEncoder();
+  const encode = (message) => encoder.encode(preset.stream === 'sse'
+    ? `event: ${message.type}\ndata: ${JSON.stringify(message)}\n\n`
+    : `${JSON.stringify(message)}\n`);
+
+  const cards = payload.arrangements.slice(0, preset.streamCards ?? payload.arrangements.length);
+
+  const body = new ReadableStream({
+    async start(controller) {
+      try {
+        controller.enqueue(encode({ type: 'meta', uncertainty_score: payload.uncertainty_score }));
+
+        for (const [index, arrangement] of cards.entries()) {
+          await wait(preset.cardDelayMs, signal);
+          controller.enqueue(encode({ type: 'arrangement', index, arrangement }));
+        }
+
+        if (cards.length === payload.arrangements.length) {
+          if (payload.rationale) {
+            controller.enqueue(encode({ type: 'rationale', rationale: payload.rationale }));
+          }
+          controller.enqueue(encode({ type: 'done' }));
+        }
+
+        controller.close();
+      } catch (error) {
+        controller.error(error);
+      }
+    }
+  });
+
+  return new Response(body, {
+    status: 200,
+    headers: { 'Content-Type': STREAM_MEDIA_TYPES[preset.stream] }
+  });
+}
+
+// ============================================================================
+// Mock Fetch
+// ============================================================================
+
+/**
+ * Build the curate payload for a scenario
+ * @param {Object} request - Parsed request body
+ * @param {Object} preset - Scenario preset
+ * @returns {*} Response body
+ */
+function buildCuratePayload(request, preset) {
+  const prompt = request?.prompt || '';
+  const refinements = Array.isArray(request?.refinements) ? request.refinements : [];
+  let arrangements = keepPinnedSkus(
+    pickTriad(hashText([prompt, request?.language || 'en', ...refinements].join('|'))),
+    request
+  );
+
+  if (preset.shape === 'short') {
+    arrangements = arrangements.slice(0, 2);
+  } else if (preset.shape === 'all_mix') {
+    const usedIds = arrangements.map(item => item.id);
+    arrangements[2] = { ...MOCK_CATALOG.MIX.find(item => !usedIds.includes(item.id)) };
+  } else if (preset.shape === 'duplicate') {
+    arrangements[1] = { ...arrangements[0] };
+  }
+
+  if (preset.wrapper === 'none') {
+    return arrangements;
+  }
+
+  const key = preset.wrapper === 'results' ? 'results' : 'arrangements';
+  const payload = {
+    [key]: arrangements,
+    uncertainty_score: preset.uncertainty ?? estimateUncertainty(prompt)
+  };
+
+  if (preset.rationale) {
+    const seed = hashText(prompt);
+    payload.rationale = {
+      emotion_anchor: MOCK_ANCHORS[seed % MOCK_ANCHORS.length],
+      relationship: request?.hints?.relationship || null,
+      tone: MOCK_TONES[(seed >>> 3) % MOCK_TONES.length],
+      reasons: Object.fromEntries(arrangements.map(item => [
+        item.id,
+        item.composition === 'MONO'
+          ? 'A single flower says it simply and clearly.'
+          : 'A layered mix that carries more than one feeling.'
+      ]))
+    };
+  }
+
+  return payload;
+}
+
+/**
+ * Build the SKU lookup payload (shared links)
+ * @param {Object} request - Parsed request body ({sku_ids})
+ * @returns {{status: number, body: Object}} Response status and body
+ */
+function buildLookupPayload(request) {
+  const catalog = [...MOCK_CATALOG.MIX, ...MOCK_CATALOG.MONO];
+  const skuIds = Array.isArray(request?.sku_ids) ? request.sku_ids : [];
+  const arrangements = skuIds
+    .map(id => catalog.find(item => item.id === id))
+    .filter(Boolean)
+    .map(item => ({ ...item }));
+
+  if (arrangements.length !== skuIds.length || arrangements.length === 0) {
+    return { status: 404, body: { error: { message: 'Unknown SKU' } } };
+  }
+
+  return { status: 200, body: { arrangements } };
+}
+
+/**
+ * Build the serviceability payload for a pincode
+ * @param {Object} request - Parsed request body ({pincode})
+ * @returns {{status: number, body: Object}} Response status and body
+ */
+function buildServiceabilityPayload(request) {
+  const pincode = String(request?.pincode || '');
+
+  if (!/^[1-9]\d{5}$/.test(pincode)) {
+    return { status: 400, body: { error: { message: 'Invalid pincode' } } };
+  }
+
+  if (/^[89]/.test(pincode)) {
+    return { status: 200, body: { pincode, serviceable: false, delivery_windows: [] } };
+  }
+
+  const sameDay = MOCK_METRO_PREFIXES.some(prefix => pincode.startsWith(prefix));
+  return {
+    status: 200,
+    body: {
+      pincode,
+      serviceable: true,
+      delivery_windows: [...(sameDay ? ['today'] : []), 'tomorrow', 'this_week', 'next_week', 'flexible']
+    }
+  };
+}
+
+/**
+ * Create a fetch implementation that answers /api/curate, /api/refine, /api/arrangements and /api/serviceability locally
+ * Any other URL is passed through to the real fetch (stringbanks, analytics)
+ *
+ * @param {Object} [options={}] - Mock options
+ * @param {string} [options.scenario='default'] - Scenario name (see module doc)
+ * @param {number} [options.latencyMs] - Override the scenario latency (also the delay between streamed cards)
+ * @param {Function} [options.passthrough] - fetch for non-curate URLs
+ * @returns {Function} fetch-compatible function
+ *
+ * @example
+ * const client = new CurateClient({ fetchImpl: createMockFetch({ scenario: 'cold_start' }) });
+ */
+export function createMockFetch(options = {}) {
+  const scenario = SCENARIOS[options.scenario] ? options.scenario : 'default';
+  const preset = SCENARIOS[scenario];
+  const latencyMs = options.latencyMs ?? preset.latencyMs ?? 0;
+  const cardDelayMs = options.latencyMs ?? preset.cardDelayMs ?? 0;
+  const passthrough = options.passthrough ||
+    (typeof window !== 'undefined' && window.fetch ? window.fetch.bind(window) : null);
+
+  if (scenario !== options.scenario && options.scenario) {
+    console.warn(`[MockCurate] Unknown scenario "${options.scenario}", using default`);
+  }
+
+  let requestCount = 0;
+
+  return async function mockFetch(input, init = {}) {
+    const url = typeof input === 'string' ? input : input.url;
+
+    const endpoint = url.match(/\/api\/(curate|refine|arrangements|serviceability)(\?|$)/)?.[1];
+
+    if (!endpoint) {
+      if (!passthrough) {
+        throw new TypeError(`[MockCurate] No passthrough fetch for ${url}`);
+      }
+      return passthrough(input, init);
+    }
+
+    requestCount++;
+    const signal = init.signal;
+
+    if (endpoint === 'refine' && preset.noRefine) {
+      await wait(latencyMs, signal);
+      // A host without the route: plain 404, no contract header or {error} body
+      return new Response('Not Found', { status: 404, headers: { 'Content-Type': 'text/plain' } });
+    }
+
+    if (preset.networkError) {
+      await wait(50, signal);
+      throw new TypeError('Failed to fetch');
+    }
+
+    await wait(preset.hang ? Infinity : latencyMs, signal);
+
+    if (preset.failFirst && requestCount <= preset.failFirst) {
+      console.log(`[MockCurate] ${scenario}: 503 (request ${requestCount})`);
+      return jsonResponse({ error: { message: 'Service waking up' } }, 503);
+    }
+
+    if (preset.status) {
+      return jsonResponse({ error: { message: `Mock ${preset.status} (${scenario})` } }, preset.status);
+    }
+
+    if (preset.invalidJson) {
+      return new Response('<html>Bad gateway</html>', { status: 200 });
+    }
+
+    let request = {};
+    try {
+      request = JSON.parse(init.body || '{}');
+    } catch (error) {
+      // Malformed body - answer with the default triad
+    }
+
+    if (endpoint === 'serviceability') {
+      const { status, body } = buildServiceabilityPayload(request);
+      console.log(`[MockCurate] ${scenario}: serviceability ${status} (pincode NOT logged)`);
+      return jsonResponse(body, status);
+    }
+
+    // Contract 2: {arrangements: []} with canonical names, declared in a header
+    const contractHeaders = preset.contract ? { 'X-Arvyam-Contract': String(preset.contract) } : {};
+    const forContract = (body) => (preset.contract && Array.isArray(body?.arrangements)
+      ? { ...body, arrangements: body.arrangements.map(toContractV2) }
+      : body);
+
+    if (endpoint === 'arrangements') {
+      const { status, body } = buildLookupPayload(request);
+      console.log(`[MockCurate] ${scenario}: lookup ${status}`);
+      return jsonResponse(forContract(body), status, contractHeaders);
+    }
+
+    if (preset.stream && acceptsStream(init, preset.stream)) {
+      console.log(`[MockCurate] ${scenario}: ${endpoint} streaming (prompt NOT logged)`);
+      return streamResponse(buildCuratePayload(request, preset), { ...preset, cardDelayMs }, signal);
+    }
+
+    console.log(`[MockCurate] ${scenario}: ${endpoint} responded (prompt NOT logged)`);
+    return jsonResponse(forContract(buildCuratePayload(request, preset)), 200, contractHeaders);
+  };
+}
+
+/**
+ * List available scenario names
+ * @returns {string[]} Scenario names
+ */
+export function getMockScenarios() {
+  return Object.keys(SCENARIOS);
+}
+
+// ============================================================================
+// Module Exports
+// ============================================================================
+
+/**
+ * Export summary:
+ * - createMockFetch({ scenario, latencyMs, passthrough }) → fetch-compatible function
+ * - getMockScenarios() → string[]
+ *
+ * Usage (app.js does this automatically for ?mock=<scenario>):
+ * import { createMockFetch } from './dev/mock_curate.js';
+ * const client = new CurateClient({ fetchImpl: createMockFetch({ scenario: 'slow' }) });
+ */
@@ -0,0 +1,69 @@
+/**
+ * ARVYAM Localized Product Content
+ * Picks a product name/description from the per-locale maps the API may
+ * send beside the catalog text (name_i18n, description_i18n)
+ *
+ * Maps are keyed by language tag: { en: 'Morning Hush', hi: 'सुबह की शांति', 'ta-IN': '…' }
+ */
+
+// Language tags the maps may use (hi, hi-IN, sr-Latn-RS ...)
+const LOCALE_TAG_PATTERN = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i;
+
+// Longest translated product text kept (descriptions are ≤25 words upstream)
+const MAX_CONTENT_LENGTH = 600;
+
+/**
+ * Clean a per-locale map from the API
+ * Keeps non-empty strings under well-formed language tags (lowercased)
+ * @param {*} map - Raw map
+ * @returns {Object<string, string>|null} Clean map, or null when nothing usable
+ */
+export function sanitizeLocalizedMap(map) {
+  if (!map || typeof map !== 'object' || Array.isArray(map)) return null;
+
+  const clean = {};
+  for (const [tag, value] of Object.entries(map)) {
+    if (!LOCALE_TAG_PATTERN.test(tag) || typeof value !== 'string') continue;
+
+    const text = value.trim().slice(0, MAX_CONTENT_LENGTH);
+    if (text) clean[tag.toLowerCase()] = text;
+  }
+
+  return Object.keys(clean).length > 0 ? clean : null;
+}
+
+/**
+ * Best entry of a per-locale map for a language
+ * Order: exact tag, a regional variant (hi-IN for hi), English, an English
+ * variant, then the catalog text
+ *
+ * @param {Object<string, string>|null} map - Sanitized map
+ * @param {string} lang - UI language
+ * @param {string} [fallback=''] - Catalog text (language unknown)
+ * @returns {{text: string, lang: string|null}} Text and its language (null for the catalog text)
+ */
+export function pickLocalized(map, lang, fallback = '') {
+  if (map) {
+    const tags = Object.keys(map);
+
+    for (const wanted of [lang, 'en']) {
+      const tag = tags.find(candidate => candidate === wanted) ||
+        tags.find(candidate => candidate.startsWith(`${wanted}-`));
+      if (tag) {
+        return { text: map[tag], lang: wanted };
+      }
+    }
+  }
+
+  return { text: fallback, lang: null };
+}
+
+/**
+ * Arrangement name in a language (title/name is the catalog text)
+ * @param {Object} arrangement - Normalized arrangement
+ * @param {string} lang - UI language
+ * @returns {string}
+ */
+export function arrangementName(arrangement, lang) {
+  return pickLocalized(arrangement.name_i18n, lang, arrangement.title || arrangement.name || '').text;
+}
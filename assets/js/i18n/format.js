@@ -0,0 +1,455 @@
+/**
+ * ARVYAM i18n Message Formatting
+ * ICU-style messages, numbers, currency and dates for t() and tSync()
+ *
+ * Message syntax (a subset of ICU MessageFormat):
+ * - {name}                                  → value as-is (left as "{name}" when missing)
+ * - {count, number}                         → 1,25,000 (Indian digit grouping)
+ * - {price, number, currency}               → ₹1,599
+ * - {when, date} / {when, date, long}       → 19 Oct / 19 October 2026
+ * - {when, relative}                        → today, tomorrow, in 3 days
+ * - {when, time}                            → 4 pm / 4:30 pm (guest's time zone)
+ * - {count, plural, =0 {…} one {…} other {…}}  → # is the formatted count
+ * - {kind, select, refine {…} other {…}}
+ *
+ * Plural categories come from Intl.PluralRules for the language, so each
+ * stringbank lists the categories its own language uses (always with "other").
+ * Apostrophe quoting is not supported: a "{" that does not open a valid
+ * argument is kept as text.
+ */
+
+import { SUPPORTED_LANGUAGES } from './lang_detect.js';
+
+// Digit zero of each language's native script (U+0966 + n is Devanagari n, ...)
+const NATIVE_ZERO = {
+  hi: 0x0966, // Devanagari
+  bn: 0x09E6, // Bengali
+  ta: 0x0BE6, // Tamil
+  te: 0x0C66  // Telugu
+};
+
+// Within this many days either way, dates read as "tomorrow", "in 3 days"
+const RELATIVE_DAY_LIMIT = 6;
+
+const DATE_STYLES = {
+  short: { day: 'numeric', month: 'short' },
+  medium: { day: 'numeric', month: 'short', year: 'numeric' },
+  long: { day: 'numeric', month: 'long', year: 'numeric' }
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Formatting settings (see configureFormatting)
+const settings = {
+  nativeDigits: false
+};
+
+// Parsed messages and Intl formatters are reused across calls
+const messageCache = new Map();
+const formatterCache = new Map();
+
+/**
+ * Sets formatting options for every later call
+ * @param {Object} options - Options to change
+ * @param {boolean} [options.nativeDigits] - Use native digits for hi/bn/ta/te (default false)
+ */
+export function configureFormatting(options = {}) {
+  if (typeof options.nativeDigits === 'boolean') {
+    settings.nativeDigits = options.nativeDigits;
+  }
+}
+
+// ============================================================================
+// Numbers and Dates
+// ============================================================================
+
+/**
+ * BCP 47 locale for a language - always the Indian variant
+ * @param {string} lang - Language code
+ * @returns {string} Locale tag (e.g. 'hi-IN')
+ */
+function localeFor(lang) {
+  return `${SUPPORTED_LANGUAGES.includes(lang) ? lang : 'en'}-IN`;
+}
+
+/**
+ * Cached Intl formatter
+ * @param {Function} Formatter - Intl constructor
+ * @param {string} lang - Language code
+ * @param {Object} options - Constructor options
+ * @returns {Object} Formatter instance
+ */
+function formatterFor(Formatter, lang, options) {
+  const key = `${Formatter.name}|${lang}|${JSON.stringify(options)}`;
+  if (!formatterCache.has(key)) {
+    formatterCache.set(key, new Formatter(localeFor(lang), options));
+  }
+  return formatterCache.get(key);
+}
+
+/**
+ * Swap ASCII digits for the language's native digits when enabled
+ * Intl is always asked for Latin digits first, so grouping stays Indian
+ * (bn-IN would otherwise default to Bengali digits, and Tamil decimal
+ * digits lose the lakh grouping)
+ * @param {string} text - Formatted text
+ * @param {string} lang - Language code
+ * @param {boolean} [nativeDigits] - Override the configured setting
+ * @returns {string}
+ */
+function localiseDigits(text, lang, nativeDigits = settings.nativeDigits) {
+  const zero = NATIVE_ZERO[lang];
+  if (!nativeDigits || !zero) return text;
+  return text.replace(/[0-9]/g, digit => String.fromCharCode(zero + Number(digit)));
+}
+
+/**
+ * Format a number with Indian digit grouping (1,25,000)
+ * @param {number} value - Number to format
+ * @param {string} [lang='en'] - Language code
+ * @param {Object} [options={}] - Intl.NumberFormat options, plus nativeDigits
+ * @returns {string} Formatted number ('' when not a number)
+ */
+export function formatNumber(value, lang = 'en', options = {}) {
+  const number = Number(value);
+  if (value === null || value === '' || !Number.isFinite(number)) return '';
+
+  const { nativeDigits, ...intlOptions } = options;
+  const text = formatterFor(Intl.NumberFormat, lang, { ...intlOptions, numberingSystem: 'latn' }).format(number);
+  return localiseDigits(text, lang, nativeDigits);
+}
+
+/**
+ * Format a rupee amount (₹1,599 - whole rupees)
+ * @param {number} value - Amount in INR
+ * @param {string} [lang='en'] - Language code
+ * @param {Object} [options={}] - Extra formatNumber options
+ * @returns {string} Formatted price ('—' when not a number)
+ */
+export function formatCurrency(value, lang = 'en', options = {}) {
+  return formatNumber(value, lang, {
+    style: 'currency',
+    currency: 'INR',
+    maximumFractionDigits: 0,
+    ...options
+  }) || '—';
+}
+
+/**
+ * Read a Date, epoch ms or ISO string
+ * @param {Date|number|string} value - Date value
+ * @returns {Date|null} Valid date, or null
+ */
+function toDate(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Format a calendar date
+ * @param {Date|number|string} value - Date value
+ * @param {string} [lang='en'] - Language code
+ * @param {'short'|'medium'|'long'} [style='short'] - Date style
+ * @returns {string} Formatted date ('' when invalid)
+ */
+export function formatDate(value, lang = 'en', style = 'short') {
+  const date = toDate(value);
+  if (!date) return '';
+
+  const options = { ...(DATE_STYLES[style] || DATE_STYLES.short), numberingSystem: 'latn' };
+  return localiseDigits(formatterFor(Intl.DateTimeFormat, lang, options).format(date), lang);
+}
+
+/**
+ * Format a time of day (minutes only when they are not :00)
+ * @param {Date|number|string} value - Date value
+ * @param {string} [lang='en'] - Language code
+ * @returns {string} Formatted time ('' when invalid)
+ */
+export function formatTime(value, lang = 'en') {
+  const date = toDate(value);
+  if (!date) return '';
+
+  const options = { hour: 'numeric', numberingSystem: 'latn' };
+  if (date.getMinutes() !== 0) {
+    options.minute = '2-digit';
+  }
+  return localiseDigits(formatterFor(Intl.DateTimeFormat, lang, options).format(date), lang);
+}
+
+/**
+ * Format a date relative to today in calendar days, for delivery windows
+ * ("today", "tomorrow", "in 3 days"); further out it falls back to formatDate
+ * @param {Date|number|string} value - Date value
+ * @param {string} [lang='en'] - Language code
+ * @param {Object} [options={}] - Options
+ * @param {Date|number} [options.now=Date.now()] - Reference time (tests)
+ * @returns {string} Formatted date ('' when invalid)
+ */
+export function formatRelativeDate(value, lang = 'en', options = {}) {
+  const date = toDate(value);
+  if (!date) return '';
+
+  const now = toDate(options.now ?? Date.now());
+  const startOfDay = d => new Date(d.getFullYear(), d.getMonth(), d.getDate()).getTime();
+  const days = Math.round((startOfDay(date) - startOfDay(now)) / DAY_MS);
+
+  if (Math.abs(days) > RELATIVE_DAY_LIMIT) {
+    return formatDate(date, lang);
+  }
+
+  const text = formatterFor(Intl.RelativeTimeFormat, lang, { numeric: 'auto', numberingSystem: 'latn' }).format(days, 'day');
+  return localiseDigits(text, lang);
+}
+
+/**
+ * Plural category of a count in a language
+ * @param {number} count - Count
+ * @param {string} [lang='en'] - Language code
+ * @returns {string} 'zero' | 'one' | 'two' | 'few' | 'many' | 'other'
+ */
+export function pluralCategory(count, lang = 'en') {
+  return formatterFor(Intl.PluralRules, lang, {}).select(count);
+}
+
+// ============================================================================
+// Message Parsing
+// ============================================================================
+
+/**
+ * Parse a message into text parts, arguments and # markers
+ * @param {string} source - Message template
+ * @returns {Array<string|Object>} Parts
+ */
+function parseMessage(source) {
+  let pos = 0;
+
+  const skipSpace = () => {
+    while (pos < source.length && /\s/.test(source[pos])) pos++;
+  };
+
+  const readWord = pattern => {
+    const match = pattern.exec(source.slice(pos));
+    if (!match) return null;
+    pos += match[0].length;
+    return match[0];
+  };
+
+  // Parts up to the end, or up to the "}" that closes a plural/select branch
+  const message = (inPlural, inBranch) => {
+    const parts = [];
+    let text = '';
+
+    while (pos < source.length) {
+      const char = source[pos];
+
+      if (char === '}' && inBranch) break;
+
+      if (char === '{') {
+        const start = pos;
+        const arg = argument(inPlural);
+        if (arg) {
+          if (text) parts.push(text);
+          text = '';
+          parts.push(arg);
+        } else {
+          pos = start + 1;
+          text += char;
+        }
+        continue;
+      }
+
+      if (char === '#' && inPlural) {
+        if (text) parts.push(text);
+        text = '';
+        parts.push({ type: 'pound' });
+        pos++;
+        continue;
+      }
+
+      text += char;
+      pos++;
+    }
+
+    if (text) parts.push(text);
+    return parts;
+  };
+
+  // One {…} argument, or null when malformed
+  const argument = (inPlural) => {
+    const start = pos;
+    pos++; // {
+    skipSpace();
+
+    const name = readWord(/^\w+/);
+    if (!name) return null;
+    skipSpace();
+
+    if (source[pos] === '}') {
+      pos++;
+      return { type: 'argument', name, raw: source.slice(start, pos) };
+    }
+    if (source[pos] !== ',') return null;
+    pos++;
+    skipSpace();
+
+    const format = readWord(/^[a-z]+/);
+    if (!format) return null;
+    skipSpace();
+
+    if (format === 'plural' || format === 'select') {
+      if (source[pos] !== ',') return null;
+      pos++;
+
+      const options = {};
+      for (;;) {
+        skipSpace();
+        if (source[pos] === '}') break;
+
+        const selector = readWord(/^(=\d+|\w+)/);
+        if (!selector) return null;
+        skipSpace();
+        if (source[pos] !== '{') return null;
+        pos++;
+
+        options[selector] = message(format === 'plural' || inPlural, true);
+        if (source[pos] !== '}') return null;
+        pos++;
+      }
+
+      if (!options.other) return null;
+      pos++;
+      return { type: 'argument', name, format, options, raw: source.slice(start, pos) };
+    }
+
+    let style = null;
+    if (source[pos] === ',') {
+      pos++;
+      skipSpace();
+      style = readWord(/^\w+/);
+      skipSpace();
+    }
+    if (source[pos] !== '}') return null;
+    pos++;
+
+    return { type: 'argument', name, format, style, raw: source.slice(start, pos) };
+  };
+
+  return message(false, false);
+}
+
+/**
+ * Parsed message, cached
+ * @param {string} template - Message template
+ * @returns {Array<string|Object>} Parts
+ */
+function getParts(template) {
+  if (!messageCache.has(template)) {
+    messageCache.set(template, parseMessage(template));
+  }
+  return messageCache.get(template);
+}
+
+/**
+ * Render one argument
+ * @param {Object} part - Parsed argument
+ * @param {Object} vars - Variables
+ * @param {string} lang - Language code
+ * @param {number|null} count - Enclosing plural count (for #)
+ * @returns {string}
+ */
+function renderArgument(part, vars, lang, count) {
+  if (!Object.prototype.hasOwnProperty.call(vars, part.name)) {
+    return part.raw;
+  }
+
+  const value = vars[part.name];
+
+  switch (part.format) {
+    case undefined:
+      return String(value);
+    case 'number':
+      if (part.style === 'currency') return formatCurrency(value, lang);
+      if (part.style === 'percent') return formatNumber(value, lang, { style: 'percent' });
+      if (part.style === 'integer') return formatNumber(value, lang, { maximumFractionDigits: 0 });
+      return formatNumber(value, lang);
+    case 'date':
+      return formatDate(value, lang, part.style || 'short');
+    case 'relative':
+      return formatRelativeDate(value, lang);
+    case 'time':
+      return formatTime(value, lang);
+    case 'plural': {
+      const number = Number(value);
+      const branch = part.options[`=${number}`] || part.options[pluralCategory(number, lang)] || part.options.other;
+      return renderParts(branch, vars, lang, number);
+    }
+    case 'select': {
+      const branch = part.options[String(value)] || part.options.other;
+      return renderParts(branch, vars, lang, count);
+    }
+    default:
+      return part.raw;
+  }
+}
+
+/**
+ * Render parsed parts
+ * @param {Array<string|Object>} parts - Parsed message
+ * @param {Object} vars - Variables
+ * @param {string} lang - Language code
+ * @param {number|null} count - Enclosing plural count (for #)
+ * @returns {string}
+ */
+function renderParts(parts, vars, lang, count) {
+  return parts.map(part => {
+    if (typeof part === 'string') return part;
+    if (part.type === 'pound') return formatNumber(count, lang);
+    return renderArgument(part, vars, lang, count);
+  }).join('');
+}
+
+// ============================================================================
+// Public Helpers
+// ============================================================================
+
+/**
+ * Format an ICU-style message
+ * Plain {name} arguments behave like the old interpolate(): the value is
+ * inserted as-is, and a missing variable leaves "{name}" in place
+ * @param {string} template - Message template
+ * @param {Object} [vars={}] - Variables
+ * @param {string} [lang='en'] - Language code (plural rules, number and date formats)
+ * @returns {string} Formatted message (non-strings are returned unchanged)
+ */
+export function formatMessage(template, vars = {}, lang = 'en') {
+  if (typeof template !== 'string') {
+    return template;
+  }
+  if (!template.includes('{')) {
+    return template;
+  }
+
+  return renderParts(getParts(template), vars || {}, lang, null);
+}
+
+/**
+ * Names of the variables a message uses, sorted and de-duplicated
+ * (includes plural/select arguments and those nested in their branches)
+ * @param {string} template - Message template
+ * @returns {string[]}
+ */
+export function messageArguments(template) {
+  if (typeof template !== 'string') return [];
+
+  const names = new Set();
+  const collect = parts => parts.forEach(part => {
+    if (typeof part === 'string' || part.type !== 'argument') return;
+    names.add(part.name);
+    Object.values(part.options || {}).forEach(collect);
+  });
+
+  collect(getParts(template));
+  return [...names].sort();
+}
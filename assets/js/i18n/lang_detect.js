@@ -6,7 +6,17 @@
 // Supported languages
 export const SUPPORTED_LANGUAGES = ['en', 'hi', 'ta', 'te', 'bn'];
 const DEFAULT_LANGUAGE = 'en';
+
+// Display names: native (shown in the language menu) and English (type-ahead)
+export const LANGUAGE_NAMES = {
+  en: { native: 'English', english: 'English' },
+  hi: { native: 'हिंदी', english: 'Hindi' },
+  ta: { native: 'தமிழ்', english: 'Tamil' },
+  te: { native: 'తెలుగు', english: 'Telugu' },
+  bn: { native: 'বাংলা', english: 'Bengali' }
+};
 const STORAGE_KEY = 'arvyam_lang';
+const MANUAL_KEY = 'manual_lang'; // 'true' once the guest picked a language themselves
 
 // Browser language code mappings
 const BROWSER_LANG_MAP = {
@@ -59,6 +69,32 @@ function getLanguageFromStorage() {
   return null;
 }
 
+/**
+ * Checks whether the stored language was picked by the guest (switch or nudge)
+ * @returns {boolean} True for a manual choice
+ */
+function hasManualChoice() {
+  try {
+    return localStorage.getItem(MANUAL_KEY) === 'true';
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Gets language from a pre-rendered page path (/hi/, /ta/, ...)
+ * @returns {string|null} Language code or null
+ */
+function getLanguageFromPath() {
+  const match = window.location.pathname.match(/^\/([a-z]{2})(\/|$)/);
+
+  if (match && SUPPORTED_LANGUAGES.includes(match[1])) {
+    return match[1];
+  }
+
+  return null;
+}
+
 /**
  * Gets language from browser settings
  * @returns {string|null} Language code or null
@@ -87,7 +123,9 @@ function getLanguageFromBrowser() {
 
 /**
  * Detects the appropriate language based on multiple sources
- * Priority: URL param > localStorage > browser setting > default
+ * Priority: URL param > manual choice > page path > stored language > browser setting > default
+ * (only a language the guest picked wins over the /hi/ page a search engine
+ * or hreflang link opened - anything else stored must not undo that page)
  * @returns {string} Detected language code
  */
 export function detectLanguage() {
@@ -97,91 +135,147 @@ export function detectLanguage() {
     return urlLang;
   }
 
-  // 2. Check localStorage
+  // 2. Check a language the guest picked
   const storedLang = getLanguageFromStorage();
+  if (storedLang && hasManualChoice()) {
+    return storedLang;
+  }
+
+  // 3. Check pre-rendered page path
+  const pathLang = getLanguageFromPath();
+  if (pathLang) {
+    return pathLang;
+  }
+
+  // 4. Check localStorage
   if (storedLang) {
     return storedLang;
   }
 
-  // 3. Check browser language
+  // 5. Check browser language
   const browserLang = getLanguageFromBrowser();
   if (browserLang) {
     return browserLang;
   }
 
-  // 4. Default to English
+  // 6. Default to English
   return DEFAULT_LANGUAGE;
 }
 
+// Unicode blocks of the Indic scripts we support, one script per language
+// (Bengali script is also used for Assamese - we only offer Bengali)
+const SCRIPT_RANGES = {
+  hi: /[\u0900-\u097F]/g, // Devanagari
+  bn: /[\u0980-\u09FF]/g, // Bengali
+  ta: /[\u0B80-\u0BFF]/g, // Tamil
+  te: /[\u0C00-\u0C7F]/g  // Telugu
+};
+
+// Romanised Hindi ("Hinglish") words that are not also English words
+const HINGLISH_WORDS = new Set([
+  'aap', 'aapka', 'aapki', 'acha', 'accha', 'achha', 'apna', 'apne', 'apni', 'aur',
+  'badhai', 'bahut', 'behen', 'bhai', 'bhaiya', 'bhej', 'bhejna', 'bhejo', 'bohot',
+  'chahiye', 'dena', 'didi', 'dil', 'dost', 'dosti', 'ghar', 'hai', 'hain', 'hamara',
+  'hamari', 'hum', 'janamdin', 'janmdin', 'jaldi', 'ka', 'kaise', 'ke', 'ki', 'kuch',
+  'kya', 'liye', 'maa', 'mata', 'mera', 'mere', 'meri', 'mubarak', 'mujhe', 'nahi',
+  'nahin', 'pati', 'patni', 'phool', 'pita', 'pyaar', 'pyar', 'saal', 'saath', 'sath',
+  'shaadi', 'shadi', 'shubh', 'shukriya', 'sundar', 'tum', 'tumhara', 'tumhari', 'unke',
+  'wala', 'wali', 'yaad', 'yeh'
+]);
+
+// Fewer Hinglish words than this in a Latin-script text is coincidence
+const MIN_HINGLISH_WORDS = 2;
+
+// Hysteresis thresholds to prevent flip-flopping
+// ≥65% confidence in one Indic language → suggest it
+// ≤35% for every Indic language → prefer English
+// In between → ambiguous, maintain current language
+const SUGGEST_THRESHOLD = 0.65;
+const ENGLISH_THRESHOLD = 0.35;
+
 /**
- * PHASE 13B.2: Detect language from text content (Hindi auto-detection)
- * Analyzes text for Devanagari characters to suggest Hindi
+ * Count matches of a global pattern
+ * @param {string} text - Text to search
+ * @param {RegExp} pattern - Global pattern
+ * @returns {number}
+ */
+function countMatches(text, pattern) {
+  const matches = text.match(pattern);
+  return matches ? matches.length : 0;
+}
+
+/**
+ * PHASE 13B.2: Detect language from text content (auto-detection nudge)
+ * Measures each supported Indic script, and reads Latin-script text as
+ * romanised Hindi when enough of its words are Hinglish
+ *
+ * confidence holds each language's share of the letters typed (0-1).
+ * Romanised Hindi moves the Latin letters from en to hi in proportion
+ * to the Hinglish words among them.
+ *
  * @param {string} text - Text to analyze
- * @returns {Object} Detection result { devanagariPercent, suggestedLang, isAmbiguous }
+ * @returns {Object} Detection result { suggestedLang, isAmbiguous, confidence, romanised, devanagariPercent }
  */
 export function detectLanguageFromText(text) {
+  const confidence = Object.fromEntries(SUPPORTED_LANGUAGES.map(lang => [lang, 0]));
+  const result = {
+    suggestedLang: DEFAULT_LANGUAGE,
+    isAmbiguous: false,
+    confidence,
+    romanised: false,
+    devanagariPercent: 0
+  };
+
   if (!text || text.length === 0) {
-    return {
-      devanagariPercent: 0,
-      suggestedLang: 'en',
-      isAmbiguous: false
-    };
+    return result;
   }
 
-  // Count Devanagari characters (U+0900 to U+097F)
-  const devanagariPattern = /[\u0900-\u097F]/g;
-  const devanagariMatches = text.match(devanagariPattern);
-  const devanagariCount = devanagariMatches ? devanagariMatches.length : 0;
+  // Meaningful characters: letters and combining marks (Indic vowel signs)
+  const totalCount = countMatches(text, /[\p{L}\p{M}]/gu);
+  if (totalCount === 0) {
+    return result;
+  }
 
-  // Total meaningful characters (excluding spaces, punctuation)
-  const meaningfulPattern = /[^\s\p{P}]/gu;
-  const meaningfulMatches = text.match(meaningfulPattern);
-  const totalCount = meaningfulMatches ? meaningfulMatches.length : 0;
+  const latinCount = countMatches(text, /\p{Script=Latin}/gu);
+  const latinWords = (text.toLowerCase().match(/\p{Script=Latin}+/gu) || []);
+  const hinglishCount = latinWords.filter(word => HINGLISH_WORDS.has(word)).length;
+  const hinglishShare = hinglishCount >= MIN_HINGLISH_WORDS ? hinglishCount / latinWords.length : 0;
 
-  if (totalCount === 0) {
-    return {
-      devanagariPercent: 0,
-      suggestedLang: 'en',
-      isAmbiguous: false
-    };
-  }
-
-  const devanagariPercent = (devanagariCount / totalCount) * 100;
-
-  // Hysteresis thresholds to prevent flip-flopping
-  // ≥65% Devanagari → Suggest Hindi
-  // ≤35% Devanagari → Prefer English
-  // 35-65% → Ambiguous, maintain current language
-  let suggestedLang;
-  let isAmbiguous;
-
-  if (devanagariPercent >= 65) {
-    suggestedLang = 'hi';
-    isAmbiguous = false;
-  } else if (devanagariPercent <= 35) {
-    suggestedLang = 'en';
-    isAmbiguous = false;
-  } else {
+  for (const [lang, pattern] of Object.entries(SCRIPT_RANGES)) {
+    confidence[lang] = countMatches(text, pattern) / totalCount;
+  }
+  confidence.hi += (latinCount * hinglishShare) / totalCount;
+  confidence.en = (latinCount * (1 - hinglishShare)) / totalCount;
+
+  result.romanised = hinglishShare > 0;
+  result.devanagariPercent = (countMatches(text, SCRIPT_RANGES.hi) / totalCount) * 100;
+
+  const [topLang, topConfidence] = Object.entries(confidence)
+    .filter(([lang]) => lang !== DEFAULT_LANGUAGE)
+    .sort((a, b) => b[1] - a[1])[0];
+
+  if (topConfidence >= SUGGEST_THRESHOLD) {
+    result.suggestedLang = topLang;
+  } else if (topConfidence > ENGLISH_THRESHOLD) {
     // Ambiguous range - no strong recommendation
-    suggestedLang = null;
-    isAmbiguous = true;
+    result.suggestedLang = null;
+    result.isAmbiguous = true;
   }
 
-  return {
-    devanagariPercent,
-    suggestedLang,
-    isAmbiguous
-  };
+  return result;
 }
 
 /**
  * Sets the application language
  * Validates the language, saves to localStorage, and updates HTML lang attribute
  * @param {string} lang - Language code to set
+ * @param {Object} [options={}] - Options
+ * @param {boolean} [options.persist=true] - Save for later visits (false: this page view only,
+ *   e.g. the sender's language of a shared link)
  * @returns {string} The validated and set language code
  * @throws {Error} If language is not supported
  */
-export function setLanguage(lang) {
+export function setLanguage(lang, { persist = true } = {}) {
   // Validate language
   if (!SUPPORTED_LANGUAGES.includes(lang)) {
     console.error(`Unsupported language: ${lang}`);
@@ -189,10 +283,12 @@ export function setLanguage(lang) {
   }
 
   // Save to localStorage
-  try {
-    localStorage.setItem(STORAGE_KEY, lang);
-  } catch (error) {
-    console.warn('Error saving to localStorage:', error);
+  if (persist) {
+    try {
+      localStorage.setItem(STORAGE_KEY, lang);
+    } catch (error) {
+      console.warn('Error saving to localStorage:', error);
+    }
   }
 
   // Set HTML lang attribute for WCAG compliance
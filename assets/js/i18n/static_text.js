@@ -0,0 +1,50 @@
+/**
+ * ARVYAM Static Page Text
+ * The index.html copy that has a stringbank key - one list shared by
+ * app.js (swaps it in the browser) and scripts/prerender_locales.mjs
+ * (writes it into /hi/, /ta/, ... at build time)
+ */
+
+/**
+ * selector → stringbank key; attribute means the text goes into that
+ * attribute instead of textContent; keepIfEmpty=false leaves the English
+ * text alone when the translation is empty
+ */
+export const STATIC_TEXT = [
+  { selector: 'title', key: 'meta.title' },
+  { selector: 'meta[name="description"]', key: 'meta.description', attribute: 'content' },
+  { selector: '#hero-title', key: 'hero.title' },
+  { selector: '#hero-subtitle', key: 'hero.subtitle' },
+  { selector: '#hero-tagline', key: 'hero.tagline' },
+  { selector: '#how-share-title', key: 'howitworks.share.title' },
+  { selector: '#how-share-body', key: 'howitworks.share.body' },
+  { selector: '#how-interpret-title', key: 'howitworks.interpret.title' },
+  { selector: '#how-interpret-body', key: 'howitworks.interpret.body' },
+  { selector: '#how-receive-title', key: 'howitworks.receive.title' },
+  { selector: '#how-receive-body', key: 'howitworks.receive.body' },
+  // Phase 13C: placeholder is an empty string on purpose (empty-box styling)
+  { selector: '#feelings-input', key: 'search.placeholder', attribute: 'placeholder' },
+  { selector: '#curate-form button[type="submit"]', key: 'search.cta', keepIfEmpty: false }
+];
+
+/**
+ * Write translated static text into a document
+ * @param {Document} root - Document to update
+ * @param {function(string): (string|Promise<string>)} translate - key → text
+ * @returns {Promise<void>}
+ */
+export async function applyStaticText(root, translate) {
+  for (const { selector, key, attribute, keepIfEmpty = true } of STATIC_TEXT) {
+    const element = root.querySelector(selector);
+    if (!element) continue;
+
+    const text = await translate(key);
+    if (!text && !keepIfEmpty) continue;
+
+    if (attribute) {
+      element.setAttribute(attribute, text);
+    } else {
+      element.textContent = text;
+    }
+  }
+}
@@ -1,8 +1,11 @@
 /**
  * ARVYAM i18n Translation System
  * Provides translation helpers with caching and fallback support
+ * Messages are ICU-style (plural/select, numbers, dates) - see format.js
  */
 
+import { formatMessage } from './format.js';
+
 // Cache for loaded stringbanks to avoid repeated fetches
 const stringbankCache = new Map();
 
@@ -62,19 +65,15 @@ function getNestedValue(obj, path) {
 
 /**
  * Interpolates variables in a string template
- * Replaces {variable} patterns with values from the vars object
+ * Replaces {variable} patterns with values from the vars object, and
+ * formats ICU-style plural/select/number/date arguments
  * @param {string} template - String with {variable} placeholders
  * @param {Object} vars - Object with variable values
+ * @param {string} lang - Language whose plural rules and formats apply, defaults to 'en'
  * @returns {string} Interpolated string
  */
-function interpolate(template, vars = {}) {
-  if (typeof template !== 'string') {
-    return template;
-  }
-
-  return template.replace(/\{(\w+)\}/g, (match, key) => {
-    return vars.hasOwnProperty(key) ? vars[key] : match;
-  });
+export function interpolate(template, vars = {}, lang = 'en') {
+  return formatMessage(template, vars, lang);
 }
 
 /**
@@ -91,7 +90,7 @@ export async function t(key, lang = 'en', vars = {}) {
     const translation = getNestedValue(stringbank, key);
 
     if (translation !== undefined) {
-      return interpolate(translation, vars);
+      return interpolate(translation, vars, lang);
     }
 
     // Fallback to English if translation not found and not already English
@@ -101,7 +100,7 @@ export async function t(key, lang = 'en', vars = {}) {
       const englishTranslation = getNestedValue(englishStringbank, key);
 
       if (englishTranslation !== undefined) {
-        return interpolate(englishTranslation, vars);
+        return interpolate(englishTranslation, vars, 'en');
       }
     }
 
@@ -129,7 +128,7 @@ export function tSync(key, lang = 'en', vars = {}) {
   if (stringbank) {
     const translation = getNestedValue(stringbank, key);
     if (translation !== undefined) {
-      return interpolate(translation, vars);
+      return interpolate(translation, vars, lang);
     }
   }
 
@@ -139,7 +138,7 @@ export function tSync(key, lang = 'en', vars = {}) {
     if (englishStringbank) {
       const englishTranslation = getNestedValue(englishStringbank, key);
       if (englishTranslation !== undefined) {
-        return interpolate(englishTranslation, vars);
+        return interpolate(englishTranslation, vars, 'en');
       }
     }
   }
@@ -161,6 +160,43 @@ export async function preloadStringbanks(langs) {
   }
 }
 
+/**
+ * Collects the dot-notation keys of every string in a stringbank
+ * @param {Object} obj - Stringbank (or a nested section of it)
+ * @param {string} prefix - Key prefix for nested sections
+ * @returns {string[]} Leaf keys
+ */
+function leafKeys(obj, prefix = '') {
+  return Object.entries(obj || {}).flatMap(([key, value]) => {
+    const fullKey = prefix ? `${prefix}.${key}` : key;
+    return value && typeof value === 'object' ? leafKeys(value, fullKey) : [fullKey];
+  });
+}
+
+/**
+ * Share of English keys a language's stringbank translates
+ * Used to mark partially translated languages in the language menu
+ * (scripts/check_locales.mjs is the full report)
+ * @param {string} lang - Language code
+ * @returns {Promise<number>} Coverage from 0 to 1 (0 when the stringbank cannot load)
+ */
+export async function getStringbankCoverage(lang) {
+  try {
+    const englishStringbank = await loadStringbank('en');
+    if (lang === 'en') {
+      return 1;
+    }
+
+    const stringbank = await loadStringbank(lang);
+    const keys = leafKeys(englishStringbank);
+    const translated = keys.filter(key => typeof getNestedValue(stringbank, key) === 'string');
+
+    return keys.length === 0 ? 1 : translated.length / keys.length;
+  } catch (error) {
+    return 0;
+  }
+}
+
 /**
  * Clears the stringbank cache
  * Useful for development or if you need to reload translations
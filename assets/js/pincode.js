@@ -0,0 +1,193 @@
+/**
+ * ARVYAM Delivery Pincode
+ * Indian pincode validation, the session cache of serviceability answers,
+ * and whether an arrangement's delivery windows fit the guest's pincode
+ *
+ * Serviceability (POST /api/serviceability {pincode}):
+ * { pincode: '560001', serviceable: true, delivery_windows: ['today', 'tomorrow', ...] }
+ *
+ * Constitutional Compliance:
+ * - Guest-First: Optional; an unserviceable pincode never blocks curation
+ * - Selection Invariance: Cards that cannot make it get a notice - the triad stays whole
+ * - Privacy: sessionStorage only, never in analytics or share links
+ *
+ * @module pincode
+ * @version 1.0.0
+ */
+
+import { VALID_DELIVERY_WINDOWS } from './validators.js';
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+/**
+ * Six digits, no leading zero (India Post PIN format)
+ */
+const PINCODE_PATTERN = /^[1-9]\d{5}$/;
+
+/**
+ * sessionStorage keys: answers by pincode, and the pincode in use
+ */
+const CACHE_KEY = 'arvyam_serviceability';
+const PINCODE_KEY = 'arvyam_pincode';
+
+// ============================================================================
+// Validation
+// ============================================================================
+
+/**
+ * Clean a typed pincode ("560 001" → "560001")
+ * @param {*} value - Raw input
+ * @returns {string|null} Six-digit pincode, or null when invalid
+ */
+export function normalizePincode(value) {
+  if (typeof value !== 'string' && typeof value !== 'number') return null;
+
+  const digits = String(value).replace(/[\s-]/g, '');
+  return PINCODE_PATTERN.test(digits) ? digits : null;
+}
+
+/**
+ * Validate a serviceability response
+ * @param {*} data - Parsed JSON
+ * @param {string} pincode - Pincode asked about
+ * @returns {{pincode: string, serviceable: boolean, delivery_windows: string[]}|null}
+ *   Windows in VALID_DELIVERY_WINDOWS order (empty when unserviceable), or null
+ */
+export function normalizeServiceability(data, pincode) {
+  if (!data || typeof data !== 'object' || typeof data.serviceable !== 'boolean') return null;
+  if (data.pincode !== undefined && String(data.pincode) !== pincode) return null;
+
+  const windows = Array.isArray(data.delivery_windows) ? data.delivery_windows : [];
+
+  return {
+    pincode,
+    serviceable: data.serviceable,
+    delivery_windows: data.serviceable ? VALID_DELIVERY_WINDOWS.filter(value => windows.includes(value)) : []
+  };
+}
+
+// ============================================================================
+// Session Cache
+// ============================================================================
+
+/**
+ * Read a sessionStorage JSON value
+ * @param {string} key - Storage key
+ * @returns {*} Parsed value, or null
+ */
+function readSession(key) {
+  try {
+    return JSON.parse(sessionStorage.getItem(key) || 'null');
+  } catch (error) {
+    // Storage blocked or corrupt - behave as empty
+    return null;
+  }
+}
+
+/**
+ * Write a sessionStorage JSON value (null removes it)
+ * @param {string} key - Storage key
+ * @param {*} value - Value
+ */
+function writeSession(key, value) {
+  try {
+    if (value === null) {
+      sessionStorage.removeItem(key);
+    } else {
+      sessionStorage.setItem(key, JSON.stringify(value));
+    }
+  } catch (error) {
+    // Private mode / quota - the check simply runs again next time
+  }
+}
+
+/**
+ * Serviceability answered earlier this session
+ * @param {string} pincode - Valid pincode
+ * @returns {Object|null} Normalized answer, or null
+ */
+export function readCachedServiceability(pincode) {
+  const cache = readSession(CACHE_KEY);
+  return cache && typeof cache === 'object' ? normalizeServiceability(cache[pincode], pincode) : null;
+}
+
+/**
+ * Remember a serviceability answer for the session
+ * @param {Object} result - Normalized answer
+ */
+export function cacheServiceability(result) {
+  const cache = readSession(CACHE_KEY);
+  writeSession(CACHE_KEY, { ...(cache && typeof cache === 'object' ? cache : {}), [result.pincode]: result });
+}
+
+/**
+ * Pincode the guest is curating for (this session)
+ * @returns {string|null}
+ */
+export function readSessionPincode() {
+  return normalizePincode(readSession(PINCODE_KEY));
+}
+
+/**
+ * Set or clear the session's pincode
+ * @param {string|null} pincode - Valid pincode, or null
+ */
+export function rememberPincode(pincode) {
+  writeSession(PINCODE_KEY, normalizePincode(pincode));
+}
+
+// ============================================================================
+// Delivery Fit
+// ============================================================================
+
+/**
+ * Whether an arrangement can reach a serviceable pincode in time
+ * 'unknown' when there is nothing to compare (no pincode answer, or the
+ * arrangement has no delivery_windows); 'later' when its earliest window
+ * for this pincode is after the one the guest asked for
+ *
+ * @param {string[]} [arrangementWindows] - Arrangement's delivery_windows
+ * @param {Object|null} serviceability - Normalized answer for the guest's pincode
+ * @param {string|null} [requestedWindow] - Guest's delivery_window hint
+ * @returns {{fit: 'fits'|'later'|'unavailable'|'unknown', earliest: string|null}}
+ */
+export function deliveryFit(arrangementWindows, serviceability, requestedWindow = null) {
+  const windows = Array.isArray(arrangementWindows) ? arrangementWindows : [];
+  if (!serviceability?.serviceable || serviceability.delivery_windows.length === 0 || windows.length === 0) {
+    return { fit: 'unknown', earliest: null };
+  }
+
+  const earliest = serviceability.delivery_windows.find(value => windows.includes(value)) || null;
+  if (!earliest) {
+    return { fit: 'unavailable', earliest: null };
+  }
+
+  const asked = VALID_DELIVERY_WINDOWS.indexOf(requestedWindow);
+  if (asked >= 0 && requestedWindow !== 'flexible' && VALID_DELIVERY_WINDOWS.indexOf(earliest) > asked) {
+    return { fit: 'later', earliest };
+  }
+
+  return { fit: 'fits', earliest };
+}
+
+// ============================================================================
+// Module Exports
+// ============================================================================
+
+/**
+ * Export summary:
+ * - normalizePincode(value) → string|null
+ * - normalizeServiceability(data, pincode) → { pincode, serviceable, delivery_windows }|null
+ * - readCachedServiceability(pincode) → answer|null
+ * - cacheServiceability(result)
+ * - readSessionPincode() → string|null
+ * - rememberPincode(pincode)
+ * - deliveryFit(arrangementWindows, serviceability, requestedWindow) → { fit, earliest }
+ *
+ * Usage:
+ * import { normalizePincode, deliveryFit } from './pincode.js';
+ *
+ * const pincode = normalizePincode(input.value); // null → show the format hint
+ */
@@ -0,0 +1,240 @@
+/**
+ * ARVYAM Share Links
+ * Encode/decode a curated triad as a deep link (?c=...)
+ *
+ * Payload (base64url JSON, versioned):
+ * - s: the three SKU ids, in the order the sender saw them
+ * - l: language code
+ * - h: structured hints (enum fields only)
+ *
+ * Constitutional Compliance:
+ * - Curation Structure: A link always carries exactly 3 distinct SKUs
+ * - Privacy: NEVER the prompt, refinement or tone hint - only catalog ids and enum hints
+ *
+ * @module share_link
+ * @version 1.0.0
+ */
+
+import { isLanguageSupported } from './i18n/lang_detect.js';
+import { SKU_PATTERN } from './curate_schema.js';
+import {
+  VALID_RELATIONSHIPS,
+  VALID_OCCASIONS,
+  VALID_BUDGET_RANGES,
+  VALID_DELIVERY_WINDOWS
+} from './validators.js';
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+/**
+ * Query parameter carrying the shared selection
+ */
+export const SHARE_PARAM = 'c';
+
+/**
+ * Payload format version (bump when the shape changes)
+ */
+const PAYLOAD_VERSION = 1;
+
+/**
+ * Hints that may travel in a link - enum fields only, never free text (tone_hint)
+ */
+const SHAREABLE_HINTS = {
+  relationship: VALID_RELATIONSHIPS,
+  occasion: VALID_OCCASIONS,
+  budget_inr: VALID_BUDGET_RANGES,
+  delivery_window: VALID_DELIVERY_WINDOWS
+};
+
+// ============================================================================
+// Encoding
+// ============================================================================
+
+/**
+ * base64url without padding (ASCII input only - ids and enums)
+ * @param {string} text - ASCII text
+ * @returns {string}
+ */
+function toBase64Url(text) {
+  return btoa(text).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * @param {string} value - base64url text
+ * @returns {string} Decoded text
+ * @throws {Error} On malformed input
+ */
+function fromBase64Url(value) {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  return atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+}
+
+/**
+ * Keep only shareable, valid enum hints
+ * @param {Object|null} hints - Hints object
+ * @returns {Object|null} Filtered hints, or null when none remain
+ */
+function pickShareableHints(hints) {
+  if (!hints || typeof hints !== 'object') return null;
+
+  const picked = {};
+  for (const [key, validValues] of Object.entries(SHAREABLE_HINTS)) {
+    if (hints[key] && validValues.includes(hints[key])) {
+      picked[key] = hints[key];
+    }
+  }
+
+  return Object.keys(picked).length > 0 ? picked : null;
+}
+
+/**
+ * Check a list of SKU ids is a shareable triad
+ * @param {*} skuIds - Candidate ids
+ * @returns {boolean} True for exactly 3 distinct, well-formed ids
+ */
+export function isShareableTriad(skuIds) {
+  return Array.isArray(skuIds) &&
+    skuIds.length === 3 &&
+    new Set(skuIds).size === 3 &&
+    skuIds.every(id => typeof id === 'string' && SKU_PATTERN.test(id));
+}
+
+/**
+ * Encode a selection for the ?c= parameter
+ *
+ * @param {Object} selection - Current selection
+ * @param {string[]} selection.skuIds - The 3 SKU ids
+ * @param {string} [selection.language='en'] - Language code
+ * @param {Object} [selection.hints] - Structured hints (free text is dropped)
+ * @returns {string|null} Encoded value, or null if the triad cannot be shared
+ */
+export function encodeSelection({ skuIds, language = 'en', hints = null }) {
+  if (!isShareableTriad(skuIds)) return null;
+
+  const payload = {
+    v: PAYLOAD_VERSION,
+    s: skuIds,
+    l: isLanguageSupported(language) ? language : 'en'
+  };
+
+  const sharedHints = pickShareableHints(hints);
+  if (sharedHints) {
+    payload.h = sharedHints;
+  }
+
+  return toBase64Url(JSON.stringify(payload));
+}
+
+/**
+ * Decode a ?c= value
+ * Anything malformed, tampered or from a newer format returns null
+ *
+ * @param {string} value - Encoded selection
+ * @returns {{skuIds: string[], language: string, hints: Object|null}|null}
+ */
+export function decodeSelection(value) {
+  if (!value || typeof value !== 'string' || value.length > 1024) return null;
+
+  let payload;
+  try {
+    payload = JSON.parse(fromBase64Url(value));
+  } catch (error) {
+    return null;
+  }
+
+  if (!payload || payload.v !== PAYLOAD_VERSION || !isShareableTriad(payload.s)) {
+    return null;
+  }
+
+  return {
+    skuIds: [...payload.s],
+    language: isLanguageSupported(payload.l) ? payload.l : 'en',
+    hints: pickShareableHints(payload.h)
+  };
+}
+
+// ============================================================================
+// URL Helpers
+// ============================================================================
+
+/**
+ * Build the link for a selection
+ * Other query params are kept; ?lang is dropped (the payload carries language)
+ *
+ * @param {Object} selection - See encodeSelection()
+ * @param {string} [base=window.location.href] - Page URL
+ * @returns {string|null} Absolute URL, or null if the triad cannot be shared
+ */
+export function buildShareUrl(selection, base = window.location.href) {
+  const encoded = encodeSelection(selection);
+  if (!encoded) return null;
+
+  const url = new URL(base);
+  url.hash = '';
+  url.searchParams.delete('lang');
+  url.searchParams.set(SHARE_PARAM, encoded);
+
+  return url.toString();
+}
+
+/**
+ * Read a shared selection from the page URL
+ * @param {string} [href=window.location.href] - Page URL
+ * @returns {Object|null} Decoded selection (see decodeSelection)
+ */
+export function readSelectionFromUrl(href = window.location.href) {
+  try {
+    const value = new URL(href).searchParams.get(SHARE_PARAM);
+    return value ? decodeSelection(value) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check whether the page URL carries a ?c= value (valid or not)
+ * @param {string} [href=window.location.href] - Page URL
+ * @returns {boolean}
+ */
+export function hasSelectionParam(href = window.location.href) {
+  try {
+    return new URL(href).searchParams.has(SHARE_PARAM);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Drop ?c= from the address bar once the guest moves on to their own curation
+ * (a reload should not jump back to someone else's selection)
+ */
+export function clearSelectionFromUrl() {
+  if (!hasSelectionParam()) return;
+
+  const url = new URL(window.location.href);
+  url.searchParams.delete(SHARE_PARAM);
+  window.history.replaceState(window.history.state, '', url.toString());
+}
+
+// ============================================================================
+// Module Exports
+// ============================================================================
+
+/**
+ * Export summary:
+ * - encodeSelection({ skuIds, language, hints }) → string|null
+ * - decodeSelection(value) → { skuIds, language, hints }|null
+ * - isShareableTriad(skuIds) → boolean
+ * - buildShareUrl(selection, base) → string|null
+ * - readSelectionFromUrl(href) → selection|null
+ * - hasSelectionParam(href) → boolean
+ * - clearSelectionFromUrl()
+ * - SHARE_PARAM
+ *
+ * Usage:
+ * import { buildShareUrl, readSelectionFromUrl } from './share_link.js';
+ *
+ * const url = buildShareUrl({ skuIds: ['A', 'B', 'C'], language: 'hi' });
+ */
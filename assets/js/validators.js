@@ -257,6 +257,44 @@ export function containsPII(value) {
   );
 }
 
+// ============================================================================
+// Prompt Analysis
+// ============================================================================
+
+/**
+ * PHASE 13B.7: Detect budget mentions in the main prompt
+ * Used by app.js to show a gentle tier hint (amount is never sent to analytics)
+ * 
+ * @param {string} prompt - Guest prompt
+ * @returns {Object} Detection result
+ * @returns {boolean} result.mentioned - Whether a budget amount was found
+ * @returns {number} [result.amount] - Parsed amount in INR
+ * 
+ * @example
+ * detectBudgetMention("something under 2000 for my sister")
+ * // => { mentioned: true, amount: 2000 }
+ */
+export function detectBudgetMention(prompt) {
+  const budgetPatterns = [
+    /\b(\d{1,2}[,.]?\d{0,3})\s*(rupees?|rs\.?|₹|inr)\b/i,
+    /\bbudget\s+of\s+(\d+)/i,
+    /\bunder\s+(\d+)/i,
+    /\baround\s+(\d+)/i,
+    /\babout\s+(\d+)/i
+  ];
+  
+  for (const pattern of budgetPatterns) {
+    const match = prompt.match(pattern);
+    if (match) {
+      const amount = parseInt(match[1].replace(/,/g, ''));
+      if (amount > 0) {
+        return { mentioned: true, amount };
+      }
+    }
+  }
+  return { mentioned: false };
+}
+
 // ============================================================================
 // Enum Validators (for structured fields)
 // ============================================================================
@@ -337,6 +375,7 @@ export function isValidEnum(value, validValues) {
  * - validateRefinement(value) → { valid, error? }
  * - containsPII(value) → boolean
  * - isValidEnum(value, validValues) → boolean
+ * - detectBudgetMention(prompt) → { mentioned, amount? }
  * 
  * Utilities:
  * - sanitizeInput(value, maxLength) → string
@@ -0,0 +1,297 @@
+#!/usr/bin/env node
+/**
+ * ARVYAM Locale Completeness Check
+ * Diffs every stringbank in locales/ against English
+ *
+ * Reports per language:
+ * - missing keys (in en, not in the locale - t() silently falls back to English)
+ * - extra keys (in the locale, not in en - dead strings)
+ * - {placeholder} mismatches (interpolate() would leave braces or drop values),
+ *   including ICU plural/select arguments
+ * - coverage: share of en keys with a usable translation
+ *
+ * Fails (exit 1) when a language in SUPPORTED_LANGUAGES is below the
+ * coverage threshold, or has no stringbank at all. Extra keys and
+ * unsupported locale folders are reported but never fail the check.
+ *
+ * Usage:
+ *   node scripts/check_locales.mjs                 # threshold 0.95
+ *   node scripts/check_locales.mjs --threshold=1   # every key, every language
+ *   node scripts/check_locales.mjs --json          # machine-readable report
+ *
+ * @module scripts/check_locales
+ * @version 1.0.0
+ */
+
+import { readFile, readdir } from 'node:fs/promises';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import path from 'node:path';
+
+import { SUPPORTED_LANGUAGES } from '../assets/js/i18n/lang_detect.js';
+import { messageArguments } from '../assets/js/i18n/format.js';
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const REPO_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+/**
+ * Share of English keys a supported language must translate
+ */
+export const DEFAULT_THRESHOLD = 0.95;
+
+/**
+ * Reference language every other stringbank is diffed against
+ */
+const SOURCE_LANGUAGE = 'en';
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/**
+ * Flatten a stringbank to dot-notation keys (the keys t() accepts)
+ *
+ * @param {Object} stringbank - Parsed stringbank
+ * @param {string} [prefix=''] - Key prefix (recursion)
+ * @returns {Map<string, *>} key → leaf value
+ */
+export function flattenStringbank(stringbank, prefix = '') {
+  const flat = new Map();
+
+  for (const [key, value] of Object.entries(stringbank || {})) {
+    const fullKey = prefix ? `${prefix}.${key}` : key;
+
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      for (const [childKey, childValue] of flattenStringbank(value, fullKey)) {
+        flat.set(childKey, childValue);
+      }
+    } else {
+      flat.set(fullKey, value);
+    }
+  }
+
+  return flat;
+}
+
+/**
+ * Placeholder names in a string, sorted and de-duplicated
+ * Parsed the way t() formats it, so plural branch text is not mistaken
+ * for a placeholder and branches may differ between languages
+ * @param {*} value - Stringbank value
+ * @returns {string[]}
+ */
+export function placeholdersOf(value) {
+  return messageArguments(value);
+}
+
+/**
+ * Diff one stringbank against the English one
+ * A key counts toward coverage when it is a string, non-empty (unless the
+ * English string is empty too) and uses exactly the English placeholders
+ *
+ * @param {Object} source - English stringbank
+ * @param {Object} target - Stringbank to check
+ * @returns {{missing: string[], extra: string[], placeholders: Array<{key: string, expected: string[], found: string[]}>, translated: number, total: number, coverage: number}}
+ */
+export function compareStringbanks(source, target) {
+  const sourceKeys = flattenStringbank(source);
+  const targetKeys = flattenStringbank(target);
+
+  const missing = [];
+  const placeholders = [];
+  let translated = 0;
+
+  for (const [key, sourceValue] of sourceKeys) {
+    const value = targetKeys.get(key);
+
+    if (typeof value !== 'string' || (value.trim() === '' && sourceValue !== '')) {
+      missing.push(key);
+      continue;
+    }
+
+    const expected = placeholdersOf(sourceValue);
+    const found = placeholdersOf(value);
+    if (expected.join('|') !== found.join('|')) {
+      placeholders.push({ key, expected, found });
+      continue;
+    }
+
+    translated++;
+  }
+
+  const extra = [...targetKeys.keys()].filter(key => !sourceKeys.has(key));
+  const total = sourceKeys.size;
+
+  return {
+    missing,
+    extra,
+    placeholders,
+    translated,
+    total,
+    coverage: total === 0 ? 1 : translated / total
+  };
+}
+
+/**
+ * Read and parse locales/<lang>/arvy_stringbank.json
+ * @param {string} localesDir - locales/ directory
+ * @param {string} lang - Language code
+ * @returns {Promise<Object|null>} Stringbank, or null when absent/unreadable
+ */
+async function readStringbank(localesDir, lang) {
+  try {
+    return JSON.parse(await readFile(path.join(localesDir, lang, 'arvy_stringbank.json'), 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+// ============================================================================
+// Check
+// ============================================================================
+
+/**
+ * Check every locale folder against English
+ *
+ * @param {Object} [options={}] - Check options
+ * @param {string} [options.localesDir] - locales/ directory (defaults to the repo's)
+ * @param {string[]} [options.languages=SUPPORTED_LANGUAGES] - Languages that must meet the threshold
+ * @param {number} [options.threshold=DEFAULT_THRESHOLD] - Minimum coverage (0-1)
+ * @returns {Promise<{ok: boolean, threshold: number, languages: Object[]}>} Report
+ */
+export async function checkLocales(options = {}) {
+  const localesDir = options.localesDir || path.join(REPO_ROOT, 'locales');
+  const required = options.languages || SUPPORTED_LANGUAGES;
+  const threshold = options.threshold ?? DEFAULT_THRESHOLD;
+
+  const source = await readStringbank(localesDir, SOURCE_LANGUAGE);
+  if (!source) {
+    throw new Error(`No readable ${SOURCE_LANGUAGE} stringbank in ${localesDir}`);
+  }
+
+  const folders = (await readdir(localesDir, { withFileTypes: true }))
+    .filter(entry => entry.isDirectory())
+    .map(entry => entry.name);
+
+  const languages = [];
+
+  for (const lang of [...new Set([...required, ...folders])].sort()) {
+    if (lang === SOURCE_LANGUAGE) continue;
+
+    const supported = required.includes(lang);
+    const stringbank = await readStringbank(localesDir, lang);
+
+    if (!stringbank) {
+      languages.push({ lang, supported, found: false, ok: !supported });
+      continue;
+    }
+
+    const result = compareStringbanks(source, stringbank);
+    languages.push({
+      lang,
+      supported,
+      found: true,
+      ...result,
+      ok: !supported || result.coverage >= threshold
+    });
+  }
+
+  return {
+    ok: languages.every(language => language.ok),
+    threshold,
+    languages
+  };
+}
+
+/**
+ * Human-readable report lines
+ * @param {Object} report - checkLocales() result
+ * @returns {string[]}
+ */
+export function formatReport(report) {
+  const lines = [];
+
+  for (const language of report.languages) {
+    const tag = language.supported ? language.lang : `${language.lang} (not in SUPPORTED_LANGUAGES)`;
+
+    if (!language.found) {
+      lines.push(`${language.ok ? '-' : '✗'} ${tag}: no stringbank`);
+      continue;
+    }
+
+    const percent = (language.coverage * 100).toFixed(1);
+    lines.push(`${language.ok ? '✓' : '✗'} ${tag}: ${language.translated}/${language.total} keys (${percent}%)`);
+
+    language.missing.forEach(key => lines.push(`    missing      ${key}`));
+    language.placeholders.forEach(({ key, expected, found }) => {
+      lines.push(`    placeholder  ${key}: expected {${expected.join('}, {')}} found {${found.join('}, {')}}`);
+    });
+    language.extra.forEach(key => lines.push(`    extra        ${key}`));
+  }
+
+  lines.push(report.ok
+    ? `All supported languages meet ${report.threshold * 100}% coverage.`
+    : `Supported languages below ${report.threshold * 100}% coverage - see ✗ above.`);
+
+  return lines;
+}
+
+// ============================================================================
+// CLI
+// ============================================================================
+
+/**
+ * Parse --threshold=<0-1> and --json
+ * @param {string[]} args - process.argv.slice(2)
+ * @returns {{threshold: number, json: boolean}}
+ */
+function parseArgs(args) {
+  const options = { threshold: DEFAULT_THRESHOLD, json: false };
+
+  for (const arg of args) {
+    if (arg === '--json') {
+      options.json = true;
+    } else if (arg.startsWith('--threshold=')) {
+      const value = Number(arg.slice('--threshold='.length));
+      if (!Number.isFinite(value) || value < 0 || value > 1) {
+        throw new Error(`--threshold must be between 0 and 1, got "${arg}"`);
+      }
+      options.threshold = value;
+    } else {
+      throw new Error(`Unknown argument "${arg}"`);
+    }
+  }
+
+  return options;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  try {
+    const options = parseArgs(process.argv.slice(2));
+    const report = await checkLocales({ threshold: options.threshold });
+
+    console.log(options.json ? JSON.stringify(report, null, 2) : formatReport(report).join('\n'));
+    process.exitCode = report.ok ? 0 : 1;
+  } catch (error) {
+    console.error(`[check_locales] ${error.message}`);
+    process.exitCode = 2;
+  }
+}
+
+// ============================================================================
+// Module Exports
+// ============================================================================
+
+/**
+ * Export summary:
+ *
+ * Named exports:
+ * - checkLocales({ localesDir, languages, threshold }) → Promise<{ ok, threshold, languages }>
+ * - compareStringbanks(source, target) → { missing, extra, placeholders, translated, total, coverage }
+ * - flattenStringbank(stringbank) → Map<string, *>
+ * - placeholdersOf(value) → string[]
+ * - formatReport(report) → string[]
+ * - DEFAULT_THRESHOLD
+ */
@@ -0,0 +1,319 @@
+#!/usr/bin/env node
+/**
+ * ARVYAM Localized Landing Pages
+ * Pre-renders index.html into /hi/, /ta/, /te/, /bn/ from the stringbanks
+ *
+ * Each page gets:
+ * - the STATIC_TEXT copy (i18n/static_text.js) in its language, <title> included
+ * - <html lang> and data-static-lang, so app.js skips its text swap
+ * - a canonical link and hreflang alternates for every language (+ x-default)
+ * - root-absolute asset URLs (assets/… → /assets/…), so /hi/ finds them
+ *
+ * index.html itself stays hand-edited; --check also verifies its hreflang
+ * block lists every supported language. Re-run after editing index.html or
+ * a stringbank - the generated pages are committed (GitHub Pages, no build step).
+ *
+ * Usage:
+ *   node scripts/prerender_locales.mjs                 # write <lang>/index.html
+ *   node scripts/prerender_locales.mjs --check         # exit 1 if a page is stale
+ *   node scripts/prerender_locales.mjs --origin=https://staging.arvyam.com
+ *
+ * @module scripts/prerender_locales
+ * @version 1.0.0
+ */
+
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import path from 'node:path';
+import { JSDOM } from 'jsdom';
+
+import { SUPPORTED_LANGUAGES } from '../assets/js/i18n/lang_detect.js';
+import { applyStaticText } from '../assets/js/i18n/static_text.js';
+import { formatMessage } from '../assets/js/i18n/format.js';
+
+// ============================================================================
+// Configuration
+// ============================================================================
+
+const REPO_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+/**
+ * Language of index.html as written
+ */
+const SOURCE_LANGUAGE = 'en';
+
+/**
+ * First line of every generated page
+ */
+const GENERATED_NOTICE = '<!-- Generated by scripts/prerender_locales.mjs from index.html - do not edit -->';
+
+/**
+ * Attributes holding URLs that must survive the move into /<lang>/
+ */
+const URL_ATTRIBUTES = ['href', 'src', 'poster'];
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/**
+ * Path a language's landing page is served from
+ * @param {string} lang - Language code
+ * @returns {string} '/' for English, '/hi/' etc. otherwise
+ */
+export function pagePath(lang) {
+  return lang === SOURCE_LANGUAGE ? '/' : `/${lang}/`;
+}
+
+/**
+ * hreflang alternates for every supported language, plus x-default
+ * @param {string} origin - Site origin (https://arvyam.com)
+ * @returns {Array<{hreflang: string, href: string}>}
+ */
+export function alternateLinks(origin) {
+  return [
+    ...SUPPORTED_LANGUAGES.map(lang => ({ hreflang: lang, href: `${origin}${pagePath(lang)}` })),
+    { hreflang: 'x-default', href: `${origin}${pagePath(SOURCE_LANGUAGE)}` }
+  ];
+}
+
+/**
+ * Whether a URL is relative to the page (assets/x.css, not /x, #x or https:)
+ * @param {string} value - Attribute value
+ * @returns {boolean}
+ */
+function isPageRelative(value) {
+  return value !== '' && !/^([a-z][a-z0-9+.-]*:|\/|#)/i.test(value);
+}
+
+/**
+ * Look up a dot-notation key
+ * @param {Object} stringbank - Parsed stringbank
+ * @param {string} key - Key
+ * @returns {*}
+ */
+function lookup(stringbank, key) {
+  return key.split('.').reduce((current, part) => current?.[part], stringbank);
+}
+
+/**
+ * Read and parse locales/<lang>/arvy_stringbank.json
+ * @param {string} localesDir - locales/ directory
+ * @param {string} lang - Language code
+ * @returns {Promise<Object>}
+ */
+async function readStringbank(localesDir, lang) {
+  return JSON.parse(await readFile(path.join(localesDir, lang, 'arvy_stringbank.json'), 'utf8'));
+}
+
+// ============================================================================
+// Rendering
+// ============================================================================
+
+/**
+ * Render one localized landing page
+ * Falls back to English per key, like t(); a key missing from English too
+ * is a build error rather than a page showing the raw key
+ *
+ * @param {string} sourceHtml - index.html
+ * @param {string} lang - Language code
+ * @param {Object} options - Render options
+ * @param {Object} options.stringbank - The language's stringbank
+ * @param {Object} options.fallback - English stringbank
+ * @param {string} options.origin - Site origin for canonical/hreflang URLs
+ * @returns {Promise<string>} Page HTML
+ */
+export async function renderLocalizedPage(sourceHtml, lang, { stringbank, fallback, origin }) {
+  const dom = new JSDOM(sourceHtml);
+  const { document } = dom.window;
+
+  document.documentElement.lang = lang;
+  document.documentElement.dataset.staticLang = lang;
+
+  await applyStaticText(document, key => {
+    const value = lookup(stringbank, key) ?? lookup(fallback, key);
+    if (typeof value !== 'string') {
+      throw new Error(`Stringbank key "${key}" is missing from ${lang} and ${SOURCE_LANGUAGE}`);
+    }
+    return formatMessage(value, {}, lang);
+  });
+
+  for (const attribute of URL_ATTRIBUTES) {
+    document.querySelectorAll(`[${attribute}]`).forEach(element => {
+      const value = element.getAttribute(attribute);
+      if (isPageRelative(value)) {
+        element.setAttribute(attribute, `/${value}`);
+      }
+    });
+  }
+
+  // Replace the hand-written English block with this page's canonical + alternates
+  const existing = Array.from(document.querySelectorAll('link[rel="canonical"], link[rel="alternate"][hreflang]'));
+  const before = existing[0] || document.querySelector('meta[name="description"]')?.nextSibling || null;
+  const links = [
+    { rel: 'canonical', href: `${origin}${pagePath(lang)}` },
+    ...alternateLinks(origin).map(link => ({ rel: 'alternate', ...link }))
+  ];
+
+  links.forEach(attributes => {
+    const link = document.createElement('link');
+    Object.entries(attributes).forEach(([name, value]) => link.setAttribute(name, value));
+    document.head.insertBefore(link, before);
+    document.head.insertBefore(document.createTextNode('\n  '), before);
+  });
+
+  existing.forEach(link => {
+    if (link.nextSibling?.nodeType === link.TEXT_NODE && !link.nextSibling.textContent.trim()) {
+      link.nextSibling.remove();
+    }
+    link.remove();
+  });
+
+  return dom.serialize().replace(/^<!DOCTYPE html>/i, match => `${match}\n${GENERATED_NOTICE}\n`) + '\n';
+}
+
+/**
+ * hreflang problems in the hand-written index.html
+ * @param {string} sourceHtml - index.html
+ * @param {string} origin - Site origin
+ * @returns {string[]} Problems (empty when the block is complete)
+ */
+export function checkSourceAlternates(sourceHtml, origin) {
+  const { document } = new JSDOM(sourceHtml).window;
+  const found = new Map(Array.from(
+    document.querySelectorAll('link[rel="alternate"][hreflang]'),
+    link => [link.getAttribute('hreflang'), link.getAttribute('href')]
+  ));
+
+  const problems = alternateLinks(origin)
+    .filter(({ hreflang, href }) => found.get(hreflang) !== href)
+    .map(({ hreflang, href }) => `index.html: expected <link rel="alternate" hreflang="${hreflang}" href="${href}">`);
+
+  const canonical = document.querySelector('link[rel="canonical"]')?.getAttribute('href');
+  if (canonical !== `${origin}${pagePath(SOURCE_LANGUAGE)}`) {
+    problems.push(`index.html: expected <link rel="canonical" href="${origin}${pagePath(SOURCE_LANGUAGE)}">`);
+  }
+
+  return problems;
+}
+
+/**
+ * Render every localized page
+ *
+ * @param {Object} [options={}] - Options
+ * @param {string} [options.root] - Repository root (defaults to this repo)
+ * @param {string} [options.origin] - Site origin (defaults to https://<CNAME>)
+ * @param {string[]} [options.languages=SUPPORTED_LANGUAGES] - Languages to render (en is skipped)
+ * @returns {Promise<{origin: string, sourceHtml: string, pages: Array<{lang: string, file: string, html: string}>}>}
+ */
+export async function prerenderLocales(options = {}) {
+  const root = options.root || REPO_ROOT;
+  const origin = (options.origin || `https://${(await readFile(path.join(root, 'CNAME'), 'utf8')).trim()}`).replace(/\/$/, '');
+  const languages = (options.languages || SUPPORTED_LANGUAGES).filter(lang => lang !== SOURCE_LANGUAGE);
+
+  const localesDir = path.join(root, 'locales');
+  const sourceHtml = await readFile(path.join(root, 'index.html'), 'utf8');
+  const fallback = await readStringbank(localesDir, SOURCE_LANGUAGE);
+
+  const pages = [];
+  for (const lang of languages) {
+    const stringbank = await readStringbank(localesDir, lang);
+    pages.push({
+      lang,
+      file: path.join(root, lang, 'index.html'),
+      html: await renderLocalizedPage(sourceHtml, lang, { stringbank, fallback, origin })
+    });
+  }
+
+  return { origin, sourceHtml, pages };
+}
+
+/**
+ * Pages whose file on disk differs from a fresh render
+ * @param {Array<{file: string, html: string}>} pages - prerenderLocales() pages
+ * @returns {Promise<string[]>} Stale or missing files
+ */
+export async function findStalePages(pages) {
+  const stale = [];
+
+  for (const page of pages) {
+    const current = await readFile(page.file, 'utf8').catch(() => null);
+    if (current !== page.html) stale.push(page.file);
+  }
+
+  return stale;
+}
+
+// ============================================================================
+// CLI
+// ============================================================================
+
+/**
+ * Parse --check and --origin=<url>
+ * @param {string[]} args - process.argv.slice(2)
+ * @returns {{check: boolean, origin: string|undefined}}
+ */
+function parseArgs(args) {
+  const options = { check: false, origin: undefined };
+
+  for (const arg of args) {
+    if (arg === '--check') {
+      options.check = true;
+    } else if (arg.startsWith('--origin=')) {
+      const value = arg.slice('--origin='.length);
+      if (!/^https?:\/\/[^/]+\/?$/.test(value)) {
+        throw new Error(`--origin must be a bare http(s) origin, got "${value}"`);
+      }
+      options.origin = value;
+    } else {
+      throw new Error(`Unknown argument "${arg}"`);
+    }
+  }
+
+  return options;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  try {
+    const options = parseArgs(process.argv.slice(2));
+    const { origin, sourceHtml, pages } = await prerenderLocales({ origin: options.origin });
+    // index.html is written for the production origin only
+    const problems = options.origin ? [] : checkSourceAlternates(sourceHtml, origin);
+
+    if (options.check) {
+      const stale = await findStalePages(pages);
+      stale.forEach(file => problems.push(`${path.relative(REPO_ROOT, file)} is out of date - run npm run prerender`));
+    } else {
+      for (const page of pages) {
+        await mkdir(path.dirname(page.file), { recursive: true });
+        await writeFile(page.file, page.html);
+        console.log(`✓ ${path.relative(REPO_ROOT, page.file)}`);
+      }
+    }
+
+    problems.forEach(problem => console.error(`✗ ${problem}`));
+    if (options.check && problems.length === 0) {
+      console.log(`All ${pages.length} localized pages are up to date.`);
+    }
+    process.exitCode = problems.length === 0 ? 0 : 1;
+  } catch (error) {
+    console.error(`[prerender_locales] ${error.message}`);
+    process.exitCode = 2;
+  }
+}
+
+// ============================================================================
+// Module Exports
+// ============================================================================
+
+/**
+ * Export summary:
+ *
+ * Named exports:
+ * - prerenderLocales({ root, origin, languages }) → Promise<{ origin, sourceHtml, pages }>
+ * - renderLocalizedPage(sourceHtml, lang, { stringbank, fallback, origin }) → Promise<string>
+ * - findStalePages(pages) → Promise<string[]>
+ * - checkSourceAlternates(sourceHtml, origin) → string[]
+ * - alternateLinks(origin) → Array<{ hreflang, href }>
+ * - pagePath(lang) → string
+ */
@@ -0,0 +1,1059 @@
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { setupDom, tick, localesFetch } from '../helpers/dom.js';
+
+setupDom();
+
+const { default: ResultCard } = await import('../../assets/js/components/result_card.js');
+const { default: RefineBar } = await import('../../assets/js/components/refine_bar.js');
+const { default: HintForm } = await import('../../assets/js/components/hint_form.js');
+const { default: ConsentBanner } = await import('../../assets/js/components/consent_banner.js');
+const { default: HistoryTimeline } = await import('../../assets/js/components/history_timeline.js');
+const { default: ShareAction } = await import('../../assets/js/components/share_action.js');
+const { default: CompareView } = await import('../../assets/js/components/compare_view.js');
+const { default: DetailDrawer, readDetailHash } = await import('../../assets/js/components/detail_drawer.js');
+const { default: RationalePanel, deriveRationale } = await import('../../assets/js/components/rationale_panel.js');
+const { default: LanguageSwitch } = await import('../../assets/js/components/language_switch.js');
+const { default: VoiceInput } = await import('../../assets/js/components/voice_input.js');
+const { default: PincodeCheck } = await import('../../assets/js/components/pincode_check.js');
+const { clearCache } = await import('../../assets/js/i18n/strings.js');
+
+const bouquet = {
+  id: 'SKU-001',
+  name: 'Blush Reverie',
+  occasion: 'For a quiet thank you',
+  description: 'Soft pinks with white lisianthus.',
+  image: 'assets/card-1.jpg',
+  price: 2499
+};
+
+/**
+ * Markup mirroring the hint form section the page renders
+ */
+const HINT_FORM_HTML = `
+  <button id="hints-toggle" type="button">Add hints</button>
+  <section id="hint-form-section" hidden>
+    <form id="hints-submit-form">
+      <select id="hint-relationship"><option value=""></option><option value="partner">Partner</option></select>
+      <select id="hint-occasion"><option value=""></option><option value="birthday">Birthday</option></select>
+      <select id="hint-budget"><option value=""></option><option value="1500-2500">1500-2500</option></select>
+      <select id="hint-delivery"><option value=""></option><option value="today">Today</option></select>
+      <input id="hint-tone" type="text">
+      <span id="tone-error"></span>
+      <button type="submit">Curate</button>
+      <button id="hints-cancel" type="button">Cancel</button>
+    </form>
+  </section>
+`;
+
+beforeEach(() => {
+  document.body.innerHTML = '';
+  localStorage.clear();
+});
+
+describe('ResultCard', () => {
+  test('renders an accessible article with a checkout link', async () => {
+    const card = await new ResultCard(bouquet).render();
+
+    assert.equal(card.tagName, 'ARTICLE');
+    assert.equal(card.getAttribute('aria-labelledby'), 'result-card-SKU-001-title');
+    assert.equal(card.querySelector('#result-card-SKU-001-title').textContent.trim(), 'Blush Reverie');
+    assert.equal(card.querySelector('.result-card__cta').getAttribute('href'), '/checkout?sku=SKU-001');
+    assert.match(card.querySelector('.result-card__price').textContent, /2,499/);
+    assert.equal(card.querySelector('img').getAttribute('loading'), 'lazy');
+  });
+
+  test('shows product content in the card language, English otherwise', async () => {
+    const localized = {
+      ...bouquet,
+      name_i18n: { en: 'Blush Reverie', 'hi-IN': 'गुलाबी सपना' },
+      description_i18n: { en: 'Soft pink roses.' }
+    };
+    const card = new ResultCard(localized, { lang: 'hi' });
+    const element = await card.render();
+    const title = element.querySelector('.result-card__title');
+    const description = element.querySelector('.result-card__description');
+
+    assert.equal(title.textContent.trim(), 'गुलाबी सपना');
+    assert.equal(title.hasAttribute('lang'), false);
+    assert.equal(description.textContent.trim(), 'Soft pink roses.');
+    assert.equal(description.getAttribute('lang'), 'en');
+
+    await card.updateLanguage('ta');
+    assert.equal(title.textContent, 'Blush Reverie');
+    assert.equal(title.getAttribute('lang'), 'en');
+
+    await card.updateLanguage('en');
+    assert.equal(description.hasAttribute('lang'), false);
+  });
+
+  test('falls back to an em dash when price is missing', async () => {
+    const card = await new ResultCard({ ...bouquet, price: undefined }).render();
+    assert.equal(card.querySelector('.result-card__price').textContent, '—');
+  });
+
+  test('shows a delivery note only when given one', async () => {
+    const plain = await new ResultCard(bouquet).render();
+    assert.equal(plain.querySelector('.result-card__delivery-note'), null);
+
+    const card = await new ResultCard(bouquet, { deliveryNote: 'Arrives tomorrow at this pincode.' }).render();
+    const note = card.querySelector('.result-card__delivery-note');
+    assert.equal(note.getAttribute('role'), 'note');
+    assert.equal(note.textContent, 'Arrives tomorrow at this pincode.');
+  });
+
+  test('shows an empty frame instead of a missing image', async () => {
+    const card = await new ResultCard({ ...bouquet, image: null }).render();
+
+    assert.equal(card.querySelector('img'), null);
+    assert.equal(card.querySelector('.result-card__image-wrapper--empty').getAttribute('aria-hidden'), 'true');
+  });
+
+  test('escapes bouquet text', async () => {
+    const card = await new ResultCard({ ...bouquet, name: '<img src=x onerror=alert(1)>' }).render();
+    assert.equal(card.querySelector('.result-card__title img'), null);
+  });
+
+  test('emits card-selected on click and Enter', async () => {
+    const selected = [];
+    const card = await new ResultCard(bouquet, { onSelect: data => selected.push(data.id) }).render();
+    document.body.appendChild(card);
+
+    let events = 0;
+    document.addEventListener('card-selected', (e) => {
+      events += 1;
+      assert.equal(e.detail.bouquet.id, 'SKU-001');
+    });
+
+    card.click();
+    card.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', bubbles: true }));
+
+    assert.equal(events, 2);
+    assert.deepEqual(selected, ['SKU-001', 'SKU-001']);
+  });
+
+  test('has no pin toggle unless pinnable', async () => {
+    const card = await new ResultCard(bouquet).render();
+    assert.equal(card.querySelector('.result-card__pin'), null);
+  });
+
+  test('pin toggle flips aria-pressed without selecting the card', async () => {
+    const toggles = [];
+    const selected = [];
+    const resultCard = new ResultCard(bouquet, {
+      pinnable: true,
+      onSelect: data => selected.push(data.id),
+      onPinToggle: (data, pinned) => toggles.push([data.id, pinned])
+    });
+    const card = await resultCard.render();
+    const pin = card.querySelector('.result-card__pin');
+
+    assert.equal(pin.getAttribute('aria-pressed'), 'false');
+    assert.equal(pin.getAttribute('aria-label'), 'Keep Blush Reverie when refining');
+
+    pin.click();
+    await tick();
+
+    assert.equal(pin.getAttribute('aria-pressed'), 'true');
+    assert.equal(pin.textContent, 'Keeping this one');
+    assert.ok(card.classList.contains('is-pinned'));
+    assert.equal(resultCard.isPinned(), true);
+    assert.deepEqual(toggles, [['SKU-001', true]]);
+    assert.deepEqual(selected, []);
+  });
+
+  test('a refused pin leaves the card unpinned', async () => {
+    const resultCard = new ResultCard(bouquet, { pinnable: true, onPinToggle: () => false });
+    const card = await resultCard.render();
+
+    assert.equal(await resultCard.togglePin(), false);
+    assert.equal(card.querySelector('.result-card__pin').getAttribute('aria-pressed'), 'false');
+  });
+});
+
+describe('RefineBar', () => {
+  test('attaches a labelled form region', () => {
+    const bar = new RefineBar();
+    bar.attach(document.body);
+
+    const input = document.getElementById('refine-input');
+    assert.equal(bar.getAttached(), true);
+    assert.equal(document.querySelector('.refine-bar').getAttribute('role'), 'region');
+    assert.equal(document.querySelector('label[for="refine-input"]').textContent, 'Adjustment preferences');
+    assert.equal(input.getAttribute('aria-describedby'), 'refine-error');
+    assert.equal(input.maxLength, 50);
+  });
+
+  test('blocks invalid refinements with an inline error', () => {
+    const submitted = [];
+    const bar = new RefineBar({ onSubmit: text => submitted.push(text) });
+    bar.attach(document.body);
+
+    bar.input.value = 'mail me at a@b.co';
+    bar.form.dispatchEvent(new Event('submit', { cancelable: true }));
+
+    assert.deepEqual(submitted, []);
+    assert.equal(bar.input.getAttribute('aria-invalid'), 'true');
+    assert.match(document.getElementById('refine-error').textContent, /email/);
+  });
+
+  test('submits sanitized text', () => {
+    const submitted = [];
+    const bar = new RefineBar({ onSubmit: text => submitted.push(text) });
+    bar.attach(document.body);
+
+    bar.input.value = '  warmer colors  ';
+    bar.form.dispatchEvent(new Event('submit', { cancelable: true }));
+
+    assert.deepEqual(submitted, ['warmer colors']);
+  });
+
+  test('detach removes the DOM', () => {
+    const bar = new RefineBar();
+    bar.attach(document.body);
+    bar.detach();
+
+    assert.equal(document.querySelector('.refine-bar'), null);
+    assert.equal(bar.getAttached(), false);
+  });
+});
+
+describe('HintForm', () => {
+  test('skips init without its container', () => {
+    assert.equal(new HintForm().init(), false);
+  });
+
+  test('toggle mirrors aria-expanded', () => {
+    document.body.innerHTML = HINT_FORM_HTML;
+    const form = new HintForm();
+    assert.equal(form.init(), true);
+
+    const toggle = document.getElementById('hints-toggle');
+    assert.equal(toggle.getAttribute('aria-expanded'), 'false');
+
+    toggle.click();
+    assert.equal(toggle.getAttribute('aria-expanded'), 'true');
+    assert.equal(document.getElementById('hint-form-section').hasAttribute('hidden'), false);
+
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+    assert.equal(toggle.getAttribute('aria-expanded'), 'false');
+    form.destroy();
+  });
+
+  test('collects only filled hints', () => {
+    document.body.innerHTML = HINT_FORM_HTML;
+    const received = [];
+    const form = new HintForm({ onSubmit: hints => received.push(hints) });
+    form.init();
+
+    document.getElementById('hint-occasion').value = 'birthday';
+    document.getElementById('hint-tone').value = '  pastel  ';
+    form.form.dispatchEvent(new Event('submit', { cancelable: true }));
+
+    assert.deepEqual(received, [{ occasion: 'birthday', tone_hint: 'pastel' }]);
+    form.destroy();
+  });
+
+  test('rejects PII in the tone hint', () => {
+    document.body.innerHTML = HINT_FORM_HTML;
+    const received = [];
+    const form = new HintForm({ onSubmit: hints => received.push(hints) });
+    form.init();
+
+    document.getElementById('hint-tone').value = 'call 9876543210';
+    form.form.dispatchEvent(new Event('submit', { cancelable: true }));
+
+    const error = document.getElementById('tone-error');
+    assert.deepEqual(received, []);
+    assert.equal(error.getAttribute('role'), 'alert');
+    assert.match(error.textContent, /phone/);
+    form.destroy();
+  });
+});
+
+describe('ConsentBanner', () => {
+  test('shows a toast with three actions on first visit', async () => {
+    const banner = new ConsentBanner();
+    await banner.show();
+
+    const toast = document.querySelector('.consent-toast');
+    assert.equal(toast.getAttribute('role'), 'dialog');
+    assert.equal(toast.querySelectorAll('[data-act]').length, 3);
+  });
+
+  test('reject stores analytics=false and emits consent-changed', async () => {
+    const changes = [];
+    const onChange = e => changes.push(e.detail.consent);
+    window.addEventListener('consent-changed', onChange);
+
+    const banner = new ConsentBanner();
+    await banner.show();
+    document.querySelector('[data-act="reject"]').click();
+    window.removeEventListener('consent-changed', onChange);
+
+    assert.equal(changes.length, 1);
+    assert.equal(changes[0].analytics, false);
+    assert.equal(JSON.parse(localStorage.getItem('arvyam_consent')).analytics, false);
+    assert.equal(document.querySelector('.consent-toast'), null);
+  });
+
+  test('does not show again once consent exists', async () => {
+    const banner = new ConsentBanner();
+    banner.saveConsent({ analytics: true });
+    await banner.show();
+
+    assert.equal(document.querySelector('.consent-toast'), null);
+    assert.equal(banner.hasConsent(), true);
+  });
+});
+
+describe('HistoryTimeline', () => {
+  const entries = [
+    { id: 'h1', kind: 'search', refinement: null, timestamp: Date.now() - 60000 },
+    { id: 'h2', kind: 'refine', refinement: 'softer palette', timestamp: Date.now() }
+  ];
+
+  test('stays hidden for a single curation', async () => {
+    const timeline = new HistoryTimeline();
+    assert.equal(await timeline.attach(document.body, entries.slice(0, 1), 'h1'), null);
+    assert.equal(document.querySelector('.curation-timeline'), null);
+  });
+
+  test('renders an ordered list with the current step marked', async () => {
+    const timeline = new HistoryTimeline();
+    await timeline.attach(document.body, entries, 'h2');
+
+    const buttons = document.querySelectorAll('.curation-timeline__item');
+    assert.equal(document.querySelector('.curation-timeline').getAttribute('aria-labelledby'), 'curation-timeline-title');
+    assert.equal(buttons.length, 2);
+    assert.equal(buttons[1].getAttribute('aria-current'), 'step');
+    assert.equal(buttons[0].hasAttribute('aria-current'), false);
+    assert.match(buttons[0].getAttribute('aria-label'), /^Show selection 1: Search/);
+    assert.equal(buttons[1].querySelector('.curation-timeline__detail').textContent, 'softer palette');
+  });
+
+  test('restores earlier steps only, without refinement text in analytics', async () => {
+    const restored = [];
+    const events = [];
+    window.trackEvent = (name, props) => events.push({ name, props });
+
+    const timeline = new HistoryTimeline({ onRestore: id => restored.push(id) });
+    await timeline.attach(document.body, entries, 'h2');
+
+    const buttons = document.querySelectorAll('.curation-timeline__item');
+    buttons[1].click();
+    buttons[0].click();
+    delete window.trackEvent;
+
+    assert.deepEqual(restored, ['h1']);
+    assert.deepEqual(events, [{ name: 'history_step_selected', props: { position: 1, total: 2 } }]);
+  });
+
+  test('re-attaching replaces the previous timeline', async () => {
+    const timeline = new HistoryTimeline();
+    await timeline.attach(document.body, entries, 'h2');
+    await timeline.attach(document.body, entries, 'h1');
+
+    assert.equal(document.querySelectorAll('.curation-timeline').length, 1);
+  });
+});
+
+describe('ShareAction', () => {
+  const selection = { skuIds: ['A-1', 'B-2', 'C-3'], language: 'en', hints: null };
+
+  test('renders nothing for a triad without shareable ids', async () => {
+    const share = new ShareAction();
+    assert.equal(await share.attach(document.body, { skuIds: ['arr-0', 'arr-0', 'arr-2'] }), null);
+    assert.equal(document.querySelector('.share-action'), null);
+  });
+
+  test('copies the link and announces it politely', async () => {
+    let copied = null;
+    Object.defineProperty(navigator, 'clipboard', {
+      value: { writeText: async (text) => { copied = text; } },
+      configurable: true
+    });
+
+    const share = new ShareAction();
+    await share.attach(document.body, selection);
+
+    assert.equal(document.querySelector('.share-action__button').textContent, 'Share this selection');
+    assert.equal(await share.handleShare(), 'copied');
+    assert.match(copied, /[?&]c=/);
+    assert.equal(document.querySelector('.share-action__status').getAttribute('role'), 'status');
+    assert.match(document.querySelector('.share-action__status').textContent, /Link copied/);
+
+    delete navigator.clipboard;
+  });
+
+  test('falls back to a selectable link when clipboard is unavailable', async () => {
+    Object.defineProperty(navigator, 'clipboard', { value: undefined, configurable: true });
+
+    const share = new ShareAction();
+    await share.attach(document.body, selection);
+
+    assert.equal(await share.handleShare(), 'manual');
+    const field = document.querySelector('.share-action__link');
+    assert.equal(field.readOnly, true);
+    assert.match(field.value, /[?&]c=/);
+
+    delete navigator.clipboard;
+  });
+});
+
+describe('CompareView', () => {
+  const triad = [
+    { id: 'A-1', name: 'Morning Hush', tier: 'Classic', price_inr: 1599, flowers: ['Peach rose'], stem_count: 18, delivery_windows: ['today', 'tomorrow'] },
+    { id: 'B-2', name: 'Golden Hour', tier: 'Signature', price_inr: 2499, delivery_windows: ['this_week'] },
+    { id: 'C-3', name: 'Pure White', tier: 'Signature', price_inr: 0 }
+  ];
+
+  /**
+   * Attach next to a stand-in card grid
+   */
+  async function attachView(options = {}) {
+    const grid = document.createElement('div');
+    grid.className = 'results-grid';
+    document.body.appendChild(grid);
+
+    const view = new CompareView(options);
+    await view.attach(document.body, triad, { cardsElement: grid, ...options });
+    return { view, grid, table: document.querySelector('.compare-table') };
+  }
+
+  test('renders a captioned table with one column per arrangement', async () => {
+    const { table } = await attachView();
+
+    assert.equal(table.caption.textContent, 'The three arrangements side by side');
+    const headers = Array.from(table.querySelectorAll('thead th[scope="col"]')).map(th => th.textContent);
+    assert.deepEqual(headers, ['Arrangement', 'Morning Hush', 'Golden Hour', 'Pure White']);
+
+    const rowHeaders = Array.from(table.querySelectorAll('tbody th[scope="row"]')).map(th => th.textContent);
+    assert.deepEqual(rowHeaders, ['Flowers', 'Tier', 'Price', 'Delivery', 'Buy']);
+  });
+
+  test('fills missing values with a labelled dash', async () => {
+    const { table } = await attachView();
+    const flowers = table.tBodies[0].rows[0].cells;
+
+    assert.equal(flowers[1].textContent, '18 stems · Peach rose');
+    assert.equal(flowers[2].querySelector('[aria-hidden="true"]').textContent, '—');
+    assert.equal(flowers[2].querySelector('.sr-only').textContent, 'Not listed');
+  });
+
+  test('delivery reflects the guest\'s window when an arrangement fits it', async () => {
+    const { table } = await attachView({ deliveryWindow: 'tomorrow' });
+    const delivery = table.tBodies[0].rows[3].cells;
+
+    assert.equal(delivery[1].textContent, 'Arrives tomorrow');
+    assert.equal(delivery[2].textContent, 'Earliest: this week');
+  });
+
+  test('gives every column the same markup (equal emphasis)', async () => {
+    const { table } = await attachView();
+    const classes = Array.from(table.querySelectorAll('thead th')).slice(1).map(th => th.className);
+    assert.equal(new Set(classes).size, 1);
+    assert.equal(table.querySelectorAll('[aria-current], .is-best, .is-recommended').length, 0);
+  });
+
+  test('toggle swaps cards and table and reports the state', async () => {
+    const toggled = [];
+    const { view, grid } = await attachView({ onToggle: active => toggled.push(active) });
+    const toggle = document.querySelector('.compare-view__toggle');
+    const region = document.getElementById('compare-view-region');
+
+    assert.equal(toggle.getAttribute('aria-pressed'), 'false');
+    assert.equal(region.hidden, true);
+
+    toggle.click();
+    await tick();
+
+    assert.equal(toggle.getAttribute('aria-pressed'), 'true');
+    assert.equal(toggle.textContent, 'Show as cards');
+    assert.equal(region.hidden, false);
+    assert.equal(grid.hidden, true);
+    assert.deepEqual(toggled, [true]);
+
+    view.detach();
+    assert.equal(grid.hidden, false);
+  });
+
+  test('arrow keys move a single tab stop between cells', async () => {
+    const { table } = await attachView({ active: true });
+    const start = table.rows[0].cells[0];
+    assert.equal(start.getAttribute('tabindex'), '0');
+    assert.equal(table.querySelectorAll('[tabindex="0"]').length, 1);
+
+    start.focus();
+    start.dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowDown', bubbles: true }));
+    assert.equal(document.activeElement, table.rows[1].cells[0]);
+
+    document.activeElement.dispatchEvent(new KeyboardEvent('keydown', { key: 'End', bubbles: true }));
+    assert.equal(document.activeElement, table.rows[1].cells[3]);
+
+    document.activeElement.dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowRight', bubbles: true }));
+    assert.equal(document.activeElement, table.rows[1].cells[3]);
+    assert.equal(table.querySelectorAll('[tabindex="0"]').length, 1);
+  });
+});
+
+describe('RationalePanel', () => {
+  const triad = [
+    { id: 'A-1', name: 'Morning Hush', rationale: 'Soft and steady.' },
+    { id: 'B-2', name: 'Golden Hour' },
+    { id: 'C-3', name: 'Pure White', rationale: 'One clear voice.' }
+  ];
+
+  /**
+   * Attach above a stand-in card grid
+   */
+  async function attachPanel(options = {}) {
+    const grid = document.createElement('div');
+    grid.className = 'results-grid';
+    document.body.appendChild(grid);
+
+    const panel = new RationalePanel(options);
+    await panel.attach(document.body, triad, { before: grid, ...options });
+    return { panel, grid, body: document.getElementById('rationale-panel-body') };
+  }
+
+  function lines(body) {
+    return Array.from(body.querySelectorAll('.rationale-panel__lines li')).map(li => li.textContent);
+  }
+
+  test('renders backend rationale through the stringbank, above the grid', async () => {
+    const { panel, grid, body } = await attachPanel({
+      rationale: { emotion_anchor: 'gratitude', relationship: 'friend', tone: 'calm' }
+    });
+
+    assert.equal(panel.getElement().nextElementSibling, grid);
+    assert.equal(panel.getSource(), 'backend');
+    assert.deepEqual(lines(body), [
+      'ARVY sensed gratitude in your words.',
+      'Chosen for a friend.',
+      'Kept the feeling calm.',
+      'Two mixed arrangements and one single-flower arrangement, so you can choose the voice that fits.'
+    ]);
+
+    const reasons = Array.from(body.querySelectorAll('.rationale-panel__reasons li')).map(li => li.textContent);
+    assert.deepEqual(reasons, ['Morning Hush — Soft and steady.', 'Pure White — One clear voice.']);
+  });
+
+  test('skips values without a stringbank label', async () => {
+    const { panel, body } = await attachPanel({
+      rationale: { emotion_anchor: 'wistful', relationship: null, tone: 'bright' }
+    });
+
+    assert.equal(panel.getSource(), 'backend');
+    assert.equal(lines(body)[0], 'Kept the feeling bright.');
+    assert.equal(body.textContent.includes('wistful'), false);
+  });
+
+  test('derives a modest explanation from hints or IntentAssist answers', async () => {
+    const { panel, body } = await attachPanel({
+      hints: { relationship: 'parent', budget_inr: '2000-3500', delivery_window: 'tomorrow', tone_hint: 'her favourite yellow' },
+      intent: { occasion: 'justbecause', tone: 'joyful' }
+    });
+
+    assert.equal(panel.getSource(), 'derived');
+    assert.equal(body.querySelector('.rationale-panel__lead').textContent, 'Based on what you shared:');
+    assert.deepEqual(lines(body).slice(0, 5), [
+      'Chosen for your parent.',
+      'Shaped for no particular reason.',
+      'Kept the feeling joyful.',
+      'Kept within your ₹2000-3500 budget.',
+      'You asked for delivery tomorrow.'
+    ]);
+    assert.equal(body.textContent.includes('yellow'), false);
+  });
+
+  test('falls back to the triad structure alone', async () => {
+    assert.equal(deriveRationale({ hints: { relationship: 'stranger' } }), null);
+
+    const { panel, body } = await attachPanel();
+    assert.equal(panel.getSource(), 'structure');
+    assert.equal(body.querySelector('.rationale-panel__lead'), null);
+    assert.equal(lines(body).length, 1);
+  });
+
+  test('toggle expands the region and reports the state', async () => {
+    const toggled = [];
+    const { body } = await attachPanel({ onToggle: expanded => toggled.push(expanded) });
+    const toggle = document.querySelector('.rationale-panel__toggle');
+
+    assert.equal(toggle.textContent, 'Why these three');
+    assert.equal(toggle.getAttribute('aria-expanded'), 'false');
+    assert.equal(body.hidden, true);
+
+    toggle.click();
+    await tick();
+
+    assert.equal(toggle.getAttribute('aria-expanded'), 'true');
+    assert.equal(body.hidden, false);
+    assert.deepEqual(toggled, [true]);
+  });
+
+  test('renders in Hindi', async () => {
+    const { body } = await attachPanel({ lang: 'hi', rationale: { tone: 'calm' } });
+    assert.equal(lines(body)[0], 'भाव शांत रखा गया।');
+  });
+});
+
+describe('LanguageSwitch', () => {
+  /**
+   * Mount into a stand-in policy footer
+   */
+  function mountSwitch(options = {}) {
+    const footer = document.createElement('footer');
+    footer.id = 'policy-footer';
+    document.body.appendChild(footer);
+
+    const languageSwitch = new LanguageSwitch({ lang: 'en', ...options });
+    languageSwitch.mount();
+    return {
+      languageSwitch,
+      button: footer.querySelector('.lang-pill__btn'),
+      menu: footer.querySelector('[role="menu"]'),
+      items: Array.from(footer.querySelectorAll('[role="menuitemradio"]'))
+    };
+  }
+
+  function press(target, key) {
+    target.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true }));
+  }
+
+  test('lists every supported language by native name, current one checked', async () => {
+    const { button, items } = mountSwitch();
+    await tick();
+
+    assert.deepEqual(items.map(item => item.textContent), ['English', 'हिंदी', 'தமிழ்', 'తెలుగు', 'বাংলা']);
+    assert.deepEqual(items.map(item => item.getAttribute('aria-checked')), ['true', 'false', 'false', 'false', 'false']);
+    assert.equal(items[2].querySelector('[lang]').lang, 'ta');
+    assert.equal(button.getAttribute('aria-haspopup'), 'menu');
+    assert.equal(button.getAttribute('aria-label'), 'Language: English. Change language');
+  });
+
+  test('arrow keys open the menu and move between items; Escape closes it', () => {
+    const { button, menu, items } = mountSwitch();
+
+    button.focus();
+    press(button, 'ArrowDown');
+    assert.equal(menu.hidden, false);
+    assert.equal(button.getAttribute('aria-expanded'), 'true');
+    assert.equal(document.activeElement, items[0]);
+
+    press(document.activeElement, 'ArrowUp');
+    assert.equal(document.activeElement, items[4]);
+    press(document.activeElement, 'Home');
+    assert.equal(document.activeElement, items[0]);
+
+    press(document.activeElement, 'Escape');
+    assert.equal(menu.hidden, true);
+    assert.equal(document.activeElement, button);
+  });
+
+  test('type-ahead matches native and English names', () => {
+    const { button, items } = mountSwitch();
+    button.click();
+
+    press(document.activeElement, 't');
+    assert.equal(document.activeElement, items[2]);
+    press(document.activeElement, 't');
+    assert.equal(document.activeElement, items[3]);
+    press(document.activeElement, 'b');
+    assert.equal(document.activeElement, items[4]);
+    press(document.activeElement, 'e');
+    assert.equal(document.activeElement, items[4]);
+  });
+
+  test('choosing a language dispatches arvy:language and persists the choice', async () => {
+    const events = [];
+    const listener = (event) => events.push(event.detail);
+    document.addEventListener('arvy:language', listener);
+
+    const { button, menu, items } = mountSwitch();
+    button.click();
+    items[3].focus();
+    press(items[3], 'Enter');
+    await tick();
+    document.removeEventListener('arvy:language', listener);
+
+    assert.deepEqual(events, [{ lang: 'te', from: 'en', trigger: 'manual_footer_pill' }]);
+    assert.equal(localStorage.getItem('arvyam_lang'), 'te');
+    assert.equal(localStorage.getItem('manual_lang'), 'true');
+    assert.equal(menu.hidden, true);
+    assert.equal(items[3].getAttribute('aria-checked'), 'true');
+    assert.equal(button.querySelector('.lang-pill__current').textContent, 'తెలుగు');
+  });
+
+  test('marks partially translated languages when the menu opens', async () => {
+    // Let stringbank loads from menus opened above land before swapping fetch
+    await tick(100);
+    clearCache();
+    globalThis.fetch = async (input) => String(input).includes('/locales/bn/')
+      ? new Response(JSON.stringify({ common: { cancel: 'বাতিল' } }), { status: 200 })
+      : localesFetch(input);
+
+    try {
+      const { button, items } = mountSwitch();
+      button.click();
+      await tick(100);
+
+      assert.deepEqual(items.filter(item => item.classList.contains('is-partial')).map(item => item.dataset.lang), ['bn']);
+      assert.equal(items[4].querySelector('.lang-menu__partial').textContent, 'Partly translated');
+    } finally {
+      globalThis.fetch = localesFetch;
+      clearCache();
+    }
+  });
+});
+
+describe('DetailDrawer', () => {
+  const triad = [
+    { id: 'A-1', name: 'Morning Hush', description: 'Peach roses.', price_inr: 1599, image: 'a.jpg', images: ['a.jpg', 'a2.jpg'], flowers: ['Peach rose'], size_guidance: 'About 40 cm tall.' },
+    { id: 'B-2', name: 'Golden Hour', description: 'Sunflowers.', price_inr: 2499, image: 'b.jpg', rationale: 'Warm and open, as you asked.' },
+    { id: 'C-3', name: 'Pure White', description: 'White roses.', image: 'c.jpg' }
+  ];
+
+  /**
+   * Open from a focused opener, like a result card
+   */
+  async function openDrawer(index = 0, options = {}) {
+    const opener = document.createElement('button');
+    document.body.appendChild(opener);
+    opener.focus();
+
+    const drawer = new DetailDrawer();
+    await drawer.open(triad, index, options);
+    return { drawer, opener, dialog: document.querySelector('.detail-drawer') };
+  }
+
+  beforeEach(() => {
+    history.replaceState(null, '', '/');
+  });
+
+  test('opens a labelled modal dialog with focus inside', async () => {
+    const { dialog, drawer } = await openDrawer();
+
+    assert.equal(dialog.getAttribute('role'), 'dialog');
+    assert.equal(dialog.getAttribute('aria-modal'), 'true');
+    assert.equal(document.getElementById(dialog.getAttribute('aria-labelledby')).textContent, 'Morning Hush');
+    assert.equal(document.activeElement, dialog.querySelector('.detail-drawer__close'));
+    assert.equal(dialog.querySelector('.detail-drawer__cta').getAttribute('href'), '/checkout?sku=A-1');
+    drawer.close({ fromHistory: true });
+  });
+
+  test('shows gallery, flowers and size guidance when provided', async () => {
+    const { dialog, drawer } = await openDrawer();
+
+    assert.equal(dialog.querySelectorAll('.detail-drawer__thumb').length, 2);
+    const headings = Array.from(dialog.querySelectorAll('.detail-drawer__section h3')).map(h => h.textContent);
+    assert.deepEqual(headings, ['Flowers', 'Size guide']);
+
+    dialog.querySelector('[data-image="1"]').click();
+    await tick();
+    assert.match(dialog.querySelector('.detail-drawer__image').src, /a2\.jpg$/);
+    drawer.close({ fromHistory: true });
+  });
+
+  test('pages through the triad and shows the rationale when present', async () => {
+    const { dialog, drawer } = await openDrawer();
+
+    dialog.querySelector('[data-act="next"]').click();
+    await tick();
+
+    assert.equal(dialog.querySelector('.detail-drawer__title').textContent, 'Golden Hour');
+    assert.equal(dialog.querySelector('.detail-drawer__position').textContent, '2 of 3');
+    assert.match(dialog.querySelector('.detail-drawer__section').textContent, /Why ARVY chose this/);
+    assert.equal(readDetailHash(), 'B-2');
+
+    await drawer.go(-1);
+    await drawer.go(-1);
+    assert.equal(drawer.getCurrentSku(), 'C-3');
+    assert.equal(dialog.querySelector('.detail-drawer__price').textContent, '—');
+    drawer.close({ fromHistory: true });
+  });
+
+  test('pushes #arrangement=<sku> unless opened from the URL', async () => {
+    const linked = await openDrawer(1, { pushHash: false });
+    assert.equal(readDetailHash(), null);
+    linked.drawer.close({ fromHistory: true });
+
+    const { drawer } = await openDrawer(1);
+    assert.equal(readDetailHash(), 'B-2');
+    drawer.close({ fromHistory: true });
+  });
+
+  test('Escape closes and returns focus to the opener', async () => {
+    const { dialog, drawer, opener } = await openDrawer();
+
+    dialog.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+
+    assert.equal(drawer.isOpen(), false);
+    assert.equal(document.querySelector('.detail-drawer'), null);
+    assert.equal(document.activeElement, opener);
+  });
+
+  test('rejects anything but a full triad', async () => {
+    const drawer = new DetailDrawer();
+    assert.equal(await drawer.open(triad.slice(0, 2), 0), null);
+    assert.equal(drawer.isOpen(), false);
+  });
+});
+
+describe('readDetailHash', () => {
+  test('reads only #arrangement= hashes', () => {
+    assert.equal(readDetailHash('#arrangement=MOCK-MIX-001'), 'MOCK-MIX-001');
+    assert.equal(readDetailHash('#main'), null);
+    assert.equal(readDetailHash(''), null);
+  });
+});
+
+describe('VoiceInput', () => {
+  /**
+   * Stand-in for the browser's SpeechRecognition - tests drive it by hand
+   */
+  class FakeRecognition {
+    constructor() {
+      FakeRecognition.last = this;
+      this.started = false;
+    }
+
+    start() {
+      this.started = true;
+    }
+
+    stop() {
+      this.started = false;
+      this.onend?.();
+    }
+
+    abort() {
+      this.started = false;
+    }
+
+    /**
+     * Deliver results, each [transcript, isFinal]
+     */
+    emit(results) {
+      this.onresult?.({
+        resultIndex: 0,
+        results: results.map(([transcript, isFinal]) => Object.assign([{ transcript }], { isFinal }))
+      });
+    }
+  }
+
+  let events;
+
+  beforeEach(() => {
+    FakeRecognition.last = null;
+    events = [];
+    window.trackEvent = (name, properties) => events.push({ name, properties });
+  });
+
+  /**
+   * Attach to a fresh textarea with speech recognition available
+   */
+  async function attachVoice(options = {}) {
+    window.webkitSpeechRecognition = FakeRecognition;
+
+    const textarea = document.createElement('textarea');
+    textarea.id = 'feelings-input';
+    textarea.maxLength = 240;
+    document.body.appendChild(textarea);
+
+    const voice = new VoiceInput(options);
+    await voice.attach(textarea);
+    return { voice, textarea, button: document.querySelector('.voice-input__button') };
+  }
+
+  test('renders nothing without speech recognition', async () => {
+    delete window.SpeechRecognition;
+    delete window.webkitSpeechRecognition;
+
+    const textarea = document.createElement('textarea');
+    document.body.appendChild(textarea);
+
+    assert.equal(VoiceInput.isSupported(), false);
+    assert.equal(await new VoiceInput().attach(textarea), null);
+    assert.equal(document.querySelector('.voice-input'), null);
+  });
+
+  test('listens in the UI language and streams interim text into the textarea', async () => {
+    const { voice, textarea, button } = await attachVoice({ lang: 'hi' });
+    textarea.value = 'माँ के लिए';
+
+    let inputEvents = 0;
+    textarea.addEventListener('input', () => inputEvents++);
+
+    assert.equal(button.getAttribute('aria-pressed'), 'false');
+    assert.equal(button.getAttribute('aria-label'), 'अपना संदेश बोलें');
+
+    button.click();
+    await tick();
+
+    const recognition = FakeRecognition.last;
+    assert.equal(recognition.lang, 'hi-IN');
+    assert.equal(recognition.interimResults, true);
+    assert.equal(button.getAttribute('aria-pressed'), 'true');
+
+    recognition.emit([['एक छोटा', false]]);
+    assert.equal(textarea.value, 'माँ के लिए एक छोटा');
+
+    recognition.emit([['एक छोटा सा धन्यवाद', true]]);
+    assert.equal(textarea.value, 'माँ के लिए एक छोटा सा धन्यवाद');
+    assert.equal(inputEvents, 2);
+
+    button.click();
+    await tick();
+
+    assert.equal(voice.isListening(), false);
+    assert.equal(button.getAttribute('aria-pressed'), 'false');
+  });
+
+  test('stops at the character limit', async () => {
+    const { voice, textarea } = await attachVoice();
+    textarea.value = 'a'.repeat(230);
+
+    await voice.start();
+    FakeRecognition.last.emit([['thank you for everything this year', false]]);
+    await tick();
+
+    assert.equal(textarea.value.length, 240);
+    assert.equal(voice.isListening(), false);
+    assert.match(document.querySelector('.voice-input__status').textContent, /240/);
+  });
+
+  test('never sends the transcript to analytics', async () => {
+    const { voice, textarea } = await attachVoice();
+
+    await voice.start();
+    FakeRecognition.last.emit([['happy birthday Meera', true]]);
+    voice.stop();
+    await tick();
+
+    assert.equal(textarea.value, 'happy birthday Meera');
+    assert.deepEqual(events.map(event => event.name), ['voice_input_started', 'voice_input_stopped']);
+    assert.doesNotMatch(JSON.stringify(events), /birthday|Meera/);
+  });
+
+  test('explains a blocked microphone', async () => {
+    const { voice } = await attachVoice();
+
+    await voice.start();
+    await FakeRecognition.last.onerror({ error: 'not-allowed' });
+    FakeRecognition.last.stop();
+    await tick();
+
+    assert.match(document.querySelector('.voice-input__status').textContent, /Microphone access is blocked/);
+    assert.deepEqual(events[1], { name: 'voice_input_error', properties: { lang: 'en', error: 'not-allowed' } });
+  });
+});
+
+describe('PincodeCheck', () => {
+  const bengaluru = { pincode: '560001', serviceable: true, delivery_windows: ['today', 'tomorrow'] };
+
+  /**
+   * Attach after a stand-in curate form; check() answers from a table
+   */
+  async function attachPincode(options = {}) {
+    const form = document.createElement('form');
+    document.body.appendChild(form);
+
+    const checked = [];
+    const changes = [];
+    const pincodeCheck = new PincodeCheck({
+      check: async (pincode) => {
+        checked.push(pincode);
+        if (pincode === '110001') throw new Error('offline');
+        return pincode === '845401'
+          ? { pincode, serviceable: false, delivery_windows: [] }
+          : { ...bengaluru, pincode };
+      },
+      onChange: (result) => changes.push(result),
+      ...options
+    });
+    await pincodeCheck.attach(form, options.initial || null);
+
+    return {
+      pincodeCheck,
+      checked,
+      changes,
+      input: document.getElementById('pincode-input'),
+      status: () => document.getElementById('pincode-status').textContent
+    };
+  }
+
+  test('renders after the form with a labelled field', async () => {
+    const { input } = await attachPincode();
+
+    assert.equal(document.querySelector('form').nextElementSibling.className, 'pincode-check');
+    assert.equal(document.querySelector('label[for="pincode-input"]').textContent, 'Deliver to pincode (optional)');
+    assert.equal(input.inputMode, 'numeric');
+  });
+
+  test('rejects a malformed pincode without a request', async () => {
+    const { pincodeCheck, input, checked, changes, status } = await attachPincode();
+
+    input.value = '5600';
+    assert.equal(await pincodeCheck.handleCheck(), 'invalid');
+    assert.deepEqual(checked, []);
+    assert.deepEqual(changes, [null]);
+    assert.equal(input.getAttribute('aria-invalid'), 'true');
+    assert.match(status(), /6-digit pincode/);
+  });
+
+  test('checks on Enter and reports the earliest delivery', async () => {
+    const { input, checked, changes, status } = await attachPincode();
+
+    input.value = '560 001';
+    input.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', bubbles: true }));
+    await tick(20);
+
+    assert.deepEqual(checked, ['560001']);
+    assert.deepEqual(changes, [bengaluru]);
+    assert.equal(status(), 'We deliver to 560001 - as soon as today.');
+  });
+
+  test('unserviceable and failed checks stay calm', async () => {
+    const { pincodeCheck, input, changes, status } = await attachPincode();
+
+    input.value = '845401';
+    assert.equal(await pincodeCheck.handleCheck(), 'unserviceable');
+    assert.match(status(), /do not deliver to 845401 yet/);
+    assert.equal(changes.at(-1).serviceable, false);
+
+    input.value = '110001';
+    assert.equal(await pincodeCheck.handleCheck(), 'error');
+    assert.match(status(), /could not check 110001/);
+    assert.equal(changes.at(-1), null);
+  });
+
+  test('restores the session pincode and clears when emptied', async () => {
+    const { input, checked, changes, status } = await attachPincode({ initial: bengaluru });
+
+    assert.equal(input.value, '560001');
+    assert.match(status(), /560001/);
+    assert.deepEqual(checked, []);
+
+    input.value = '';
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+    await tick();
+
+    assert.deepEqual(changes, [null]);
+    assert.equal(status(), '');
+  });
+
+  test('never sends the pincode to analytics', async () => {
+    const events = [];
+    window.trackEvent = (name, properties) => events.push({ name, properties });
+
+    const { pincodeCheck, input } = await attachPincode();
+    input.value = '560001';
+    await pincodeCheck.handleCheck();
+
+    assert.deepEqual(events, [{ name: 'pincode_checked', properties: { outcome: 'serviceable' } }]);
+    delete window.trackEvent;
+  });
+});
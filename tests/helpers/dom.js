@@ -0,0 +1,124 @@
+/**
+ * ARVYAM Test Harness - headless DOM (jsdom)
+ * Installs browser globals so the frontend modules run unchanged under node:test
+ *
+ * Usage (call BEFORE importing any module under test - ES modules read
+ * globals such as window/document when they run):
+ *
+ * import { setupDom } from '../helpers/dom.js';
+ * setupDom();
+ * const { default: ResultCard } = await import('../../assets/js/components/result_card.js');
+ *
+ * Set ARVYAM_TEST_VERBOSE=1 to keep module console output.
+ *
+ * @module tests/helpers/dom
+ */
+
+import { JSDOM } from 'jsdom';
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+
+const REPO_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+
+/**
+ * Browser globals copied from the jsdom window onto globalThis
+ */
+const GLOBAL_KEYS = [
+  'window',
+  'document',
+  'localStorage',
+  'sessionStorage',
+  'location',
+  'history',
+  'CustomEvent',
+  'Event',
+  'KeyboardEvent',
+  'MouseEvent',
+  'HTMLElement',
+  'HTMLInputElement',
+  'Node',
+  'NodeFilter',
+  'getComputedStyle',
+  'requestAnimationFrame',
+  'cancelAnimationFrame'
+];
+
+/**
+ * Fetch stub serving /locales/* from disk; everything else is a 404
+ * @param {string|Request} input - URL
+ * @returns {Promise<Response>}
+ */
+export async function localesFetch(input) {
+  const url = new URL(typeof input === 'string' ? input : input.url, 'http://localhost/');
+
+  if (url.pathname.startsWith('/locales/')) {
+    try {
+      const body = await readFile(path.join(REPO_ROOT, url.pathname), 'utf8');
+      return new Response(body, { status: 200, headers: { 'Content-Type': 'application/json' } });
+    } catch (error) {
+      return new Response('Not found', { status: 404 });
+    }
+  }
+
+  return new Response('Not found', { status: 404 });
+}
+
+/**
+ * Create a jsdom window and expose it as browser globals
+ *
+ * @param {Object} [options={}] - Setup options
+ * @param {string} [options.html] - Initial document markup
+ * @param {string} [options.url='http://localhost/'] - Document URL
+ * @returns {JSDOM} The jsdom instance
+ */
+export function setupDom(options = {}) {
+  const dom = new JSDOM(options.html || '<!doctype html><html lang="en"><body></body></html>', {
+    url: options.url || 'http://localhost/',
+    pretendToBeVisual: true
+  });
+
+  for (const key of GLOBAL_KEYS) {
+    Object.defineProperty(globalThis, key, {
+      value: dom.window[key],
+      configurable: true,
+      writable: true
+    });
+  }
+
+  // navigator is a read-only getter on newer Node versions
+  Object.defineProperty(globalThis, 'navigator', {
+    value: dom.window.navigator,
+    configurable: true,
+    writable: true
+  });
+
+  // jsdom has no matchMedia / scrollIntoView
+  dom.window.matchMedia = dom.window.matchMedia || ((query) => ({
+    matches: false,
+    media: query,
+    addEventListener() {},
+    removeEventListener() {}
+  }));
+  dom.window.HTMLElement.prototype.scrollIntoView = function scrollIntoView() {};
+
+  globalThis.fetch = localesFetch;
+  dom.window.fetch = localesFetch;
+
+  if (!process.env.ARVYAM_TEST_VERBOSE) {
+    for (const method of ['log', 'info', 'warn', 'error']) {
+      console[method] = () => {};
+    }
+  }
+
+  return dom;
+}
+
+/**
+ * Resolve after pending timers/microtasks (announce() uses a 100ms delay)
+ * @param {number} [ms=0] - Delay
+ * @returns {Promise<void>}
+ */
+export function tick(ms = 0) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
@@ -0,0 +1,78 @@
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { setupDom } from '../helpers/dom.js';
+
+setupDom();
+
+const { orderTriad, readOrderSeed } = await import('../../assets/js/card_order.js');
+
+const triad = [
+  { id: 'MIX-A', composition: 'MIX' },
+  { id: 'MIX-B', composition: 'MIX' },
+  { id: 'MONO-C', composition: 'MONO' }
+];
+
+const ids = (result) => result.arrangements.map(item => item.id);
+
+beforeEach(() => {
+  sessionStorage.clear();
+});
+
+describe('readOrderSeed', () => {
+  test('creates one seed per session', () => {
+    const seed = readOrderSeed();
+    assert.match(seed, /^[0-9a-f]{8}$/);
+    assert.equal(readOrderSeed(), seed);
+    assert.equal(sessionStorage.getItem('arvyam_order_seed'), seed);
+
+    sessionStorage.clear();
+    sessionStorage.setItem('arvyam_order_seed', 'not-a-seed');
+    assert.notEqual(readOrderSeed(), 'not-a-seed');
+  });
+});
+
+describe('orderTriad', () => {
+  test('ignores the backend order - same seed and SKUs, same slots', () => {
+    const first = orderTriad(triad, { seed: '0000beef' });
+    const shuffled = orderTriad([triad[2], triad[0], triad[1]], { seed: '0000beef' });
+
+    assert.deepEqual(ids(shuffled), ids(first));
+    assert.equal(shuffled.variant, first.variant);
+    assert.deepEqual(ids(orderTriad(first.arrangements, { seed: '0000beef' })), ids(first));
+  });
+
+  test('reports the permutation and the composition per slot', () => {
+    const result = orderTriad(triad, { seed: '12345678' });
+
+    assert.equal(result.variant >= 0 && result.variant < 6, true);
+    assert.equal(result.layout, result.arrangements.map(item => item.composition).join('-'));
+    assert.equal(result.layout.split('-').filter(value => value === 'MONO').length, 1);
+  });
+
+  test('puts the MONO card in every slot about equally often across seeds', () => {
+    const slots = [0, 0, 0];
+    for (let i = 0; i < 600; i++) {
+      const seed = (i * 2654435761 >>> 0).toString(16).padStart(8, '0');
+      slots[orderTriad(triad, { seed }).layout.split('-').indexOf('MONO')]++;
+    }
+
+    slots.forEach(count => assert.equal(count > 150 && count < 250, true, `MONO slot counts ${slots}`));
+  });
+
+  test('pinned cards keep their slots', () => {
+    for (const seed of ['00000001', '00000002', '00000003', 'ffffffff']) {
+      const result = orderTriad(triad, { seed, pins: [{ id: 'MONO-C', slot: 0 }] });
+      assert.equal(ids(result)[0], 'MONO-C');
+      assert.deepEqual(ids(result).slice(1).sort(), ['MIX-A', 'MIX-B']);
+    }
+
+    const all = triad.map((item, slot) => ({ id: item.id, slot }));
+    assert.deepEqual(ids(orderTriad(triad, { seed: 'abcdef01', pins: all })), ['MIX-A', 'MIX-B', 'MONO-C']);
+  });
+
+  test('ignores pins for cards that are not in the triad', () => {
+    const result = orderTriad(triad, { seed: 'abcdef01', pins: [{ id: 'GONE', slot: 1 }] });
+    assert.deepEqual(ids(result).sort(), ['MIX-A', 'MIX-B', 'MONO-C']);
+  });
+});
@@ -0,0 +1,82 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  checkLocales,
+  compareStringbanks,
+  flattenStringbank,
+  placeholdersOf
+} from '../../scripts/check_locales.mjs';
+
+const source = {
+  result: { cta: 'Buy', pin_label: 'Keep {name} when refining' },
+  search: { placeholder: '' },
+  refine: { counter: '{turn} / {max}' }
+};
+
+describe('flattenStringbank', () => {
+  test('uses the dot-notation keys t() accepts', () => {
+    assert.deepEqual([...flattenStringbank(source).keys()], [
+      'result.cta',
+      'result.pin_label',
+      'search.placeholder',
+      'refine.counter'
+    ]);
+  });
+});
+
+describe('placeholdersOf', () => {
+  test('lists placeholder names once, sorted', () => {
+    assert.deepEqual(placeholdersOf('{turn} / {max} ({turn})'), ['max', 'turn']);
+    assert.deepEqual(placeholdersOf(42), []);
+  });
+
+  test('reads plural arguments, not branch text', () => {
+    assert.deepEqual(placeholdersOf('{count, plural, one {# stem} other {# stems}}'), ['count']);
+    assert.deepEqual(placeholdersOf('{count, plural, other {#টি ডাঁটা}}'), ['count']);
+  });
+});
+
+describe('compareStringbanks', () => {
+  test('reports missing keys, extra keys and placeholder mismatches', () => {
+    const result = compareStringbanks(source, {
+      result: { cta: 'खरीदें', pin_label: '{title} रखें' },
+      search: { placeholder: '' },
+      refine: { counter: '' },
+      _note: 'stub'
+    });
+
+    assert.deepEqual(result.missing, ['refine.counter']);
+    assert.deepEqual(result.extra, ['_note']);
+    assert.deepEqual(result.placeholders, [
+      { key: 'result.pin_label', expected: ['name'], found: ['title'] }
+    ]);
+    assert.equal(result.translated, 2);
+    assert.equal(result.coverage, 0.5);
+  });
+});
+
+describe('checkLocales', () => {
+  test('every supported language is fully translated', async () => {
+    const report = await checkLocales({ threshold: 1 });
+
+    assert.equal(report.ok, true);
+    for (const language of report.languages.filter(entry => entry.supported)) {
+      assert.deepEqual(language.missing, [], language.lang);
+      assert.deepEqual(language.placeholders, [], language.lang);
+      assert.deepEqual(language.extra, [], language.lang);
+    }
+  });
+
+  test('fails when a supported language has no stringbank', async () => {
+    const report = await checkLocales({ languages: ['en', 'hi', 'xx'] });
+
+    assert.equal(report.ok, false);
+    assert.deepEqual(report.languages.find(entry => entry.lang === 'xx'), {
+      lang: 'xx',
+      supported: true,
+      found: false,
+      ok: false
+    });
+  });
+});
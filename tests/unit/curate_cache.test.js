@@ -0,0 +1,116 @@
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { setupDom } from '../helpers/dom.js';
+
+setupDom();
+
+const { default: CurateCache, cacheKey } = await import('../../assets/js/curate_cache.js');
+
+const triad = (id = 'A') => ({
+  arrangements: [{ id }, { id: `${id}2` }, { id: `${id}3` }],
+  uncertainty_score: 0.2,
+  rationale: null
+});
+
+const body = {
+  prompt: 'Roses for my sister',
+  language: 'en',
+  hints: { occasion: 'birthday', delivery_window: 'today', delivery_dates: { from: '2026-10-19', to: '2026-10-19' } }
+};
+
+beforeEach(() => {
+  sessionStorage.clear();
+});
+
+describe('cacheKey', () => {
+  test('ignores case, spacing and key order', () => {
+    const same = {
+      hints: { delivery_dates: { to: '2026-10-19', from: '2026-10-19' }, delivery_window: 'today', occasion: 'birthday' },
+      language: 'en',
+      prompt: '  roses  for my SISTER '
+    };
+    assert.equal(cacheKey('/api/curate', same), cacheKey('/api/curate', body));
+    assert.match(cacheKey('/api/curate', body), /^[0-9a-f]{16}$/);
+  });
+
+  test('differs once the delivery dates move on (same-day cut-off)', () => {
+    const afterCutoff = { ...body, hints: { ...body.hints, delivery_dates: { from: '2026-10-20', to: '2026-10-20' } } };
+    assert.notEqual(cacheKey('/api/curate', afterCutoff), cacheKey('/api/curate', body));
+  });
+
+  test('differs by endpoint, language, hints and refinement chain', () => {
+    const key = cacheKey('/api/curate', body);
+    assert.notEqual(cacheKey('/api/refine', body), key);
+    assert.notEqual(cacheKey('/api/curate', { ...body, language: 'hi' }), key);
+    assert.notEqual(cacheKey('/api/curate', { ...body, hints: { ...body.hints, occasion: 'anniversary' } }), key);
+    assert.notEqual(
+      cacheKey('/api/refine', { ...body, refinements: ['brighter', 'smaller'] }),
+      cacheKey('/api/refine', { ...body, refinements: ['smaller', 'brighter'] })
+    );
+  });
+
+  test('never carries the words it was built from', () => {
+    const key = cacheKey('/api/curate', body);
+    assert.equal(key.includes('roses'), false);
+  });
+});
+
+describe('CurateCache', () => {
+  test('returns a copy of a fresh triad, and forgets it after the TTL', () => {
+    let now = 1000;
+    const cache = new CurateCache({ ttlMs: 100, now: () => now });
+
+    cache.set('k', triad());
+    const hit = cache.get('k');
+    assert.deepEqual(hit, triad());
+
+    hit.arrangements.length = 0;
+    assert.equal(cache.get('k').arrangements.length, 3);
+
+    now += 100;
+    assert.equal(cache.get('k'), null);
+    assert.equal(cache.size, 0);
+  });
+
+  test('drops the least recently used beyond maxEntries', () => {
+    const cache = new CurateCache({ maxEntries: 2 });
+    cache.set('a', triad('A'));
+    cache.set('b', triad('B'));
+    cache.get('a');
+    cache.set('c', triad('C'));
+
+    assert.equal(cache.get('b'), null);
+    assert.equal(cache.get('a').arrangements[0].id, 'A');
+    assert.equal(cache.get('c').arrangements[0].id, 'C');
+  });
+
+  test('refuses anything but a triad', () => {
+    const cache = new CurateCache();
+    cache.set('k', { arrangements: [{ id: 'A' }] });
+    assert.equal(cache.size, 0);
+  });
+
+  test('survives a reload through sessionStorage, expired entries excepted', () => {
+    let now = 1000;
+    const first = new CurateCache({ ttlMs: 100, now: () => now });
+    first.set('old', triad('O'));
+    now += 60;
+    first.set('new', triad('N'));
+
+    now += 50;
+    const second = new CurateCache({ ttlMs: 100, now: () => now });
+    assert.equal(second.get('old'), null);
+    assert.equal(second.get('new').arrangements[0].id, 'N');
+  });
+
+  test('ignores unreadable storage and clears it', () => {
+    sessionStorage.setItem('arvyam_curate_cache', '{not json');
+    const cache = new CurateCache();
+    assert.equal(cache.size, 0);
+
+    cache.set('k', triad());
+    cache.clear();
+    assert.equal(sessionStorage.getItem('arvyam_curate_cache'), null);
+  });
+});
@@ -0,0 +1,569 @@
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { setupDom } from '../helpers/dom.js';
+
+setupDom();
+
+const {
+  default: CurateClient,
+  normalizeCurateResponse,
+  getPersonaMessage,
+  isCurateAborted,
+  buildLegacyRefinePrompt,
+  checkPinnedSlots,
+  validateTriad,
+  arrangementComposition
+} = await import('../../assets/js/curate_client.js');
+const { createMockFetch } = await import('../../assets/js/dev/mock_curate.js');
+const { default: CurateCache } = await import('../../assets/js/curate_cache.js');
+
+const triad = [
+  { id: 'A', composition: 'MIX', price: 1599 },
+  { id: 'B', composition: 'MIX', price_inr: 2499 },
+  { id: 'C', composition: 'MONO' }
+];
+
+/**
+ * Build a client around the offline mock backend
+ */
+function mockClient(scenario, options = {}) {
+  return new CurateClient({
+    fetchImpl: createMockFetch({ scenario, latencyMs: 1 }),
+    retryBaseDelayMs: 1,
+    warmupAfterMs: 0,
+    ...options
+  });
+}
+
+describe('normalizeCurateResponse', () => {
+  test('accepts a raw triad array', () => {
+    const result = normalizeCurateResponse(triad);
+    assert.equal(result.arrangements.length, 3);
+    assert.equal(result.uncertainty_score, 0);
+  });
+
+  test('accepts {arrangements} and keeps uncertainty_score', () => {
+    const result = normalizeCurateResponse({ arrangements: triad, uncertainty_score: 0.7 });
+    assert.equal(result.uncertainty_score, 0.7);
+  });
+
+  test('tolerates legacy {results}', () => {
+    assert.equal(normalizeCurateResponse({ results: triad }).arrangements.length, 3);
+  });
+
+  test('normalizes price into price_inr', () => {
+    const [a, b, c] = normalizeCurateResponse(triad).arrangements;
+    assert.equal(a.price_inr, 1599);
+    assert.equal(b.price_inr, 2499);
+    assert.equal(c.price_inr, 0);
+  });
+
+  test('keeps clean per-locale name and description maps', () => {
+    const [a, b, c] = normalizeCurateResponse([
+      { ...triad[0], name_i18n: { hi: ' सुबह की शांति ', 'ta-IN': 'காலை அமைதி', 'bad tag': 'x', te: 42, bn: '' } },
+      { ...triad[1], title_i18n: { hi: 'सुनहरा पल' }, desc_i18n: { hi: 'सूरजमुखी' } },
+      { ...triad[2], name_i18n: 'not a map' }
+    ]).arrangements;
+
+    assert.deepEqual(a.name_i18n, { hi: 'सुबह की शांति', 'ta-in': 'காலை அமைதி' });
+    assert.deepEqual(b.name_i18n, { hi: 'सुनहरा पल' });
+    assert.deepEqual(b.description_i18n, { hi: 'सूरजमुखी' });
+    assert.equal('title_i18n' in b, false);
+    assert.equal('name_i18n' in c, false);
+  });
+
+  test('rejects anything but exactly three arrangements', () => {
+    assert.equal(normalizeCurateResponse(triad.slice(0, 2)), null);
+    assert.equal(normalizeCurateResponse([...triad, { id: 'D' }]), null);
+    assert.equal(normalizeCurateResponse({}), null);
+    assert.equal(normalizeCurateResponse(null), null);
+  });
+
+  test('reads optional rationale fields and per-card reasons', () => {
+    const result = normalizeCurateResponse({
+      arrangements: triad,
+      rationale: {
+        emotion_anchor: 'Gratitude',
+        relationship: 'friend',
+        tone: 'calm',
+        reasons: { A: 'Soft and steady.', C: '  One clear voice. ' }
+      }
+    });
+
+    assert.deepEqual(result.rationale, { emotion_anchor: 'gratitude', relationship: 'friend', tone: 'calm' });
+    assert.equal(result.arrangements[0].rationale, 'Soft and steady.');
+    assert.equal(result.arrangements[1].rationale, undefined);
+    assert.equal(result.arrangements[2].rationale, 'One clear voice.');
+  });
+
+  test('accepts top-level rationale fields and inline reasons', () => {
+    const result = normalizeCurateResponse({
+      arrangements: triad.map((item, index) => ({ ...item, reason: index === 1 ? 'Bright, as asked.' : '' })),
+      anchor: 'love',
+      tone: '<b>loud</b>'
+    });
+
+    assert.deepEqual(result.rationale, { emotion_anchor: 'love', relationship: null, tone: null });
+    assert.equal(result.arrangements[1].rationale, 'Bright, as asked.');
+    assert.equal('reason' in result.arrangements[1], false);
+  });
+
+  test('coerces fields to the schema and drops legacy names', () => {
+    const [a] = normalizeCurateResponse([
+      { id: 'A', title: 'Morning Hush', desc: 'Soft roses.', image_url: 'https://cdn.example.com/a.jpg', price: '₹1,599', composition: 'MIX' },
+      triad[1],
+      triad[2]
+    ]).arrangements;
+
+    assert.deepEqual(a, {
+      id: 'A',
+      name: 'Morning Hush',
+      description: 'Soft roses.',
+      composition: 'MIX',
+      price_inr: 1599,
+      image: 'https://cdn.example.com/a.jpg'
+    });
+  });
+
+  test('contract 2 accepts {arrangements} with canonical names only', () => {
+    assert.equal(normalizeCurateResponse(triad, 2), null);
+    assert.equal(normalizeCurateResponse({ results: triad }, 2), null);
+
+    const [a, b] = normalizeCurateResponse({ arrangements: triad }, 2).arrangements;
+    assert.equal(a.price_inr, 0);
+    assert.equal(b.price_inr, 2499);
+  });
+
+  test('refuses a triad with an arrangement lacking a SKU id', () => {
+    assert.equal(normalizeCurateResponse([triad[0], triad[1], { composition: 'MONO' }]), null);
+  });
+
+  test('rationale is null when the backend explains nothing', () => {
+    assert.equal(normalizeCurateResponse(triad).rationale, null);
+    assert.equal(normalizeCurateResponse({ arrangements: triad, rationale: { tone: 42 } }).rationale, null);
+  });
+});
+
+describe('CurateClient', () => {
+  before(() => {
+    // The mock falls through to window.fetch only for non-curate URLs
+    window.fetch = () => Promise.reject(new Error('unexpected passthrough'));
+  });
+
+  test('omits empty hints from the request body', () => {
+    const client = new CurateClient();
+    assert.deepEqual(client.buildRequest({ prompt: 'p', language: 'en', hints: {} }), { prompt: 'p', language: 'en' });
+    assert.deepEqual(
+      client.buildRequest({ prompt: 'p', language: 'hi', hints: { occasion: 'birthday' } }),
+      { prompt: 'p', language: 'hi', hints: { occasion: 'birthday' } }
+    );
+  });
+
+  test('sends delivery windows with their dates', () => {
+    // Friday 16 Oct 2026, 5 pm IST - past the same-day cut-off
+    const client = new CurateClient({ now: () => new Date('2026-10-16T11:30:00Z') });
+    const body = client.buildRequest({ prompt: 'p', language: 'en', hints: { delivery_window: 'today' } });
+
+    assert.deepEqual(body.hints, {
+      delivery_window: 'today',
+      delivery_dates: { from: '2026-10-17', to: '2026-10-17' }
+    });
+    assert.deepEqual(
+      client.buildRequest({ prompt: 'p', language: 'en', hints: { delivery_window: 'flexible' } }).hints,
+      { delivery_window: 'flexible' }
+    );
+  });
+
+  test('returns a normalized triad from the mock backend', async () => {
+    const result = await mockClient('default').curate({ prompt: 'a thank you for my mentor', language: 'en' });
+    assert.equal(result.arrangements.length, 3);
+  });
+
+  test('retries 503 during a cold start', async () => {
+    const result = await mockClient('cold_start').curate({ prompt: 'x y z', language: 'en' });
+    assert.equal(result.arrangements.length, 3);
+  });
+
+  test('classifies failures by kind', async () => {
+    const cases = {
+      network: 'network',
+      error_400: 'client',
+      error_500: 'server',
+      invalid_json: 'triad',
+      triad_short: 'triad'
+    };
+
+    for (const [scenario, kind] of Object.entries(cases)) {
+      await assert.rejects(mockClient(scenario).curate({ prompt: 'x' }), { kind }, scenario);
+    }
+  });
+
+  test('times out a request that never answers', async () => {
+    await assert.rejects(mockClient('timeout', { timeoutMs: 30 }).curate({ prompt: 'x' }), { kind: 'timeout' });
+  });
+
+  test('looks up a shared triad by SKU, in the requested order', async () => {
+    const skuIds = ['MOCK-MONO-001', 'MOCK-MIX-002', 'MOCK-MIX-005'];
+    const result = await mockClient('default').lookup({ skuIds, language: 'en' });
+
+    assert.deepEqual(result.arrangements.map(item => item.id), skuIds);
+  });
+
+  test('unknown SKUs surface as a client error', async () => {
+    await assert.rejects(
+      mockClient('default').lookup({ skuIds: ['MOCK-MIX-001', 'MOCK-MIX-002', 'GONE-1'] }),
+      { kind: 'client', status: 404 }
+    );
+  });
+
+  test('builds a structured refine request from stacked deltas', () => {
+    const request = new CurateClient().buildRefineRequest({
+      prompt: 'anniversary',
+      language: 'hi',
+      hints: { occasion: 'anniversary' },
+      previousSkuIds: ['A', 'B', 'C'],
+      refinements: ['warmer', 'no lilies']
+    });
+
+    assert.deepEqual(request.previous_sku_ids, ['A', 'B', 'C']);
+    assert.deepEqual(request.refinements, ['warmer', 'no lilies']);
+    assert.equal(request.turn, 2);
+    assert.equal(request.prompt, 'anniversary');
+    assert.equal(request.hints.occasion, 'anniversary');
+  });
+
+  test('sends keep_sku_ids only when cards are pinned', () => {
+    const client = new CurateClient();
+    const params = { prompt: 'x', language: 'en', previousSkuIds: ['A', 'B', 'C'], refinements: ['warmer'] };
+
+    assert.equal('keep_sku_ids' in client.buildRefineRequest(params), false);
+    assert.deepEqual(client.buildRefineRequest({ ...params, keepSkuIds: ['B'] }).keep_sku_ids, ['B']);
+  });
+
+  test('the mock keeps pinned SKUs in their slots', async () => {
+    const previousSkuIds = ['MOCK-MONO-002', 'MOCK-MIX-001', 'MOCK-MIX-004'];
+    const result = await mockClient('default').refine({
+      prompt: 'birthday',
+      language: 'en',
+      previousSkuIds,
+      refinements: ['brighter'],
+      keepSkuIds: ['MOCK-MONO-002', 'MOCK-MIX-004']
+    });
+
+    const ids = result.arrangements.map(item => item.id);
+    assert.equal(ids[0], 'MOCK-MONO-002');
+    assert.equal(ids[2], 'MOCK-MIX-004');
+    assert.equal(result.arrangements.filter(item => item.composition === 'MIX').length, 2);
+    assert.equal(new Set(ids).size, 3);
+  });
+
+  test('refines through /api/refine when the backend has it', async () => {
+    const client = mockClient('default');
+    const result = await client.refine({
+      prompt: 'birthday',
+      language: 'en',
+      previousSkuIds: ['MOCK-MIX-001', 'MOCK-MIX-002', 'MOCK-MONO-001'],
+      refinements: ['brighter']
+    });
+
+    assert.equal(result.arrangements.length, 3);
+    assert.equal(client.refineSupported, true);
+  });
+
+  test('falls back to a combined curate prompt when /api/refine is missing', async () => {
+    const client = mockClient('legacy_refine');
+    const params = { prompt: 'birthday', language: 'en', previousSkuIds: [], refinements: ['brighter', 'smaller'] };
+
+    const first = await client.refine(params);
+    assert.equal(first.arrangements.length, 3);
+    assert.equal(client.refineSupported, false);
+
+    // Remembered: the next turn goes straight to /api/curate
+    const second = await client.refine(params);
+    assert.deepEqual(second.arrangements.map(item => item.id), first.arrangements.map(item => item.id));
+  });
+
+  test('keeps /api/refine when its 404 comes from the API itself', async () => {
+    const mockFetch = createMockFetch({ scenario: 'default', latencyMs: 1 });
+    const answers = [
+      () => new Response(JSON.stringify({ error: { code: 'sku_unknown' } }), { status: 404 }),
+      () => new Response('', { status: 404, headers: { 'X-Arvyam-Contract': '2' } })
+    ];
+    const params = { prompt: 'birthday', language: 'en', previousSkuIds: ['A', 'B', 'C'], refinements: ['brighter'] };
+
+    for (const answer of answers) {
+      const client = mockClient('default', {
+        fetchImpl: (url, init) => (String(url).endsWith('/api/refine') ? answer() : mockFetch(url, init))
+      });
+
+      await assert.rejects(client.refine(params), { kind: 'client', status: 404, fromApi: true });
+      assert.equal(client.refineSupported, null);
+    }
+  });
+
+  test('reads the contract a backend declares', async () => {
+    const result = await mockClient('contract_v2').curate({ prompt: 'a quiet thank you' });
+
+    assert.equal(result.arrangements.length, 3);
+    assert.equal(result.arrangements.every(item => !('price' in item)), true);
+  });
+
+  test('minContract retires legacy backends on purpose', async () => {
+    const error = await mockClient('legacy_results', { minContract: 2 }).curate({ prompt: 'p' }).catch(e => e);
+    assert.equal(error.kind, 'triad');
+    assert.match(error.message, /Contract 1 response refused/);
+
+    const result = await mockClient('contract_v2', { minContract: 2 }).curate({ prompt: 'p' });
+    assert.equal(result.arrangements.length, 3);
+  });
+
+  test('previews streamed cards, then resolves with the whole triad', async () => {
+    const previews = [];
+    const result = await mockClient('stream').curate(
+      { prompt: 'a quiet thank you' },
+      { onArrangement: (card) => previews.push(card) }
+    );
+    const plain = await mockClient('rationale').curate({ prompt: 'a quiet thank you' });
+
+    assert.deepEqual(result, plain);
+    assert.deepEqual(previews.map(card => card.arrangement.id), plain.arrangements.map(item => item.id));
+  });
+
+  test('reads server-sent events the same way', async () => {
+    const result = await mockClient('stream_sse').curate({ prompt: 'a quiet thank you' });
+    assert.equal(result.arrangements.length, 3);
+    assert.equal(typeof result.rationale.tone, 'string');
+  });
+
+  test('refuses a stream that breaks off, without retrying', async () => {
+    const previews = [];
+    const error = await mockClient('stream_broken').curate(
+      { prompt: 'p' },
+      { onArrangement: (card) => previews.push(card) }
+    ).catch(e => e);
+
+    assert.equal(error.kind, 'triad');
+    assert.equal(previews.length, 2);
+  });
+
+  test('cancelling mid-stream stops the previews', async () => {
+    const client = mockClient('stream', { fetchImpl: createMockFetch({ scenario: 'stream', latencyMs: 20 }) });
+    const previews = [];
+    const curating = client.curate({ prompt: 'p' }, {
+      onArrangement: (card) => {
+        previews.push(card);
+        client.cancel();
+      }
+    }).catch(e => e);
+
+    assert.equal(isCurateAborted(await curating), true);
+    assert.equal(previews.length, 1);
+  });
+
+  test('answers a repeated request from the cache, marked as cached', async () => {
+    let requests = 0;
+    const mockFetch = createMockFetch({ scenario: 'default', latencyMs: 1 });
+    const client = mockClient('default', {
+      cache: new CurateCache({ storageKey: 'test_curate_cache' }),
+      fetchImpl: (...args) => {
+        requests++;
+        return mockFetch(...args);
+      }
+    });
+
+    const first = await client.curate({ prompt: 'A quiet thank you', language: 'en' });
+    const again = await client.curate({ prompt: 'a quiet  thank you ', language: 'en' });
+    await client.curate({ prompt: 'a quiet thank you', language: 'hi' });
+
+    assert.equal(first.cached, undefined);
+    assert.equal(again.cached, true);
+    assert.deepEqual(again.arrangements, first.arrangements);
+    assert.equal(requests, 2);
+
+    const params = { prompt: 'p', language: 'en', previousSkuIds: ['A', 'B', 'C'], refinements: ['brighter'] };
+    await client.refine(params);
+    assert.equal((await client.refine(params)).cached, true);
+    assert.equal(requests, 3);
+
+    sessionStorage.removeItem('test_curate_cache');
+  });
+
+  test('a triad the page refuses is forgotten, so the backend is asked again', async () => {
+    let requests = 0;
+    const mockFetch = createMockFetch({ scenario: 'triad_composition', latencyMs: 1 });
+    const client = mockClient('triad_composition', {
+      cache: new CurateCache({ storageKey: 'test_curate_cache' }),
+      fetchImpl: (...args) => {
+        requests++;
+        return mockFetch(...args);
+      }
+    });
+
+    const first = await client.curate({ prompt: 'p' });
+    assert.deepEqual(validateTriad(first.arrangements).violations, ['composition_split']);
+    assert.match(first.cacheKey, /^[0-9a-f]{16}$/);
+
+    // What displayResults does on every refusal path
+    client.forgetCached(first);
+
+    const second = await client.curate({ prompt: ' P ' });
+    assert.equal(second.cached, undefined);
+    assert.equal(requests, 2);
+
+    sessionStorage.removeItem('test_curate_cache');
+  });
+
+  test('a same-day request is not answered from the cache after the cut-off', async () => {
+    let now = new Date('2026-10-16T10:29:00Z'); // 15:59 IST
+    const client = mockClient('default', {
+      cache: new CurateCache({ storageKey: 'test_curate_cache' }),
+      now: () => now
+    });
+    const params = { prompt: 'p', language: 'en', hints: { delivery_window: 'today' } };
+
+    await client.curate(params);
+    assert.equal((await client.curate(params)).cached, true);
+
+    now = new Date('2026-10-16T10:31:00Z'); // 16:01 IST - "today" is tomorrow now
+    assert.equal((await client.curate(params)).cached, undefined);
+
+    sessionStorage.removeItem('test_curate_cache');
+  });
+
+  test('a cache hit still cancels the call in flight', async () => {
+    const cache = new CurateCache({ storageKey: 'test_curate_cache' });
+    const client = mockClient('default', { cache });
+
+    await client.curate({ prompt: 'cached' });
+    client.fetchImpl = createMockFetch({ scenario: 'timeout' });
+    const slow = client.curate({ prompt: 'slow' }).catch(e => e);
+
+    assert.equal((await client.curate({ prompt: 'cached' })).cached, true);
+    assert.equal(isCurateAborted(await slow), true);
+
+    sessionStorage.removeItem('test_curate_cache');
+  });
+
+  test('checks pincode serviceability through the mock', async () => {
+    const client = mockClient('default');
+
+    assert.deepEqual(await client.checkServiceability('560001'), {
+      pincode: '560001',
+      serviceable: true,
+      delivery_windows: ['today', 'tomorrow', 'this_week', 'next_week', 'flexible']
+    });
+    assert.equal((await client.checkServiceability('302001')).delivery_windows[0], 'tomorrow');
+    assert.deepEqual(await client.checkServiceability('845401'), { pincode: '845401', serviceable: false, delivery_windows: [] });
+  });
+
+  test('a serviceability check leaves the curate call in flight alone', async () => {
+    const client = mockClient('default', { fetchImpl: createMockFetch({ scenario: 'default', latencyMs: 30 }) });
+    const curating = client.curate({ prompt: 'a quiet thank you' });
+
+    const checking = client.checkServiceability('110001');
+
+    assert.equal(client.isPending(), true);
+    assert.equal((await checking).serviceable, true);
+    assert.equal((await curating).arrangements.length, 3);
+  });
+
+  test('a newer call cancels the one in flight', async () => {
+    const client = mockClient('timeout', { timeoutMs: 5000 });
+    const first = client.curate({ prompt: 'first' }).catch(e => e);
+
+    client.fetchImpl = createMockFetch({ scenario: 'default', latencyMs: 1 });
+    const second = await client.curate({ prompt: 'second' });
+
+    const error = await first;
+    assert.equal(isCurateAborted(error), true);
+    assert.equal(second.arrangements.length, 3);
+    assert.equal(client.isPending(), false);
+  });
+});
+
+describe('getPersonaMessage', () => {
+  test('never surfaces raw error text', () => {
+    const message = getPersonaMessage(new TypeError('Failed to fetch'), 'search');
+    assert.doesNotMatch(message, /fetch/i);
+    assert.match(message, /Please try again/);
+  });
+
+  test('uses context and timeout copy', () => {
+    assert.match(getPersonaMessage(null, 'refine'), /adjust the selection/);
+    assert.match(getPersonaMessage({ kind: 'timeout' }, 'refine'), /longer than usual/);
+  });
+});
+
+describe('buildLegacyRefinePrompt', () => {
+  test('appends every delta in order', () => {
+    assert.equal(buildLegacyRefinePrompt('anniversary', ['warmer', 'no lilies']), 'anniversary (adjust: warmer; no lilies)');
+  });
+
+  test('leaves the prompt alone without deltas', () => {
+    assert.equal(buildLegacyRefinePrompt('anniversary', []), 'anniversary');
+  });
+});
+
+describe('checkPinnedSlots', () => {
+  test('passes a triad with pins in place', () => {
+    const result = checkPinnedSlots(triad, [{ id: 'B', slot: 1 }]);
+    assert.deepEqual(result.missing, []);
+    assert.equal(result.moved, 0);
+    assert.deepEqual(result.arrangements.map(item => item.id), ['A', 'B', 'C']);
+  });
+
+  test('puts a moved pin back in its slot', () => {
+    const result = checkPinnedSlots(triad, [{ id: 'C', slot: 0 }]);
+    assert.equal(result.moved, 1);
+    assert.deepEqual(result.arrangements.map(item => item.id), ['C', 'B', 'A']);
+  });
+
+  test('reports pins the backend dropped', () => {
+    assert.deepEqual(checkPinnedSlots(triad, [{ id: 'Z', slot: 2 }]).missing, ['Z']);
+  });
+});
+
+describe('validateTriad', () => {
+  test('passes 2 MIX + 1 MONO with three SKUs, in any order', () => {
+    assert.deepEqual(validateTriad([triad[2], triad[0], triad[1]]), {
+      valid: true,
+      violations: [],
+      counts: { MIX: 2, MONO: 1 }
+    });
+  });
+
+  test('reads the legacy type field, case-insensitively', () => {
+    assert.equal(arrangementComposition({ type: 'mono' }), 'MONO');
+    assert.equal(arrangementComposition({ composition: ' Mix ' }), 'MIX');
+    assert.equal(arrangementComposition({ composition: 'bouquet' }), null);
+    assert.equal(validateTriad([{ id: 'A', type: 'mix' }, { id: 'B', type: 'MIX' }, { id: 'C', type: 'mono' }]).valid, true);
+  });
+
+  test('reports each broken rule', () => {
+    const allMix = [triad[0], triad[1], { id: 'D', composition: 'MIX' }];
+    assert.deepEqual(validateTriad(allMix).violations, ['composition_split']);
+    assert.deepEqual(validateTriad([triad[0], triad[1], { id: 'C' }]).violations, ['composition_missing']);
+    assert.deepEqual(validateTriad([triad[0], triad[0], triad[2]]).violations, ['duplicate_sku']);
+    assert.deepEqual(validateTriad([triad[0], triad[2], triad[2]]).violations, ['duplicate_sku', 'composition_split']);
+    assert.deepEqual(validateTriad(triad.slice(0, 2)).violations, ['count', 'composition_split']);
+  });
+
+  test('the warn policy relaxes composition rules only', () => {
+    const noMono = [triad[0], triad[1], { id: 'C', composition: 'MIX' }];
+    assert.equal(validateTriad(noMono, 'strict').valid, false);
+    assert.equal(validateTriad(noMono, 'warn').valid, true);
+    assert.deepEqual(validateTriad(noMono, 'warn').violations, ['composition_split']);
+
+    assert.equal(validateTriad([triad[0], triad[0], triad[2]], 'warn').valid, false);
+    assert.equal(validateTriad(triad.slice(0, 2), 'warn').valid, false);
+  });
+
+  test('catches the mock composition and duplicate scenarios', async () => {
+    const allMix = await mockClient('triad_composition').curate({ prompt: 'thank you' });
+    const duplicate = await mockClient('triad_duplicate').curate({ prompt: 'thank you' });
+
+    assert.deepEqual(validateTriad(allMix.arrangements).counts, { MIX: 3, MONO: 0 });
+    assert.equal(validateTriad(duplicate.arrangements).violations.includes('duplicate_sku'), true);
+  });
+});
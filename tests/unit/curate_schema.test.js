@@ -0,0 +1,149 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  coerceArrangement,
+  readEnvelope,
+  readContractVersion,
+  formatSchemaIssues
+} from '../../assets/js/curate_schema.js';
+
+const canonical = {
+  id: 'SKU-001',
+  name: 'Morning Hush',
+  description: 'Soft peach roses.',
+  composition: 'MIX',
+  price_inr: 1599,
+  image: 'assets/card-1.jpg',
+  delivery_windows: ['today', 'tomorrow']
+};
+
+/**
+ * Issues as 'field: issue' strings
+ */
+function issuesOf(raw, contract) {
+  return formatSchemaIssues(coerceArrangement(raw, contract).issues);
+}
+
+describe('coerceArrangement', () => {
+  test('keeps a canonical arrangement as it is', () => {
+    const { arrangement, issues } = coerceArrangement(canonical, 2);
+    assert.deepEqual(arrangement, canonical);
+    assert.deepEqual(issues, []);
+  });
+
+  test('reads legacy names under contract 1', () => {
+    const { arrangement } = coerceArrangement({
+      id: 'SKU-002', title: 'Golden Hour', desc: 'Sunflowers.', image_url: 'https://cdn.example.com/a.jpg', price: 2499, type: 'mono'
+    });
+
+    assert.deepEqual(arrangement, {
+      id: 'SKU-002',
+      name: 'Golden Hour',
+      description: 'Sunflowers.',
+      composition: 'MONO',
+      price_inr: 2499,
+      image: 'https://cdn.example.com/a.jpg'
+    });
+    assert.deepEqual(issuesOf({ id: 'A', title: 'x', name: 'y' }), []);
+    assert.deepEqual(issuesOf({ id: 'A', title: 'x' }), ['title: legacy']);
+  });
+
+  test('ignores and reports legacy names under contract 2', () => {
+    const { arrangement, issues } = coerceArrangement({ id: 'SKU-003', title: 'Old name', price: 999 }, 2);
+    assert.equal('name' in arrangement, false);
+    assert.equal('price_inr' in arrangement, false);
+    assert.deepEqual(formatSchemaIssues(issues), ['title: retired', 'price: retired']);
+  });
+
+  test('coerces prices and counts, and refuses implausible ones', () => {
+    const priced = (price) => coerceArrangement({ id: 'A', price_inr: price }).arrangement.price_inr;
+    assert.equal(priced('₹1,899'), 1899);
+    assert.equal(priced('Rs. 2,499.00'), 2499);
+    assert.equal(priced(1599.6), 1600);
+    assert.equal(priced(12), undefined);
+    assert.equal(priced(9999999), undefined);
+    assert.equal(priced('call us'), undefined);
+
+    assert.equal(coerceArrangement({ id: 'A', stem_count: '18' }).arrangement.stem_count, 18);
+    assert.deepEqual(issuesOf({ id: 'A', stem_count: -2 }), ['stem_count: invalid']);
+  });
+
+  test('accepts https and same-site images only', () => {
+    const image = (src) => coerceArrangement({ id: 'A', image: src }).arrangement.image;
+    assert.equal(image('/assets/card-1.jpg'), '/assets/card-1.jpg');
+    assert.equal(image('https://cdn.example.com/rose.webp'), 'https://cdn.example.com/rose.webp');
+    assert.equal(image('http://cdn.example.com/rose.webp'), undefined);
+    assert.equal(image('javascript:alert(1)'), undefined);
+    assert.equal(image('data:image/png;base64,AAAA'), undefined);
+  });
+
+  test('cleans lists, windows and galleries', () => {
+    const { arrangement, issues } = coerceArrangement({
+      id: 'A',
+      flowers: [' Peach rose ', '', 7],
+      delivery_windows: ['this_week', 'someday', 'today'],
+      images: ['assets/card-1.jpg', { src: 'javascript:x' }, { src: 'assets/card-2.jpg', alt: 'Close view' }]
+    });
+
+    assert.deepEqual(arrangement.flowers, ['Peach rose']);
+    assert.deepEqual(arrangement.delivery_windows, ['today', 'this_week']);
+    assert.deepEqual(arrangement.images, [
+      { src: 'assets/card-1.jpg', alt: null },
+      { src: 'assets/card-2.jpg', alt: 'Close view' }
+    ]);
+    assert.deepEqual(formatSchemaIssues(issues), ['images: coerced', 'flowers: coerced', 'delivery_windows: coerced']);
+  });
+
+  test('clips long text and turns numeric ids into strings', () => {
+    const { arrangement } = coerceArrangement({ id: 42, name: 'x'.repeat(200) });
+    assert.equal(arrangement.id, '42');
+    assert.equal(arrangement.name.length, 80);
+  });
+
+  test('passes unknown fields through and reports them', () => {
+    const { arrangement, issues } = coerceArrangement({ ...canonical, vase: 'ceramic', reason: 'Handled elsewhere' }, 2);
+    assert.equal(arrangement.vase, 'ceramic');
+    assert.equal('reason' in arrangement, false);
+    assert.deepEqual(formatSchemaIssues(issues), ['vase: unknown']);
+  });
+
+  test('an arrangement without a usable SKU id is unusable', () => {
+    assert.equal(coerceArrangement({ name: 'No id' }).arrangement, null);
+    assert.equal(coerceArrangement({ id: '../checkout' }).arrangement, null);
+    assert.equal(coerceArrangement('SKU-001').arrangement, null);
+    assert.deepEqual(issuesOf({ name: 'No id' }), ['id: missing']);
+  });
+});
+
+describe('readEnvelope', () => {
+  const list = [canonical, canonical, canonical];
+
+  test('accepts {arrangements} under every contract', () => {
+    assert.equal(readEnvelope({ arrangements: list }, 2).list, list);
+    assert.deepEqual(readEnvelope({ arrangements: list }, 1).issues, []);
+  });
+
+  test('tolerates legacy envelopes under contract 1 only', () => {
+    assert.equal(readEnvelope(list, 1).list, list);
+    assert.equal(readEnvelope({ results: list }, 1).list, list);
+    assert.deepEqual(formatSchemaIssues(readEnvelope({ results: list }, 1).issues), ['results: legacy']);
+
+    assert.equal(readEnvelope(list, 2).list, null);
+    assert.deepEqual(formatSchemaIssues(readEnvelope({ results: list }, 2).issues), ['results: retired']);
+  });
+
+  test('reports a body without arrangements', () => {
+    assert.deepEqual(formatSchemaIssues(readEnvelope({}, 1).issues), ['arrangements: missing']);
+  });
+});
+
+describe('readContractVersion', () => {
+  test('defaults to the legacy contract', () => {
+    assert.equal(readContractVersion('2'), 2);
+    assert.equal(readContractVersion(' 3 '), 3);
+    assert.equal(readContractVersion(null), 1);
+    assert.equal(readContractVersion('v2'), 1);
+    assert.equal(readContractVersion('0'), 1);
+  });
+});
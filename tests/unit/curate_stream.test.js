@@ -0,0 +1,130 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { setupDom } from '../helpers/dom.js';
+
+setupDom();
+
+const { readCurateStream, readMessages, streamFormat } = await import('../../assets/js/curate_stream.js');
+
+/**
+ * Response body that delivers the given text chunks one read at a time
+ */
+function bodyOf(...chunks) {
+  const encoder = new TextEncoder();
+  return new ReadableStream({
+    start(controller) {
+      chunks.forEach(chunk => controller.enqueue(encoder.encode(chunk)));
+      controller.close();
+    }
+  });
+}
+
+const ndjson = (...messages) => messages.map(message => `${JSON.stringify(message)}\n`).join('');
+
+const cards = [
+  { id: 'A', name: 'Morning Hush', composition: 'MIX', price: '1,599' },
+  { id: 'B', name: 'Golden Hour', composition: 'MIX', price_inr: 2499 },
+  { id: 'C', name: 'Pure White', composition: 'MONO', price: 2999 }
+];
+
+const triadMessages = [
+  { type: 'meta', uncertainty_score: 0.2 },
+  ...cards.map((arrangement, index) => ({ type: 'arrangement', index, arrangement })),
+  { type: 'rationale', rationale: { tone: 'calm' } },
+  { type: 'done' }
+];
+
+describe('streamFormat', () => {
+  test('recognises NDJSON and SSE, and nothing else', () => {
+    assert.equal(streamFormat('application/x-ndjson; charset=utf-8'), 'ndjson');
+    assert.equal(streamFormat('text/event-stream'), 'sse');
+    assert.equal(streamFormat('application/json'), null);
+    assert.equal(streamFormat(null), null);
+  });
+});
+
+describe('readMessages', () => {
+  test('reassembles NDJSON lines split across chunks', async () => {
+    const text = ndjson({ type: 'meta' }, { type: 'done' });
+    const messages = [];
+    for await (const message of readMessages(bodyOf(text.slice(0, 5), text.slice(5, 20), text.slice(20)), 'ndjson')) {
+      messages.push(message.type);
+    }
+    assert.deepEqual(messages, ['meta', 'done']);
+  });
+
+  test('reads SSE events, typing data by the event name and skipping comments', async () => {
+    const text = ': keep-alive\n\nevent: meta\ndata: {"uncertainty_score":0.4}\n\ndata: {"type":"done"}\n\n';
+    const messages = [];
+    for await (const message of readMessages(bodyOf(text), 'sse')) {
+      messages.push(message);
+    }
+    assert.deepEqual(messages, [{ uncertainty_score: 0.4, type: 'meta' }, { type: 'done' }]);
+  });
+});
+
+describe('readCurateStream', () => {
+  test('assembles the JSON envelope and previews each card as it arrives', async () => {
+    const previews = [];
+    const envelope = await readCurateStream(bodyOf(ndjson(...triadMessages)), 'ndjson', {
+      onArrangement: (card) => previews.push(card)
+    });
+
+    assert.deepEqual(envelope, {
+      arrangements: cards,
+      uncertainty_score: 0.2,
+      rationale: { tone: 'calm' }
+    });
+    assert.deepEqual(previews.map(card => card.index), [0, 1, 2]);
+    assert.equal(previews[0].arrangement.price_inr, 1599);
+  });
+
+  test('places cards by index, whatever order they arrive in', async () => {
+    const [meta, first, second, third, ...rest] = triadMessages;
+    const envelope = await readCurateStream(bodyOf(ndjson(meta, third, first, second, ...rest)), 'ndjson');
+    assert.deepEqual(envelope.arrangements.map(item => item.id), ['A', 'B', 'C']);
+  });
+
+  test('cancels a body still open after done', async () => {
+    let cancelled = false;
+    const body = new ReadableStream({
+      start(controller) {
+        controller.enqueue(new TextEncoder().encode(ndjson(...triadMessages)));
+        // Never closed - a backend that keeps the connection open
+      },
+      cancel() {
+        cancelled = true;
+      }
+    });
+
+    const envelope = await readCurateStream(body, 'ndjson');
+    assert.equal(envelope.arrangements.length, 3);
+    assert.equal(cancelled, true);
+  });
+
+  test('refuses a stream that ends without done', async () => {
+    const error = await readCurateStream(bodyOf(ndjson(...triadMessages.slice(0, 3))), 'ndjson').catch(e => e);
+    assert.equal(error.reason, 'incomplete');
+    assert.match(error.message, /2 of 3/);
+  });
+
+  test('refuses malformed and misplaced messages', async () => {
+    const broken = await readCurateStream(bodyOf('{"type":"meta"\n'), 'ndjson').catch(e => e);
+    assert.equal(broken.reason, 'malformed');
+
+    const twice = triadMessages[1];
+    const repeated = await readCurateStream(bodyOf(ndjson(twice, twice)), 'ndjson').catch(e => e);
+    assert.equal(repeated.reason, 'malformed');
+  });
+
+  test('surfaces a backend error message and ignores unknown types', async () => {
+    const error = await readCurateStream(
+      bodyOf(ndjson({ type: 'progress' }, { type: 'error', message: 'Catalog unavailable' })),
+      'ndjson'
+    ).catch(e => e);
+
+    assert.equal(error.reason, 'server');
+    assert.equal(error.message, 'Catalog unavailable');
+  });
+});
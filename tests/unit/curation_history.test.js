@@ -0,0 +1,108 @@
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { setupDom } from '../helpers/dom.js';
+
+setupDom();
+
+const { default: CurationHistory, hashPrompt } = await import('../../assets/js/curation_history.js');
+
+const triad = [{ id: 'A' }, { id: 'B' }, { id: 'C' }];
+
+describe('hashPrompt', () => {
+  test('is stable, case/whitespace-insensitive and not the text', () => {
+    const hash = hashPrompt('Flowers for Amma');
+    assert.match(hash, /^[0-9a-f]{8}$/);
+    assert.equal(hashPrompt('  flowers for amma '), hash);
+    assert.notEqual(hashPrompt('flowers for appa'), hash);
+  });
+
+  test('empty input has no hash', () => {
+    assert.equal(hashPrompt(''), '');
+    assert.equal(hashPrompt(null), '');
+  });
+});
+
+describe('CurationHistory', () => {
+  beforeEach(() => sessionStorage.clear());
+
+  test('records triads and marks the newest as current', () => {
+    const history = new CurationHistory();
+    const first = history.record({ kind: 'search', prompt: 'anniversary roses', arrangements: triad });
+    const second = history.record({ kind: 'refine', prompt: 'anniversary roses', refinement: 'warmer', arrangements: triad });
+
+    assert.equal(history.getEntries().length, 2);
+    assert.equal(history.getCurrent().id, second.id);
+    assert.equal(second.refinement, 'warmer');
+    assert.equal(first.refinement, null);
+    assert.equal(first.promptHash, second.promptHash);
+  });
+
+  test('keeps the stacked refinement deltas of each turn', () => {
+    const history = new CurationHistory();
+    const deltas = ['warmer'];
+    const entry = history.record({ kind: 'refine', prompt: 'a', refinement: 'warmer', refinements: deltas, arrangements: triad });
+    deltas.push('smaller');
+
+    assert.deepEqual(entry.refinements, ['warmer']);
+    assert.deepEqual(history.record({ kind: 'search', prompt: 'b', arrangements: triad }).refinements, []);
+  });
+
+  test('refuses anything but a full triad', () => {
+    const history = new CurationHistory();
+    assert.equal(history.record({ kind: 'search', prompt: 'x', arrangements: triad.slice(0, 2) }), null);
+    assert.equal(history.getEntries().length, 0);
+  });
+
+  test('never writes prompt text to sessionStorage', () => {
+    const history = new CurationHistory();
+    history.record({ kind: 'search', prompt: 'for my sister Meera', arrangements: triad });
+
+    const stored = sessionStorage.getItem('arvyam_curation_history');
+    assert.ok(stored);
+    assert.doesNotMatch(stored, /Meera/);
+  });
+
+  test('keeps prompt text in memory for refine continuity only', () => {
+    const history = new CurationHistory();
+    const entry = history.record({ kind: 'search', prompt: 'graduation tulips', arrangements: triad });
+    assert.equal(history.getPrompt(entry), 'graduation tulips');
+
+    // New page load in the same session: entries survive, prompt text does not
+    const reloaded = new CurationHistory();
+    assert.equal(reloaded.getEntries().length, 1);
+    assert.equal(reloaded.getCurrent().id, entry.id);
+    assert.equal(reloaded.getPrompt(reloaded.getCurrent()), null);
+  });
+
+  test('select() moves the current marker', () => {
+    const history = new CurationHistory();
+    const first = history.record({ kind: 'search', prompt: 'a', arrangements: triad });
+    history.record({ kind: 'search', prompt: 'b', arrangements: triad });
+
+    assert.equal(history.select(first.id).id, first.id);
+    assert.equal(history.getCurrent().id, first.id);
+    assert.equal(history.select('missing'), null);
+  });
+
+  test('drops the oldest entries beyond maxEntries', () => {
+    const history = new CurationHistory({ maxEntries: 3 });
+    const ids = ['a', 'b', 'c', 'd'].map(p => history.record({ kind: 'search', prompt: p, arrangements: triad }).id);
+
+    assert.deepEqual(history.getEntries().map(entry => entry.id), ids.slice(1));
+  });
+
+  test('ignores unreadable stored history', () => {
+    sessionStorage.setItem('arvyam_curation_history', '{not json');
+    assert.equal(new CurationHistory().getEntries().length, 0);
+  });
+
+  test('clear() empties memory and storage', () => {
+    const history = new CurationHistory();
+    history.record({ kind: 'search', prompt: 'a', arrangements: triad });
+    history.clear();
+
+    assert.equal(history.getEntries().length, 0);
+    assert.equal(sessionStorage.getItem('arvyam_curation_history'), null);
+  });
+});
@@ -0,0 +1,96 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  indiaDate,
+  calendarDate,
+  sameDayCutoff,
+  isSameDayOpen,
+  earliestDeliveryDate,
+  deliveryDateRange,
+  withDeliveryDates,
+  upcomingOccasions,
+  deliveryNotice
+} from '../../assets/js/delivery_calendar.js';
+
+// Friday 16 Oct 2026 in India: 3:30 pm (before the 4 pm cut-off) and 5 pm
+const FRIDAY_BEFORE_CUTOFF = new Date('2026-10-16T10:00:00Z');
+const FRIDAY_AFTER_CUTOFF = new Date('2026-10-16T11:30:00Z');
+
+describe('same-day cut-off', () => {
+  test('reckons the day and the cut-off in IST', () => {
+    assert.equal(indiaDate(new Date('2026-10-16T19:00:00Z')), '2026-10-17');
+    assert.equal(sameDayCutoff(FRIDAY_BEFORE_CUTOFF).toISOString(), '2026-10-16T10:30:00.000Z');
+    assert.equal(isSameDayOpen(FRIDAY_BEFORE_CUTOFF), true);
+    assert.equal(isSameDayOpen(FRIDAY_AFTER_CUTOFF), false);
+  });
+
+  test('earliest delivery moves to tomorrow after the cut-off', () => {
+    assert.equal(earliestDeliveryDate(FRIDAY_BEFORE_CUTOFF), '2026-10-16');
+    assert.equal(earliestDeliveryDate(FRIDAY_AFTER_CUTOFF), '2026-10-17');
+  });
+});
+
+describe('deliveryDateRange', () => {
+  test('turns windows into Monday-to-Sunday dates', () => {
+    assert.deepEqual(deliveryDateRange('today', FRIDAY_BEFORE_CUTOFF), { from: '2026-10-16', to: '2026-10-16' });
+    assert.deepEqual(deliveryDateRange('tomorrow', FRIDAY_BEFORE_CUTOFF), { from: '2026-10-17', to: '2026-10-17' });
+    assert.deepEqual(deliveryDateRange('this_week', FRIDAY_BEFORE_CUTOFF), { from: '2026-10-16', to: '2026-10-18' });
+    assert.deepEqual(deliveryDateRange('next_week', FRIDAY_BEFORE_CUTOFF), { from: '2026-10-19', to: '2026-10-25' });
+  });
+
+  test('never starts before the earliest possible delivery', () => {
+    assert.deepEqual(deliveryDateRange('today', FRIDAY_AFTER_CUTOFF), { from: '2026-10-17', to: '2026-10-17' });
+
+    const sundayEvening = new Date('2026-10-18T12:00:00Z');
+    assert.deepEqual(deliveryDateRange('this_week', sundayEvening), { from: '2026-10-19', to: '2026-10-19' });
+  });
+
+  test('has no dates for flexible or unknown windows', () => {
+    assert.equal(deliveryDateRange('flexible', FRIDAY_BEFORE_CUTOFF), null);
+    assert.equal(deliveryDateRange('someday', FRIDAY_BEFORE_CUTOFF), null);
+    assert.deepEqual(withDeliveryDates({ occasion: 'birthday' }, FRIDAY_BEFORE_CUTOFF), { occasion: 'birthday' });
+    assert.equal(withDeliveryDates(null, FRIDAY_BEFORE_CUTOFF), null);
+  });
+});
+
+describe('upcomingOccasions', () => {
+  test('finds fixed, weekday-rule and lunar dates', () => {
+    assert.deepEqual(upcomingOccasions(new Date('2026-05-01T04:00:00Z')), [
+      { id: 'mothers_day', date: '2026-05-10', orderBy: '2026-05-09' }
+    ]);
+    assert.deepEqual(upcomingOccasions(new Date('2026-10-27T04:00:00Z')), [
+      { id: 'diwali', date: '2026-11-08', orderBy: '2026-11-07' }
+    ]);
+    assert.deepEqual(upcomingOccasions(FRIDAY_BEFORE_CUTOFF), []);
+  });
+
+  test('looks into next year and drops dates delivery can no longer reach', () => {
+    assert.deepEqual(upcomingOccasions(new Date('2026-12-25T04:00:00Z'), 60).map(occasion => occasion.id), ['valentines_day']);
+    assert.deepEqual(upcomingOccasions(new Date('2026-11-08T04:00:00Z')), [
+      { id: 'diwali', date: '2026-11-08', orderBy: '2026-11-08' }
+    ]);
+    assert.deepEqual(upcomingOccasions(new Date('2026-11-08T12:00:00Z')), []);
+  });
+});
+
+describe('deliveryNotice', () => {
+  test('shows the cut-off until it passes, then the next delivery day', () => {
+    const before = deliveryNotice(FRIDAY_BEFORE_CUTOFF);
+    assert.equal(before.key, 'delivery.same_day');
+    assert.equal(before.vars.cutoff.toISOString(), '2026-10-16T10:30:00.000Z');
+    assert.equal(before.refreshAt.toISOString(), '2026-10-16T10:30:00.000Z');
+
+    const after = deliveryNotice(FRIDAY_AFTER_CUTOFF);
+    assert.equal(after.key, 'delivery.next_day');
+    assert.deepEqual(after.vars.date, calendarDate('2026-10-17'));
+    assert.equal(after.refreshAt.toISOString(), '2026-10-16T18:30:00.000Z');
+  });
+
+  test('mentions a festival coming up', () => {
+    const notice = deliveryNotice(new Date('2026-11-01T05:00:00Z'));
+    assert.equal(notice.key, 'delivery.occasion');
+    assert.equal(notice.occasionId, 'diwali');
+    assert.deepEqual(notice.vars, { date: calendarDate('2026-11-08'), orderBy: calendarDate('2026-11-07') });
+  });
+});
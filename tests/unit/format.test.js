@@ -0,0 +1,109 @@
+import { test, describe, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  formatMessage,
+  formatNumber,
+  formatCurrency,
+  formatDate,
+  formatRelativeDate,
+  formatTime,
+  pluralCategory,
+  messageArguments,
+  configureFormatting
+} from '../../assets/js/i18n/format.js';
+
+const ARRANGEMENTS = '{count, plural, =0 {No arrangements} one {# arrangement} other {# arrangements}}';
+
+describe('formatMessage', () => {
+  test('keeps plain {name} interpolation', () => {
+    assert.equal(formatMessage('{turn} / {max}', { turn: 1, max: 3 }), '1 / 3');
+    assert.equal(formatMessage('Hello {name}', {}), 'Hello {name}');
+    assert.equal(formatMessage('No braces'), 'No braces');
+  });
+
+  test('picks plural branches by exact value, then category', () => {
+    assert.equal(formatMessage(ARRANGEMENTS, { count: 0 }), 'No arrangements');
+    assert.equal(formatMessage(ARRANGEMENTS, { count: 1 }), '1 arrangement');
+    assert.equal(formatMessage(ARRANGEMENTS, { count: 3 }), '3 arrangements');
+    assert.equal(formatMessage(ARRANGEMENTS, { count: 1500 }), '1,500 arrangements');
+  });
+
+  test('uses the language plural rules', () => {
+    const hindi = '{count, plural, one {# व्यवस्था} other {# व्यवस्थाएं}}';
+    // Hindi treats 0 like 1
+    assert.equal(formatMessage(hindi, { count: 0 }, 'hi'), '0 व्यवस्था');
+    assert.equal(formatMessage(hindi, { count: 3 }, 'hi'), '3 व्यवस्थाएं');
+    assert.equal(pluralCategory(0, 'en'), 'other');
+  });
+
+  test('selects, with # from the enclosing plural', () => {
+    const message = '{kind, select, refine {Adjusted {count, plural, one {once} other {# times}}} other {New}}';
+    assert.equal(formatMessage(message, { kind: 'refine', count: 2 }), 'Adjusted 2 times');
+    assert.equal(formatMessage(message, { kind: 'search', count: 2 }), 'New');
+  });
+
+  test('formats number, currency and date arguments', () => {
+    assert.equal(formatMessage('{n, number}', { n: 125000 }), '1,25,000');
+    assert.equal(formatMessage('Within {price, number, currency}', { price: 2499 }), 'Within ₹2,499');
+    assert.equal(formatMessage('{when, date}', { when: new Date(2026, 9, 19) }), '19 Oct');
+  });
+
+  test('keeps malformed arguments and missing plural variables as text', () => {
+    assert.equal(formatMessage('a { b', {}), 'a { b');
+    assert.equal(formatMessage('{count, plural, one {#}}', { count: 1 }), '{count, plural, one {#}}');
+    assert.equal(formatMessage(ARRANGEMENTS, {}), ARRANGEMENTS);
+  });
+
+  test('passes non-strings through', () => {
+    assert.equal(formatMessage(undefined), undefined);
+  });
+});
+
+describe('numbers and currency', () => {
+  afterEach(() => configureFormatting({ nativeDigits: false }));
+
+  test('use Indian digit grouping in every language', () => {
+    assert.equal(formatCurrency(125000, 'en'), '₹1,25,000');
+    assert.equal(formatCurrency(125000, 'bn'), '₹1,25,000');
+    assert.equal(formatCurrency(null), '—');
+    assert.equal(formatNumber('x'), '');
+  });
+
+  test('switch to native digits when enabled', () => {
+    configureFormatting({ nativeDigits: true });
+    assert.equal(formatCurrency(125000, 'hi'), '₹१,२५,०००');
+    assert.equal(formatNumber(125000, 'ta'), '௧,௨௫,௦௦௦');
+    assert.equal(formatNumber(3, 'en'), '3');
+    assert.equal(formatNumber(3, 'te', { nativeDigits: false }), '3');
+  });
+});
+
+describe('dates', () => {
+  const now = new Date(2026, 9, 19, 21, 30);
+
+  test('relative dates count calendar days', () => {
+    assert.equal(formatRelativeDate(new Date(2026, 9, 19, 8), 'en', { now }), 'today');
+    assert.equal(formatRelativeDate(new Date(2026, 9, 20, 1), 'en', { now }), 'tomorrow');
+    assert.equal(formatRelativeDate(new Date(2026, 9, 22), 'en', { now }), 'in 3 days');
+    assert.equal(formatRelativeDate(new Date(2026, 9, 20), 'hi', { now }), 'कल');
+  });
+
+  test('far dates and invalid input fall back', () => {
+    assert.equal(formatRelativeDate(new Date(2026, 10, 2), 'en', { now }), formatDate(new Date(2026, 10, 2), 'en'));
+    assert.equal(formatRelativeDate('not a date', 'en', { now }), '');
+  });
+
+  test('times drop :00 minutes', () => {
+    assert.equal(formatTime(new Date(2026, 9, 19, 16), 'en'), '4 pm');
+    assert.equal(formatTime(new Date(2026, 9, 19, 16, 30), 'en'), '4:30 pm');
+    assert.equal(formatMessage('Order by {cutoff, time}', { cutoff: new Date(2026, 9, 19, 16) }), 'Order by 4 pm');
+  });
+});
+
+describe('messageArguments', () => {
+  test('lists plain, ICU and nested argument names', () => {
+    assert.deepEqual(messageArguments('{name}: {count, plural, one {# for {who}} other {#}}'), ['count', 'name', 'who']);
+    assert.deepEqual(messageArguments('{count, plural, one {stem} other {stems}}'), ['count']);
+  });
+});
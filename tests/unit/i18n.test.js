@@ -0,0 +1,193 @@
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { setupDom, localesFetch } from '../helpers/dom.js';
+
+setupDom();
+
+const { t, tSync, interpolate, preloadStringbanks, clearCache } = await import('../../assets/js/i18n/strings.js');
+const { detectLanguageFromText, detectLanguage, setLanguage } = await import('../../assets/js/i18n/lang_detect.js');
+const { sanitizeLocalizedMap, pickLocalized, arrangementName } = await import('../../assets/js/i18n/content.js');
+
+describe('interpolate', () => {
+  test('replaces known placeholders and keeps unknown ones', () => {
+    assert.equal(interpolate('{turn} / {max}', { turn: 1, max: 3 }), '1 / 3');
+    assert.equal(interpolate('Hello {name}', {}), 'Hello {name}');
+  });
+
+  test('passes non-strings through', () => {
+    assert.equal(interpolate(undefined), undefined);
+    assert.deepEqual(interpolate({ a: 1 }), { a: 1 });
+  });
+});
+
+describe('t()', () => {
+  beforeEach(() => clearCache());
+
+  test('translates from the requested stringbank', async () => {
+    assert.equal(await t('result.cta', 'en'), 'Buy');
+    assert.notEqual(await t('result.cta', 'hi'), 'Buy');
+  });
+
+  test('interpolates variables', async () => {
+    assert.equal(await t('refine.counter', 'en', { turn: 2, max: 3 }), '2 / 3');
+  });
+
+  test('formats plurals with the language rules', async () => {
+    assert.equal(await t('compare.stems', 'en', { count: 1 }), '1 stem');
+    assert.equal(await t('compare.stems', 'en', { count: 12 }), '12 stems');
+    assert.equal(await t('a11y.results_announce', 'ta', { count: 3 }), '3 அலங்காரங்கள் காட்டப்படுகின்றன.');
+  });
+
+  test('falls back to English when a key is missing', async () => {
+    // Serve a partial ta stringbank for this test only
+    globalThis.fetch = async (input) => String(input).includes('/locales/ta/')
+      ? new Response(JSON.stringify({ common: { cancel: 'ரத்துசெய்' } }), { status: 200 })
+      : localesFetch(input);
+
+    try {
+      assert.equal(await t('common.cancel', 'ta'), 'ரத்துசெய்');
+      assert.equal(await t('result.cta', 'ta'), 'Buy');
+    } finally {
+      globalThis.fetch = localesFetch;
+      clearCache();
+    }
+  });
+
+  test('returns the key when it exists nowhere', async () => {
+    assert.equal(await t('does.not.exist', 'hi'), 'does.not.exist');
+  });
+
+  test('returns the key when the stringbank cannot load', async () => {
+    assert.equal(await t('result.cta', 'xx'), 'result.cta');
+  });
+});
+
+describe('tSync()', () => {
+  test('needs a preloaded stringbank', async () => {
+    clearCache();
+    assert.equal(tSync('result.cta', 'en'), 'result.cta');
+
+    await preloadStringbanks(['en', 'ta']);
+    assert.equal(tSync('result.cta', 'en'), 'Buy');
+    assert.equal(tSync('result.cta', 'ta'), 'வாங்கு');
+    assert.equal(tSync('does.not.exist', 'ta'), 'does.not.exist');
+  });
+});
+
+describe('localized product content', () => {
+  test('sanitizeLocalizedMap keeps non-empty strings under language tags', () => {
+    assert.deepEqual(sanitizeLocalizedMap({ HI: ' नाम ', 'en-IN': 'Name', 'not a tag': 'x', ta: '', te: 3 }), { hi: 'नाम', 'en-in': 'Name' });
+    assert.equal(sanitizeLocalizedMap({ ta: '' }), null);
+    assert.equal(sanitizeLocalizedMap(['hi']), null);
+  });
+
+  test('pickLocalized prefers the language, a regional variant, then English', () => {
+    const map = { en: 'Morning Hush', 'hi-in': 'सुबह की शांति' };
+    assert.deepEqual(pickLocalized(map, 'hi', 'Catalog'), { text: 'सुबह की शांति', lang: 'hi' });
+    assert.deepEqual(pickLocalized(map, 'bn', 'Catalog'), { text: 'Morning Hush', lang: 'en' });
+    assert.deepEqual(pickLocalized({ ta: 'காலை' }, 'bn', 'Catalog'), { text: 'Catalog', lang: null });
+    assert.deepEqual(pickLocalized(null, 'hi', 'Catalog'), { text: 'Catalog', lang: null });
+  });
+
+  test('arrangementName reads name_i18n over title and name', () => {
+    assert.equal(arrangementName({ title: 'Golden Hour', name_i18n: { hi: 'सुनहरा पल' } }, 'hi'), 'सुनहरा पल');
+    assert.equal(arrangementName({ name: 'Golden Hour' }, 'hi'), 'Golden Hour');
+  });
+});
+
+describe('detectLanguageFromText', () => {
+  test('empty text prefers English', () => {
+    assert.deepEqual(detectLanguageFromText(''), {
+      suggestedLang: 'en',
+      isAmbiguous: false,
+      confidence: { en: 0, hi: 0, ta: 0, te: 0, bn: 0 },
+      romanised: false,
+      devanagariPercent: 0
+    });
+  });
+
+  test('Devanagari text suggests Hindi', () => {
+    const result = detectLanguageFromText('माँ के जन्मदिन के लिए फूल');
+    assert.equal(result.suggestedLang, 'hi');
+    assert.equal(result.isAmbiguous, false);
+    assert.equal(result.confidence.hi, 1);
+  });
+
+  test('Tamil, Telugu and Bengali scripts suggest their language', () => {
+    assert.equal(detectLanguageFromText('அம்மாவுக்கு பிறந்தநாள் பூக்கள்').suggestedLang, 'ta');
+    assert.equal(detectLanguageFromText('అమ్మకు పుట్టినరోజు పూలు').suggestedLang, 'te');
+    assert.equal(detectLanguageFromText('মায়ের জন্মদিনের ফুল').suggestedLang, 'bn');
+  });
+
+  test('Latin text prefers English', () => {
+    const result = detectLanguageFromText('flowers for my mother');
+    assert.equal(result.suggestedLang, 'en');
+    assert.equal(result.confidence.en, 1);
+  });
+
+  test('romanised Hindi suggests Hindi', () => {
+    const result = detectLanguageFromText('maa ke janamdin ke liye phool bhejo');
+    assert.equal(result.suggestedLang, 'hi');
+    assert.equal(result.romanised, true);
+  });
+
+  test('a single Hinglish word in English stays English', () => {
+    const result = detectLanguageFromText('flowers for my didi');
+    assert.equal(result.suggestedLang, 'en');
+    assert.equal(result.romanised, false);
+  });
+
+  test('romanised Hindi mixed with Devanagari suggests Hindi', () => {
+    assert.equal(detectLanguageFromText('maa ke liye फूल भेजो').suggestedLang, 'hi');
+  });
+
+  test('English mixed with Devanagari is ambiguous', () => {
+    const result = detectLanguageFromText('flowers for फूल भेजो');
+    assert.equal(result.isAmbiguous, true);
+    assert.equal(result.suggestedLang, null);
+  });
+});
+
+describe('detectLanguage / setLanguage', () => {
+  test('stored language wins over browser language', () => {
+    setLanguage('hi');
+    assert.equal(detectLanguage(), 'hi');
+    assert.equal(document.documentElement.lang, 'hi');
+    localStorage.clear();
+  });
+
+  test('a pre-rendered page path wins over browser language, not over a manual choice', () => {
+    window.history.replaceState(null, '', '/ta/');
+    try {
+      assert.equal(detectLanguage(), 'ta');
+      setLanguage('hi');
+      localStorage.setItem('manual_lang', 'true');
+      assert.equal(detectLanguage(), 'hi');
+    } finally {
+      window.history.replaceState(null, '', '/');
+      localStorage.clear();
+    }
+  });
+
+  test('a stored language the guest never picked does not undo the page path', () => {
+    setLanguage('en');
+    window.history.replaceState(null, '', '/hi/');
+    try {
+      assert.equal(detectLanguage(), 'hi');
+    } finally {
+      window.history.replaceState(null, '', '/');
+      localStorage.clear();
+    }
+  });
+
+  test('applies a language to this page view only when asked not to persist it', () => {
+    setLanguage('bn', { persist: false });
+    assert.equal(document.documentElement.lang, 'bn');
+    assert.equal(localStorage.getItem('arvyam_lang'), null);
+  });
+
+  test('rejects unsupported languages', () => {
+    assert.throws(() => setLanguage('fr'), /not supported/);
+  });
+});
@@ -0,0 +1,31 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { setupDom } from '../helpers/dom.js';
+
+setupDom();
+
+const { default: IntentAssist } = await import('../../assets/js/intent_assist.js');
+
+describe('IntentAssist.isUncertain', () => {
+  const assist = new IntentAssist({ autoShow: false });
+
+  test('short prompts are uncertain', () => {
+    assert.equal(assist.isUncertain('flowers'), true);
+    assert.equal(assist.isUncertain('birthday roses'), true);
+  });
+
+  test('generic-only prompts are uncertain', () => {
+    assert.equal(assist.isUncertain('send a bouquet of flowers'), true);
+  });
+
+  test('prompts with an occasion or emotion are certain', () => {
+    assert.equal(assist.isUncertain('celebrating our anniversary this week'), false);
+    assert.equal(assist.isUncertain('she is feeling sad after her exams'), false);
+  });
+
+  test('extracts a budget tier without storing the amount', () => {
+    assert.equal(assist._extractBudgetHint('something premium please'), 'luxury');
+    assert.equal(assist._extractBudgetHint('a simple thank you'), null);
+  });
+});
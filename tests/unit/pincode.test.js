@@ -0,0 +1,97 @@
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { setupDom } from '../helpers/dom.js';
+
+setupDom();
+
+const {
+  normalizePincode,
+  normalizeServiceability,
+  readCachedServiceability,
+  cacheServiceability,
+  readSessionPincode,
+  rememberPincode,
+  deliveryFit
+} = await import('../../assets/js/pincode.js');
+
+const bengaluru = { pincode: '560001', serviceable: true, delivery_windows: ['today', 'tomorrow', 'this_week'] };
+const jaipur = { pincode: '302001', serviceable: true, delivery_windows: ['tomorrow', 'this_week'] };
+
+beforeEach(() => {
+  sessionStorage.clear();
+});
+
+describe('normalizePincode', () => {
+  test('accepts six digits, with spaces or a dash', () => {
+    assert.equal(normalizePincode('560001'), '560001');
+    assert.equal(normalizePincode(' 560 001 '), '560001');
+    assert.equal(normalizePincode('560-001'), '560001');
+    assert.equal(normalizePincode(110001), '110001');
+  });
+
+  test('rejects other lengths, a leading zero and non-digits', () => {
+    assert.equal(normalizePincode('56001'), null);
+    assert.equal(normalizePincode('5600011'), null);
+    assert.equal(normalizePincode('060001'), null);
+    assert.equal(normalizePincode('56OO01'), null);
+    assert.equal(normalizePincode(null), null);
+  });
+});
+
+describe('normalizeServiceability', () => {
+  test('keeps known windows in order', () => {
+    assert.deepEqual(
+      normalizeServiceability({ serviceable: true, delivery_windows: ['this_week', 'someday', 'today'] }, '560001'),
+      { pincode: '560001', serviceable: true, delivery_windows: ['today', 'this_week'] }
+    );
+  });
+
+  test('rejects answers without a verdict or for another pincode', () => {
+    assert.equal(normalizeServiceability({ delivery_windows: ['today'] }, '560001'), null);
+    assert.equal(normalizeServiceability({ pincode: '110001', serviceable: true }, '560001'), null);
+    assert.equal(normalizeServiceability(null, '560001'), null);
+  });
+});
+
+describe('session cache', () => {
+  test('remembers answers and the pincode in use for the session', () => {
+    assert.equal(readCachedServiceability('560001'), null);
+
+    cacheServiceability(bengaluru);
+    cacheServiceability(jaipur);
+    rememberPincode('560001');
+
+    assert.deepEqual(readCachedServiceability('560001'), bengaluru);
+    assert.deepEqual(readCachedServiceability('302001'), jaipur);
+    assert.equal(readSessionPincode(), '560001');
+    assert.equal(localStorage.getItem('arvyam_pincode'), null);
+
+    rememberPincode(null);
+    assert.equal(readSessionPincode(), null);
+  });
+
+  test('treats a corrupt cache as empty', () => {
+    sessionStorage.setItem('arvyam_serviceability', '{not json');
+    assert.equal(readCachedServiceability('560001'), null);
+  });
+});
+
+describe('deliveryFit', () => {
+  test('fits when a shared window is early enough', () => {
+    assert.deepEqual(deliveryFit(['today', 'tomorrow'], bengaluru), { fit: 'fits', earliest: 'today' });
+    assert.deepEqual(deliveryFit(['today', 'tomorrow'], jaipur, 'tomorrow'), { fit: 'fits', earliest: 'tomorrow' });
+    assert.deepEqual(deliveryFit(['this_week'], jaipur, 'flexible'), { fit: 'fits', earliest: 'this_week' });
+  });
+
+  test('is later than asked, or unavailable, per pincode', () => {
+    assert.deepEqual(deliveryFit(['today', 'tomorrow'], jaipur, 'today'), { fit: 'later', earliest: 'tomorrow' });
+    assert.deepEqual(deliveryFit(['next_week'], jaipur), { fit: 'unavailable', earliest: null });
+  });
+
+  test('is unknown without a serviceable answer or arrangement windows', () => {
+    assert.equal(deliveryFit(['today'], null).fit, 'unknown');
+    assert.equal(deliveryFit(['today'], { pincode: '845401', serviceable: false, delivery_windows: [] }).fit, 'unknown');
+    assert.equal(deliveryFit(undefined, bengaluru).fit, 'unknown');
+  });
+});
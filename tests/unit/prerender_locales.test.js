@@ -0,0 +1,112 @@
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+
+import {
+  alternateLinks,
+  checkSourceAlternates,
+  findStalePages,
+  prerenderLocales,
+  renderLocalizedPage
+} from '../../scripts/prerender_locales.mjs';
+
+const ORIGIN = 'https://arvyam.com';
+
+const SOURCE = `<!doctype html>
+<html lang="en" data-static-lang="en">
+<head>
+  <title>ARVYAM</title>
+  <meta name="description" content="English description" />
+  <link rel="canonical" href="${ORIGIN}/" />
+  <link rel="alternate" hreflang="en" href="${ORIGIN}/" />
+  <link href="assets/css/components.css" rel="stylesheet">
+</head>
+<body>
+  <a href="#curate">Begin</a>
+  <h1 id="hero-title">Every feeling deserves its perfect expression.</h1>
+  <p id="hero-subtitle">English subtitle</p>
+  <form id="curate-form"><button type="submit">Curate</button></form>
+  <img src="assets/hero-poster.jpg" alt="">
+  <script type="module" src="assets/js/app.js"></script>
+</body>
+</html>`;
+
+const fallback = {
+  meta: { title: 'ARVYAM', description: 'English description' },
+  hero: { title: 'Every feeling deserves its perfect expression.', subtitle: 'English subtitle' },
+  search: { cta: 'Curate' }
+};
+
+async function render(stringbank) {
+  const html = await renderLocalizedPage(SOURCE, 'hi', { stringbank, fallback, origin: ORIGIN });
+  return { html, document: new JSDOM(html).window.document };
+}
+
+describe('renderLocalizedPage', () => {
+  test('writes the copy, <html lang> and the skip marker', async () => {
+    const { html, document } = await render({
+      meta: { title: 'ARVYAM हिंदी', description: 'हिंदी विवरण' },
+      hero: { title: 'हर भावना', subtitle: 'उपशीर्षक' },
+      search: { cta: 'चुनें' }
+    });
+
+    assert.match(html, /^<!DOCTYPE html>\n<!-- Generated by scripts\/prerender_locales\.mjs/);
+    assert.equal(document.documentElement.lang, 'hi');
+    assert.equal(document.documentElement.dataset.staticLang, 'hi');
+    assert.equal(document.title, 'ARVYAM हिंदी');
+    assert.equal(document.querySelector('meta[name="description"]').content, 'हिंदी विवरण');
+    assert.equal(document.getElementById('hero-title').textContent, 'हर भावना');
+    assert.equal(document.querySelector('button').textContent, 'चुनें');
+  });
+
+  test('falls back to English per key and fails on keys missing everywhere', async () => {
+    const { document } = await render({ hero: { title: 'हर भावना' } });
+    assert.equal(document.getElementById('hero-subtitle').textContent, 'English subtitle');
+
+    await assert.rejects(
+      renderLocalizedPage(SOURCE, 'hi', { stringbank: {}, fallback: { hero: {} }, origin: ORIGIN }),
+      /"meta\.title" is missing/
+    );
+  });
+
+  test('makes asset URLs root-absolute and leaves fragments alone', async () => {
+    const { document } = await render({});
+    assert.equal(document.querySelector('link[rel="stylesheet"]').getAttribute('href'), '/assets/css/components.css');
+    assert.equal(document.querySelector('img').getAttribute('src'), '/assets/hero-poster.jpg');
+    assert.equal(document.querySelector('script').getAttribute('src'), '/assets/js/app.js');
+    assert.equal(document.querySelector('a').getAttribute('href'), '#curate');
+  });
+
+  test('replaces canonical and hreflang links with the full set', async () => {
+    const { document } = await render({});
+    assert.equal(document.querySelector('link[rel="canonical"]').href, `${ORIGIN}/hi/`);
+    assert.deepEqual(
+      Array.from(document.querySelectorAll('link[rel="alternate"]'), link => [link.hreflang, link.href]),
+      alternateLinks(ORIGIN).map(link => [link.hreflang, link.href])
+    );
+    assert.equal(document.querySelectorAll('link[rel="canonical"]').length, 1);
+  });
+});
+
+describe('checkSourceAlternates', () => {
+  test('lists the hreflang links index.html is missing', () => {
+    const problems = checkSourceAlternates(SOURCE, ORIGIN);
+    assert.equal(problems.length, 5);
+    assert.match(problems[0], /hreflang="hi" href="https:\/\/arvyam\.com\/hi\/"/);
+  });
+});
+
+describe('repository pages', () => {
+  let result;
+  before(async () => {
+    result = await prerenderLocales();
+  });
+
+  test('index.html lists every language', () => {
+    assert.deepEqual(checkSourceAlternates(result.sourceHtml, result.origin), []);
+  });
+
+  test('committed /<lang>/index.html pages are up to date (npm run prerender)', async () => {
+    assert.deepEqual(await findStalePages(result.pages), []);
+  });
+});
@@ -0,0 +1,89 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { setupDom } from '../helpers/dom.js';
+
+setupDom({ url: 'http://localhost/?mock=1&lang=hi' });
+
+const {
+  encodeSelection,
+  decodeSelection,
+  buildShareUrl,
+  readSelectionFromUrl,
+  hasSelectionParam,
+  clearSelectionFromUrl
+} = await import('../../assets/js/share_link.js');
+
+const skuIds = ['MOCK-MIX-001', 'MOCK-MIX-004', 'MOCK-MONO-002'];
+
+describe('encodeSelection / decodeSelection', () => {
+  test('round-trips ids, language and enum hints', () => {
+    const encoded = encodeSelection({ skuIds, language: 'hi', hints: { occasion: 'birthday', relationship: 'parent' } });
+    assert.match(encoded, /^[A-Za-z0-9_-]+$/);
+    assert.deepEqual(decodeSelection(encoded), {
+      skuIds,
+      language: 'hi',
+      hints: { relationship: 'parent', occasion: 'birthday' }
+    });
+  });
+
+  test('never carries free text (tone hint) or unknown hint values', () => {
+    const encoded = encodeSelection({
+      skuIds,
+      hints: { tone_hint: 'for Meera, pastel', occasion: 'not-an-occasion' }
+    });
+    const raw = Buffer.from(encoded, 'base64url').toString();
+
+    assert.doesNotMatch(raw, /Meera|pastel|not-an-occasion/);
+    assert.equal(decodeSelection(encoded).hints, null);
+  });
+
+  test('refuses anything but 3 distinct well-formed SKUs', () => {
+    assert.equal(encodeSelection({ skuIds: skuIds.slice(0, 2) }), null);
+    assert.equal(encodeSelection({ skuIds: [skuIds[0], skuIds[0], skuIds[2]] }), null);
+    assert.equal(encodeSelection({ skuIds: ['<script>', skuIds[1], skuIds[2]] }), null);
+  });
+
+  test('shares every SKU the response schema accepts', async () => {
+    const { coerceArrangement } = await import('../../assets/js/curate_schema.js');
+    const dotted = ['ROSE.12', skuIds[1], skuIds[2]];
+
+    assert.equal(coerceArrangement({ id: 'ROSE.12' }).arrangement.id, 'ROSE.12');
+    assert.deepEqual(decodeSelection(encodeSelection({ skuIds: dotted })).skuIds, dotted);
+  });
+
+  test('malformed or tampered values decode to null', () => {
+    const tampered = Buffer.from(JSON.stringify({ v: 1, s: ['A', 'B'], l: 'en' })).toString('base64url');
+    const future = Buffer.from(JSON.stringify({ v: 2, s: skuIds, l: 'en' })).toString('base64url');
+
+    assert.equal(decodeSelection('%%%'), null);
+    assert.equal(decodeSelection(tampered), null);
+    assert.equal(decodeSelection(future), null);
+    assert.equal(decodeSelection(''), null);
+  });
+
+  test('unsupported languages fall back to English', () => {
+    const encoded = Buffer.from(JSON.stringify({ v: 1, s: skuIds, l: 'fr' })).toString('base64url');
+    assert.equal(decodeSelection(encoded).language, 'en');
+  });
+});
+
+describe('URL helpers', () => {
+  test('buildShareUrl keeps other params but drops ?lang and the hash', () => {
+    const url = new URL(buildShareUrl({ skuIds, language: 'en' }, 'http://localhost/?mock=1&lang=hi#results'));
+
+    assert.equal(url.searchParams.get('mock'), '1');
+    assert.equal(url.searchParams.has('lang'), false);
+    assert.equal(url.hash, '');
+    assert.deepEqual(readSelectionFromUrl(url.toString()).skuIds, skuIds);
+  });
+
+  test('clearSelectionFromUrl removes only ?c=', () => {
+    window.history.replaceState(null, '', buildShareUrl({ skuIds }, window.location.href));
+    assert.equal(hasSelectionParam(), true);
+
+    clearSelectionFromUrl();
+    assert.equal(hasSelectionParam(), false);
+    assert.equal(new URL(window.location.href).searchParams.get('mock'), '1');
+  });
+});
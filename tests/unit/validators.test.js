@@ -0,0 +1,136 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  validateToneHint,
+  validateRefinement,
+  containsPII,
+  sanitizeInput,
+  detectBudgetMention,
+  isValidEnum,
+  VALID_DELIVERY_WINDOWS
+} from '../../assets/js/validators.js';
+
+describe('validateToneHint', () => {
+  test('empty values are valid (optional field)', () => {
+    assert.deepEqual(validateToneHint(null), { valid: true });
+    assert.deepEqual(validateToneHint(undefined), { valid: true });
+    assert.deepEqual(validateToneHint('   '), { valid: true });
+  });
+
+  test('accepts style preferences', () => {
+    assert.deepEqual(validateToneHint('bright colors, modern style'), { valid: true });
+  });
+
+  test('rejects more than 100 characters after trim', () => {
+    assert.equal(validateToneHint(`  ${'a'.repeat(100)}  `).valid, true);
+
+    const result = validateToneHint('a'.repeat(101));
+    assert.equal(result.valid, false);
+    assert.match(result.error, /100 characters/);
+  });
+
+  test('rejects email addresses', () => {
+    const result = validateToneHint('contact me at user@email.com');
+    assert.equal(result.valid, false);
+    assert.match(result.error, /email/);
+  });
+
+  test('rejects phone numbers', () => {
+    const result = validateToneHint('call 9876543210');
+    assert.equal(result.valid, false);
+    assert.match(result.error, /phone/);
+  });
+
+  test('rejects name context', () => {
+    const result = validateToneHint('my name is Priya');
+    assert.equal(result.valid, false);
+    assert.match(result.error, /personal details/);
+  });
+});
+
+describe('validateRefinement', () => {
+  test('empty is invalid (required field)', () => {
+    for (const value of [null, undefined, '', '   ']) {
+      const result = validateRefinement(value);
+      assert.equal(result.valid, false);
+      assert.match(result.error, /adjust/);
+    }
+  });
+
+  test('accepts short adjustments', () => {
+    assert.deepEqual(validateRefinement('brighter colors'), { valid: true });
+  });
+
+  test('rejects more than 50 characters', () => {
+    const result = validateRefinement('b'.repeat(51));
+    assert.equal(result.valid, false);
+    assert.match(result.error, /50 characters/);
+  });
+
+  test('rejects email and phone', () => {
+    assert.match(validateRefinement('a@b.co please').error, /email/);
+    assert.match(validateRefinement('987-654-3210').error, /phone/);
+  });
+
+  test('does not apply name-context rule', () => {
+    assert.deepEqual(validateRefinement("I'm Sam, more roses"), { valid: true });
+  });
+});
+
+describe('containsPII', () => {
+  test('detects each PII pattern', () => {
+    assert.equal(containsPII('first.last@domain.com'), true);
+    assert.equal(containsPII('+91 9876543210'), true);
+    assert.equal(containsPII('call me Mike'), true);
+  });
+
+  test('ignores plain text and non-strings', () => {
+    assert.equal(containsPII('bright colors'), false);
+    assert.equal(containsPII(''), false);
+    assert.equal(containsPII(null), false);
+    assert.equal(containsPII(12345), false);
+  });
+});
+
+describe('sanitizeInput', () => {
+  test('trims and truncates', () => {
+    assert.equal(sanitizeInput('  hello world  ', 5), 'hello');
+  });
+
+  test('defaults to 100 characters', () => {
+    assert.equal(sanitizeInput('x'.repeat(150)).length, 100);
+  });
+
+  test('handles null/undefined and non-strings', () => {
+    assert.equal(sanitizeInput(null), '');
+    assert.equal(sanitizeInput(undefined), '');
+    assert.equal(sanitizeInput(42), '42');
+  });
+});
+
+describe('detectBudgetMention', () => {
+  test('reads rupee amounts', () => {
+    assert.deepEqual(detectBudgetMention('around 2,500 rupees please'), { mentioned: true, amount: 2500 });
+    assert.deepEqual(detectBudgetMention('5000 rs max'), { mentioned: true, amount: 5000 });
+  });
+
+  test('reads budget phrases', () => {
+    assert.deepEqual(detectBudgetMention('a budget of 3000'), { mentioned: true, amount: 3000 });
+    assert.deepEqual(detectBudgetMention('something under 2000 for my sister'), { mentioned: true, amount: 2000 });
+    assert.deepEqual(detectBudgetMention('about 1800'), { mentioned: true, amount: 1800 });
+  });
+
+  test('returns not mentioned without an amount', () => {
+    assert.deepEqual(detectBudgetMention('celebrating five years together'), { mentioned: false });
+    assert.deepEqual(detectBudgetMention('under 0'), { mentioned: false });
+  });
+});
+
+describe('isValidEnum', () => {
+  test('empty is valid, unknown values are not', () => {
+    assert.equal(isValidEnum('', VALID_DELIVERY_WINDOWS), true);
+    assert.equal(isValidEnum('today', VALID_DELIVERY_WINDOWS), true);
+    assert.equal(isValidEnum('yesterday', VALID_DELIVERY_WINDOWS), false);
+  });
+});